@@ -0,0 +1,329 @@
+// F:\uber-chat-mvp\backend-oficial\lib\adminAuth.js
+// ============================================================================
+// Contas do painel (admin e portal do parceiro): senhas com hash, sessões
+// assinadas e papéis
+// - Tabelas admin_usuarios e admin_sessoes (sql/005_admin_usuarios.sql)
+// - Senha: scrypt com salt aleatório ("scrypt$N$r$p$salt$hash")
+// - Sessão: token de acesso curto (JWT HS256, ADMIN_TOKEN_TTL_MIN) +
+//   refresh token opaco ("<sessaoId>.<segredo>", guardado só o hash) com
+//   rotação a cada uso e revogação (logout, troca de senha, desativação)
+// - Bloqueio: ADMIN_MAX_TENTATIVAS falhas seguidas → conta bloqueada por
+//   ADMIN_BLOQUEIO_MIN minutos
+// - Papéis:
+//     super_admin   → tudo, inclusive gestão de usuários
+//     editor_regiao → leitura e escrita só nas regiões da conta
+//     analista      → só leitura (regiões da conta; lista vazia = todas)
+//     parceiro      → só o portal do parceiro, limitado aos parceiros da conta
+// - Chave legada (X-Admin-Key = ADMIN_API_KEY) continua valendo como
+//   super_admin enquanto ADMIN_LEGACY_KEY != "0" (período de migração)
+// ============================================================================
+
+import { createHash, createHmac, randomBytes, randomUUID, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { supabase } from "./supabaseClient.js";
+
+const scryptAsync = promisify(scrypt);
+
+const TOKEN_TTL_MIN = Number(process.env.ADMIN_TOKEN_TTL_MIN || 15);
+const REFRESH_TTL_DIAS = Number(process.env.ADMIN_REFRESH_TTL_DIAS || 7);
+const MAX_TENTATIVAS = Number(process.env.ADMIN_MAX_TENTATIVAS || 5);
+const BLOQUEIO_MIN = Number(process.env.ADMIN_BLOQUEIO_MIN || 15);
+const SENHA_MIN_CARACTERES = 8;
+
+export const CHAVE_LEGADA_HABILITADA = process.env.ADMIN_LEGACY_KEY !== "0";
+
+// Permissões por papel
+export const PAPEIS = {
+  super_admin: ["leitura", "escrita", "gestao"],
+  editor_regiao: ["leitura", "escrita"],
+  analista: ["leitura"],
+  parceiro: ["portal"]
+};
+
+// Papéis que entram por /api/admin/login (parceiros usam /api/parceiro/login)
+export const PAPEIS_DE_ADMIN = ["super_admin", "editor_regiao", "analista"];
+
+function segredoDeSessao() {
+  const segredo = process.env.ADMIN_SESSION_SECRET;
+  if (!segredo || segredo.length < 32) {
+    throw new Error("ADMIN_SESSION_SECRET ausente ou curto (mínimo 32 caracteres).");
+  }
+  return segredo;
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+function sha256(texto) {
+  return createHash("sha256").update(String(texto)).digest("hex");
+}
+
+function iguaisEmTempoConstante(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+// ------------------------------- SENHAS -------------------------------------
+const SCRYPT = { N: 16384, r: 8, p: 1, tamanho: 64 };
+
+export async function gerarHashDeSenha(senha) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(String(senha), salt, SCRYPT.tamanho, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, base64url(salt), base64url(hash)].join("$");
+}
+
+export async function conferirSenha(senha, hashGuardado) {
+  const [algoritmo, N, r, p, salt, hash] = String(hashGuardado || "").split("$");
+  if (algoritmo !== "scrypt" || !salt || !hash) return false;
+  const esperado = Buffer.from(hash, "base64url");
+  const calculado = await scryptAsync(String(senha), Buffer.from(salt, "base64url"), esperado.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return timingSafeEqual(esperado, calculado);
+}
+
+/** Regras mínimas de senha. Retorna a mensagem de erro ou null. */
+export function problemaNaSenha(senha) {
+  if (typeof senha !== "string" || senha.length < SENHA_MIN_CARACTERES) {
+    return `senha deve ter pelo menos ${SENHA_MIN_CARACTERES} caracteres`;
+  }
+  return null;
+}
+
+// ---------------------------- TOKEN DE ACESSO -------------------------------
+function assinarToken(payload) {
+  const cabecalho = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const corpo = base64url(JSON.stringify(payload));
+  const assinatura = base64url(createHmac("sha256", segredoDeSessao()).update(`${cabecalho}.${corpo}`).digest());
+  return `${cabecalho}.${corpo}.${assinatura}`;
+}
+
+/** Valida assinatura e validade. Retorna o payload ou null. */
+export function verificarTokenDeAcesso(token) {
+  const partes = String(token || "").split(".");
+  if (partes.length !== 3) return null;
+  const [cabecalho, corpo, assinatura] = partes;
+  const esperada = base64url(createHmac("sha256", segredoDeSessao()).update(`${cabecalho}.${corpo}`).digest());
+  if (!iguaisEmTempoConstante(assinatura, esperada)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(corpo, "base64url").toString("utf8"));
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function tokenDeAcessoPara(usuario, sessaoId) {
+  const expiraEm = Date.now() + TOKEN_TTL_MIN * 60 * 1000;
+  const accessToken = assinarToken({
+    sub: usuario.id,
+    sid: sessaoId,
+    usr: usuario.username,
+    papel: usuario.papel,
+    regioes: usuario.regioes || [],
+    parceiros: usuario.parceiros || [],
+    exp: Math.floor(expiraEm / 1000)
+  });
+  return { accessToken, accessTokenExpiraEm: new Date(expiraEm).toISOString() };
+}
+
+// ------------------------------- SESSÕES ------------------------------------
+function novoRefresh(sessaoId) {
+  const segredo = base64url(randomBytes(32));
+  return { refreshToken: `${sessaoId}.${segredo}`, refreshHash: sha256(segredo) };
+}
+
+function expiracaoDoRefresh() {
+  return new Date(Date.now() + REFRESH_TTL_DIAS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/** Dados do usuário que podem sair na API (nunca o hash). */
+export function usuarioPublico(u) {
+  return {
+    id: u.id,
+    username: u.username,
+    papel: u.papel,
+    regioes: u.regioes || [],
+    parceiros: u.parceiros || [],
+    ativo: u.ativo !== false,
+    bloqueado_ate: u.bloqueado_ate || null,
+    ultimo_login_em: u.ultimo_login_em || null
+  };
+}
+
+async function abrirSessao(usuario) {
+  const sessaoId = randomUUID();
+  const { refreshToken, refreshHash } = novoRefresh(sessaoId);
+  const refreshExpiraEm = expiracaoDoRefresh();
+
+  const { error } = await supabase.from("admin_sessoes").insert({
+    id: sessaoId,
+    usuario_id: usuario.id,
+    refresh_hash: refreshHash,
+    expira_em: refreshExpiraEm
+  });
+  if (error) throw error;
+
+  return {
+    ...tokenDeAcessoPara(usuario, sessaoId),
+    refreshToken,
+    refreshExpiraEm,
+    usuario: usuarioPublico(usuario)
+  };
+}
+
+/**
+ * Login por usuário/senha, aceitando só contas com um dos "papeis" informados.
+ * Retorna { sessao } | { erro: "credenciais" } | { erro: "bloqueado", bloqueadoAte }
+ * | { erro: "desconhecido" } (usuário não existe: a rota decide se tenta o legado).
+ */
+export async function autenticar(username, senha, papeis = PAPEIS_DE_ADMIN) {
+  const { data: usuario, error } = await supabase
+    .from("admin_usuarios")
+    .select("*")
+    .eq("username", String(username || "").trim().toLowerCase())
+    .maybeSingle();
+  if (error) throw error;
+  if (!usuario || usuario.ativo === false || !papeis.includes(usuario.papel)) return { erro: "desconhecido" };
+
+  if (usuario.bloqueado_ate && new Date(usuario.bloqueado_ate).getTime() > Date.now()) {
+    return { erro: "bloqueado", bloqueadoAte: usuario.bloqueado_ate };
+  }
+
+  const confere = await conferirSenha(senha, usuario.senha_hash);
+  if (!confere) {
+    const tentativas = (usuario.tentativas_falhas || 0) + 1;
+    const bloquear = tentativas >= MAX_TENTATIVAS;
+    const bloqueadoAte = bloquear ? new Date(Date.now() + BLOQUEIO_MIN * 60 * 1000).toISOString() : null;
+    await supabase
+      .from("admin_usuarios")
+      .update({ tentativas_falhas: bloquear ? 0 : tentativas, bloqueado_ate: bloqueadoAte })
+      .eq("id", usuario.id);
+    return bloquear ? { erro: "bloqueado", bloqueadoAte } : { erro: "credenciais" };
+  }
+
+  await supabase
+    .from("admin_usuarios")
+    .update({ tentativas_falhas: 0, bloqueado_ate: null, ultimo_login_em: new Date().toISOString() })
+    .eq("id", usuario.id);
+
+  return { sessao: await abrirSessao(usuario) };
+}
+
+/**
+ * Troca um refresh token por um novo par de tokens (rotação).
+ * Refresh reutilizado (hash não bate) revoga a sessão inteira.
+ * Retorna { sessao } ou { erro }.
+ */
+export async function renovarSessao(refreshToken) {
+  const [sessaoId, segredo] = String(refreshToken || "").split(".");
+  if (!sessaoId || !segredo) return { erro: "refresh token inválido" };
+
+  const { data: sessao, error } = await supabase
+    .from("admin_sessoes")
+    .select("id, usuario_id, refresh_hash, expira_em, revogada_em")
+    .eq("id", sessaoId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!sessao || sessao.revogada_em) return { erro: "sessão revogada ou inexistente" };
+  if (new Date(sessao.expira_em).getTime() <= Date.now()) return { erro: "sessão expirada" };
+
+  if (!iguaisEmTempoConstante(sessao.refresh_hash, sha256(segredo))) {
+    await revogarSessao(sessaoId);
+    return { erro: "refresh token já utilizado; sessão revogada" };
+  }
+
+  const { data: usuario, error: eUsr } = await supabase
+    .from("admin_usuarios")
+    .select("*")
+    .eq("id", sessao.usuario_id)
+    .maybeSingle();
+  if (eUsr) throw eUsr;
+  if (!usuario || usuario.ativo === false) {
+    await revogarSessao(sessaoId);
+    return { erro: "usuário desativado" };
+  }
+
+  const { refreshToken: novo, refreshHash } = novoRefresh(sessaoId);
+  const refreshExpiraEm = expiracaoDoRefresh();
+  const { error: eUpd } = await supabase
+    .from("admin_sessoes")
+    .update({ refresh_hash: refreshHash, expira_em: refreshExpiraEm })
+    .eq("id", sessaoId);
+  if (eUpd) throw eUpd;
+
+  return {
+    sessao: {
+      ...tokenDeAcessoPara(usuario, sessaoId),
+      refreshToken: novo,
+      refreshExpiraEm,
+      usuario: usuarioPublico(usuario)
+    }
+  };
+}
+
+export async function revogarSessao(sessaoId) {
+  const { error } = await supabase
+    .from("admin_sessoes")
+    .update({ revogada_em: new Date().toISOString() })
+    .eq("id", sessaoId)
+    .is("revogada_em", null);
+  if (error) throw error;
+}
+
+export async function revogarSessoesDoUsuario(usuarioId) {
+  const { error } = await supabase
+    .from("admin_sessoes")
+    .update({ revogada_em: new Date().toISOString() })
+    .eq("usuario_id", usuarioId)
+    .is("revogada_em", null);
+  if (error) throw error;
+}
+
+/** A sessão do token ainda vale? (logout/revogação têm efeito imediato) */
+export async function sessaoAtiva(sessaoId) {
+  const { data, error } = await supabase
+    .from("admin_sessoes")
+    .select("revogada_em, expira_em")
+    .eq("id", sessaoId)
+    .maybeSingle();
+  if (error) throw error;
+  return Boolean(data && !data.revogada_em && new Date(data.expira_em).getTime() > Date.now());
+}
+
+// ------------------------------ PAPÉIS/ESCOPO -------------------------------
+export function temPermissao(admin, permissao) {
+  return Boolean(admin && (PAPEIS[admin.papel] || []).includes(permissao));
+}
+
+/**
+ * Regiões visíveis para o admin: null = todas.
+ * Editor sem regiões não enxerga nada ([]); analista sem regiões enxerga todas.
+ */
+export function regioesDoEscopo(admin) {
+  if (!admin || admin.papel === "super_admin") return null;
+  const regioes = Array.isArray(admin.regioes) ? admin.regioes : [];
+  if (admin.papel === "analista" && regioes.length === 0) return null;
+  return regioes;
+}
+
+export function regiaoNoEscopo(admin, regiaoId) {
+  const escopo = regioesDoEscopo(admin);
+  return escopo === null || escopo.includes(regiaoId);
+}
+
+/** Conta de parceiro só enxerga os parceiros vinculados a ela. */
+export function parceiroDaConta(conta, parceiroId) {
+  return Boolean(conta && Array.isArray(conta.parceiros) && conta.parceiros.includes(parceiroId));
+}
+
+/** Confere a chave legada (só quando o switch de migração está ligado). */
+export function chaveLegadaValida(chave) {
+  const esperada = process.env.ADMIN_API_KEY;
+  return Boolean(CHAVE_LEGADA_HABILITADA && esperada && chave && iguaisEmTempoConstante(chave, esperada));
+}
@@ -0,0 +1,511 @@
+// F:\uber-chat-mvp\backend-oficial\lib\armazemLocal.js
+// ============================================================================
+// Armazém de dados local (DADOS_ARMAZEM=local): roda o backend sem Supabase
+// - Um arquivo JSON por tabela em DADOS_DIR (padrão ./dados-local), gravado
+//   a cada escrita; um processo só (sem travas entre instâncias)
+// - Fala o mesmo subconjunto do supabase-js que o servidor usa: from() com
+//   select/insert/update/upsert/delete, filtros eq/neq/in/is/not/gt/gte/lt/
+//   lte/contains, order, limit, single/maybeSingle, count "exact" e relação
+//   embutida de um nível (ex.: "regioes(slug)" via regiao_id)
+// - rpc(): versões em JS das funções de sql/009 (limites), sql/010 (métricas)
+//   e sql/020 (emissão de voucher)
+// - Erros no formato do PostgREST ({ message, code }); único repetido → 23505
+// ============================================================================
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+// Chave primária que não é "id" (uuid gerado)
+const CHAVES_PRIMARIAS = {
+  links_acao: "codigo",
+  whatsapp_contatos: "telefone",
+  parceiro_views: "parceiro_id",
+  consumo_llm: "chave"
+};
+
+// Colunas únicas (as mesmas constraints das migrações)
+const UNICOS = {
+  regioes: [["slug"]],
+  cidades: [["regiao_id", "slug"]],
+  parceiros: [["chave_externa"]],
+  admin_usuarios: [["username"]],
+  pontos_referencia: [["regiao_id", "nome"]],
+  links_acao: [["conversation_id", "parceiro_id", "canal"]],
+  reservas: [["codigo"]],
+  vouchers: [["codigo"]]
+};
+
+// Defaults de coluna que o código espera encontrar preenchidos
+const PADROES = {
+  regioes: () => ({ ativo: true }),
+  cidades: () => ({ ativo: true }),
+  parceiros: () => ({ ativo: true, tipo: "PARCEIRO", tags: [], fotos_parceiros: [], excluido_em: null, latitude: null, longitude: null, comodidades: {} }),
+  conversas: () => ({ parceiro_em_foco: null, parceiros_sugeridos: [], transcricao: [], slots: {}, idioma: null, localizacao: null, reserva_em_andamento: null }),
+  interacoes: () => ({ parceiros_sugeridos: [], feedback_usuario: null }),
+  buscas_texto: () => ({ total_resultados: null, termos: [] }),
+  eventos_analytics: () => ({ payload: {} }),
+  admin_usuarios: () => ({ regioes: [], parceiros: [], ativo: true, tentativas_falhas: 0, bloqueado_ate: null }),
+  admin_sessoes: () => ({ revogada_em: null }),
+  parceiro_edicoes: () => ({ status: "pendente", motivo_rejeicao: null, revisado_por: null, revisado_em: null }),
+  parceiro_revisoes: () => ({ diff: {}, revisao_origem: null }),
+  feedbacks: () => ({ motivos: [] }),
+  pontos_referencia: () => ({ apelidos: [] }),
+  whatsapp_contatos: () => ({ opt_out_em: null }),
+  consumo_llm: () => ({ chamadas: 0, tokens: 0 }),
+  reservas: () => ({ status: "solicitada", motivo: null, historico: [], atualizado_em: null }),
+  webhooks: () => ({ eventos: [], regioes: [], descricao: null, ativo: true, atualizado_em: null }),
+  webhook_entregas: () => ({ status: "pendente", tentativas: 0, ultimo_status_http: null, ultimo_erro: null, entregue_em: null, historico: [] }),
+  vouchers: () => ({ status: "emitido", resgatado_em: null, resgatado_por: null })
+};
+
+// Relações embutidas no select: tabela → coluna de chave estrangeira
+const RELACOES = { regioes: "regiao_id", cidades: "cidade_id", parceiros: "parceiro_id" };
+
+const copiar = (v) => (v === undefined ? null : structuredClone(v));
+
+function erro(message, code = "LOCAL") {
+  return { message, code, details: null, hint: null };
+}
+
+// Datas ISO comparam como instantes; números como números; o resto como texto
+function comparar(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  const sa = String(a);
+  const sb = String(b);
+  if (/^\d{4}-\d{2}-\d{2}/.test(sa) && /^\d{4}-\d{2}-\d{2}/.test(sb)) {
+    const ta = Date.parse(sa);
+    const tb = Date.parse(sb);
+    if (!Number.isNaN(ta) && !Number.isNaN(tb)) return ta - tb;
+  }
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function iguais(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === "boolean" || typeof b === "boolean") return String(a) === String(b);
+  return comparar(a, b) === 0;
+}
+
+// jsonb/array @> : todo elemento do filtro aparece no valor (objetos por subconjunto)
+function contem(valor, filtro) {
+  if (filtro === null || typeof filtro !== "object") return iguais(valor, filtro) || valor === filtro;
+  if (Array.isArray(filtro)) {
+    if (!Array.isArray(valor)) return false;
+    return filtro.every((f) => valor.some((v) => contem(v, f)));
+  }
+  if (!valor || typeof valor !== "object" || Array.isArray(valor)) return false;
+  return Object.entries(filtro).every(([k, f]) => contem(valor[k], f));
+}
+
+// "id, nome, regioes(slug)" → [{ coluna }, { relacao, colunas }]
+function lerColunas(texto) {
+  const partes = [];
+  let atual = "";
+  let nivel = 0;
+  for (const ch of String(texto || "*")) {
+    if (ch === "(") nivel++;
+    if (ch === ")") nivel--;
+    if (ch === "," && nivel === 0) {
+      partes.push(atual.trim());
+      atual = "";
+    } else atual += ch;
+  }
+  if (atual.trim()) partes.push(atual.trim());
+  return partes.map((p) => {
+    const m = p.match(/^(\w+)\((.*)\)$/);
+    return m ? { relacao: m[1], colunas: m[2] } : { coluna: p };
+  });
+}
+
+/**
+ * Cliente local com a mesma cara do supabase-js (o que o servidor usa dele).
+ * diretorio: onde ficam os JSONs (criado na primeira escrita).
+ */
+export function criarClienteLocal({ diretorio = process.env.DADOS_DIR || "dados-local" } = {}) {
+  const tabelas = new Map(); // nome -> linhas
+  let sequencia = 0; // ids numéricos (limites_eventos)
+
+  const arquivoDa = (tabela) => path.join(diretorio, `${tabela}.json`);
+
+  function linhasDa(tabela) {
+    if (!tabelas.has(tabela)) {
+      const arquivo = arquivoDa(tabela);
+      tabelas.set(tabela, existsSync(arquivo) ? JSON.parse(readFileSync(arquivo, "utf8")) : []);
+    }
+    return tabelas.get(tabela);
+  }
+
+  // Grava em arquivo temporário e renomeia: um JSON nunca fica pela metade
+  function gravar(tabela) {
+    mkdirSync(diretorio, { recursive: true });
+    const arquivo = arquivoDa(tabela);
+    writeFileSync(`${arquivo}.tmp`, JSON.stringify(linhasDa(tabela), null, 1));
+    renameSync(`${arquivo}.tmp`, arquivo);
+  }
+
+  const chaveDa = (tabela) => CHAVES_PRIMARIAS[tabela] || "id";
+
+  function novaLinha(tabela, valores) {
+    const agora = new Date().toISOString();
+    const linha = { ...(PADROES[tabela]?.() || {}), created_at: agora, ...copiar(valores) };
+    const chave = chaveDa(tabela);
+    if (linha[chave] === undefined || linha[chave] === null) {
+      linha[chave] = tabela === "limites_eventos" ? ++sequencia + Date.now() * 1000 : randomUUID();
+    }
+    return linha;
+  }
+
+  // Devolve o erro de único violado (ignorando a própria linha) ou null
+  function violacaoDeUnico(tabela, linha, ignorar = null) {
+    const restricoes = [[chaveDa(tabela)], ...(UNICOS[tabela] || [])];
+    for (const colunas of restricoes) {
+      if (colunas.some((c) => linha[c] === null || linha[c] === undefined)) continue;
+      const repetida = linhasDa(tabela).find((l) => l !== ignorar && colunas.every((c) => iguais(l[c], linha[c])));
+      if (repetida) return erro(`duplicate key value violates unique constraint "${tabela}_${colunas.join("_")}_key"`, "23505");
+    }
+    return null;
+  }
+
+  function projetar(linha, colunas) {
+    if (colunas.length === 1 && colunas[0].coluna === "*") return copiar(linha);
+    const saida = {};
+    for (const c of colunas) {
+      if (c.coluna === "*") Object.assign(saida, copiar(linha));
+      else if (c.coluna) saida[c.coluna] = copiar(linha[c.coluna]);
+      else {
+        const fk = RELACOES[c.relacao];
+        const alvo = fk ? linhasDa(c.relacao).find((l) => l.id === linha[fk]) : null;
+        saida[c.relacao] = alvo ? projetar(alvo, lerColunas(c.colunas)) : null;
+      }
+    }
+    return saida;
+  }
+
+  function from(tabela) {
+    const estado = {
+      operacao: "select",
+      colunas: "*",
+      retornar: false,
+      contar: false,
+      soCabecalho: false,
+      valores: null,
+      onConflict: null,
+      filtros: [],
+      ordens: [],
+      limite: null,
+      unico: null // "single" | "maybeSingle"
+    };
+
+    const filtrar = (fn) => {
+      estado.filtros.push(fn);
+      return builder;
+    };
+
+    function executar() {
+      const linhas = linhasDa(tabela);
+      const passa = (l) => estado.filtros.every((f) => f(l));
+      let afetadas = [];
+
+      if (estado.operacao === "insert" || estado.operacao === "upsert") {
+        const lista = Array.isArray(estado.valores) ? estado.valores : [estado.valores];
+        const conflito = (estado.onConflict || chaveDa(tabela)).split(",").map((c) => c.trim());
+        for (const valores of lista) {
+          const existente =
+            estado.operacao === "upsert" && conflito.every((c) => valores[c] !== undefined)
+              ? linhas.find((l) => conflito.every((c) => iguais(l[c], valores[c])))
+              : null;
+          if (existente) {
+            const atualizada = { ...existente, ...copiar(valores) };
+            const violacao = violacaoDeUnico(tabela, atualizada, existente);
+            if (violacao) return { data: null, error: violacao };
+            Object.assign(existente, atualizada);
+            afetadas.push(existente);
+            continue;
+          }
+          const linha = novaLinha(tabela, valores);
+          const violacao = violacaoDeUnico(tabela, linha);
+          if (violacao) return { data: null, error: violacao };
+          linhas.push(linha);
+          afetadas.push(linha);
+        }
+        gravar(tabela);
+      } else if (estado.operacao === "update") {
+        for (const linha of linhas.filter(passa)) {
+          const atualizada = { ...linha, ...copiar(estado.valores) };
+          const violacao = violacaoDeUnico(tabela, atualizada, linha);
+          if (violacao) return { data: null, error: violacao };
+          Object.assign(linha, atualizada);
+          afetadas.push(linha);
+        }
+        if (afetadas.length > 0) gravar(tabela);
+      } else if (estado.operacao === "delete") {
+        afetadas = linhas.filter(passa);
+        if (afetadas.length > 0) {
+          tabelas.set(tabela, linhas.filter((l) => !afetadas.includes(l)));
+          gravar(tabela);
+        }
+      } else {
+        afetadas = linhas.filter(passa);
+      }
+
+      if (estado.operacao !== "select" && !estado.retornar) return { data: null, error: null };
+
+      for (const { coluna, ascendente } of [...estado.ordens].reverse()) {
+        // Postgres: nulos por último no asc e primeiro no desc
+        afetadas = [...afetadas].sort((a, b) => {
+          const va = a[coluna];
+          const vb = b[coluna];
+          if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : ascendente ? 1 : -1;
+          if (vb === null || vb === undefined) return ascendente ? -1 : 1;
+          return ascendente ? comparar(va, vb) : comparar(vb, va);
+        });
+      }
+      const total = afetadas.length;
+      if (estado.limite !== null) afetadas = afetadas.slice(0, estado.limite);
+      if (estado.soCabecalho) return { data: null, error: null, count: total };
+
+      const colunas = lerColunas(estado.colunas);
+      const dados = afetadas.map((l) => projetar(l, colunas));
+      const count = estado.contar ? total : null;
+
+      if (estado.unico) {
+        if (dados.length === 1) return { data: dados[0], error: null, count };
+        if (dados.length === 0 && estado.unico === "maybeSingle") return { data: null, error: null, count };
+        return {
+          data: null,
+          error: erro(`JSON object requested, multiple (or no) rows returned (${dados.length})`, "PGRST116"),
+          count
+        };
+      }
+      return { data: dados, error: null, count };
+    }
+
+    const builder = {
+      select(colunas = "*", opcoes = {}) {
+        estado.colunas = colunas;
+        if (estado.operacao === "select") {
+          estado.contar = opcoes.count === "exact";
+          estado.soCabecalho = Boolean(opcoes.head);
+        } else {
+          estado.retornar = true;
+        }
+        return builder;
+      },
+      insert(valores) {
+        estado.operacao = "insert";
+        estado.valores = valores;
+        return builder;
+      },
+      upsert(valores, opcoes = {}) {
+        estado.operacao = "upsert";
+        estado.valores = valores;
+        estado.onConflict = opcoes.onConflict || null;
+        return builder;
+      },
+      update(valores) {
+        estado.operacao = "update";
+        estado.valores = valores;
+        return builder;
+      },
+      delete() {
+        estado.operacao = "delete";
+        return builder;
+      },
+      eq: (coluna, valor) => filtrar((l) => iguais(l[coluna], valor)),
+      neq: (coluna, valor) => filtrar((l) => !iguais(l[coluna], valor)),
+      gt: (coluna, valor) => filtrar((l) => l[coluna] != null && comparar(l[coluna], valor) > 0),
+      gte: (coluna, valor) => filtrar((l) => l[coluna] != null && comparar(l[coluna], valor) >= 0),
+      lt: (coluna, valor) => filtrar((l) => l[coluna] != null && comparar(l[coluna], valor) < 0),
+      lte: (coluna, valor) => filtrar((l) => l[coluna] != null && comparar(l[coluna], valor) <= 0),
+      in: (coluna, valores) => filtrar((l) => (valores || []).some((v) => iguais(l[coluna], v))),
+      is: (coluna, valor) => filtrar((l) => (valor === null ? l[coluna] === null || l[coluna] === undefined : l[coluna] === valor)),
+      not(coluna, operador, valor) {
+        if (operador !== "is") throw new Error(`[armazemLocal] not(${operador}) não suportado`);
+        return filtrar((l) => (valor === null ? l[coluna] !== null && l[coluna] !== undefined : l[coluna] !== valor));
+      },
+      contains(coluna, valor) {
+        const filtro = typeof valor === "string" ? JSON.parse(valor) : valor;
+        return filtrar((l) => contem(l[coluna], filtro));
+      },
+      order(coluna, { ascending = true } = {}) {
+        estado.ordens.push({ coluna, ascendente: ascending });
+        return builder;
+      },
+      limit(n) {
+        estado.limite = Number(n);
+        return builder;
+      },
+      single() {
+        estado.unico = "single";
+        return builder;
+      },
+      maybeSingle() {
+        estado.unico = "maybeSingle";
+        return builder;
+      },
+      then(resolver, rejeitar) {
+        let resultado;
+        try {
+          resultado = executar();
+        } catch (e) {
+          resultado = { data: null, error: erro(e?.message || String(e)) };
+        }
+        return Promise.resolve(resultado).then(resolver, rejeitar);
+      }
+    };
+    return builder;
+  }
+
+  // ------------------------------ RPCs --------------------------------------
+  const FUNCOES = {
+    limites_registrar({ p_chave, p_janela_ms, p_max = null }) {
+      const corte = Date.now() - p_janela_ms;
+      const linhas = linhasDa("limites_eventos").filter((l) => l.chave !== p_chave || Date.parse(l.em) > corte);
+      const naJanela = linhas.filter((l) => l.chave === p_chave).length;
+      if (p_max != null && naJanela >= p_max) return naJanela + 1;
+      linhas.push(novaLinha("limites_eventos", { chave: p_chave, em: new Date().toISOString() }));
+      tabelas.set("limites_eventos", linhas);
+      gravar("limites_eventos");
+      return linhas.filter((l) => l.chave === p_chave).length;
+    },
+    limites_contar({ p_chave, p_janela_ms }) {
+      const corte = Date.now() - p_janela_ms;
+      return linhasDa("limites_eventos").filter((l) => l.chave === p_chave && Date.parse(l.em) > corte).length;
+    },
+    consumo_llm_somar({ p_chave, p_chamadas, p_tokens }) {
+      const linhas = linhasDa("consumo_llm");
+      let linha = linhas.find((l) => l.chave === p_chave);
+      if (!linha) {
+        linha = novaLinha("consumo_llm", { chave: p_chave });
+        linhas.push(linha);
+      }
+      linha.chamadas += Number(p_chamadas || 0);
+      linha.tokens += Number(p_tokens || 0);
+      linha.atualizado_em = new Date().toISOString();
+      gravar("consumo_llm");
+      return [{ chamadas: linha.chamadas, tokens: linha.tokens }];
+    },
+    metricas_serie(args) {
+      return metricasSerie(linhasDa, args);
+    },
+    // Síncrona: num processo só, contar e gravar já não se intercalam
+    vouchers_emitir({ p_voucher, p_limite_conversa, p_limite_dia, p_inicio_do_dia }) {
+      const linhas = linhasDa("vouchers");
+      if (p_limite_conversa != null && linhas.filter((l) => l.conversation_id === p_voucher.conversation_id).length >= p_limite_conversa) {
+        return { recusado: "conversa" };
+      }
+      const desde = Date.parse(p_inicio_do_dia);
+      if (
+        p_limite_dia != null &&
+        linhas.filter((l) => l.parceiro_id === p_voucher.parceiro_id && Date.parse(l.created_at) >= desde).length >= p_limite_dia
+      ) {
+        return { recusado: "dia" };
+      }
+      const linha = novaLinha("vouchers", p_voucher);
+      const violacao = violacaoDeUnico("vouchers", linha);
+      if (violacao) throw Object.assign(new Error(violacao.message), { code: violacao.code });
+      linhas.push(linha);
+      tabelas.set("vouchers", linhas);
+      gravar("vouchers");
+      return { id: linha.id };
+    }
+  };
+
+  async function rpc(funcao, args = {}) {
+    if (!FUNCOES[funcao]) return { data: null, error: erro(`função ${funcao} não existe no armazém local`, "PGRST202") };
+    try {
+      return { data: FUNCOES[funcao](args), error: null };
+    } catch (e) {
+      return { data: null, error: erro(e?.message || String(e)) };
+    }
+  }
+
+  return { from, rpc, armazem: "local", diretorio };
+}
+
+// ============================================================================
+// metricas_serie (mesma semântica de sql/010_metricas_serie.sql)
+// ============================================================================
+function dataNoFuso(instante, fuso) {
+  const p = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", { timeZone: fuso, year: "numeric", month: "2-digit", day: "2-digit" })
+      .formatToParts(new Date(instante))
+      .map((x) => [x.type, x.value])
+  );
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// date_trunc na data local: semana começa na segunda (como no Postgres)
+function truncar(data, intervalo) {
+  if (intervalo === "month") return `${data.slice(0, 7)}-01`;
+  if (intervalo === "week") {
+    const d = new Date(`${data}T12:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().slice(0, 10);
+  }
+  return data;
+}
+
+function proximoBalde(data, intervalo) {
+  const d = new Date(`${data}T12:00:00Z`);
+  if (intervalo === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  else d.setUTCDate(d.getUTCDate() + (intervalo === "week" ? 7 : 1));
+  return d.toISOString().slice(0, 10);
+}
+
+function metricasSerie(linhasDa, args) {
+  const {
+    p_intervalo: intervalo,
+    p_desde: desde,
+    p_ate: ate,
+    p_regiao_id: regiaoId = null,
+    p_cidade_id: cidadeId = null,
+    p_parceiro_id: parceiroId = null,
+    p_categoria: categoria = null,
+    p_fuso: fuso = "America/Sao_Paulo"
+  } = args;
+  const inicio = Date.parse(desde);
+  const fim = Date.parse(ate);
+  const noPeriodo = (l) => {
+    const t = Date.parse(l.created_at);
+    return t >= inicio && t < fim;
+  };
+  const baldeDe = (l) => truncar(dataNoFuso(l.created_at, fuso), intervalo);
+
+  const baldes = new Map();
+  const ultimo = truncar(dataNoFuso(fim - 1, fuso), intervalo);
+  for (let b = truncar(dataNoFuso(inicio, fuso), intervalo); b <= ultimo; b = proximoBalde(b, intervalo)) {
+    baldes.set(b, { periodo: b, buscas: 0, interacoes: 0, views: 0, feedbacks: 0, leads: 0 });
+  }
+  const somar = (l, campo) => {
+    const balde = baldes.get(baldeDe(l));
+    if (balde) balde[campo]++;
+  };
+
+  for (const b of linhasDa("buscas_texto")) {
+    if (!noPeriodo(b) || (regiaoId && b.regiao_id !== regiaoId) || (cidadeId && b.cidade_id !== cidadeId)) continue;
+    somar(b, "buscas");
+  }
+
+  for (const i of linhasDa("interacoes")) {
+    if (!noPeriodo(i) || (regiaoId && i.regiao_id !== regiaoId)) continue;
+    const sugeridos = i.parceiros_sugeridos || [];
+    if (cidadeId && !contem(sugeridos, [{ cidade_id: cidadeId }])) continue;
+    if (parceiroId && !contem(sugeridos, [{ id: parceiroId }])) continue;
+    if (categoria && !contem(sugeridos, [{ categoria }])) continue;
+    somar(i, "interacoes");
+    if (i.feedback_usuario !== null && i.feedback_usuario !== undefined) somar(i, "feedbacks");
+  }
+
+  const categoriaPorParceiro = new Map(linhasDa("parceiros").map((p) => [p.id, p.categoria]));
+  for (const e of linhasDa("eventos_analytics")) {
+    if (!["partner_view", "lead"].includes(e.tipo_evento) || !noPeriodo(e)) continue;
+    if ((regiaoId && e.regiao_id !== regiaoId) || (cidadeId && e.cidade_id !== cidadeId)) continue;
+    if ((parceiroId && e.parceiro_id !== parceiroId) || (categoria && categoriaPorParceiro.get(e.parceiro_id) !== categoria)) continue;
+    somar(e, e.tipo_evento === "lead" ? "leads" : "views");
+  }
+
+  // Buscas não têm parceiro/categoria: com esses filtros a coluna volta nula
+  return [...baldes.values()].map((b) => (parceiroId || categoria ? { ...b, buscas: null } : b));
+}
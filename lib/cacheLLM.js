@@ -0,0 +1,126 @@
+// F:\uber-chat-mvp\backend-oficial\lib\cacheLLM.js
+// ============================================================================
+// Cache de resultados de IA (análise da frase e palavras-chave)
+// - Chave: tarefa + região + texto normalizado (sem acento/caixa/espaços extras)
+//   + impressão do contexto quando houver (histórico/preferências mudam a análise,
+//   então conversas com contexto só reaproveitam o mesmo contexto)
+// - Em memória, com TTL (LLM_CACHE_TTL_SEG) e teto de entradas (LLM_CACHE_MAX,
+//   sai a menos usada recentemente); LLM_CACHE=0 desliga
+// - Contadores de acerto/erro por tarefa para o admin
+// ============================================================================
+
+import { createHash } from "crypto";
+import { normalizar } from "./texto.js";
+
+const CACHE_LIGADO = process.env.LLM_CACHE !== "0";
+const CACHE_TTL_MS = Number(process.env.LLM_CACHE_TTL_SEG || 6 * 3600) * 1000;
+const CACHE_MAX = Number(process.env.LLM_CACHE_MAX || 2000);
+
+const entradas = new Map(); // chave -> { tarefa, regiao, texto, valor, criadoEm, expiraEm, acertos }
+const contadores = new Map(); // tarefa -> { acertos, erros, gravacoes, expiradas, despejadas }
+
+function contadoresDa(tarefa) {
+  if (!contadores.has(tarefa)) contadores.set(tarefa, { acertos: 0, erros: 0, gravacoes: 0, expiradas: 0, despejadas: 0 });
+  return contadores.get(tarefa);
+}
+
+function textoNormalizado(texto) {
+  return normalizar(texto).replace(/\s+/g, " ");
+}
+
+function montarChave(tarefa, regiaoSlug, texto, contexto) {
+  const base = `${tarefa}|${regiaoSlug || "-"}|${textoNormalizado(texto)}`;
+  if (!contexto) return base;
+  return `${base}|${createHash("sha256").update(String(contexto)).digest("hex").slice(0, 16)}`;
+}
+
+/** Valor em cache (ou undefined). Acerto renova a posição no LRU. */
+export function lerDoCache(tarefa, regiaoSlug, texto, contexto = "") {
+  if (!CACHE_LIGADO) return undefined;
+  const chave = montarChave(tarefa, regiaoSlug, texto, contexto);
+  const c = contadoresDa(tarefa);
+  const entrada = entradas.get(chave);
+
+  if (!entrada) {
+    c.erros++;
+    return undefined;
+  }
+  if (entrada.expiraEm <= Date.now()) {
+    entradas.delete(chave);
+    c.expiradas++;
+    c.erros++;
+    return undefined;
+  }
+  entradas.delete(chave);
+  entradas.set(chave, entrada);
+  entrada.acertos++;
+  c.acertos++;
+  // cópia: quem lê não altera o que está guardado
+  return structuredClone(entrada.valor);
+}
+
+export function gravarNoCache(tarefa, regiaoSlug, texto, contexto, valor) {
+  if (!CACHE_LIGADO) return;
+  const chave = montarChave(tarefa, regiaoSlug, texto, contexto);
+  const agora = Date.now();
+  entradas.delete(chave);
+  entradas.set(chave, {
+    tarefa,
+    regiao: regiaoSlug || null,
+    texto: textoNormalizado(texto),
+    comContexto: Boolean(contexto),
+    valor: structuredClone(valor),
+    criadoEm: agora,
+    expiraEm: agora + CACHE_TTL_MS,
+    acertos: 0
+  });
+  contadoresDa(tarefa).gravacoes++;
+
+  // Map guarda a ordem de inserção: a primeira chave é a menos usada recentemente
+  while (entradas.size > CACHE_MAX) {
+    const [maisAntiga] = entradas.keys();
+    contadoresDa(entradas.get(maisAntiga).tarefa).despejadas++;
+    entradas.delete(maisAntiga);
+  }
+}
+
+/** Configuração, tamanho e contadores (taxa de acerto por tarefa). */
+export function estatisticasDoCache() {
+  const porTarefa = {};
+  for (const [tarefa, c] of contadores) {
+    const consultas = c.acertos + c.erros;
+    porTarefa[tarefa] = { ...c, taxa_acerto: consultas ? Number((c.acertos / consultas).toFixed(3)) : null };
+  }
+  return { ligado: CACHE_LIGADO, ttl_seg: CACHE_TTL_MS / 1000, max_entradas: CACHE_MAX, entradas: entradas.size, por_tarefa: porTarefa };
+}
+
+/** Entradas vivas, mais usadas primeiro (filtros opcionais por região/tarefa). */
+export function listarEntradas({ regiaoSlug = null, tarefa = null, limite = 50 } = {}) {
+  const agora = Date.now();
+  return Array.from(entradas.values())
+    .filter((e) => e.expiraEm > agora)
+    .filter((e) => (!regiaoSlug || e.regiao === regiaoSlug) && (!tarefa || e.tarefa === tarefa))
+    .sort((a, b) => b.acertos - a.acertos)
+    .slice(0, limite)
+    .map((e) => ({
+      tarefa: e.tarefa,
+      regiao: e.regiao,
+      texto: e.texto,
+      com_contexto: e.comContexto,
+      acertos: e.acertos,
+      criado_em: new Date(e.criadoEm).toISOString(),
+      expira_em: new Date(e.expiraEm).toISOString(),
+      valor: e.valor
+    }));
+}
+
+/** Remove entradas (todas ou só da região/tarefa). Retorna quantas saíram. */
+export function limparCache({ regiaoSlug = null, tarefa = null } = {}) {
+  let removidas = 0;
+  for (const [chave, e] of entradas) {
+    if ((regiaoSlug && e.regiao !== regiaoSlug) || (tarefa && e.tarefa !== tarefa)) continue;
+    entradas.delete(chave);
+    removidas++;
+  }
+  return removidas;
+}
@@ -0,0 +1,140 @@
+// F:\uber-chat-mvp\backend-oficial\lib\comodidades.js
+// ============================================================================
+// Comodidades e atributos do parceiro (coluna parceiros.comodidades, sql/016)
+//   { "aceita_reserva": true, "cardapio_url": "https://...", "estacionamento": false,
+//     "pet_friendly": true, "acessibilidade": true, "espaco_kids": false,
+//     "formas_pagamento": ["pix", "credito"], "wifi": true }
+// - Chave ausente (ou null) = o parceiro não informou; false = informou que não tem
+// - Perguntas sobre o parceiro em foco viram intenções (lib/idiomas.js);
+//   buscas com "pet friendly", "com estacionamento", "aceita pix"... filtram
+// ============================================================================
+
+import { normalizar } from "./texto.js";
+
+export const COMODIDADES_BOOLEANAS = ["aceita_reserva", "estacionamento", "pet_friendly", "acessibilidade", "espaco_kids", "wifi"];
+export const COMODIDADES = [...COMODIDADES_BOOLEANAS, "cardapio_url", "formas_pagamento"];
+export const FORMAS_DE_PAGAMENTO = ["pix", "credito", "debito", "dinheiro", "vale_refeicao"];
+
+// Intenção de follow-up (INTENCOES_POR_IDIOMA) → comodidade respondida
+export const COMODIDADE_DA_INTENCAO = {
+  reserva: "aceita_reserva",
+  cardapio: "cardapio_url",
+  estacionamento: "estacionamento",
+  pet: "pet_friendly",
+  acessibilidade: "acessibilidade",
+  kids: "espaco_kids",
+  pagamento: "formas_pagamento",
+  wifi: "wifi"
+};
+
+const RE_URL = /^https?:\/\/\S+$/i;
+
+/** Valida parceiros.comodidades. Retorna [{ campo, mensagem }] (vazio = ok). */
+export function validarComodidades(comodidades) {
+  if (comodidades === undefined || comodidades === null) return [];
+  if (typeof comodidades !== "object" || Array.isArray(comodidades)) {
+    return [{ campo: "comodidades", mensagem: "deve ser um objeto ({ pet_friendly: true, ... })" }];
+  }
+  const erros = [];
+  for (const [chave, valor] of Object.entries(comodidades)) {
+    const campo = `comodidades.${chave}`;
+    if (!COMODIDADES.includes(chave)) {
+      erros.push({ campo, mensagem: `comodidade desconhecida (use ${COMODIDADES.join(", ")})` });
+    } else if (valor === null) {
+      continue;
+    } else if (COMODIDADES_BOOLEANAS.includes(chave)) {
+      if (typeof valor !== "boolean") erros.push({ campo, mensagem: "deve ser true, false ou null" });
+    } else if (chave === "cardapio_url") {
+      if (typeof valor !== "string" || !RE_URL.test(valor) || valor.length > 1000) erros.push({ campo, mensagem: "URL http(s) inválida" });
+    } else if (!Array.isArray(valor)) {
+      erros.push({ campo, mensagem: `deve ser uma lista (${FORMAS_DE_PAGAMENTO.join(", ")})` });
+    } else {
+      valor.forEach((forma, i) => {
+        if (!FORMAS_DE_PAGAMENTO.includes(forma)) {
+          erros.push({ campo: `${campo}[${i}]`, mensagem: `use ${FORMAS_DE_PAGAMENTO.join(", ")}` });
+        }
+      });
+    }
+  }
+  return erros;
+}
+
+/** Valor informado pelo parceiro (null = não informou; lista vazia também conta como não informada). */
+export function valorDaComodidade(parceiro, chave) {
+  const valor = parceiro?.comodidades?.[chave];
+  if (valor === undefined || valor === null) return null;
+  if (Array.isArray(valor) && valor.length === 0) return null;
+  return valor;
+}
+
+// ------------------------------ BUSCA ---------------------------------------
+// Expressões (já normalizadas) que pedem a comodidade numa busca, nos três idiomas
+const PEDIDOS_DE_COMODIDADE = [
+  { chave: "pet_friendly", padroes: ["pet friendly", "pet-friendly", "petfriendly", "aceita pet", "aceitam pet", "aceita cachorro", "com cachorro", "com meu cachorro", "com cao", "dog friendly", "with my dog", "with a dog", "admite mascota", "con mi perro", "con mascota"] },
+  { chave: "estacionamento", padroes: ["com estacionamento", "tem estacionamento", "estacionamento proprio", "with parking", "has parking", "con estacionamiento", "con parqueadero"] },
+  { chave: "acessibilidade", padroes: ["acessivel", "acessibilidade", "cadeirante", "cadeira de rodas", "wheelchair", "accessible", "accesible", "silla de ruedas"] },
+  { chave: "espaco_kids", padroes: ["espaco kids", "area kids", "espaco infantil", "brinquedoteca", "parquinho", "kids area", "play area", "playground", "area infantil", "zona infantil"] },
+  { chave: "wifi", padroes: ["wifi", "wi-fi", "wi fi", "internet"] },
+  { chave: "aceita_reserva", padroes: ["aceita reserva", "com reserva", "fazer reserva", "reservar uma mesa", "reservar mesa", "book a table", "reservar una mesa", "que reserva", "takes reservations", "accepts reservations", "acepta reservas", "con reserva"] },
+  { chave: "formas_pagamento", valor: "pix", padroes: ["aceita pix", "pagar com pix", "pagar no pix", "com pix"] },
+  { chave: "formas_pagamento", valor: "credito", padroes: ["cartao de credito", "aceita cartao", "credit card", "tarjeta de credito", "aceptan tarjeta"] },
+  { chave: "formas_pagamento", valor: "vale_refeicao", padroes: ["vale refeicao", "vale-refeicao", "ticket refeicao"] }
+];
+
+/**
+ * Comodidades pedidas na frase: [{ chave, valor? }] (valor só em formas_pagamento).
+ * "restaurante pet friendly em Arraial" → [{ chave: "pet_friendly" }]
+ */
+export function detectarFiltrosDeComodidade(texto) {
+  const t = normalizar(texto);
+  if (!t) return [];
+  const filtros = [];
+  for (const pedido of PEDIDOS_DE_COMODIDADE) {
+    if (!pedido.padroes.some((p) => t.includes(p))) continue;
+    if (filtros.some((f) => f.chave === pedido.chave && f.valor === pedido.valor)) continue;
+    filtros.push(pedido.valor ? { chave: pedido.chave, valor: pedido.valor } : { chave: pedido.chave });
+  }
+  return filtros;
+}
+
+/** O parceiro atende ao filtro? true | false | null (não informou). */
+export function atendeAoFiltro(parceiro, filtro) {
+  const valor = valorDaComodidade(parceiro, filtro.chave);
+  if (valor === null) return null;
+  if (filtro.chave === "formas_pagamento") return valor.includes(filtro.valor);
+  return valor === true;
+}
+
+/**
+ * Aplica os filtros de comodidade aos itens ranqueados (mesma ordem).
+ * Quem informou que não tem sai; se alguém confirma, fica só quem confirma.
+ * Se ninguém confirma, os que não informaram ficam e o filtro volta em
+ * "semConfirmacao" para a resposta avisar.
+ */
+export function filtrarPorComodidades(itens, filtros, item = (x) => x) {
+  let restantes = itens;
+  const semConfirmacao = [];
+  for (const filtro of filtros) {
+    restantes = restantes.filter((x) => atendeAoFiltro(item(x), filtro) !== false);
+    if (restantes.some((x) => atendeAoFiltro(item(x), filtro) === true)) {
+      restantes = restantes.filter((x) => atendeAoFiltro(item(x), filtro) === true);
+    } else if (restantes.length > 0) {
+      semConfirmacao.push(filtro);
+    }
+  }
+  return { itens: restantes, semConfirmacao };
+}
+
+// Substantivos de busca: com eles, "tem estacionamento?" deixa de ser pergunta sobre o foco
+const PALAVRAS_DE_NOVA_BUSCA = [
+  "restaurante", "restaurantes", "bar", "bares", "pousada", "pousadas", "hotel", "hoteis", "hospedagem",
+  "passeio", "passeios", "lugar", "lugares", "opcao", "opcoes", "outro", "outra", "outros", "outras", "onde",
+  "pizzaria", "churrascaria", "lanchonete", "cafeteria", "restaurant", "restaurants", "place", "places",
+  "where", "other", "another", "hotels", "donde", "sitio", "sitios", "otro", "otra", "alojamiento"
+];
+
+/** A frase parece uma nova busca (e não uma pergunta sobre o parceiro em foco)? */
+export function pareceNovaBusca(texto) {
+  const palavras = new Set(normalizar(texto).split(/[^a-z0-9]+/).filter(Boolean));
+  return PALAVRAS_DE_NOVA_BUSCA.some((p) => palavras.has(p));
+}
@@ -0,0 +1,83 @@
+// F:\uber-chat-mvp\backend-oficial\lib\demanda.js
+// ============================================================================
+// Relatório de demanda não atendida (buscas sem ou com poucos resultados)
+// - Agrupa por termo normalizado (termos extraídos da frase; sem termos, a
+//   própria frase normalizada)
+// - Junta termos parecidos (diceSimilarity ≥ DEMANDA_SIMILARIDADE, padrão 0.7)
+//   num mesmo grupo, representado pelo termo mais buscado
+// - Cada grupo traz contagens, cidades e exemplos de frases reais
+// ============================================================================
+
+import { normalizar, diceSimilarity } from "./texto.js";
+
+const SIMILARIDADE_MINIMA = Number(process.env.DEMANDA_SIMILARIDADE || 0.7);
+const MAX_EXEMPLOS = 5;
+
+function termosDaBusca(busca) {
+  const termos = (Array.isArray(busca.termos) ? busca.termos : [])
+    .map((t) => normalizar(t).replace(/\s+/g, " "))
+    .filter((t) => t.length >= 2);
+  if (termos.length > 0) return Array.from(new Set(termos));
+  const frase = normalizar(busca.texto).replace(/\s+/g, " ");
+  return frase ? [frase] : [];
+}
+
+/**
+ * buscas: [{ texto, termos, total_resultados, cidade_id, created_at }]
+ * nomeDaCidade: Map cidade_id → nome (para o resumo por cidade)
+ * Retorna grupos em ordem decrescente de buscas.
+ */
+export function agruparDemanda(buscas, { nomeDaCidade = new Map(), similaridadeMinima = SIMILARIDADE_MINIMA } = {}) {
+  // 1) por termo
+  const porTermo = new Map();
+  (buscas || []).forEach((busca, indice) => {
+    for (const termo of termosDaBusca(busca)) {
+      if (!porTermo.has(termo)) porTermo.set(termo, []);
+      porTermo.get(termo).push(indice);
+    }
+  });
+
+  // 2) agrupamento guloso: termos mais buscados viram representantes
+  const termosOrdenados = Array.from(porTermo.entries()).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+  const grupos = [];
+  for (const [termo, indices] of termosOrdenados) {
+    const grupo = grupos.find((g) => diceSimilarity(g.representante, termo) >= similaridadeMinima);
+    if (grupo) {
+      grupo.termos.push({ termo, buscas: indices.length });
+      indices.forEach((i) => grupo.indices.add(i));
+    } else {
+      grupos.push({ representante: termo, termos: [{ termo, buscas: indices.length }], indices: new Set(indices) });
+    }
+  }
+
+  // 3) resumo de cada grupo (uma busca conta uma vez, mesmo casando vários termos)
+  return grupos
+    .map((g) => {
+      const doGrupo = Array.from(g.indices).map((i) => buscas[i]);
+      const porCidade = new Map();
+      for (const b of doGrupo) {
+        const nome = b.cidade_id ? nomeDaCidade.get(b.cidade_id) || b.cidade_id : "(região toda)";
+        porCidade.set(nome, (porCidade.get(nome) || 0) + 1);
+      }
+      const recentes = doGrupo.slice().sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      const exemplos = [];
+      for (const b of recentes) {
+        const texto = String(b.texto || "").trim();
+        if (texto && !exemplos.some((e) => normalizar(e) === normalizar(texto))) exemplos.push(texto);
+        if (exemplos.length >= MAX_EXEMPLOS) break;
+      }
+      return {
+        termo: g.representante,
+        termos: g.termos,
+        buscas: doGrupo.length,
+        sem_resultado: doGrupo.filter((b) => Number(b.total_resultados) === 0).length,
+        poucos_resultados: doGrupo.filter((b) => Number(b.total_resultados) > 0).length,
+        cidades: Array.from(porCidade.entries())
+          .sort((a, b) => b[1] - a[1])
+          .map(([cidade, total]) => ({ cidade, total })),
+        ultima_busca: recentes[0]?.created_at || null,
+        exemplos
+      };
+    })
+    .sort((a, b) => b.buscas - a.buscas || b.sem_resultado - a.sem_resultado);
+}
@@ -0,0 +1,164 @@
+// F:\uber-chat-mvp\backend-oficial\lib\esquemas.js
+// ============================================================================
+// Esquemas declarativos dos payloads do admin (parceiros, regiões, cidades)
+// - Cada campo: { tipo, obrigatorio, min, max, formato, valores, itens, validar, padrao, alias }
+//   tipos: texto | numero | enum | booleano | lista | objeto
+// - validarPayload devolve { valores, erros } com erros por campo
+//   ({ campo, mensagem }), no mesmo formato do resto da API
+// - parcial: true (PATCH) só valida/devolve o que veio no corpo
+// ============================================================================
+
+import { validarHorarioEstruturado } from "./horarios.js";
+import { validarTraducoes } from "./idiomas.js";
+import { validarComodidades } from "./comodidades.js";
+
+const RE_SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const RE_URL = /^https?:\/\/\S+$/i;
+
+export const TIPOS_DE_PARCEIRO = ["PARCEIRO", "DICA"];
+
+// Campos gravados em parceiros (PUT/PATCH e importação)
+export const ESQUEMA_PARCEIRO = {
+  nome: { tipo: "texto", obrigatorio: true, max: 200 },
+  tipo: { tipo: "enum", valores: TIPOS_DE_PARCEIRO, padrao: "PARCEIRO" },
+  chave_externa: { tipo: "texto", max: 100 },
+  categoria: { tipo: "texto", max: 100 },
+  descricao: { tipo: "texto", max: 4000 },
+  beneficio_bepit: { tipo: "texto", max: 500 },
+  endereco: { tipo: "texto", max: 300 },
+  contato: { tipo: "texto", max: 300 },
+  tags: { tipo: "lista", max: 50, itens: { tipo: "texto", max: 60 } },
+  horario_funcionamento: { tipo: "texto", max: 500 },
+  horario_estruturado: { tipo: "objeto", validar: validarHorarioEstruturado },
+  faixa_preco: { tipo: "texto", max: 50 },
+  fotos_parceiros: { tipo: "lista", max: 20, itens: { tipo: "texto", formato: "url", max: 1000 }, alias: "fotos" },
+  traducoes: { tipo: "objeto", validar: validarTraducoes },
+  latitude: { tipo: "numero", min: -90, max: 90 },
+  longitude: { tipo: "numero", min: -180, max: 180 },
+  comodidades: { tipo: "objeto", validar: validarComodidades },
+  ativo: { tipo: "booleano", padrao: true }
+};
+
+// Criação: o parceiro nasce numa cidade de uma região
+export const ESQUEMA_NOVO_PARCEIRO = {
+  regiaoSlug: { tipo: "texto", obrigatorio: true, formato: "slug", max: 80 },
+  cidadeSlug: { tipo: "texto", obrigatorio: true, formato: "slug", max: 80 },
+  ...ESQUEMA_PARCEIRO
+};
+
+export const ESQUEMA_REGIAO = {
+  nome: { tipo: "texto", obrigatorio: true, max: 120 },
+  slug: { tipo: "texto", obrigatorio: true, formato: "slug", max: 80 },
+  ativo: { tipo: "booleano", padrao: true }
+};
+
+export const ESQUEMA_CIDADE = {
+  regiaoSlug: { tipo: "texto", obrigatorio: true, formato: "slug", max: 80 },
+  nome: { tipo: "texto", obrigatorio: true, max: 120 },
+  slug: { tipo: "texto", obrigatorio: true, formato: "slug", max: 80 },
+  ativo: { tipo: "booleano", padrao: true }
+};
+
+// Ponto de referência para "perto da/do ..." (praias, rodoviária, mirantes)
+export const ESQUEMA_PONTO_REFERENCIA = {
+  regiaoSlug: { tipo: "texto", obrigatorio: true, formato: "slug", max: 80 },
+  cidadeSlug: { tipo: "texto", formato: "slug", max: 80 },
+  nome: { tipo: "texto", obrigatorio: true, max: 120 },
+  apelidos: { tipo: "lista", max: 20, itens: { tipo: "texto", max: 120 }, padrao: [] },
+  latitude: { tipo: "numero", obrigatorio: true, min: -90, max: 90 },
+  longitude: { tipo: "numero", obrigatorio: true, min: -180, max: 180 }
+};
+
+// Valida um valor não nulo contra a definição; devolve o valor normalizado
+function validarValor(def, valor, campo, erros) {
+  switch (def.tipo) {
+    case "texto": {
+      if (typeof valor !== "string") {
+        erros.push({ campo, mensagem: "deve ser texto" });
+        return valor;
+      }
+      const texto = valor.trim();
+      if (def.obrigatorio && !texto) erros.push({ campo, mensagem: "não pode ser vazio" });
+      if (def.max && texto.length > def.max) erros.push({ campo, mensagem: `máximo de ${def.max} caracteres` });
+      if (texto && def.formato === "slug" && !RE_SLUG.test(texto)) {
+        erros.push({ campo, mensagem: "use letras minúsculas, números e hífens (ex.: cabo-frio)" });
+      }
+      if (texto && def.formato === "url" && !RE_URL.test(texto)) erros.push({ campo, mensagem: "URL http(s) inválida" });
+      return def.obrigatorio || texto ? texto : null;
+    }
+    case "numero":
+      if (typeof valor !== "number" || !Number.isFinite(valor)) {
+        erros.push({ campo, mensagem: "deve ser um número" });
+        return valor;
+      }
+      if ((def.min !== undefined && valor < def.min) || (def.max !== undefined && valor > def.max)) {
+        erros.push({ campo, mensagem: `entre ${def.min} e ${def.max}` });
+      }
+      return valor;
+    case "enum":
+      if (!def.valores.includes(valor)) erros.push({ campo, mensagem: `use ${def.valores.join(" ou ")}` });
+      return valor;
+    case "booleano":
+      if (typeof valor !== "boolean") erros.push({ campo, mensagem: "deve ser true ou false" });
+      return valor;
+    case "lista":
+      if (!Array.isArray(valor)) {
+        erros.push({ campo, mensagem: "deve ser uma lista" });
+        return valor;
+      }
+      if (def.max && valor.length > def.max) erros.push({ campo, mensagem: `máximo de ${def.max} itens` });
+      return valor.map((item, i) => validarValor(def.itens, item, `${campo}[${i}]`, erros));
+    case "objeto":
+      if (typeof valor !== "object" || Array.isArray(valor)) {
+        erros.push({ campo, mensagem: "deve ser um objeto" });
+        return valor;
+      }
+      // validadores de domínio (horário, traduções) já nomeiam os próprios campos
+      for (const e of def.validar ? def.validar(valor) : []) {
+        erros.push({ campo: e.campo.startsWith(campo) ? e.campo : `${campo}.${e.campo}`, mensagem: e.mensagem });
+      }
+      return valor;
+    default:
+      throw new Error(`tipo de campo desconhecido: ${def.tipo}`);
+  }
+}
+
+/**
+ * Valida um corpo de requisição contra um esquema.
+ * parcial=false: obrigatórios precisam vir e os ausentes recebem padrao (ou null).
+ * parcial=true: só os campos enviados entram em "valores".
+ */
+export function validarPayload(esquema, corpo, { parcial = false } = {}) {
+  if (!corpo || typeof corpo !== "object" || Array.isArray(corpo)) {
+    return { valores: {}, erros: [{ campo: "body", mensagem: "envie um objeto JSON" }] };
+  }
+
+  const entrada = { ...corpo };
+  for (const [campo, def] of Object.entries(esquema)) {
+    if (def.alias && entrada[campo] === undefined && entrada[def.alias] !== undefined) entrada[campo] = entrada[def.alias];
+    if (def.alias) delete entrada[def.alias];
+  }
+
+  const erros = [];
+  for (const campo of Object.keys(entrada)) {
+    if (!esquema[campo]) erros.push({ campo, mensagem: "campo desconhecido" });
+  }
+
+  const valores = {};
+  for (const [campo, def] of Object.entries(esquema)) {
+    const valor = entrada[campo];
+    if (valor === undefined) {
+      if (parcial) continue;
+      if (def.obrigatorio) erros.push({ campo, mensagem: "obrigatório" });
+      else valores[campo] = def.padrao ?? null;
+      continue;
+    }
+    if (valor === null) {
+      if (def.obrigatorio || def.padrao !== undefined) erros.push({ campo, mensagem: "não pode ser nulo" });
+      else valores[campo] = null;
+      continue;
+    }
+    valores[campo] = validarValor(def, valor, campo, erros);
+  }
+  return { valores, erros };
+}
@@ -0,0 +1,132 @@
+// F:\uber-chat-mvp\backend-oficial\lib\feedback.js
+// ============================================================================
+// Feedback estruturado do chat (tabela feedbacks)
+// - Corpo público: { interactionId, thumbs: "up"|"down", rating: 1..5,
+//   reasons: [...MOTIVOS_DE_FEEDBACK], comment, partnerId }
+//   O formato antigo ({ interactionId, feedback: "texto" }) vira comentário.
+// - Agregação para o painel: polegares, nota média e contagens por motivo,
+//   cidade e parceiro
+// ============================================================================
+
+export const MOTIVOS_DE_FEEDBACK = ["wrong_info", "closed", "irrelevant", "great_tip"];
+
+const COMENTARIO_MAX = 2000;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Valida o corpo de POST /api/feedback.
+ * Retorna { feedback: { interacaoId, polegar, nota, motivos, comentario, parceiroId }, erros }.
+ */
+export function validarFeedback(body) {
+  const entrada = body && typeof body === "object" ? body : {};
+  const erros = [];
+
+  const interacaoId = typeof entrada.interactionId === "string" ? entrada.interactionId.trim() : "";
+  if (!interacaoId) erros.push({ campo: "interactionId", mensagem: "obrigatório (uuid da interação)" });
+  else if (!UUID.test(interacaoId)) erros.push({ campo: "interactionId", mensagem: "uuid inválido" });
+
+  let polegar = null;
+  if (entrada.thumbs !== undefined && entrada.thumbs !== null) {
+    if (entrada.thumbs === "up") polegar = 1;
+    else if (entrada.thumbs === "down") polegar = -1;
+    else erros.push({ campo: "thumbs", mensagem: 'use "up" ou "down"' });
+  }
+
+  let nota = null;
+  if (entrada.rating !== undefined && entrada.rating !== null) {
+    if (Number.isInteger(entrada.rating) && entrada.rating >= 1 && entrada.rating <= 5) nota = entrada.rating;
+    else erros.push({ campo: "rating", mensagem: "inteiro de 1 a 5" });
+  }
+
+  let motivos = [];
+  if (entrada.reasons !== undefined && entrada.reasons !== null) {
+    if (!Array.isArray(entrada.reasons)) {
+      erros.push({ campo: "reasons", mensagem: "deve ser uma lista" });
+    } else {
+      motivos = Array.from(new Set(entrada.reasons));
+      motivos.forEach((m, i) => {
+        if (!MOTIVOS_DE_FEEDBACK.includes(m)) {
+          erros.push({ campo: `reasons[${i}]`, mensagem: `use ${MOTIVOS_DE_FEEDBACK.join(", ")}` });
+        }
+      });
+    }
+  }
+
+  // "feedback" (texto livre) é o formato antigo do front
+  const textoLivre = entrada.comment ?? entrada.feedback;
+  let comentario = null;
+  if (textoLivre !== undefined && textoLivre !== null) {
+    if (typeof textoLivre !== "string") erros.push({ campo: "comment", mensagem: "deve ser texto" });
+    else if (textoLivre.length > COMENTARIO_MAX) erros.push({ campo: "comment", mensagem: `máximo de ${COMENTARIO_MAX} caracteres` });
+    else comentario = textoLivre.trim() || null;
+  }
+
+  let parceiroId = null;
+  if (entrada.partnerId !== undefined && entrada.partnerId !== null) {
+    if (typeof entrada.partnerId !== "string" || !UUID.test(entrada.partnerId)) {
+      erros.push({ campo: "partnerId", mensagem: "uuid inválido" });
+    } else {
+      parceiroId = entrada.partnerId;
+    }
+  }
+
+  if (erros.length === 0 && polegar === null && nota === null && motivos.length === 0 && !comentario) {
+    erros.push({ campo: "feedback", mensagem: "envie thumbs, rating, reasons ou comment" });
+  }
+
+  return { feedback: { interacaoId, polegar, nota, motivos, comentario, parceiroId }, erros };
+}
+
+/** Resumo em texto para interacoes.feedback_usuario (lido por métricas e portal). */
+export function resumoDoFeedback({ polegar, nota, motivos, comentario }) {
+  const partes = [];
+  if (polegar === 1) partes.push("👍");
+  if (polegar === -1) partes.push("👎");
+  if (nota !== null && nota !== undefined) partes.push(`nota ${nota}/5`);
+  if (motivos?.length) partes.push(`motivos: ${motivos.join(", ")}`);
+  if (comentario) partes.push(comentario);
+  return partes.join(" | ");
+}
+
+function contarPor(linhas, chaveDe, rotuloDe) {
+  const mapa = new Map();
+  for (const l of linhas) {
+    const chave = chaveDe(l);
+    if (chave === null || chave === undefined) continue;
+    const atual = mapa.get(chave) || { chave, rotulo: rotuloDe(l), total: 0, positivos: 0, negativos: 0, somaNotas: 0, notas: 0 };
+    atual.total++;
+    if (l.polegar === 1) atual.positivos++;
+    if (l.polegar === -1) atual.negativos++;
+    if (l.nota) {
+      atual.somaNotas += l.nota;
+      atual.notas++;
+    }
+    mapa.set(chave, atual);
+  }
+  return Array.from(mapa.values())
+    .map(({ somaNotas, notas, ...resto }) => ({ ...resto, nota_media: notas ? Number((somaNotas / notas).toFixed(2)) : null }))
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Agrega feedbacks: [{ polegar, nota, motivos, cidade_id, parceiro_id }].
+ * nomes: { cidades: Map id → nome, parceiros: Map id → nome }
+ */
+export function agregarFeedbacks(linhas, nomes = {}) {
+  const cidades = nomes.cidades || new Map();
+  const parceiros = nomes.parceiros || new Map();
+  const comNota = linhas.filter((l) => l.nota);
+
+  const porMotivo = Object.fromEntries(MOTIVOS_DE_FEEDBACK.map((m) => [m, 0]));
+  for (const l of linhas) for (const m of l.motivos || []) if (m in porMotivo) porMotivo[m]++;
+
+  return {
+    total: linhas.length,
+    positivos: linhas.filter((l) => l.polegar === 1).length,
+    negativos: linhas.filter((l) => l.polegar === -1).length,
+    nota_media: comNota.length ? Number((comNota.reduce((s, l) => s + l.nota, 0) / comNota.length).toFixed(2)) : null,
+    por_motivo: porMotivo,
+    por_cidade: contarPor(linhas, (l) => l.cidade_id, (l) => cidades.get(l.cidade_id) || null),
+    por_parceiro: contarPor(linhas, (l) => l.parceiro_id, (l) => parceiros.get(l.parceiro_id) || null)
+  };
+}
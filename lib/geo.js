@@ -0,0 +1,175 @@
+// F:\uber-chat-mvp\backend-oficial\lib\geo.js
+// ============================================================================
+// Geolocalização do concierge
+// - Distância em linha reta (haversine) entre { latitude, longitude }
+// - "perto de mim" / "perto da Praia do Forte" / "near me" / "cerca de ..."
+// - Pontos de referência por nome (tabela pontos_referencia ou parceiros com
+//   coordenadas), com apelidos e tolerância a grafia
+// - Link de rota do Google Maps e importação de coordenadas (CSV/JSON)
+// ============================================================================
+
+import { normalizar, diceSimilarity } from "./texto.js";
+import { lerCsv } from "./importacao.js";
+
+export const RAIO_PADRAO_KM = Number(process.env.GEO_RAIO_KM || 5);
+// Localização da conversa vale por este tempo (o turista se desloca)
+const VALIDADE_DA_LOCALIZACAO_MS = Number(process.env.GEO_LOCALIZACAO_VALIDADE_MIN || 120) * 60 * 1000;
+const SIMILARIDADE_DE_REFERENCIA = 0.75;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ----------------------------- COORDENADAS ----------------------------------
+function numero(valor) {
+  if (typeof valor === "number") return valor;
+  if (typeof valor === "string" && valor.trim() !== "") return Number(valor.trim().replace(",", "."));
+  return NaN;
+}
+
+/** { latitude, longitude } do parceiro/ponto, ou null se faltar alguma. */
+export function coordenadasDe(objeto) {
+  const latitude = objeto?.latitude;
+  const longitude = objeto?.longitude;
+  if (typeof latitude !== "number" || typeof longitude !== "number") return null;
+  return { latitude, longitude };
+}
+
+/**
+ * Lê lat/lng vindos de fora (corpo do chat, planilha). Ambos ausentes → { coordenadas: null }.
+ * Retorna { coordenadas, erros }.
+ */
+export function lerCoordenadas(lat, lng, { campoLat = "lat", campoLng = "lng" } = {}) {
+  const ausente = (v) => v === undefined || v === null || v === "";
+  if (ausente(lat) && ausente(lng)) return { coordenadas: null, erros: [] };
+
+  const erros = [];
+  const latitude = numero(lat);
+  const longitude = numero(lng);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) erros.push({ campo: campoLat, mensagem: "latitude entre -90 e 90" });
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    erros.push({ campo: campoLng, mensagem: "longitude entre -180 e 180" });
+  }
+  return { coordenadas: erros.length ? null : { latitude, longitude }, erros };
+}
+
+/** Distância em km (linha reta) entre dois pontos { latitude, longitude }. */
+export function distanciaKm(a, b) {
+  const rad = (g) => (g * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/** 0.35 → "350 m"; 1.24 → "1,2 km" (en: "1.2 km"); 12.6 → "13 km". */
+export function formatarDistancia(km, idioma = "pt") {
+  if (typeof km !== "number" || !Number.isFinite(km)) return null;
+  if (km < 1) return `${Math.max(10, Math.round((km * 1000) / 10) * 10)} m`;
+  const texto = km < 10 ? km.toFixed(1) : String(Math.round(km));
+  return `${idioma === "en" ? texto : texto.replace(".", ",")} km`;
+}
+
+/** Localização salva na conversa ainda é recente o bastante para "perto de mim"? */
+export function localizacaoRecente(localizacao, agora = Date.now()) {
+  const coordenadas = coordenadasDe(localizacao);
+  if (!coordenadas) return null;
+  const em = Date.parse(localizacao.em || "");
+  if (Number.isFinite(em) && agora - em > VALIDADE_DA_LOCALIZACAO_MS) return null;
+  return coordenadas;
+}
+
+/** Deep link de rota (sem origem o app usa a posição atual do aparelho). */
+export function linkDeRota(destino, origem = null) {
+  const par = (p) => `${p.latitude},${p.longitude}`;
+  const url = `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(par(destino))}`;
+  return origem ? `${url}&origin=${encodeURIComponent(par(origem))}` : url;
+}
+
+// ------------------------------- "PERTO" ------------------------------------
+const PERTO_DE_MIM = [
+  /\b(perto|pertinho|proximo|próximo|proxima|próxima) (de mim|daqui)\b/i,
+  /\bpor aqui\b/i,
+  /\b(near|close to) (me|here)\b/i,
+  /\bnearby\b/i,
+  /\bcerca de (mi|aqui|aquí)\b/i
+];
+const PERTO_DE_LUGAR = [
+  /\b(?:perto|pertinho|proximo|próximo|proxima|próxima|ao lado) (?:d[aoe]s?|à|ao) (.+)$/i,
+  /\b(?:near|close to|next to|around) (?:the )?(.+)$/i,
+  /\b(?:cerca|al lado) de(?:l| la| las| los)? (.+)$/i
+];
+
+/**
+ * Pedido de proximidade na frase:
+ *   { tipo: "usuario" } para "perto de mim", { tipo: "lugar", nome } para
+ *   "perto da Praia do Forte", ou null.
+ */
+export function detectarPedidoDePerto(texto) {
+  const frase = String(texto || "").trim();
+  if (PERTO_DE_MIM.some((re) => re.test(frase))) return { tipo: "usuario" };
+  for (const re of PERTO_DE_LUGAR) {
+    const m = frase.match(re);
+    const nome = m?.[1]?.replace(/[?!.,;]+$/g, "").trim();
+    if (nome && nome.length >= 3) return { tipo: "lugar", nome };
+  }
+  return null;
+}
+
+/**
+ * Resolve um nome ("praia do forte", "rodoviaria") entre pontos com
+ * { nome, apelidos?, latitude, longitude }. Retorna o ponto mais parecido ou null.
+ */
+export function resolverPontoDeReferencia(nome, pontos) {
+  const alvo = normalizar(nome);
+  if (!alvo) return null;
+  let melhor = null;
+  for (const ponto of pontos || []) {
+    if (!coordenadasDe(ponto)) continue;
+    for (const rotulo of [ponto.nome, ...(Array.isArray(ponto.apelidos) ? ponto.apelidos : [])]) {
+      const candidato = normalizar(rotulo);
+      if (!candidato) continue;
+      // frase com sobra ("praia do forte hoje a noite") ainda casa pelo começo
+      const nota = alvo === candidato || alvo.startsWith(`${candidato} `) ? 1 : diceSimilarity(alvo, candidato);
+      if (nota >= SIMILARIDADE_DE_REFERENCIA && (!melhor || nota > melhor.nota)) melhor = { ponto, nota };
+    }
+  }
+  return melhor?.ponto || null;
+}
+
+// ----------------------------- IMPORTAÇÃO -----------------------------------
+/**
+ * Arquivo de coordenadas (saída de um geocodificador): CSV com cabeçalho
+ * chave_externa|id, latitude, longitude — ou JSON (array / { itens }).
+ * Retorna { linhas: [{ linha, chaveExterna, id, coordenadas, erros }], erro }.
+ */
+export function lerArquivoDeCoordenadas(corpo) {
+  let registros;
+  if (typeof corpo === "string") {
+    const linhas = lerCsv(corpo);
+    if (linhas.length === 0) return { linhas: [], erro: "arquivo vazio" };
+    const cabecalho = linhas[0].map((c) => c.trim().toLowerCase());
+    const desconhecidas = cabecalho.filter((c) => c && !["chave_externa", "id", "latitude", "longitude"].includes(c));
+    if (desconhecidas.length > 0) return { linhas: [], erro: `colunas desconhecidas: ${desconhecidas.join(", ")}` };
+    registros = linhas.slice(1).map((l) => Object.fromEntries(cabecalho.map((c, i) => [c, (l[i] ?? "").trim()])));
+  } else {
+    registros = Array.isArray(corpo) ? corpo : Array.isArray(corpo?.itens) ? corpo.itens : null;
+    if (!registros) return { linhas: [], erro: "envie um CSV (text/csv) ou JSON (array ou { itens: [...] })" };
+  }
+
+  return {
+    linhas: registros.map((r, i) => {
+      const registro = r && typeof r === "object" ? r : {};
+      const chaveExterna = registro.chave_externa ? String(registro.chave_externa).trim() : null;
+      const id = registro.id ? String(registro.id).trim() : null;
+      const erros = [];
+      if (!chaveExterna && !id) erros.push({ campo: "chave_externa", mensagem: "obrigatória (ou id)" });
+      if (id && !UUID.test(id)) erros.push({ campo: "id", mensagem: "uuid inválido" });
+      const { coordenadas, erros: errosCoord } = lerCoordenadas(registro.latitude, registro.longitude, {
+        campoLat: "latitude",
+        campoLng: "longitude"
+      });
+      erros.push(...errosCoord);
+      // linha sem coordenadas limpa as do parceiro (endereço não geocodificado)
+      return { linha: i + 2, chaveExterna, id, coordenadas, erros };
+    }),
+    erro: null
+  };
+}
@@ -0,0 +1,589 @@
+// F:\uber-chat-mvp\backend-oficial\lib\horarios.js
+// ============================================================================
+// Horário de funcionamento estruturado (coluna parceiros.horario_estruturado)
+//
+// Formato:
+// {
+//   "semana": { "seg": [{ "abre": "09:00", "fecha": "14:00" }, { "abre": "18:00", "fecha": "23:00" }],
+//               "dom": [] },                          // dia ausente ou [] = fechado
+//   "feriados": [],                                   // opcional: [] fechado | faixas | ausente = segue a semana
+//   "temporadas": [{ "nome": "verão", "inicio": "12-15", "fim": "03-01", "semana": { ... } }],
+//   "excecoes": [{ "data": "2025-12-31", "faixas": [{ "abre": "10:00", "fecha": "16:00" }], "motivo": "réveillon" }],
+//   "observacao": "cozinha fecha 30 min antes"
+// }
+// - "fecha" menor que "abre" = atravessa a meia-noite (ex.: 18:00 → 02:00)
+// - Prioridade: exceção da data > feriado > temporada > semana
+// - Tudo calculado no fuso America/Sao_Paulo
+// ============================================================================
+
+import { normalizar } from "./texto.js";
+
+export const FUSO_HORARIO = "America/Sao_Paulo";
+
+export const DIAS = ["dom", "seg", "ter", "qua", "qui", "sex", "sab"]; // índice = getDay()
+const NOMES_DIAS = ["domingo", "segunda", "terça", "quarta", "quinta", "sexta", "sábado"];
+const ARTIGO_DIA = ["no", "na", "na", "na", "na", "na", "no"]; // "no domingo", "na segunda"
+
+// ------------------------------ DATAS ---------------------------------------
+const formatadorLocal = new Intl.DateTimeFormat("en-CA", {
+  timeZone: FUSO_HORARIO,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23"
+});
+
+/** Data (YYYY-MM-DD) e minutos do dia no fuso de São Paulo para um instante. */
+export function partesLocais(instante = new Date()) {
+  const p = Object.fromEntries(formatadorLocal.formatToParts(instante).map((x) => [x.type, x.value]));
+  const data = `${p.year}-${p.month}-${p.day}`;
+  return { data, minutos: Number(p.hour) * 60 + Number(p.minute), diaSemana: diaDaSemana(data) };
+}
+
+/** Instante da meia-noite local (FUSO_HORARIO) da data YYYY-MM-DD. */
+export function inicioDoDiaLocal(data) {
+  const alvo = Date.parse(`${data}T00:00:00Z`);
+  let instante = alvo;
+  // duas voltas acertam o deslocamento do fuso naquele dia
+  for (let i = 0; i < 2; i++) {
+    const p = partesLocais(new Date(instante));
+    instante += alvo - (Date.parse(`${p.data}T00:00:00Z`) + p.minutos * 60_000);
+  }
+  return new Date(instante);
+}
+
+function diaDaSemana(data) {
+  return new Date(`${data}T12:00:00Z`).getUTCDay();
+}
+
+function somarDias(data, n) {
+  const d = new Date(`${data}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+function pascoa(ano) {
+  const a = ano % 19, b = Math.floor(ano / 100), c = ano % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const mes = Math.floor((h + l - 7 * m + 114) / 31);
+  const dia = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${ano}-${String(mes).padStart(2, "0")}-${String(dia).padStart(2, "0")}`;
+}
+
+const FERIADOS_FIXOS = ["01-01", "04-21", "05-01", "09-07", "10-12", "11-02", "11-15", "11-20", "12-25"];
+
+/** Feriados nacionais (fixos + Carnaval, Sexta-feira Santa e Corpus Christi). */
+export function ehFeriado(data) {
+  if (FERIADOS_FIXOS.includes(data.slice(5))) return true;
+  const p = pascoa(Number(data.slice(0, 4)));
+  return [somarDias(p, -48), somarDias(p, -47), somarDias(p, -2), somarDias(p, 60)].includes(data);
+}
+
+// ------------------------------ HORAS ---------------------------------------
+function paraMinutos(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+function paraHHMM(minutos) {
+  const m = ((minutos % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+function faixaEmMinutos(faixa) {
+  const abre = paraMinutos(faixa.abre);
+  let fecha = paraMinutos(faixa.fecha);
+  if (fecha <= abre) fecha += 1440; // atravessa a meia-noite
+  return { abre, fecha };
+}
+
+// ---------------------------- VALIDAÇÃO -------------------------------------
+const RE_HORA = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const RE_MES_DIA = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const RE_DATA = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+function validarFaixas(faixas, campo, erros) {
+  if (!Array.isArray(faixas)) {
+    erros.push({ campo, mensagem: "deve ser uma lista de faixas { abre, fecha }" });
+    return;
+  }
+  faixas.forEach((f, i) => {
+    if (!f || typeof f !== "object") {
+      erros.push({ campo: `${campo}[${i}]`, mensagem: "faixa deve ser um objeto { abre, fecha }" });
+      return;
+    }
+    if (!RE_HORA.test(String(f.abre))) erros.push({ campo: `${campo}[${i}].abre`, mensagem: "hora inválida (HH:MM)" });
+    if (!RE_HORA.test(String(f.fecha))) erros.push({ campo: `${campo}[${i}].fecha`, mensagem: "hora inválida (HH:MM)" });
+    if (f.abre === f.fecha) erros.push({ campo: `${campo}[${i}]`, mensagem: "abre e fecha não podem ser iguais" });
+  });
+}
+
+function validarSemana(semana, campo, erros) {
+  if (!semana || typeof semana !== "object" || Array.isArray(semana)) {
+    erros.push({ campo, mensagem: "deve ser um objeto com os dias (dom, seg, ter, qua, qui, sex, sab)" });
+    return;
+  }
+  for (const [dia, faixas] of Object.entries(semana)) {
+    if (!DIAS.includes(dia)) erros.push({ campo: `${campo}.${dia}`, mensagem: "dia desconhecido" });
+    else validarFaixas(faixas, `${campo}.${dia}`, erros);
+  }
+}
+
+/**
+ * Valida um horário estruturado. Retorna lista de erros [{ campo, mensagem }] (vazia = ok).
+ */
+export function validarHorarioEstruturado(horario) {
+  const erros = [];
+  if (!horario || typeof horario !== "object" || Array.isArray(horario)) {
+    return [{ campo: "horario_estruturado", mensagem: "deve ser um objeto" }];
+  }
+
+  validarSemana(horario.semana, "semana", erros);
+  if (horario.feriados !== undefined && horario.feriados !== null) validarFaixas(horario.feriados, "feriados", erros);
+
+  if (horario.temporadas !== undefined) {
+    if (!Array.isArray(horario.temporadas)) erros.push({ campo: "temporadas", mensagem: "deve ser uma lista" });
+    else horario.temporadas.forEach((t, i) => {
+      if (!RE_MES_DIA.test(String(t?.inicio))) erros.push({ campo: `temporadas[${i}].inicio`, mensagem: "use MM-DD" });
+      if (!RE_MES_DIA.test(String(t?.fim))) erros.push({ campo: `temporadas[${i}].fim`, mensagem: "use MM-DD" });
+      validarSemana(t?.semana, `temporadas[${i}].semana`, erros);
+    });
+  }
+
+  if (horario.excecoes !== undefined) {
+    if (!Array.isArray(horario.excecoes)) erros.push({ campo: "excecoes", mensagem: "deve ser uma lista" });
+    else horario.excecoes.forEach((x, i) => {
+      if (!RE_DATA.test(String(x?.data))) erros.push({ campo: `excecoes[${i}].data`, mensagem: "use YYYY-MM-DD" });
+      validarFaixas(x?.faixas, `excecoes[${i}].faixas`, erros);
+    });
+  }
+
+  if (horario.observacao !== undefined && horario.observacao !== null && typeof horario.observacao !== "string") {
+    erros.push({ campo: "observacao", mensagem: "deve ser texto" });
+  }
+  return erros;
+}
+
+/** Alguma faixa aberta na semana, nos feriados ou nas temporadas? */
+export function temFaixaAberta(horario) {
+  const semanas = [horario?.semana, ...(horario?.temporadas || []).map((t) => t?.semana)];
+  const listas = semanas.flatMap((semana) => Object.values(semana || {}));
+  if (Array.isArray(horario?.feriados)) listas.push(horario.feriados);
+  return listas.some((faixas) => Array.isArray(faixas) && faixas.length > 0);
+}
+
+// --------------------------- CÁLCULO DO DIA ---------------------------------
+function temporadaContem(t, mesDia) {
+  // inicio > fim = temporada que vira o ano (ex.: 12-15 → 03-01)
+  return t.inicio <= t.fim ? mesDia >= t.inicio && mesDia <= t.fim : mesDia >= t.inicio || mesDia <= t.fim;
+}
+
+/** Faixas válidas para uma data (YYYY-MM-DD), aplicando as prioridades. */
+export function faixasDoDia(horario, data) {
+  if (!horario) return [];
+  const excecao = (horario.excecoes || []).find((x) => x.data === data);
+  if (excecao) return excecao.faixas || [];
+
+  if (Array.isArray(horario.feriados) && ehFeriado(data)) return horario.feriados;
+
+  const dia = DIAS[diaDaSemana(data)];
+  const temporada = (horario.temporadas || []).find((t) => temporadaContem(t, data.slice(5)));
+  if (temporada?.semana) return temporada.semana[dia] || [];
+
+  return horario.semana?.[dia] || [];
+}
+
+/**
+ * Está aberto na data/minuto informados? Considera faixas do dia anterior que
+ * atravessam a meia-noite. Retorna { aberto, fechaAs } ou null sem horário estruturado.
+ */
+export function estaAbertoEm(horario, data, minutos) {
+  if (!horario) return null;
+
+  for (const f of faixasDoDia(horario, data).map(faixaEmMinutos)) {
+    if (minutos >= f.abre && minutos < f.fecha) return { aberto: true, fechaAs: paraHHMM(f.fecha) };
+  }
+  for (const f of faixasDoDia(horario, somarDias(data, -1)).map(faixaEmMinutos)) {
+    if (f.fecha > 1440 && minutos < f.fecha - 1440) return { aberto: true, fechaAs: paraHHMM(f.fecha) };
+  }
+  return { aberto: false, fechaAs: null };
+}
+
+/** Próxima abertura a partir de data/minutos (até 7 dias à frente). */
+export function proximaAbertura(horario, data, minutos) {
+  for (let n = 0; n <= 7; n++) {
+    const dataAlvo = somarDias(data, n);
+    const aberturas = faixasDoDia(horario, dataAlvo)
+      .map(faixaEmMinutos)
+      .filter((f) => n > 0 || f.abre > minutos)
+      .sort((a, b) => a.abre - b.abre);
+    if (aberturas.length > 0) return { data: dataAlvo, abreAs: paraHHMM(aberturas[0].abre), emDias: n };
+  }
+  return null;
+}
+
+// ------------------------- TEXTOS POR IDIOMA --------------------------------
+// Respostas de horário em pt / en / es (idioma desconhecido → português)
+const TEXTOS_HORARIO = {
+  pt: {
+    diasCurtos: DIAS,
+    dia: (idx) => `${ARTIGO_DIA[idx]} ${NOMES_DIAS[idx]}`,
+    agora: "agora",
+    hoje: "hoje",
+    amanha: "amanhã",
+    comHora: (rotulo, hhmm) => `${rotulo} às ${hhmm}`,
+    fechado: "fechado",
+    faixa: (f) => `das ${f.abre} às ${f.fecha}`,
+    e: " e ",
+    oParceiro: "O parceiro",
+    abreEm: (rotuloDia, hhmm) => ` Abre ${rotuloDia} às ${hhmm}.`,
+    naoAbre: (nome, rotulo) => `${nome} não abre ${rotulo}.`,
+    abertoAte: (nome, rotulo, fecha, faixas) => `${nome} fica aberto ${rotulo} até as ${fecha} (${faixas}).`,
+    simAberto: (nome, rotulo, fecha) => `Sim! ${nome} está aberto ${rotulo} — fecha às ${fecha}.`,
+    naoFechado: (nome, rotulo) => `Não, ${nome} está fechado ${rotulo}.`,
+    naoAbreDia: (nome, rotulo) => `Não, ${nome} não abre ${rotulo}.`,
+    simAbreDia: (nome, rotulo, faixas) => `Sim, ${rotulo} ${nome} abre ${faixas}.`,
+    agoraAberto: (fecha) => ` Agora está aberto (fecha às ${fecha}).`,
+    agoraFechado: " Agora está fechado.",
+    horarioDe: (nome, semana) => `Horário de funcionamento de ${nome}: ${semana}.`
+  },
+  en: {
+    diasCurtos: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+    dia: (idx) => `on ${["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"][idx]}`,
+    agora: "now",
+    hoje: "today",
+    amanha: "tomorrow",
+    comHora: (rotulo, hhmm) => `${rotulo} at ${hhmm}`,
+    fechado: "closed",
+    faixa: (f) => `${f.abre}–${f.fecha}`,
+    e: " and ",
+    oParceiro: "The partner",
+    abreEm: (rotuloDia, hhmm) => ` Opens ${rotuloDia} at ${hhmm}.`,
+    naoAbre: (nome, rotulo) => `${nome} is not open ${rotulo}.`,
+    abertoAte: (nome, rotulo, fecha, faixas) => `${nome} is open ${rotulo} until ${fecha} (${faixas}).`,
+    simAberto: (nome, rotulo, fecha) => `Yes! ${nome} is open ${rotulo} — closes at ${fecha}.`,
+    naoFechado: (nome, rotulo) => `No, ${nome} is closed ${rotulo}.`,
+    naoAbreDia: (nome, rotulo) => `No, ${nome} doesn't open ${rotulo}.`,
+    simAbreDia: (nome, rotulo, faixas) => `Yes, ${nome} is open ${rotulo}: ${faixas}.`,
+    agoraAberto: (fecha) => ` It's open now (closes at ${fecha}).`,
+    agoraFechado: " It's closed now.",
+    horarioDe: (nome, semana) => `Opening hours for ${nome}: ${semana}.`
+  },
+  es: {
+    diasCurtos: ["dom", "lun", "mar", "mié", "jue", "vie", "sáb"],
+    dia: (idx) => `el ${["domingo", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado"][idx]}`,
+    agora: "ahora",
+    hoje: "hoy",
+    amanha: "mañana",
+    comHora: (rotulo, hhmm) => `${rotulo} a las ${hhmm}`,
+    fechado: "cerrado",
+    faixa: (f) => `de ${f.abre} a ${f.fecha}`,
+    e: " y ",
+    oParceiro: "El socio",
+    abreEm: (rotuloDia, hhmm) => ` Abre ${rotuloDia} a las ${hhmm}.`,
+    naoAbre: (nome, rotulo) => `${nome} no abre ${rotulo}.`,
+    abertoAte: (nome, rotulo, fecha, faixas) => `${nome} está abierto ${rotulo} hasta las ${fecha} (${faixas}).`,
+    simAberto: (nome, rotulo, fecha) => `¡Sí! ${nome} está abierto ${rotulo} — cierra a las ${fecha}.`,
+    naoFechado: (nome, rotulo) => `No, ${nome} está cerrado ${rotulo}.`,
+    naoAbreDia: (nome, rotulo) => `No, ${nome} no abre ${rotulo}.`,
+    simAbreDia: (nome, rotulo, faixas) => `Sí, ${rotulo} ${nome} abre ${faixas}.`,
+    agoraAberto: (fecha) => ` Ahora está abierto (cierra a las ${fecha}).`,
+    agoraFechado: " Ahora está cerrado.",
+    horarioDe: (nome, semana) => `Horario de ${nome}: ${semana}.`
+  }
+};
+
+function textosHorario(idioma) {
+  return TEXTOS_HORARIO[idioma] || TEXTOS_HORARIO.pt;
+}
+
+function descreverFaixas(faixas, idioma = "pt") {
+  const tx = textosHorario(idioma);
+  if (!faixas || faixas.length === 0) return tx.fechado;
+  return faixas.map(tx.faixa).join(tx.e);
+}
+
+/** Faixas de uma data em texto ("das 11:00 às 15:00 e das 19:00 às 23:00" | "fechado"). */
+export function descreverFaixasDoDia(horario, data, idioma = "pt") {
+  return descreverFaixas(faixasDoDia(horario, data), idioma);
+}
+
+/** Texto curto da semana (ex.: "seg: das 09:00 às 18:00 · dom: fechado"). */
+export function descreverSemana(horario, idioma = "pt") {
+  if (!horario?.semana) return "";
+  const tx = textosHorario(idioma);
+  const ordem = [1, 2, 3, 4, 5, 6, 0];
+  return ordem.map((i) => `${tx.diasCurtos[i]}: ${descreverFaixas(horario.semana[DIAS[i]], idioma)}`).join(" · ");
+}
+
+// ------------------------ PERGUNTAS DO USUÁRIO ------------------------------
+// Entende perguntas em português, inglês e espanhol, independente do idioma da resposta
+const RE_DIAS_PERGUNTA = [
+  [/\b(domingo|sunday)\b/, 0], [/\b(segunda|monday|lunes)\b/, 1], [/\b(terca|tuesday|martes)\b/, 2],
+  [/\b(quarta|wednesday|miercoles)\b/, 3], [/\b(quinta|thursday|jueves)\b/, 4],
+  [/\b(sexta|friday|viernes)\b/, 5], [/\b(sabado|saturday)\b/, 6]
+];
+const RE_AGORA = /\bagora\b|\bneste momento\b|\bnesse momento\b|\bnow\b|\bahora\b/;
+const RE_AMANHA = /\bamanha\b|\btomorrow\b|(?<!\b(?:la|esta) )\bmanana\b/; // "por la mañana" = de manhã
+const RE_HOJE = /\bhoje\b|\btoday\b|\btonight\b|\bhoy\b/;
+const RE_HORA_COM_PREPOSICAO =
+  /\b(?:as|a partir das|pelas|por volta das|at|around|a las|desde las|sobre las)\s+(?<h>\d{1,2})(?:[:h](?<m>\d{2}))?\s*(?<ap>am|pm)?/;
+const RE_HORA_SOLTA = /\b(?<h>\d{1,2})(?::(?<m>\d{2})|h(?<m2>\d{2})?|\s?(?<ap>am|pm))(?=\s|$|[?!.,])/;
+const RE_ATE_QUE_HORAS =
+  /ate que horas|que horas fecha|fecha que horas|horario de fechamento|fecha as|until what time|what time does .*close|closing time|closes? at|hasta que hora|a que hora cierra|cierra a las|hora de cierre/;
+
+/**
+ * Extrai o momento pedido numa frase ("agora", "hoje", "amanhã", "domingo", "às 22h",
+ * "tomorrow at 9pm", "el sábado a las 22"). Os rótulos saem no idioma pedido.
+ * Retorna { data, minutos|null, rotulo, rotuloDia, diaInformado, horaInformada } ou null
+ * se a frase não fala de tempo (diaInformado/horaInformada: o dia/a hora vieram da frase,
+ * e não do "hoje"/"agora" implícitos).
+ */
+export function extrairMomentoDaPergunta(texto, agora = new Date(), idioma = "pt") {
+  const tx = textosHorario(idioma);
+  const t = normalizar(texto);
+  const base = partesLocais(agora);
+  let data = base.data;
+  let minutos = null;
+  let rotulo = null;
+  let rotuloDia = null;
+  let diaInformado = false;
+  let horaInformada = false;
+
+  if (RE_AGORA.test(t)) {
+    minutos = base.minutos;
+    rotulo = tx.agora;
+  }
+  if (RE_AMANHA.test(t)) {
+    data = somarDias(base.data, 1);
+    rotulo = rotuloDia = tx.amanha;
+    diaInformado = true;
+  } else if (RE_HOJE.test(t)) {
+    rotulo = rotulo || tx.hoje;
+    diaInformado = true;
+  } else {
+    for (const [re, idx] of RE_DIAS_PERGUNTA) {
+      if (!re.test(t)) continue;
+      const n = (idx - base.diaSemana + 7) % 7;
+      data = somarDias(base.data, n);
+      rotulo = rotuloDia = n === 0 ? tx.hoje : tx.dia(idx);
+      diaInformado = true;
+      break;
+    }
+  }
+
+  const mHora = t.match(RE_HORA_COM_PREPOSICAO) || t.match(RE_HORA_SOLTA);
+  if (mHora) {
+    const { h: hh, m, m2, ap } = mHora.groups;
+    let h = Number(hh);
+    if (ap === "pm" && h < 12) h += 12;
+    if (ap === "am" && h === 12) h = 0;
+    const mm = Number(m || m2 || 0);
+    if (h <= 23 && mm <= 59) {
+      minutos = h * 60 + mm;
+      horaInformada = true;
+      rotulo = tx.comHora(rotuloDia || tx.hoje, paraHHMM(minutos));
+    }
+  }
+
+  if (!rotulo) return null;
+  return { data, minutos, rotulo, rotuloDia: rotuloDia || tx.hoje, diaInformado, horaInformada };
+}
+
+/** A frase pede lugares abertos num momento? ("aberto agora", "abre domingo", "open now", "abierto hoy") */
+export function pedeLugarAberto(texto) {
+  const t = normalizar(texto);
+  return /\b(abert[oa]s?|abre|abrem|funcionando|funciona|open|abiert[oa]s?)\b/.test(t) && extrairMomentoDaPergunta(texto) !== null;
+}
+
+/**
+ * Filtro para sugestões: o parceiro está aberto no momento pedido?
+ * Retorna true/false ou null quando não há horário estruturado (desconhecido).
+ */
+export function abertoNoMomento(horario, momento) {
+  if (!horario || !momento) return null;
+  if (momento.minutos === null) return faixasDoDia(horario, momento.data).length > 0;
+  return estaAbertoEm(horario, momento.data, momento.minutos).aberto;
+}
+
+function quandoAbre(prox, tx) {
+  if (!prox) return "";
+  if (prox.emDias === 0) return tx.abreEm(tx.hoje, prox.abreAs);
+  if (prox.emDias === 1) return tx.abreEm(tx.amanha, prox.abreAs);
+  return tx.abreEm(tx.dia(diaDaSemana(prox.data)), prox.abreAs);
+}
+
+/**
+ * Responde perguntas de horário sobre um parceiro com horário estruturado:
+ * "está aberto agora?", "abre domingo?", "até que horas fica aberto hoje?".
+ * Retorna null se o parceiro não tiver horario_estruturado.
+ */
+export function responderPerguntaDeHorario(parceiro, texto, agora = new Date(), idioma = "pt") {
+  const horario = parceiro?.horario_estruturado;
+  if (!horario) return null;
+
+  const tx = textosHorario(idioma);
+  const nome = parceiro.nome || tx.oParceiro;
+  const t = normalizar(texto);
+  const base = partesLocais(agora);
+  const momento = extrairMomentoDaPergunta(texto, agora, idioma);
+  const obs = horario.observacao ? ` (${horario.observacao})` : "";
+
+  // "até que horas..." / "que horas fecha"
+  if (RE_ATE_QUE_HORAS.test(t)) {
+    const data = momento?.data || base.data;
+    const rotulo = momento?.rotuloDia || tx.hoje;
+    const faixas = faixasDoDia(horario, data);
+    if (faixas.length === 0) return `${tx.naoAbre(nome, rotulo)}${obs}`;
+    const ultima = faixas[faixas.length - 1];
+    return `${tx.abertoAte(nome, rotulo, ultima.fecha, descreverFaixas(faixas, idioma))}${obs}`;
+  }
+
+  // Um momento específico (agora / dia + hora)
+  if (momento && momento.minutos !== null) {
+    const status = estaAbertoEm(horario, momento.data, momento.minutos);
+    if (status.aberto) return `${tx.simAberto(nome, momento.rotulo, status.fechaAs)}${obs}`;
+    const prox = proximaAbertura(horario, momento.data, momento.minutos);
+    return `${tx.naoFechado(nome, momento.rotulo)}${quandoAbre(prox, tx)}${obs}`;
+  }
+
+  // Um dia sem hora ("abre domingo?")
+  if (momento) {
+    const faixas = faixasDoDia(horario, momento.data);
+    if (faixas.length === 0) return `${tx.naoAbreDia(nome, momento.rotulo)}${obs}`;
+    return `${tx.simAbreDia(nome, momento.rotulo, descreverFaixas(faixas, idioma))}${obs}`;
+  }
+
+  // Pergunta genérica: semana + status agora
+  const agoraStatus = estaAbertoEm(horario, base.data, base.minutos);
+  const complemento = agoraStatus.aberto
+    ? tx.agoraAberto(agoraStatus.fechaAs)
+    : `${tx.agoraFechado}${quandoAbre(proximaAbertura(horario, base.data, base.minutos), tx)}`;
+  return `${tx.horarioDe(nome, descreverSemana(horario, idioma))}${complemento}${obs}`;
+}
+
+// --------------------- TEXTO LIVRE → ESTRUTURADO ----------------------------
+// Best-effort para migrar valores como "Seg a Sex 9h às 18h; Sáb 10h-14h; Dom fechado"
+// ou "Todos os dias das 11h às 23h". Retorna null quando não dá para entender.
+// "fechado" depois de um horário abre um grupo novo, dos dias que vêm a seguir
+// ("Seg a Sáb 9h-18h, fechado aos domingos"); "fechado" sem dia nenhum → null.
+const RE_TOKENS = new RegExp(
+  [
+    "(?<todos>todos os dias|diariamente|diario|todo dia)",
+    "(?<uteis>dias uteis|dias de semana)",
+    "(?<fds>fins? de semana|finais de semana|fds)",
+    "(?<feriado>feriados?)",
+    "(?<fechado>fechad[oa]s?)",
+    "(?<h24>24 ?h(?:oras)?\\b)",
+    "(?<faixa>(\\d{1,2})(?:[:h](\\d{2}))?\\s*h?\\s*(?:-|as|a|ate)\\s*(\\d{1,2})(?:[:h](\\d{2}))?\\s*h?)",
+    "(?<dia>\\b(?:segunda|terca|quarta|quinta|sexta|sabado|domingo|seg|ter|qua|qui|sex|sab|dom)s?(?:-feiras?)?\\b)",
+    "(?<ate>\\s(?:a|ate)\\s|\\s?-\\s?)"
+  ].join("|"),
+  "g"
+);
+
+const INDICE_DIA = { dom: 0, seg: 1, ter: 2, qua: 3, qui: 4, sex: 5, sab: 6 };
+
+function horaTexto(h, m) {
+  const hh = Number(h);
+  const mm = Number(m || 0);
+  if (hh > 24 || mm > 59 || (hh === 24 && mm > 0)) return null;
+  return `${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}`;
+}
+
+export function parseHorarioTextoLivre(texto) {
+  const t = normalizar(texto).replace(/[–—]/g, "-").replace(/\s+/g, " ");
+  if (!t) return null;
+
+  const semana = {};
+  let feriados;
+  let entendeuAlgo = false;
+  let fechadoSemDia = false;
+
+  // Grupo corrente: dias acumulados + faixas + flags
+  let dias = new Set();
+  let ehFeriadoGrupo = false;
+  let faixas = [];
+  let fechado = false;
+  let ultimoDia = null;
+  let pendenteIntervalo = false;
+  let grupoTemHorario = false;
+
+  const fecharGrupo = () => {
+    if (!grupoTemHorario && !fechado) return;
+    if (fechado && dias.size === 0 && !ehFeriadoGrupo) {
+      fechadoSemDia = true;
+      return;
+    }
+    const alvoFaixas = fechado ? [] : faixas;
+    const alvoDias = dias.size > 0 || ehFeriadoGrupo ? dias : new Set([0, 1, 2, 3, 4, 5, 6]);
+    for (const d of alvoDias) semana[DIAS[d]] = alvoFaixas;
+    if (ehFeriadoGrupo) feriados = alvoFaixas;
+    entendeuAlgo = true;
+  };
+  const novoGrupo = () => {
+    dias = new Set();
+    ehFeriadoGrupo = false;
+    faixas = [];
+    fechado = false;
+    ultimoDia = null;
+    pendenteIntervalo = false;
+    grupoTemHorario = false;
+  };
+
+  for (const m of t.matchAll(RE_TOKENS)) {
+    const g = m.groups;
+    const ehMarcadorDeDia = g.todos || g.uteis || g.fds || g.feriado || g.dia;
+    // "fechado" ainda sem dia espera o próximo dia em vez de fechar o grupo
+    const fechadoEsperandoDia = fechado && !grupoTemHorario && dias.size === 0 && !ehFeriadoGrupo;
+    if (ehMarcadorDeDia && (grupoTemHorario || fechado) && !fechadoEsperandoDia) {
+      fecharGrupo();
+      novoGrupo();
+    }
+
+    if (g.todos) [0, 1, 2, 3, 4, 5, 6].forEach((d) => dias.add(d));
+    else if (g.uteis) [1, 2, 3, 4, 5].forEach((d) => dias.add(d));
+    else if (g.fds) [6, 0].forEach((d) => dias.add(d));
+    else if (g.feriado) ehFeriadoGrupo = true;
+    else if (g.fechado) {
+      if (grupoTemHorario) {
+        fecharGrupo();
+        novoGrupo();
+      }
+      fechado = true;
+    }
+    else if (g.h24) {
+      faixas.push({ abre: "00:00", fecha: "24:00" });
+      grupoTemHorario = true;
+    } else if (g.faixa) {
+      const abre = horaTexto(m[8], m[9]);
+      const fecha = horaTexto(m[10], m[11]);
+      if (abre && fecha && abre !== fecha) {
+        faixas.push({ abre, fecha: fecha === "24:00" ? "24:00" : fecha });
+        grupoTemHorario = true;
+      }
+    } else if (g.dia) {
+      const idx = INDICE_DIA[g.dia.slice(0, 3)];
+      if (pendenteIntervalo && ultimoDia !== null) {
+        for (let d = ultimoDia; d !== idx; d = (d + 1) % 7) dias.add(d);
+      }
+      dias.add(idx);
+      ultimoDia = idx;
+      pendenteIntervalo = false;
+    } else if (g.ate) {
+      pendenteIntervalo = ultimoDia !== null;
+    }
+  }
+  fecharGrupo();
+
+  if (!entendeuAlgo || fechadoSemDia) return null;
+  const resultado = { semana };
+  if (feriados !== undefined) resultado.feriados = feriados;
+  return resultado;
+}
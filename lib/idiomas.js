@@ -0,0 +1,714 @@
+// F:\uber-chat-mvp\backend-oficial\lib\idiomas.js
+// ============================================================================
+// Idiomas do concierge (pt-BR, inglês, espanhol)
+// - Idioma por mensagem: campo "lang" da requisição > detecção pelo texto >
+//   palpite da análise (IA) > idioma anterior da conversa > português
+// - Dicionários por idioma para intenções, ordinais e saudações
+// - Catálogo de textos gerados pelo sistema (respostas diretas, fallbacks,
+//   apêndice de sugestões e o prompt da resposta natural)
+// - Traduções opcionais de parceiros (coluna parceiros.traducoes):
+//     { "en": { "descricao": "...", "beneficio_bepit": "..." }, "es": { ... } }
+//   Campo ausente no idioma pedido → volta para o valor em português.
+// ============================================================================
+
+import { normalizar } from "./texto.js";
+
+export const IDIOMAS = ["pt", "en", "es"];
+export const IDIOMA_PADRAO = "pt";
+
+// Campos do parceiro que aceitam tradução
+export const CAMPOS_TRADUZIVEIS = ["descricao", "beneficio_bepit"];
+
+/** "pt-BR", "en_US", "ES", "english" → "pt" | "en" | "es"; desconhecido → null. */
+export function normalizarIdioma(valor) {
+  const v = normalizar(valor).replace(/_/g, "-");
+  if (!v) return null;
+  const base = v.split("-")[0];
+  if (IDIOMAS.includes(base)) return base;
+  if (["portugues", "portuguese", "portuguesa"].includes(v)) return "pt";
+  if (["ingles", "english"].includes(v)) return "en";
+  if (["espanhol", "espanol", "spanish", "castellano"].includes(v)) return "es";
+  return null;
+}
+
+// ------------------------------ DETECÇÃO ------------------------------------
+// Palavras frequentes e exclusivas de cada idioma (já normalizadas, sem acento).
+// Palavras comuns a mais de um idioma ("que", "de", "no", "mas", "barato") ficam de fora.
+const PALAVRAS_TIPICAS = {
+  pt: [
+    "o", "os", "do", "da", "dos", "das", "na", "nos", "nas", "em", "um", "uma", "com", "nao",
+    "voce", "voces", "onde", "tem", "quero", "queremos", "qual", "quais", "praia", "praias", "hoje",
+    "amanha", "obrigado", "obrigada", "ola", "oi", "bom", "boa", "passeio", "passeios", "perto",
+    "aberto", "aberta", "tambem", "muito", "minha", "meu", "gostaria", "sugestao", "criancas", "ate",
+    "esposa", "marido", "namorada", "namorado", "hospedagem", "jantar", "almoco", "isso", "mais", "barco"
+  ],
+  en: [
+    "the", "and", "is", "are", "what", "where", "how", "i", "you", "to", "for", "with", "my", "we", "our",
+    "some", "good", "best", "restaurant", "restaurants", "beach", "beaches", "open", "near", "can", "want",
+    "looking", "hello", "hi", "hey", "please", "thanks", "thank", "today", "tonight", "tomorrow", "kids",
+    "dinner", "lunch", "place", "places", "any", "recommend", "there", "it", "of", "in", "at", "does",
+    "which", "cheap", "wife", "husband", "girlfriend", "boyfriend", "boat", "trip", "tour", "tours", "more"
+  ],
+  es: [
+    "el", "los", "las", "y", "una", "en", "con", "donde", "hay", "quiero", "queremos", "busco", "buscamos",
+    "playa", "playas", "hoy", "manana", "gracias", "hola", "buenas", "buenos", "cerca", "abierto",
+    "abierta", "tambien", "muy", "mi", "mis", "puede", "puedes", "ninos", "cual", "cuales", "recomiendas",
+    "noche", "cena", "sitio", "sitios", "es", "esposo", "novia", "novio", "alojamiento", "paseo", "paseos",
+    "hasta", "lancha", "eso", "estoy", "nuestro", "nuestra"
+  ]
+};
+const CONJUNTOS_TIPICOS = Object.fromEntries(
+  Object.entries(PALAVRAS_TIPICAS).map(([idioma, lista]) => [idioma, new Set(lista)])
+);
+
+/**
+ * Detecta o idioma pelo texto (contagem de palavras típicas).
+ * Retorna "pt" | "en" | "es" ou null quando não dá para decidir
+ * (mensagens curtas como "2", "ok" ou empate).
+ */
+export function detectarIdioma(texto) {
+  const palavras = normalizar(texto).split(/[^a-z0-9]+/).filter(Boolean);
+  if (palavras.length === 0) return null;
+
+  const pontos = { pt: 0, en: 0, es: 0 };
+  for (const p of palavras) {
+    for (const idioma of IDIOMAS) if (CONJUNTOS_TIPICOS[idioma].has(p)) pontos[idioma] += 1;
+  }
+  const ordem = IDIOMAS.slice().sort((a, b) => pontos[b] - pontos[a]);
+  if (pontos[ordem[0]] === 0 || pontos[ordem[0]] === pontos[ordem[1]]) return null;
+  return ordem[0];
+}
+
+/** Decide o idioma da resposta (ver ordem de prioridade no topo do arquivo). */
+export function resolverIdioma({ lang = null, texto = "", palpiteDaAnalise = null, idiomaDaConversa = null } = {}) {
+  return (
+    normalizarIdioma(lang) ||
+    detectarIdioma(texto) ||
+    normalizarIdioma(palpiteDaAnalise) ||
+    normalizarIdioma(idiomaDaConversa) ||
+    IDIOMA_PADRAO
+  );
+}
+
+// ----------------------------- DICIONÁRIOS ----------------------------------
+// Intenções de follow-up sobre o parceiro em foco (casadas como palavra inteira,
+// sem acento: plurais e conjugações precisam de entrada própria)
+export const INTENCOES_POR_IDIOMA = {
+  pt: [
+    // pedido de reserva pelo chat (lib/reservas.js): cancelar antes de status ("cancelar minha reserva")
+    { intencao: "cancelar_reserva", padroes: ["cancelar a reserva", "cancelar reserva", "cancela a reserva", "cancelar minha reserva", "desistir da reserva"] },
+    { intencao: "status_reserva", padroes: ["status da reserva", "status da minha reserva", "minha reserva", "minhas reservas", "situação da reserva", "situacao da reserva", "reserva foi confirmada"] },
+    { intencao: "reservar", padroes: ["quero reservar", "gostaria de reservar", "quero fazer uma reserva", "gostaria de fazer uma reserva", "fazer uma reserva", "reservar uma mesa", "reservar mesa", "pode reservar", "faz a reserva", "faça a reserva"] },
+    // voucher do benefício BEPIT (lib/vouchers.js)
+    { intencao: "usar_beneficio", padroes: ["usar o benefício", "usar o beneficio", "usar meu benefício", "usar meu beneficio", "quero o benefício", "quero o beneficio", "quero o desconto", "usar o desconto", "gerar voucher", "quero o voucher", "quero um voucher", "meu voucher", "cupom"] },
+    // comodidades (lib/comodidades.js) antes das genéricas: "aceita reserva pelo whatsapp?" é sobre reserva
+    { intencao: "reserva", padroes: ["reserva", "reservas", "reservar"] },
+    { intencao: "cardapio", padroes: ["cardápio", "cardapio", "menu"] },
+    { intencao: "estacionamento", padroes: ["estacionamento", "estacionar", "onde parar o carro"] },
+    { intencao: "pet", padroes: ["pet friendly", "pet-friendly", "aceita pet", "aceitam pet", "cachorro", "cachorra", "animal de estimação", "animais de estimação", "animais"] },
+    { intencao: "acessibilidade", padroes: ["acessível", "acessivel", "acessibilidade", "cadeirante", "cadeira de rodas", "mobilidade reduzida"] },
+    { intencao: "kids", padroes: ["espaço kids", "espaco kids", "área kids", "area kids", "espaço infantil", "espaco infantil", "brinquedoteca", "parquinho"] },
+    { intencao: "pagamento", padroes: ["pix", "cartão", "cartao", "forma de pagamento", "formas de pagamento", "pagamento", "vale refeição", "vale-refeição", "vale refeicao"] },
+    { intencao: "wifi", padroes: ["wifi", "wi-fi", "wi fi", "internet"] },
+    { intencao: "horario", padroes: ["horário", "horários", "horario", "hora", "horas", "abre", "abrem", "fecha", "fecham", "fechado", "fechada", "funciona", "funcionam", "funcionamento", "aberto", "aberta"] },
+    { intencao: "rota", padroes: ["como chegar", "como chego", "como eu chego", "rota", "distância", "distancia", "é longe", "fica longe"] },
+    { intencao: "endereco", padroes: ["onde fica", "endereço", "endereco", "localização", "localizacao", "fica onde"] },
+    { intencao: "contato", padroes: ["contato", "telefone", "whatsapp", "whats", "ligar"] },
+    { intencao: "fotos", padroes: ["foto", "fotos", "imagem", "imagens", "galeria"] },
+    { intencao: "preco", padroes: ["preço", "preços", "preco", "faixa de preço", "faixa de preco", "caro", "barato", "valor", "quanto custa"] }
+  ],
+  en: [
+    { intencao: "cancelar_reserva", padroes: ["cancel my reservation", "cancel the reservation", "cancel my booking", "cancel the booking"] },
+    { intencao: "status_reserva", padroes: ["reservation status", "booking status", "my reservation", "my booking", "reservation confirmed"] },
+    { intencao: "reservar", padroes: ["book a table", "make a reservation", "i want to book", "i'd like to book", "reserve a table", "book it", "book for"] },
+    { intencao: "usar_beneficio", padroes: ["use the perk", "use my perk", "use the benefit", "get the perk", "get the discount", "use the discount", "voucher", "coupon"] },
+    { intencao: "reserva", padroes: ["reservation", "reservations", "reserve", "booking"] },
+    { intencao: "cardapio", padroes: ["menu"] },
+    { intencao: "estacionamento", padroes: ["parking", "park the car"] },
+    { intencao: "pet", padroes: ["pet friendly", "pet-friendly", "pets", "dog", "dogs"] },
+    { intencao: "acessibilidade", padroes: ["wheelchair", "accessible", "accessibility", "disabled access"] },
+    { intencao: "kids", padroes: ["kids area", "kids club", "play area", "playground"] },
+    { intencao: "pagamento", padroes: ["payment", "pay with", "credit card", "debit card", "card", "cards", "cash", "pix"] },
+    { intencao: "wifi", padroes: ["wifi", "wi-fi", "internet"] },
+    { intencao: "horario", padroes: ["opening hours", "hours", "what time", "open", "opens", "close", "closes", "closing", "closed"] },
+    { intencao: "rota", padroes: ["how to get", "how do i get", "directions", "how far", "distance", "route"] },
+    { intencao: "endereco", padroes: ["address", "where is", "location"] },
+    { intencao: "contato", padroes: ["contact", "phone", "whatsapp", "call"] },
+    { intencao: "fotos", padroes: ["photo", "photos", "picture", "pictures", "image", "images", "gallery"] },
+    { intencao: "preco", padroes: ["price", "prices", "how much", "expensive", "cheap", "cost", "costs"] }
+  ],
+  es: [
+    { intencao: "cancelar_reserva", padroes: ["cancelar la reserva", "cancelar mi reserva", "anular la reserva"] },
+    { intencao: "status_reserva", padroes: ["estado de la reserva", "estado de mi reserva", "mi reserva", "mis reservas", "reserva confirmada"] },
+    { intencao: "reservar", padroes: ["quiero reservar", "quisiera reservar", "me gustaría reservar", "me gustaria reservar", "hacer una reserva", "reservar una mesa"] },
+    { intencao: "usar_beneficio", padroes: ["usar el beneficio", "usar mi beneficio", "quiero el beneficio", "quiero el descuento", "usar el descuento", "cupón", "cupon", "voucher"] },
+    { intencao: "reserva", padroes: ["reserva", "reservas", "reservar"] },
+    { intencao: "cardapio", padroes: ["menú", "menu", "la carta"] },
+    { intencao: "estacionamento", padroes: ["estacionamiento", "aparcamiento", "parqueadero", "estacionar"] },
+    { intencao: "pet", padroes: ["mascota", "mascotas", "perro", "perros", "pet friendly"] },
+    { intencao: "acessibilidade", padroes: ["accesible", "accesibilidad", "silla de ruedas", "movilidad reducida"] },
+    { intencao: "kids", padroes: ["zona infantil", "área infantil", "area infantil", "parque infantil"] },
+    { intencao: "pagamento", padroes: ["tarjeta", "efectivo", "forma de pago", "formas de pago", "pagar con"] },
+    { intencao: "wifi", padroes: ["wifi", "wi-fi", "internet"] },
+    { intencao: "horario", padroes: ["horario", "horarios", "hora", "horas", "abre", "abren", "cierra", "cierran", "a qué hora", "a que hora", "abierto", "abierta", "cerrado"] },
+    { intencao: "rota", padroes: ["cómo llegar", "como llegar", "ruta", "distancia", "qué tan lejos", "que tan lejos", "está lejos", "esta lejos"] },
+    { intencao: "endereco", padroes: ["dirección", "direccion", "dónde queda", "donde queda", "dónde está", "donde esta", "ubicación", "ubicacion"] },
+    { intencao: "contato", padroes: ["contacto", "teléfono", "telefono", "whatsapp", "llamar"] },
+    { intencao: "fotos", padroes: ["foto", "fotos", "imagen", "imágenes", "imagenes", "galería", "galeria"] },
+    { intencao: "preco", padroes: ["precio", "precios", "cuánto cuesta", "cuanto cuesta", "caro", "barato", "valor"] }
+  ]
+};
+
+// Número/palavra → índice 0-based da sugestão escolhida
+export const ORDINAIS_POR_IDIOMA = {
+  pt: [
+    ["1", 0], ["um", 0], ["uma", 0], ["primeiro", 0], ["1º", 0], ["1o", 0], ["opcao 1", 0], ["opção 1", 0],
+    ["2", 1], ["dois", 1], ["duas", 1], ["segundo", 1], ["2º", 1], ["2o", 1], ["opcao 2", 1], ["opção 2", 1],
+    ["3", 2], ["tres", 2], ["três", 2], ["terceiro", 2], ["3º", 2], ["3o", 2], ["opcao 3", 2], ["opção 3", 2],
+    ["4", 3], ["quatro", 3], ["quarto", 3], ["4º", 3], ["4o", 3],
+    ["5", 4], ["cinco", 4], ["quinto", 4], ["5º", 4], ["5o", 4]
+  ],
+  en: [
+    ["first", 0], ["1st", 0], ["option 1", 0], ["number 1", 0],
+    ["second", 1], ["2nd", 1], ["option 2", 1], ["number 2", 1],
+    ["third", 2], ["3rd", 2], ["option 3", 2], ["number 3", 2],
+    ["fourth", 3], ["4th", 3], ["fifth", 4], ["5th", 4]
+  ],
+  es: [
+    ["primero", 0], ["primera", 0], ["opción 1", 0], ["opcion 1", 0],
+    ["segundo", 1], ["segunda", 1], ["opción 2", 1], ["opcion 2", 1],
+    ["tercero", 2], ["tercera", 2], ["opción 3", 2], ["opcion 3", 2],
+    ["cuarto", 3], ["cuarta", 3], ["quinto", 4], ["quinta", 4]
+  ]
+};
+
+// Saudações / conversa social (não listam parceiros)
+export const SAUDACOES_POR_IDIOMA = {
+  pt: ["olá", "ola", "oi", "bom dia", "boa tarde", "boa noite", "tudo bem", "e aí", "eaí"],
+  en: ["hello", "hi", "hey", "good morning", "good afternoon", "good evening", "how are you"],
+  es: ["hola", "buenos días", "buenos dias", "buenas tardes", "buenas noches", "qué tal", "que tal"]
+};
+
+/**
+ * Entradas do dicionário para um idioma. Fora do português, as entradas em
+ * português continuam valendo (turista misturando idiomas, nomes locais).
+ */
+export function entradasDoIdioma(dicionario, idioma) {
+  const proprio = dicionario[idioma] || [];
+  return idioma === IDIOMA_PADRAO ? proprio : [...proprio, ...dicionario[IDIOMA_PADRAO]];
+}
+
+// ------------------------------- TEXTOS -------------------------------------
+// slots.datas ({ inicio, fim }) para os prompts: "2025-01-10 a 2025-01-15"
+function periodo(datas, separador) {
+  if (!datas?.inicio) return "?";
+  return datas.fim ? `${datas.inicio} ${separador} ${datas.fim}` : datas.inicio;
+}
+
+// parceiros.comodidades.formas_pagamento → rótulo por idioma
+const FORMAS_DE_PAGAMENTO_PT = { pix: "Pix", credito: "cartão de crédito", debito: "cartão de débito", dinheiro: "dinheiro", vale_refeicao: "vale-refeição" };
+const FORMAS_DE_PAGAMENTO_EN = { pix: "Pix", credito: "credit card", debito: "debit card", dinheiro: "cash", vale_refeicao: "meal voucher" };
+const FORMAS_DE_PAGAMENTO_ES = { pix: "Pix", credito: "tarjeta de crédito", debito: "tarjeta de débito", dinheiro: "efectivo", vale_refeicao: "vale de comida" };
+
+// Pedido de reserva em uma linha: "sáb., 25/10 às 20:00, 4 pessoas"
+const LOCALIDADES = { pt: "pt-BR", en: "en-US", es: "es-ES" };
+
+function linhaDaReserva(r, idioma) {
+  const dia = new Intl.DateTimeFormat(LOCALIDADES[idioma], { weekday: "short", day: "2-digit", month: "2-digit", timeZone: "UTC" })
+    .format(new Date(`${r.data}T12:00:00Z`));
+  const hora = String(r.hora).slice(0, 5);
+  if (idioma === "en") return `${dia} at ${hora}, ${r.pessoas} ${r.pessoas === 1 ? "person" : "people"}`;
+  if (idioma === "es") return `${dia} a las ${hora}, ${r.pessoas} ${r.pessoas === 1 ? "persona" : "personas"}`;
+  return `${dia} às ${hora}, ${r.pessoas} ${r.pessoas === 1 ? "pessoa" : "pessoas"}`;
+}
+
+// Validade do voucher no fuso local: "21:30"
+function validadeDoVoucher(v, idioma) {
+  return new Intl.DateTimeFormat(LOCALIDADES[idioma], { hour: "2-digit", minute: "2-digit", hourCycle: "h23", timeZone: "America/Sao_Paulo" })
+    .format(new Date(v.expira_em));
+}
+
+const TEXTOS = {
+  pt: {
+    parceiroNaoEncontrado: () => "Não encontrei esse parceiro.",
+    categoriaNaoInformada: () => "categoria não informada",
+    beneficio: (b) => ` — Benefício BEPIT: ${b}`,
+    faixaDePreco: (f) => ` — Faixa de preço: ${f}`,
+    resumoDoParceiro: (nome, cat, benef, preco) =>
+      `Sobre **${nome}** (${cat})${benef}${preco}. Quer **endereço**, **horário**, **contato/WhatsApp**, **faixa de preço** ou **fotos**?`,
+    horarioNaoInformado: () => "O parceiro não informou horário de funcionamento.",
+    horarioDe: (nome, h) => `Horário de funcionamento de ${nome}: ${h}`,
+    enderecoNaoInformado: () => "Endereço não informado.",
+    enderecoDe: (nome, e) => `Endereço de ${nome}: ${e}`,
+    contatoNaoInformado: () => "Contato não informado.",
+    contatoDe: (nome, c) => `Contato de ${nome}: ${c}`,
+    rotaAte: (nome, endereco, distancia) =>
+      `Para chegar em **${nome}**${endereco ? ` (${endereco})` : ""}` +
+      (distancia ? `: fica a ${distancia} de você em linha reta.` : ", use o link abaixo."),
+    semLocalizacaoDoParceiro: (nome) => `Ainda não tenho a localização de ${nome}.`,
+    distanciaAte: (distancia) => ` — a ${distancia}`,
+    pedirLocalizacao: () => "_Para achar opções perto de você, compartilhe sua localização._",
+    pertoDe: (lugar) => `_Mais perto de ${lugar} primeiro._`,
+    perguntaPertoDeMim: () => "o que tem perto de mim?",
+    whatsappSaida: () => "Pronto, você não vai mais receber mensagens do BEPIT. Se mudar de ideia, envie *voltar*.",
+    whatsappVolta: () => "Que bom te ver de volta! Me diga o que você procura.",
+    whatsappSemTexto: () => "Por enquanto só entendo mensagens de texto e localização. Pode escrever o que você procura?",
+    whatsappErro: () => "Tive um problema para responder agora. Pode tentar de novo em instantes?",
+    rotuloDoCanal: (canal) => ({ whatsapp: "WhatsApp", telefone: "Ligar", mapa: "Ver no mapa", site: "Site" })[canal] || canal,
+    fotosDe: (nome) => `Aqui estão algumas fotos de ${nome}.`,
+    semFotos: (nome) => `Não encontrei fotos de ${nome}.`,
+    precoNaoInformado: () => "Faixa de preço não informada.",
+    precoDe: (nome, p) => `Faixa de preço de ${nome}: ${p}`,
+    comodidadeSim: (nome, chave) =>
+      ({
+        aceita_reserva: `**${nome}** aceita reservas. Se quiser, eu peço a reserva por aqui: é só dizer "quero reservar".`,
+        estacionamento: `**${nome}** tem estacionamento.`,
+        pet_friendly: `**${nome}** é pet friendly: aceita animais de estimação.`,
+        acessibilidade: `**${nome}** tem estrutura acessível para cadeirantes e pessoas com mobilidade reduzida.`,
+        espaco_kids: `**${nome}** tem espaço kids.`,
+        wifi: `**${nome}** tem Wi-Fi para clientes.`
+      })[chave],
+    comodidadeNao: (nome, chave) =>
+      ({
+        aceita_reserva: `**${nome}** não trabalha com reservas: o atendimento é por ordem de chegada.`,
+        estacionamento: `**${nome}** não tem estacionamento próprio.`,
+        pet_friendly: `**${nome}** não aceita animais de estimação.`,
+        acessibilidade: `**${nome}** informou que não tem estrutura acessível.`,
+        espaco_kids: `**${nome}** não tem espaço kids.`,
+        wifi: `**${nome}** não oferece Wi-Fi.`
+      })[chave],
+    comodidadeNaoInformada: (nome, chave) =>
+      `**${nome}** ainda não informou ${
+        {
+          aceita_reserva: "se aceita reservas",
+          cardapio_url: "o cardápio",
+          estacionamento: "se tem estacionamento",
+          pet_friendly: "se aceita animais de estimação",
+          acessibilidade: "se tem estrutura acessível",
+          espaco_kids: "se tem espaço kids",
+          formas_pagamento: "as formas de pagamento",
+          wifi: "se tem Wi-Fi"
+        }[chave]
+      }. Vale confirmar direto com o local.`,
+    cardapioDe: (nome, url) => `Cardápio de **${nome}**: ${url}`,
+    formasDePagamentoDe: (nome, formas) => `**${nome}** aceita: ${formas.map((f) => FORMAS_DE_PAGAMENTO_PT[f] || f).join(", ")}.`,
+    rotuloDaComodidade: (chave, valor) =>
+      chave === "formas_pagamento"
+        ? `pagamento com ${FORMAS_DE_PAGAMENTO_PT[valor] || valor}`
+        : { aceita_reserva: "reserva", estacionamento: "estacionamento", pet_friendly: "pet friendly", acessibilidade: "acessibilidade", espaco_kids: "espaço kids", wifi: "Wi-Fi" }[chave] || chave,
+    semConfirmacaoDeComodidade: (rotulos) => `_Nenhuma das opções informou ${rotulos}; vale confirmar com o local._`,
+    reservaSemParceiro: () =>
+      "Para pedir uma reserva, primeiro escolha o lugar: responda com o número ou o nome de uma das sugestões.",
+    reservaIniciada: (nome) => `Vou pedir sua reserva em **${nome}**.`,
+    perguntaDaReserva: (campo) =>
+      ({
+        data: "Para qual dia? (ex.: amanhã, sábado ou 25/10)",
+        hora: "Para que horas? (ex.: 20h)",
+        pessoas: "Para quantas pessoas?",
+        nome: "Em nome de quem fica a reserva?",
+        telefone: "Qual telefone (com DDD) o local pode usar para confirmar?"
+      })[campo],
+    problemaDaReserva: (motivo, { nome, faixas, maxPessoas, dias }) =>
+      ({
+        passado: "Essa data ou horário já passou.",
+        longe: `Consigo pedir reservas para os próximos ${dias} dias.`,
+        naoAbre: `**${nome}** não abre nesse dia.`,
+        fechado: `**${nome}** não está aberto nesse horário (nesse dia: ${faixas}).`,
+        pessoas: `Consigo pedir reservas de 1 a ${maxPessoas} pessoas; para grupos maiores, fale direto com o local.`
+      })[motivo],
+    naoEntendiReserva: () => "Não entendi.",
+    reservaSolicitada: (r) =>
+      `Pronto! Pedi sua reserva em **${r.parceiro}**: ${linhaDaReserva(r, "pt")}, em nome de ${r.nome}. Código: **${r.codigo}**.\n` +
+      `O local ainda precisa confirmar; é só me perguntar "status da reserva" para acompanhar.`,
+    erroAoRegistrarReserva: () => "Não consegui registrar o pedido de reserva agora. Pode tentar de novo em instantes?",
+    statusDasReservas: (reservas) =>
+      `Seus pedidos de reserva:\n${reservas
+        .map((r) => {
+          const status = { solicitada: "aguardando confirmação do local", confirmada: "confirmada", recusada: "recusada pelo local", cancelada: "cancelada" }[r.status];
+          return `• **${r.parceiro}**: ${linhaDaReserva(r, "pt")} (${r.codigo}): **${status}**${r.motivo ? ` (${r.motivo})` : ""}`;
+        })
+        .join("\n")}`,
+    semReservas: () => "Não encontrei pedidos de reserva nesta conversa.",
+    pedidoDeReservaCancelado: () => "Tudo bem, deixei de lado o pedido de reserva que estávamos montando.",
+    reservaCancelada: (r) => `Pronto, cancelei a reserva **${r.codigo}** em **${r.parceiro}**.`,
+    semReservaParaCancelar: () => "Não há reserva ativa nesta conversa para cancelar.",
+    voucherSemParceiro: () =>
+      "Para usar um benefício BEPIT, primeiro escolha o lugar: responda com o número ou o nome de uma das sugestões.",
+    semBeneficio: (nome) => `**${nome}** não tem benefício BEPIT no momento.`,
+    voucherEmitido: (v, jaEmitido) =>
+      `${jaEmitido ? "Seu voucher continua válido" : "Aqui está seu voucher"} para **${v.parceiro}**: **${v.codigo}** (${v.beneficio}).\n` +
+      `Mostre o código (ou o QR) no local até as ${validadeDoVoucher(v, "pt")}; ele vale uma vez.`,
+    limiteDeVouchers: (tipo, { nome, limite }) =>
+      tipo === "conversa"
+        ? `Esta conversa já recebeu ${limite} vouchers, o máximo permitido.`
+        : `Os vouchers de hoje para **${nome}** acabaram. Tente de novo amanhã.`,
+    erroAoEmitirVoucher: () => "Não consegui gerar o voucher agora. Pode tentar de novo em instantes?",
+    fallbackSaudacao: () =>
+      "Olá! Posso te ajudar com **restaurantes**, **passeios**, **praias**, **hospedagem** e mais. O que você procura?",
+    fallbackCidade: (cidade) =>
+      `Posso te orientar sobre ${cidade}: onde comer, o que fazer e como se locomover. Diga o que você quer que eu detalhe.`,
+    fallbackRegiao: (regiao, cidades) =>
+      `Posso te guiar pela ${regiao}. Diga se você busca restaurantes, passeios, praias ou hospedagem — e posso filtrar por cidade (${cidades}).`,
+    tituloSugestoes: () => "**Sugestões locais**",
+    comoEscolher: (cidades) =>
+      `Se quiser, responda com o **número** (ex.: 2) ou o **nome** (ex.: "a churrascaria"). ` +
+      `Também posso filtrar por cidade (${cidades}).`,
+    semParceiros: () =>
+      `_Não encontrei parceiros dessa categoria agora._ ` +
+      `Posso sugerir opções gerais da região, e quando houver oportunidade trago parceiros confiáveis com benefício BEPIT.`,
+    promptRespostaNatural: (c) => `
+Você é o BEPIT, concierge local, educado e sincero da região ${c.regiao}.
+Regras de resposta:
+- Responda de forma direta e útil à pergunta do usuário.
+- Se a pergunta for sobre distância, rotas, quando ir, tempo de visita, segurança, melhor época, etc., responda objetivamente.
+- Se for saudação ou conversa social, responda de forma breve e amigável, e convide a dizer o que procura.
+- Não invente fatos específicos sobre parceiros; dados locais detalhados virão em um bloco de sugestões depois (não invente).
+- Use a conversa anterior (se houver) para entender referências como "e para crianças?" ou "algo mais barato que isso".
+
+Contexto local:
+- Cidades disponíveis: ${c.cidades}.
+- Cidade em foco na conversa: ${c.cidade || "nenhuma"}.
+- Perfil do usuário (se conhecido): companhia=${c.companhia || "?"}, vibe=${c.vibe || "?"}, orçamento=${c.orcamento || "?"}.
+- Viagem: datas=${periodo(c.datas, "a")}, grupo=${c.grupo || "?"}.
+${c.historico ? `\nConversa até aqui:\n${c.historico}\n` : ""}
+Pergunta do usuário:
+"${c.pergunta}"
+
+Responda em 1 a 4 frases, em português do Brasil, sem listas numeradas nesta parte.`
+  },
+
+  en: {
+    parceiroNaoEncontrado: () => "I couldn't find that partner.",
+    categoriaNaoInformada: () => "category not provided",
+    beneficio: (b) => ` — BEPIT perk: ${b}`,
+    faixaDePreco: (f) => ` — Price range: ${f}`,
+    resumoDoParceiro: (nome, cat, benef, preco) =>
+      `About **${nome}** (${cat})${benef}${preco}. Would you like the **address**, **opening hours**, **contact/WhatsApp**, **price range** or **photos**?`,
+    horarioNaoInformado: () => "This partner hasn't provided opening hours.",
+    horarioDe: (nome, h) => `Opening hours for ${nome}: ${h}`,
+    enderecoNaoInformado: () => "Address not provided.",
+    enderecoDe: (nome, e) => `Address of ${nome}: ${e}`,
+    contatoNaoInformado: () => "Contact not provided.",
+    contatoDe: (nome, c) => `Contact for ${nome}: ${c}`,
+    rotaAte: (nome, endereco, distancia) =>
+      `To get to **${nome}**${endereco ? ` (${endereco})` : ""}` +
+      (distancia ? `: it is ${distancia} from you in a straight line.` : ", use the link below."),
+    semLocalizacaoDoParceiro: (nome) => `I don't have the location of ${nome} yet.`,
+    distanciaAte: (distancia) => ` — ${distancia} away`,
+    pedirLocalizacao: () => "_To find options near you, share your location._",
+    pertoDe: (lugar) => `_Closest to ${lugar} first._`,
+    perguntaPertoDeMim: () => "what is near me?",
+    whatsappSaida: () => "Done, you won't receive messages from BEPIT anymore. If you change your mind, send *start*.",
+    whatsappVolta: () => "Welcome back! Tell me what you are looking for.",
+    whatsappSemTexto: () => "For now I only understand text and location messages. Could you type what you are looking for?",
+    whatsappErro: () => "I had a problem answering right now. Could you try again in a moment?",
+    rotuloDoCanal: (canal) => ({ whatsapp: "WhatsApp", telefone: "Call", mapa: "View on map", site: "Website" })[canal] || canal,
+    fotosDe: (nome) => `Here are some photos of ${nome}.`,
+    semFotos: (nome) => `I couldn't find photos of ${nome}.`,
+    precoNaoInformado: () => "Price range not provided.",
+    precoDe: (nome, p) => `Price range at ${nome}: ${p}`,
+    comodidadeSim: (nome, chave) =>
+      ({
+        aceita_reserva: `**${nome}** takes reservations. I can request one for you here: just say "book a table".`,
+        estacionamento: `**${nome}** has parking.`,
+        pet_friendly: `**${nome}** is pet friendly.`,
+        acessibilidade: `**${nome}** is wheelchair accessible.`,
+        espaco_kids: `**${nome}** has a kids area.`,
+        wifi: `**${nome}** has Wi-Fi for guests.`
+      })[chave],
+    comodidadeNao: (nome, chave) =>
+      ({
+        aceita_reserva: `**${nome}** doesn't take reservations: it's first come, first served.`,
+        estacionamento: `**${nome}** doesn't have its own parking.`,
+        pet_friendly: `**${nome}** doesn't allow pets.`,
+        acessibilidade: `**${nome}** says it isn't wheelchair accessible.`,
+        espaco_kids: `**${nome}** doesn't have a kids area.`,
+        wifi: `**${nome}** doesn't offer Wi-Fi.`
+      })[chave],
+    comodidadeNaoInformada: (nome, chave) =>
+      `**${nome}** hasn't told us ${
+        {
+          aceita_reserva: "whether it takes reservations",
+          cardapio_url: "its menu yet",
+          estacionamento: "whether it has parking",
+          pet_friendly: "whether pets are allowed",
+          acessibilidade: "whether it is wheelchair accessible",
+          espaco_kids: "whether it has a kids area",
+          formas_pagamento: "which payment methods it accepts",
+          wifi: "whether it has Wi-Fi"
+        }[chave]
+      }. It's worth checking with them directly.`,
+    cardapioDe: (nome, url) => `Menu for **${nome}**: ${url}`,
+    formasDePagamentoDe: (nome, formas) => `**${nome}** accepts: ${formas.map((f) => FORMAS_DE_PAGAMENTO_EN[f] || f).join(", ")}.`,
+    rotuloDaComodidade: (chave, valor) =>
+      chave === "formas_pagamento"
+        ? `payment by ${FORMAS_DE_PAGAMENTO_EN[valor] || valor}`
+        : { aceita_reserva: "reservations", estacionamento: "parking", pet_friendly: "pet friendly", acessibilidade: "wheelchair access", espaco_kids: "kids area", wifi: "Wi-Fi" }[chave] || chave,
+    semConfirmacaoDeComodidade: (rotulos) => `_None of these places has confirmed ${rotulos}; it's worth checking with them._`,
+    reservaSemParceiro: () => "To request a reservation, first pick the place: reply with the number or the name of one of the suggestions.",
+    reservaIniciada: (nome) => `I'll request your reservation at **${nome}**.`,
+    perguntaDaReserva: (campo) =>
+      ({
+        data: "For which day? (e.g. tomorrow, Saturday or 25/10)",
+        hora: "What time? (e.g. 8pm)",
+        pessoas: "For how many people?",
+        nome: "What name should the reservation be under?",
+        telefone: "Which phone number (with area code) can the place use to confirm?"
+      })[campo],
+    problemaDaReserva: (motivo, { nome, faixas, maxPessoas, dias }) =>
+      ({
+        passado: "That date or time has already passed.",
+        longe: `I can request reservations for the next ${dias} days.`,
+        naoAbre: `**${nome}** is closed on that day.`,
+        fechado: `**${nome}** is not open at that time (that day: ${faixas}).`,
+        pessoas: `I can request reservations for 1 to ${maxPessoas} people; for larger groups, contact the place directly.`
+      })[motivo],
+    naoEntendiReserva: () => "Sorry, I didn't get that.",
+    reservaSolicitada: (r) =>
+      `Done! I requested your reservation at **${r.parceiro}**: ${linhaDaReserva(r, "en")}, under ${r.nome}. Code: **${r.codigo}**.\n` +
+      `The place still needs to confirm it; just ask me "reservation status" to follow up.`,
+    erroAoRegistrarReserva: () => "I couldn't register the reservation request right now. Could you try again in a moment?",
+    statusDasReservas: (reservas) =>
+      `Your reservation requests:\n${reservas
+        .map((r) => {
+          const status = { solicitada: "waiting for the place to confirm", confirmada: "confirmed", recusada: "declined by the place", cancelada: "cancelled" }[r.status];
+          return `• **${r.parceiro}**: ${linhaDaReserva(r, "en")} (${r.codigo}): **${status}**${r.motivo ? ` (${r.motivo})` : ""}`;
+        })
+        .join("\n")}`,
+    semReservas: () => "I couldn't find any reservation requests in this conversation.",
+    pedidoDeReservaCancelado: () => "No problem, I dropped the reservation request we were putting together.",
+    reservaCancelada: (r) => `Done, I cancelled reservation **${r.codigo}** at **${r.parceiro}**.`,
+    semReservaParaCancelar: () => "There's no active reservation in this conversation to cancel.",
+    voucherSemParceiro: () => "To use a BEPIT perk, first pick the place: reply with the number or the name of one of the suggestions.",
+    semBeneficio: (nome) => `**${nome}** has no BEPIT perk at the moment.`,
+    voucherEmitido: (v, jaEmitido) =>
+      `${jaEmitido ? "Your voucher is still valid" : "Here is your voucher"} for **${v.parceiro}**: **${v.codigo}** (${v.beneficio}).\n` +
+      `Show the code (or the QR) at the place until ${validadeDoVoucher(v, "en")}; it can be used once.`,
+    limiteDeVouchers: (tipo, { nome, limite }) =>
+      tipo === "conversa"
+        ? `This conversation has already received ${limite} vouchers, the maximum allowed.`
+        : `Today's vouchers for **${nome}** have run out. Please try again tomorrow.`,
+    erroAoEmitirVoucher: () => "I couldn't generate the voucher right now. Could you try again in a moment?",
+    fallbackSaudacao: () =>
+      "Hi! I can help you with **restaurants**, **tours**, **beaches**, **places to stay** and more. What are you looking for?",
+    fallbackCidade: (cidade) =>
+      `I can help you with ${cidade}: where to eat, what to do and how to get around. Tell me what you'd like to know.`,
+    fallbackRegiao: (regiao, cidades) =>
+      `I can guide you around ${regiao}. Tell me if you're looking for restaurants, tours, beaches or places to stay — I can also filter by city (${cidades}).`,
+    tituloSugestoes: () => "**Local suggestions**",
+    comoEscolher: (cidades) =>
+      `If you like, reply with the **number** (e.g. 2) or the **name** of the place. ` +
+      `I can also filter by city (${cidades}).`,
+    semParceiros: () =>
+      `_I couldn't find partners in that category right now._ ` +
+      `I can suggest general options in the region, and bring trusted partners with BEPIT perks when available.`,
+    promptRespostaNatural: (c) => `
+You are BEPIT, a polite and honest local concierge for the ${c.regiao} region.
+Answer rules:
+- Answer the user's question directly and helpfully.
+- If the question is about distances, routes, when to go, how long to stay, safety, best season, etc., answer objectively.
+- If it is a greeting or small talk, reply briefly and kindly, and invite them to say what they are looking for.
+- Do not make up specific facts about partners; detailed local data will come in a suggestions block afterwards (do not invent).
+- Use the previous conversation (if any) to understand references such as "and for kids?" or "something cheaper than that".
+
+Local context:
+- Available cities: ${c.cidades}.
+- City in focus: ${c.cidade || "none"}.
+- User profile (if known): company=${c.companhia || "?"}, vibe=${c.vibe || "?"}, budget=${c.orcamento || "?"}.
+- Trip: dates=${periodo(c.datas, "to")}, group=${c.grupo || "?"}.
+${c.historico ? `\nConversation so far:\n${c.historico}\n` : ""}
+User question:
+"${c.pergunta}"
+
+Answer in 1 to 4 sentences, in English, without numbered lists in this part.`
+  },
+
+  es: {
+    parceiroNaoEncontrado: () => "No encontré ese socio.",
+    categoriaNaoInformada: () => "categoría no informada",
+    beneficio: (b) => ` — Beneficio BEPIT: ${b}`,
+    faixaDePreco: (f) => ` — Rango de precios: ${f}`,
+    resumoDoParceiro: (nome, cat, benef, preco) =>
+      `Sobre **${nome}** (${cat})${benef}${preco}. ¿Quieres la **dirección**, el **horario**, el **contacto/WhatsApp**, el **rango de precios** o **fotos**?`,
+    horarioNaoInformado: () => "El socio no informó su horario de atención.",
+    horarioDe: (nome, h) => `Horario de ${nome}: ${h}`,
+    enderecoNaoInformado: () => "Dirección no informada.",
+    enderecoDe: (nome, e) => `Dirección de ${nome}: ${e}`,
+    contatoNaoInformado: () => "Contacto no informado.",
+    contatoDe: (nome, c) => `Contacto de ${nome}: ${c}`,
+    rotaAte: (nome, endereco, distancia) =>
+      `Para llegar a **${nome}**${endereco ? ` (${endereco})` : ""}` +
+      (distancia ? `: está a ${distancia} de ti en línea recta.` : ", usa el enlace de abajo."),
+    semLocalizacaoDoParceiro: (nome) => `Todavía no tengo la ubicación de ${nome}.`,
+    distanciaAte: (distancia) => ` — a ${distancia}`,
+    pedirLocalizacao: () => "_Para encontrar opciones cerca de ti, comparte tu ubicación._",
+    pertoDe: (lugar) => `_Primero lo más cerca de ${lugar}._`,
+    perguntaPertoDeMim: () => "¿qué hay cerca de mí?",
+    whatsappSaida: () => "Listo, ya no recibirás mensajes de BEPIT. Si cambias de idea, envía *volver*.",
+    whatsappVolta: () => "¡Qué bueno tenerte de vuelta! Dime qué buscas.",
+    whatsappSemTexto: () => "Por ahora solo entiendo mensajes de texto y ubicación. ¿Puedes escribir lo que buscas?",
+    whatsappErro: () => "Tuve un problema para responder ahora. ¿Puedes intentarlo de nuevo en un momento?",
+    rotuloDoCanal: (canal) => ({ whatsapp: "WhatsApp", telefone: "Llamar", mapa: "Ver en el mapa", site: "Sitio web" })[canal] || canal,
+    fotosDe: (nome) => `Aquí tienes algunas fotos de ${nome}.`,
+    semFotos: (nome) => `No encontré fotos de ${nome}.`,
+    precoNaoInformado: () => "Rango de precios no informado.",
+    precoDe: (nome, p) => `Rango de precios de ${nome}: ${p}`,
+    comodidadeSim: (nome, chave) =>
+      ({
+        aceita_reserva: `**${nome}** acepta reservas. Si quieres, la pido por aquí: solo di "quiero reservar".`,
+        estacionamento: `**${nome}** tiene estacionamiento.`,
+        pet_friendly: `**${nome}** es pet friendly: acepta mascotas.`,
+        acessibilidade: `**${nome}** es accesible para personas en silla de ruedas o con movilidad reducida.`,
+        espaco_kids: `**${nome}** tiene zona infantil.`,
+        wifi: `**${nome}** tiene Wi-Fi para clientes.`
+      })[chave],
+    comodidadeNao: (nome, chave) =>
+      ({
+        aceita_reserva: `**${nome}** no trabaja con reservas: se atiende por orden de llegada.`,
+        estacionamento: `**${nome}** no tiene estacionamiento propio.`,
+        pet_friendly: `**${nome}** no acepta mascotas.`,
+        acessibilidade: `**${nome}** informó que no es accesible.`,
+        espaco_kids: `**${nome}** no tiene zona infantil.`,
+        wifi: `**${nome}** no ofrece Wi-Fi.`
+      })[chave],
+    comodidadeNaoInformada: (nome, chave) =>
+      `**${nome}** todavía no informó ${
+        {
+          aceita_reserva: "si acepta reservas",
+          cardapio_url: "su menú",
+          estacionamento: "si tiene estacionamiento",
+          pet_friendly: "si acepta mascotas",
+          acessibilidade: "si es accesible",
+          espaco_kids: "si tiene zona infantil",
+          formas_pagamento: "las formas de pago",
+          wifi: "si tiene Wi-Fi"
+        }[chave]
+      }. Conviene confirmarlo directamente con el lugar.`,
+    cardapioDe: (nome, url) => `Menú de **${nome}**: ${url}`,
+    formasDePagamentoDe: (nome, formas) => `**${nome}** acepta: ${formas.map((f) => FORMAS_DE_PAGAMENTO_ES[f] || f).join(", ")}.`,
+    rotuloDaComodidade: (chave, valor) =>
+      chave === "formas_pagamento"
+        ? `pago con ${FORMAS_DE_PAGAMENTO_ES[valor] || valor}`
+        : { aceita_reserva: "reservas", estacionamento: "estacionamiento", pet_friendly: "pet friendly", acessibilidade: "accesibilidad", espaco_kids: "zona infantil", wifi: "Wi-Fi" }[chave] || chave,
+    semConfirmacaoDeComodidade: (rotulos) => `_Ninguna de estas opciones confirmó ${rotulos}; conviene preguntar en el lugar._`,
+    reservaSemParceiro: () => "Para pedir una reserva, primero elige el lugar: responde con el número o el nombre de una de las sugerencias.",
+    reservaIniciada: (nome) => `Voy a pedir tu reserva en **${nome}**.`,
+    perguntaDaReserva: (campo) =>
+      ({
+        data: "¿Para qué día? (ej.: mañana, sábado o 25/10)",
+        hora: "¿A qué hora? (ej.: 20h)",
+        pessoas: "¿Para cuántas personas?",
+        nome: "¿A nombre de quién queda la reserva?",
+        telefone: "¿Qué teléfono (con código de área) puede usar el lugar para confirmar?"
+      })[campo],
+    problemaDaReserva: (motivo, { nome, faixas, maxPessoas, dias }) =>
+      ({
+        passado: "Esa fecha u hora ya pasó.",
+        longe: `Puedo pedir reservas para los próximos ${dias} días.`,
+        naoAbre: `**${nome}** no abre ese día.`,
+        fechado: `**${nome}** no está abierto a esa hora (ese día: ${faixas}).`,
+        pessoas: `Puedo pedir reservas de 1 a ${maxPessoas} personas; para grupos más grandes, habla directamente con el lugar.`
+      })[motivo],
+    naoEntendiReserva: () => "No te entendí.",
+    reservaSolicitada: (r) =>
+      `¡Listo! Pedí tu reserva en **${r.parceiro}**: ${linhaDaReserva(r, "es")}, a nombre de ${r.nome}. Código: **${r.codigo}**.\n` +
+      `El lugar todavía tiene que confirmarla; pregúntame "estado de la reserva" para seguirla.`,
+    erroAoRegistrarReserva: () => "No pude registrar el pedido de reserva ahora. ¿Puedes intentarlo de nuevo en un momento?",
+    statusDasReservas: (reservas) =>
+      `Tus pedidos de reserva:\n${reservas
+        .map((r) => {
+          const status = { solicitada: "esperando la confirmación del lugar", confirmada: "confirmada", recusada: "rechazada por el lugar", cancelada: "cancelada" }[r.status];
+          return `• **${r.parceiro}**: ${linhaDaReserva(r, "es")} (${r.codigo}): **${status}**${r.motivo ? ` (${r.motivo})` : ""}`;
+        })
+        .join("\n")}`,
+    semReservas: () => "No encontré pedidos de reserva en esta conversación.",
+    pedidoDeReservaCancelado: () => "De acuerdo, dejé de lado el pedido de reserva que estábamos armando.",
+    reservaCancelada: (r) => `Listo, cancelé la reserva **${r.codigo}** en **${r.parceiro}**.`,
+    semReservaParaCancelar: () => "No hay ninguna reserva activa en esta conversación para cancelar.",
+    voucherSemParceiro: () =>
+      "Para usar un beneficio BEPIT, primero elige el lugar: responde con el número o el nombre de una de las sugerencias.",
+    semBeneficio: (nome) => `**${nome}** no tiene beneficio BEPIT por ahora.`,
+    voucherEmitido: (v, jaEmitido) =>
+      `${jaEmitido ? "Tu voucher sigue válido" : "Aquí está tu voucher"} para **${v.parceiro}**: **${v.codigo}** (${v.beneficio}).\n` +
+      `Muestra el código (o el QR) en el local hasta las ${validadeDoVoucher(v, "es")}; vale una sola vez.`,
+    limiteDeVouchers: (tipo, { nome, limite }) =>
+      tipo === "conversa"
+        ? `Esta conversación ya recibió ${limite} vouchers, el máximo permitido.`
+        : `Los vouchers de hoy para **${nome}** se agotaron. Inténtalo de nuevo mañana.`,
+    erroAoEmitirVoucher: () => "No pude generar el voucher ahora. ¿Puedes intentarlo de nuevo en un momento?",
+    fallbackSaudacao: () =>
+      "¡Hola! Puedo ayudarte con **restaurantes**, **paseos**, **playas**, **alojamiento** y más. ¿Qué estás buscando?",
+    fallbackCidade: (cidade) =>
+      `Puedo orientarte sobre ${cidade}: dónde comer, qué hacer y cómo moverte. Dime qué quieres que te detalle.`,
+    fallbackRegiao: (regiao, cidades) =>
+      `Puedo guiarte por ${regiao}. Dime si buscas restaurantes, paseos, playas o alojamiento — y puedo filtrar por ciudad (${cidades}).`,
+    tituloSugestoes: () => "**Sugerencias locales**",
+    comoEscolher: (cidades) =>
+      `Si quieres, responde con el **número** (ej.: 2) o el **nombre** del lugar. ` +
+      `También puedo filtrar por ciudad (${cidades}).`,
+    semParceiros: () =>
+      `_No encontré socios de esa categoría por ahora._ ` +
+      `Puedo sugerir opciones generales de la región y, cuando sea posible, traer socios de confianza con beneficio BEPIT.`,
+    promptRespostaNatural: (c) => `
+Eres BEPIT, un conserje local, educado y sincero de la región ${c.regiao}.
+Reglas de respuesta:
+- Responde de forma directa y útil a la pregunta del usuario.
+- Si la pregunta es sobre distancias, rutas, cuándo ir, tiempo de visita, seguridad, mejor época, etc., responde de forma objetiva.
+- Si es un saludo o charla social, responde de forma breve y amable, e invita a decir qué busca.
+- No inventes datos específicos sobre socios; la información local detallada vendrá después en un bloque de sugerencias (no inventes).
+- Usa la conversación anterior (si existe) para entender referencias como "¿y para niños?" o "algo más barato que eso".
+
+Contexto local:
+- Ciudades disponibles: ${c.cidades}.
+- Ciudad en foco: ${c.cidade || "ninguna"}.
+- Perfil del usuario (si se conoce): compañía=${c.companhia || "?"}, ambiente=${c.vibe || "?"}, presupuesto=${c.orcamento || "?"}.
+- Viaje: fechas=${periodo(c.datas, "al")}, grupo=${c.grupo || "?"}.
+${c.historico ? `\nConversación hasta ahora:\n${c.historico}\n` : ""}
+Pregunta del usuario:
+"${c.pergunta}"
+
+Responde en 1 a 4 frases, en español, sin listas numeradas en esta parte.`
+  }
+};
+
+/** Texto do catálogo no idioma pedido (chave ausente → português). */
+export function texto(idioma, chave, ...args) {
+  const fn = TEXTOS[idioma]?.[chave] || TEXTOS[IDIOMA_PADRAO][chave];
+  if (!fn) throw new Error(`Texto '${chave}' não existe no catálogo de idiomas.`);
+  return String(fn(...args)).trim();
+}
+
+// ------------------------- TRADUÇÕES DE PARCEIROS ---------------------------
+/** Valor do campo no idioma pedido, com fallback para o original em português. */
+export function campoTraduzido(parceiro, campo, idioma) {
+  if (!parceiro) return null;
+  const traduzido = idioma !== IDIOMA_PADRAO ? parceiro.traducoes?.[idioma]?.[campo] : null;
+  return traduzido || parceiro[campo] || null;
+}
+
+/** Valida parceiros.traducoes. Retorna [{ campo, mensagem }] (vazio = ok). */
+export function validarTraducoes(traducoes) {
+  if (traducoes === undefined || traducoes === null) return [];
+  if (typeof traducoes !== "object" || Array.isArray(traducoes)) {
+    return [{ campo: "traducoes", mensagem: "deve ser um objeto por idioma ({ en: {...}, es: {...} })" }];
+  }
+  const erros = [];
+  for (const [idioma, campos] of Object.entries(traducoes)) {
+    if (!IDIOMAS.includes(idioma) || idioma === IDIOMA_PADRAO) {
+      erros.push({ campo: `traducoes.${idioma}`, mensagem: `idioma não suportado (use ${IDIOMAS.filter((i) => i !== IDIOMA_PADRAO).join(", ")})` });
+      continue;
+    }
+    if (!campos || typeof campos !== "object" || Array.isArray(campos)) {
+      erros.push({ campo: `traducoes.${idioma}`, mensagem: "deve ser um objeto com os campos traduzidos" });
+      continue;
+    }
+    for (const [campo, valor] of Object.entries(campos)) {
+      if (!CAMPOS_TRADUZIVEIS.includes(campo)) {
+        erros.push({ campo: `traducoes.${idioma}.${campo}`, mensagem: `campo não traduzível (use ${CAMPOS_TRADUZIVEIS.join(", ")})` });
+      } else if (valor !== null && typeof valor !== "string") {
+        erros.push({ campo: `traducoes.${idioma}.${campo}`, mensagem: "deve ser texto" });
+      }
+    }
+  }
+  return erros;
+}
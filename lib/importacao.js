@@ -0,0 +1,286 @@
+// F:\uber-chat-mvp\backend-oficial\lib\importacao.js
+// ============================================================================
+// Importação / exportação em lote de parceiros e dicas (CSV ou JSON)
+// - Mesmas colunas nos dois sentidos, para ida e volta por planilha:
+//     chave_externa, id, regiao_slug, cidade_slug, tipo, nome, categoria,
+//     descricao, beneficio_bepit, endereco, contato, tags, horario_funcionamento,
+//     horario_estruturado, faixa_preco, fotos_parceiros, traducoes, latitude,
+//     longitude, comodidades, ativo
+// - CSV: separador "," ou ";" (detectado pelo cabeçalho), aspas RFC 4180;
+//   listas (tags, fotos) separadas por "|"; horario_estruturado/traducoes/
+//   comodidades em JSON
+// - Upsert pela chave_externa (estável entre importações); sem ela, pelo id
+// ============================================================================
+
+import { parseHorarioTextoLivre } from "./horarios.js";
+import { ESQUEMA_PARCEIRO, validarPayload } from "./esquemas.js";
+
+export const COLUNAS = [
+  "chave_externa",
+  "id",
+  "regiao_slug",
+  "cidade_slug",
+  "tipo",
+  "nome",
+  "categoria",
+  "descricao",
+  "beneficio_bepit",
+  "endereco",
+  "contato",
+  "tags",
+  "horario_funcionamento",
+  "horario_estruturado",
+  "faixa_preco",
+  "fotos_parceiros",
+  "traducoes",
+  "latitude",
+  "longitude",
+  "comodidades",
+  "ativo"
+];
+
+const SEPARADOR_DE_LISTA = "|";
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// --------------------------------- CSV --------------------------------------
+function detectarSeparador(primeiraLinha) {
+  const virgulas = (primeiraLinha.match(/,/g) || []).length;
+  const pontoEVirgulas = (primeiraLinha.match(/;/g) || []).length;
+  return pontoEVirgulas > virgulas ? ";" : ",";
+}
+
+/** CSV → lista de linhas (arrays de células). Aceita aspas, "" escapado e quebras dentro de aspas. */
+export function lerCsv(texto) {
+  const conteudo = String(texto || "").replace(/^\uFEFF/, "");
+  const separador = detectarSeparador(conteudo.split(/\r?\n/, 1)[0] || "");
+  const linhas = [];
+  let linha = [];
+  let celula = "";
+  let entreAspas = false;
+
+  for (let i = 0; i < conteudo.length; i++) {
+    const c = conteudo[i];
+    if (entreAspas) {
+      if (c === '"' && conteudo[i + 1] === '"') {
+        celula += '"';
+        i++;
+      } else if (c === '"') {
+        entreAspas = false;
+      } else {
+        celula += c;
+      }
+    } else if (c === '"') {
+      entreAspas = true;
+    } else if (c === separador) {
+      linha.push(celula);
+      celula = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && conteudo[i + 1] === "\n") i++;
+      linha.push(celula);
+      linhas.push(linha);
+      linha = [];
+      celula = "";
+    } else {
+      celula += c;
+    }
+  }
+  if (celula !== "" || linha.length > 0) {
+    linha.push(celula);
+    linhas.push(linha);
+  }
+  return linhas.filter((l) => l.some((v) => v.trim() !== ""));
+}
+
+function celulaCsv(valor) {
+  const texto = valor === null || valor === undefined ? "" : String(valor);
+  return /[",;\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/** Lista de objetos → CSV (separador ","); colunas padrão = as da importação. */
+export function escreverCsv(registros, colunas = COLUNAS) {
+  const linhas = [colunas.join(",")];
+  for (const r of registros) linhas.push(colunas.map((c) => celulaCsv(r[c])).join(","));
+  return linhas.join("\r\n") + "\r\n";
+}
+
+/**
+ * Converte o corpo recebido em registros { coluna: valor }.
+ * CSV: primeira linha é o cabeçalho. JSON: array ou { itens: [...] }.
+ * Retorna { registros, erro }.
+ */
+export function lerArquivoDeImportacao(corpo) {
+  if (typeof corpo === "string") {
+    const linhas = lerCsv(corpo);
+    if (linhas.length === 0) return { registros: [], erro: "arquivo vazio" };
+    const cabecalho = linhas[0].map((c) => c.trim().toLowerCase());
+    const desconhecidas = cabecalho.filter((c) => c && !COLUNAS.includes(c));
+    if (desconhecidas.length > 0) return { registros: [], erro: `colunas desconhecidas: ${desconhecidas.join(", ")}` };
+    const registros = linhas.slice(1).map((l) => {
+      const registro = { _formato: "csv" };
+      cabecalho.forEach((coluna, i) => {
+        if (coluna) registro[coluna] = l[i] !== undefined ? l[i].trim() : "";
+      });
+      return registro;
+    });
+    return { registros, erro: null };
+  }
+
+  const lista = Array.isArray(corpo) ? corpo : Array.isArray(corpo?.itens) ? corpo.itens : null;
+  if (!lista) return { registros: [], erro: "envie um CSV (text/csv) ou JSON (array ou { itens: [...] })" };
+  return { registros: lista.map((r) => ({ ...(r && typeof r === "object" ? r : {}), _formato: "json" })), erro: null };
+}
+
+// ------------------------------ VALIDAÇÃO -----------------------------------
+function vazio(v) {
+  return v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+}
+
+function lista(valor) {
+  if (vazio(valor)) return null;
+  if (Array.isArray(valor)) return valor.map((v) => String(v).trim()).filter(Boolean);
+  return String(valor).split(SEPARADOR_DE_LISTA).map((v) => v.trim()).filter(Boolean);
+}
+
+function jsonDaCelula(valor, campo, erros) {
+  if (vazio(valor)) return null;
+  if (typeof valor === "object") return valor;
+  try {
+    return JSON.parse(String(valor));
+  } catch {
+    erros.push({ campo, mensagem: "JSON inválido" });
+    return null;
+  }
+}
+
+// Planilhas em pt-BR costumam trazer "-22,8791"
+function numeroDaCelula(valor, campo, erros) {
+  if (vazio(valor)) return null;
+  const n = typeof valor === "number" ? valor : Number(String(valor).trim().replace(",", "."));
+  if (!Number.isFinite(n)) {
+    erros.push({ campo, mensagem: "número inválido" });
+    return null;
+  }
+  return n;
+}
+
+function booleano(valor, erros) {
+  if (vazio(valor)) return null;
+  if (typeof valor === "boolean") return valor;
+  const v = String(valor).trim().toLowerCase();
+  if (["true", "1", "sim", "s", "yes"].includes(v)) return true;
+  if (["false", "0", "nao", "não", "n", "no"].includes(v)) return false;
+  erros.push({ campo: "ativo", mensagem: "use true/false" });
+  return null;
+}
+
+/**
+ * Valida um registro e monta o parceiro a gravar.
+ * resolverCidade(regiaoSlug, cidadeSlug) → { id, regiao_id } | null (já carregado pela rota).
+ * Retorna { parceiro (inserção), atualizacao (só colunas enviadas), chaveExterna, id, regiaoId, erros }.
+ */
+export function prepararRegistro(registro, { regiaoSlugPadrao = null, resolverCidade }) {
+  const erros = [];
+  const texto = (campo) => (vazio(registro[campo]) ? null : String(registro[campo]).trim());
+
+  const chaveExterna = texto("chave_externa");
+  const id = texto("id");
+  if (!chaveExterna && !id) erros.push({ campo: "chave_externa", mensagem: "obrigatória (ou id de um parceiro existente)" });
+  if (id && !UUID.test(id)) erros.push({ campo: "id", mensagem: "uuid inválido" });
+
+  const regiaoSlug = texto("regiao_slug") || regiaoSlugPadrao;
+  const cidadeSlug = texto("cidade_slug");
+  const cidade = regiaoSlug && cidadeSlug ? resolverCidade(regiaoSlug, cidadeSlug) : null;
+  if (!regiaoSlug) erros.push({ campo: "regiao_slug", mensagem: "obrigatório" });
+  if (!cidadeSlug) erros.push({ campo: "cidade_slug", mensagem: "obrigatório" });
+  else if (regiaoSlug && !cidade) erros.push({ campo: "cidade_slug", mensagem: `cidade '${cidadeSlug}' não existe em '${regiaoSlug}'` });
+
+  const lido = {
+    chave_externa: chaveExterna,
+    tipo: texto("tipo")?.toUpperCase(),
+    nome: texto("nome"),
+    categoria: texto("categoria"),
+    descricao: texto("descricao"),
+    beneficio_bepit: texto("beneficio_bepit"),
+    endereco: texto("endereco"),
+    contato: texto("contato"),
+    tags: lista(registro.tags),
+    horario_funcionamento: texto("horario_funcionamento"),
+    horario_estruturado: jsonDaCelula(registro.horario_estruturado, "horario_estruturado", erros),
+    faixa_preco: texto("faixa_preco"),
+    fotos_parceiros: lista(registro.fotos_parceiros),
+    traducoes: jsonDaCelula(registro.traducoes, "traducoes", erros),
+    latitude: numeroDaCelula(registro.latitude, "latitude", erros),
+    longitude: numeroDaCelula(registro.longitude, "longitude", erros),
+    comodidades: jsonDaCelula(registro.comodidades, "comodidades", erros),
+    ativo: booleano(registro.ativo, erros)
+  };
+
+  if ((lido.latitude === null) !== (lido.longitude === null)) {
+    erros.push({ campo: lido.latitude === null ? "latitude" : "longitude", mensagem: "informe latitude e longitude juntas" });
+  }
+
+  // Células vazias contam como ausentes: o esquema aplica obrigatórios e padrões
+  const { valores, erros: errosDoEsquema } = validarPayload(
+    ESQUEMA_PARCEIRO,
+    Object.fromEntries(Object.entries(lido).filter(([, v]) => v !== null && v !== undefined))
+  );
+  erros.push(...errosDoEsquema);
+  if (!valores.horario_estruturado && valores.horario_funcionamento) {
+    valores.horario_estruturado = parseHorarioTextoLivre(valores.horario_funcionamento);
+  }
+  const parceiro = { ...valores, cidade_id: cidade?.id || null };
+  const { tipo, nome, horario_estruturado: horarioEstruturado } = parceiro;
+
+  // Atualização só mexe nas colunas que vieram no arquivo (CSV com menos colunas
+  // ou JSON parcial não apagam o resto); localização, tipo e nome sempre vão
+  const atualizacao = { cidade_id: parceiro.cidade_id, tipo, nome };
+  if (chaveExterna) atualizacao.chave_externa = chaveExterna;
+  for (const coluna of Object.keys(parceiro)) {
+    if (coluna in atualizacao || !(coluna in registro)) continue;
+    atualizacao[coluna] = parceiro[coluna];
+  }
+  if ("horario_funcionamento" in registro && !("horario_estruturado" in registro)) {
+    atualizacao.horario_estruturado = horarioEstruturado;
+  }
+
+  return { parceiro, atualizacao, chaveExterna, id, regiaoId: cidade?.regiao_id || null, erros };
+}
+
+// ------------------------------ EXPORTAÇÃO ----------------------------------
+/** Parceiro do banco → registro de exportação (CSV achata listas e JSON). */
+export function registroDeExportacao(parceiro, { regiaoSlug, cidadeSlug }, formato = "json") {
+  const registro = {
+    chave_externa: parceiro.chave_externa || null,
+    id: parceiro.id,
+    regiao_slug: regiaoSlug,
+    cidade_slug: cidadeSlug,
+    tipo: parceiro.tipo || "PARCEIRO",
+    nome: parceiro.nome,
+    categoria: parceiro.categoria || null,
+    descricao: parceiro.descricao || null,
+    beneficio_bepit: parceiro.beneficio_bepit || null,
+    endereco: parceiro.endereco || null,
+    contato: parceiro.contato || null,
+    tags: Array.isArray(parceiro.tags) ? parceiro.tags : [],
+    horario_funcionamento: parceiro.horario_funcionamento || null,
+    horario_estruturado: parceiro.horario_estruturado || null,
+    faixa_preco: parceiro.faixa_preco || null,
+    fotos_parceiros: Array.isArray(parceiro.fotos_parceiros) ? parceiro.fotos_parceiros : [],
+    traducoes: parceiro.traducoes || null,
+    latitude: parceiro.latitude ?? null,
+    longitude: parceiro.longitude ?? null,
+    comodidades: parceiro.comodidades && Object.keys(parceiro.comodidades).length > 0 ? parceiro.comodidades : null,
+    ativo: parceiro.ativo !== false
+  };
+  if (formato !== "csv") return registro;
+
+  return {
+    ...registro,
+    tags: registro.tags.join(SEPARADOR_DE_LISTA),
+    fotos_parceiros: registro.fotos_parceiros.join(SEPARADOR_DE_LISTA),
+    horario_estruturado: registro.horario_estruturado ? JSON.stringify(registro.horario_estruturado) : "",
+    traducoes: registro.traducoes ? JSON.stringify(registro.traducoes) : "",
+    comodidades: registro.comodidades ? JSON.stringify(registro.comodidades) : "",
+    ativo: registro.ativo ? "true" : "false"
+  };
+}
@@ -0,0 +1,116 @@
+// F:\uber-chat-mvp\backend-oficial\lib\leads.js
+// ============================================================================
+// Links de ação rastreados (WhatsApp, telefone, mapa, site)
+// - Destinos saem de parceiros.contato (texto livre: telefones, wa.me, URLs) e
+//   das coordenadas (rota no Google Maps) ou, sem elas, do endereço (busca)
+// - O chat entrega /l/:codigo (tabela links_acao); o clique vira evento "lead"
+//   e redireciona para o destino
+// - Base pública dos links: PUBLIC_BASE_URL. Sem ela um /l/... relativo não
+//   abre no WhatsApp nem no front (outra origem): o chat usa os destinos diretos
+// ============================================================================
+
+import { randomBytes } from "crypto";
+import { coordenadasDe, linkDeRota } from "./geo.js";
+
+export const CANAIS_DE_LEAD = ["whatsapp", "telefone", "mapa", "site"];
+
+const BASE_PUBLICA = String(process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+/** Há base pública para os links /l/:codigo? */
+export const LINKS_RASTREADOS = Boolean(BASE_PUBLICA);
+const DDI_PADRAO = "55";
+
+// ------------------------------ DESTINOS ------------------------------------
+// "(22) 99876-5432" → "5522998765432"; curto demais → null
+function telefoneInternacional(trecho) {
+  const digitos = trecho.replace(/\D/g, "");
+  if (trecho.trim().startsWith("+")) return digitos.length >= 10 ? digitos : null;
+  if (digitos.length === 10 || digitos.length === 11) return DDI_PADRAO + digitos;
+  if (digitos.length >= 12 && digitos.startsWith(DDI_PADRAO)) return digitos;
+  return null;
+}
+
+// Celular brasileiro: DDD + 9 + 8 dígitos
+function ehCelular(numero) {
+  return numero.startsWith(DDI_PADRAO) && numero.length === 13 && numero[4] === "9";
+}
+
+/**
+ * Destinos de ação do parceiro: { whatsapp?, telefone?, mapa?, site? }.
+ * WhatsApp: link wa.me do contato, ou o primeiro celular (ou qualquer
+ * telefone quando o texto cita "whats").
+ */
+export function destinosDoParceiro(parceiro) {
+  const destinos = {};
+  const contato = String(parceiro?.contato || "");
+
+  const urls = contato.match(/\b(?:https?:\/\/|www\.)[^\s,;]+/gi) || [];
+  for (const bruta of urls) {
+    const url = /^https?:\/\//i.test(bruta) ? bruta : `https://${bruta}`;
+    if (/(^|\/\/)(wa\.me|api\.whatsapp\.com)\//i.test(url)) destinos.whatsapp ||= url;
+    else destinos.site ||= url;
+  }
+
+  const telefones = (contato.replace(/\b(?:https?:\/\/|www\.)[^\s,;]+/gi, " ").match(/\+?\d[\d\s().-]{7,}\d/g) || [])
+    .map(telefoneInternacional)
+    .filter(Boolean);
+  if (telefones.length > 0) {
+    destinos.telefone = `tel:+${telefones[0]}`;
+    const citaWhats = /whats|zap/i.test(contato);
+    const paraWhats = telefones.find(ehCelular) || (citaWhats ? telefones[0] : null);
+    if (paraWhats) destinos.whatsapp ||= `https://wa.me/${paraWhats}`;
+  }
+
+  const coordenadas = coordenadasDe(parceiro);
+  if (coordenadas) {
+    destinos.mapa = linkDeRota(coordenadas);
+  } else if (parceiro?.endereco) {
+    const consulta = [parceiro.nome, parceiro.endereco].filter(Boolean).join(", ");
+    destinos.mapa = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(consulta)}`;
+  }
+  return destinos;
+}
+
+// -------------------------------- LINKS -------------------------------------
+export function gerarCodigoDeLink() {
+  return randomBytes(6).toString("base64url");
+}
+
+export function urlDoLink(codigo) {
+  return `${BASE_PUBLICA}/l/${codigo}`;
+}
+
+// ------------------------------ RELATÓRIO -----------------------------------
+/**
+ * Agrupa eventos "lead" do parceiro pela busca de origem (payload.busca_id).
+ * buscasPorId: Map id → { texto, termos, created_at }.
+ * Retorna { total, por_canal, por_busca: [{ busca_id, texto, termos, leads, canais }] }.
+ */
+export function resumirLeads(eventos, buscasPorId = new Map()) {
+  const porCanal = Object.fromEntries(CANAIS_DE_LEAD.map((c) => [c, 0]));
+  const porBusca = new Map();
+
+  for (const ev of eventos) {
+    const canal = ev.payload?.canal;
+    if (canal in porCanal) porCanal[canal]++;
+
+    const buscaId = ev.payload?.busca_id || null;
+    const atual = porBusca.get(buscaId) || { busca_id: buscaId, leads: 0, canais: {}, ultimo_lead: null };
+    atual.leads++;
+    if (canal) atual.canais[canal] = (atual.canais[canal] || 0) + 1;
+    if (!atual.ultimo_lead || ev.created_at > atual.ultimo_lead) atual.ultimo_lead = ev.created_at;
+    porBusca.set(buscaId, atual);
+  }
+
+  const grupos = Array.from(porBusca.values()).map((g) => {
+    const busca = g.busca_id ? buscasPorId.get(g.busca_id) : null;
+    return {
+      ...g,
+      texto: busca?.texto || null,
+      termos: busca?.termos || [],
+      buscado_em: busca?.created_at || null
+    };
+  });
+  grupos.sort((a, b) => b.leads - a.leads || String(b.ultimo_lead).localeCompare(String(a.ultimo_lead)));
+
+  return { total: eventos.length, por_canal: porCanal, por_busca: grupos };
+}
@@ -0,0 +1,236 @@
+// F:\uber-chat-mvp\backend-oficial\lib\limites.js
+// ============================================================================
+// Limites de uso do chat público
+// - Rate limit por IP e por conversationId em janela deslizante
+//   (CHAT_LIMITE_IP / CHAT_LIMITE_CONVERSA = "max/segundos[,max/segundos]").
+//   O IP vem de req.ip: atrás de proxy, TRUST_PROXY precisa estar configurado
+// - Orçamento de IA por região: chamadas e tokens estimados por dia ou mês
+//   (LLM_ORCAMENTO_PERIODO, LLM_ORCAMENTO_CHAMADAS, LLM_ORCAMENTO_TOKENS e
+//   overrides LLM_ORCAMENTO_CHAMADAS_<REGIAO> / LLM_ORCAMENTO_TOKENS_<REGIAO>)
+// - Armazém plugável: memória (padrão, por processo) ou Supabase
+//   (LIMITES_ARMAZEM=supabase, compartilhado entre instâncias; sql/009)
+// ============================================================================
+
+import { estimarTokens } from "./transcricao.js";
+import { partesLocais } from "./horarios.js";
+
+// ------------------------------ CONFIG --------------------------------------
+/** "20/60,200/3600" → [{ max: 20, janelaMs: 60000 }, ...]; vazio/"0" = sem limite. */
+export function lerRegrasDeLimite(bruto) {
+  return String(bruto || "")
+    .split(",")
+    .map((parte) => parte.trim().match(/^(\d+)\s*\/\s*(\d+)$/))
+    .filter((m) => m && Number(m[1]) > 0 && Number(m[2]) > 0)
+    .map((m) => ({ max: Number(m[1]), janelaMs: Number(m[2]) * 1000 }));
+}
+
+export const REGRAS_POR_IP = lerRegrasDeLimite(process.env.CHAT_LIMITE_IP ?? "20/60,300/86400");
+// Uma reserva pelo chat leva uns 7 turnos seguidos: o padrão por conversa tem folga para isso
+export const REGRAS_POR_CONVERSA = lerRegrasDeLimite(process.env.CHAT_LIMITE_CONVERSA ?? "30/60");
+
+const PERIODO_DO_ORCAMENTO = process.env.LLM_ORCAMENTO_PERIODO === "mes" ? "mes" : "dia";
+
+function sufixoDaRegiao(regiaoSlug) {
+  return String(regiaoSlug || "").toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+function numeroDoEnv(nome) {
+  const valor = Number(process.env[nome]);
+  return Number.isFinite(valor) && valor > 0 ? valor : null;
+}
+
+/** Teto da região ({ chamadas, tokens }; null = sem teto), com override por região. */
+export function orcamentoDaRegiao(regiaoSlug) {
+  const sufixo = sufixoDaRegiao(regiaoSlug);
+  return {
+    periodo: PERIODO_DO_ORCAMENTO,
+    chamadas: numeroDoEnv(`LLM_ORCAMENTO_CHAMADAS_${sufixo}`) ?? numeroDoEnv("LLM_ORCAMENTO_CHAMADAS"),
+    tokens: numeroDoEnv(`LLM_ORCAMENTO_TOKENS_${sufixo}`) ?? numeroDoEnv("LLM_ORCAMENTO_TOKENS")
+  };
+}
+
+// Período corrente no fuso da região (o mesmo do horário dos parceiros)
+function periodoAtual(agora = new Date()) {
+  const { data } = partesLocais(agora);
+  return PERIODO_DO_ORCAMENTO === "mes" ? data.slice(0, 7) : data;
+}
+
+function chaveDeConsumo(regiaoSlug, agora) {
+  return `llm:${regiaoSlug || "-"}:${periodoAtual(agora)}`;
+}
+
+// ============================================================================
+// ARMAZÉNS
+// Interface (toda assíncrona):
+//   registrarEvento(chave, janelaMs, max) → eventos na janela, contando este;
+//     já no máximo, não grava (devolve max + 1): requisição recusada não
+//     ocupa espaço, e um IP insistente não faz a lista crescer
+//   contarEventos(chave, janelaMs)   → eventos na janela
+//   somarConsumo(chave, { chamadas, tokens }) → totais depois da soma
+//   lerConsumo(chave)                → { chamadas, tokens }
+// ============================================================================
+export function criarArmazemEmMemoria({ intervaloDeVarreduraMs = 60_000 } = {}) {
+  const eventos = new Map(); // chave -> [timestamps]
+  const consumo = new Map(); // chave -> { chamadas, tokens }
+  let maiorJanelaMs = 0;
+
+  const podar = (chave, janelaMs, agora) => {
+    maiorJanelaMs = Math.max(maiorJanelaMs, janelaMs);
+    const lista = (eventos.get(chave) || []).filter((t) => t > agora - janelaMs);
+    if (lista.length > 0) eventos.set(chave, lista);
+    else eventos.delete(chave);
+    return lista;
+  };
+
+  // IPs e conversas que não voltam só seriam podados no próximo acesso: a
+  // varredura apaga as chaves cujo último evento já saiu da maior janela
+  const varrer = () => {
+    const corte = Date.now() - maiorJanelaMs;
+    for (const [chave, lista] of eventos) if (lista[lista.length - 1] <= corte) eventos.delete(chave);
+  };
+  if (intervaloDeVarreduraMs > 0) setInterval(varrer, intervaloDeVarreduraMs).unref?.();
+
+  return {
+    nome: "memoria",
+    varrer,
+    /** Chaves com eventos guardados (diagnóstico). */
+    tamanho: () => eventos.size,
+    async registrarEvento(chave, janelaMs, max = Infinity) {
+      const agora = Date.now();
+      const lista = podar(chave, janelaMs, agora);
+      if (lista.length >= max) return lista.length + 1;
+      lista.push(agora);
+      eventos.set(chave, lista);
+      return lista.length;
+    },
+    async contarEventos(chave, janelaMs) {
+      return podar(chave, janelaMs, Date.now()).length;
+    },
+    async somarConsumo(chave, { chamadas = 0, tokens = 0 }) {
+      // Só o período corrente interessa: descarta os anteriores da mesma região
+      const prefixo = chave.slice(0, chave.lastIndexOf(":") + 1);
+      for (const outra of consumo.keys()) if (outra !== chave && outra.startsWith(prefixo)) consumo.delete(outra);
+
+      const atual = consumo.get(chave) || { chamadas: 0, tokens: 0 };
+      const novo = { chamadas: atual.chamadas + chamadas, tokens: atual.tokens + tokens };
+      consumo.set(chave, novo);
+      return novo;
+    },
+    async lerConsumo(chave) {
+      return consumo.get(chave) || { chamadas: 0, tokens: 0 };
+    }
+  };
+}
+
+/** Armazém compartilhado via funções SQL de sql/009_limites_uso.sql. */
+export function criarArmazemSupabase(supabase) {
+  const rpc = async (funcao, args) => {
+    const { data, error } = await supabase.rpc(funcao, args);
+    if (error) throw error;
+    return data;
+  };
+  const totais = (linha) => ({ chamadas: Number(linha?.chamadas || 0), tokens: Number(linha?.tokens || 0) });
+
+  return {
+    nome: "supabase",
+    async registrarEvento(chave, janelaMs, max = null) {
+      return Number(await rpc("limites_registrar", { p_chave: chave, p_janela_ms: janelaMs, p_max: Number.isFinite(max) ? max : null }));
+    },
+    async contarEventos(chave, janelaMs) {
+      return Number(await rpc("limites_contar", { p_chave: chave, p_janela_ms: janelaMs }));
+    },
+    async somarConsumo(chave, { chamadas = 0, tokens = 0 }) {
+      const linhas = await rpc("consumo_llm_somar", { p_chave: chave, p_chamadas: chamadas, p_tokens: tokens });
+      return totais(Array.isArray(linhas) ? linhas[0] : linhas);
+    },
+    async lerConsumo(chave) {
+      const { data, error } = await supabase.from("consumo_llm").select("chamadas, tokens").eq("chave", chave).maybeSingle();
+      if (error) throw error;
+      return totais(data);
+    }
+  };
+}
+
+let armazem = criarArmazemEmMemoria();
+
+/** Troca o armazém (ex.: criarArmazemSupabase(supabase) no boot). */
+export function definirArmazem(novo) {
+  armazem = novo;
+}
+
+export function nomeDoArmazem() {
+  return armazem.nome || "personalizado";
+}
+
+// ============================================================================
+// RATE LIMIT
+// ============================================================================
+/**
+ * Registra a requisição em todas as regras do alvo (ex.: "ip:1.2.3.4").
+ * Retorna null se liberada, ou { regra, retryAfterSeg } da primeira regra estourada.
+ * Falha do armazém libera a requisição (o chat não cai por causa do limitador).
+ */
+export async function registrarRequisicao(alvo, regras) {
+  try {
+    for (const regra of regras) {
+      const total = await armazem.registrarEvento(`${alvo}:${regra.janelaMs}`, regra.janelaMs, regra.max);
+      if (total > regra.max) {
+        return { regra: `${regra.max}/${regra.janelaMs / 1000}s`, retryAfterSeg: Math.ceil(regra.janelaMs / 1000) };
+      }
+    }
+  } catch (e) {
+    console.warn("[limites] armazém indisponível, liberando requisição:", e?.message || e);
+  }
+  return null;
+}
+
+/** Uso atual de um alvo em cada regra: [{ regra, usados, max }]. */
+export async function usoDoAlvo(alvo, regras) {
+  return Promise.all(
+    regras.map(async (regra) => ({
+      regra: `${regra.max}/${regra.janelaMs / 1000}s`,
+      usados: await armazem.contarEventos(`${alvo}:${regra.janelaMs}`, regra.janelaMs),
+      max: regra.max
+    }))
+  );
+}
+
+// ============================================================================
+// ORÇAMENTO DE IA
+// ============================================================================
+/** Consumo e teto da região no período corrente. */
+export async function consumoDaRegiao(regiaoSlug, agora = new Date()) {
+  const teto = orcamentoDaRegiao(regiaoSlug);
+  const consumo = await armazem.lerConsumo(chaveDeConsumo(regiaoSlug, agora));
+  const esgotado =
+    (teto.chamadas !== null && consumo.chamadas >= teto.chamadas) ||
+    (teto.tokens !== null && consumo.tokens >= teto.tokens);
+  return { periodo: periodoAtual(agora), teto, consumo, esgotado };
+}
+
+/**
+ * A região ainda pode usar IA nesta mensagem? Sem teto configurado, sempre.
+ * Falha do armazém libera (melhor gastar um pouco do que derrubar o chat).
+ */
+export async function orcamentoDisponivel(regiaoSlug) {
+  const teto = orcamentoDaRegiao(regiaoSlug);
+  if (teto.chamadas === null && teto.tokens === null) return true;
+  try {
+    return !(await consumoDaRegiao(regiaoSlug)).esgotado;
+  } catch (e) {
+    console.warn("[limites] não consegui ler o orçamento de IA, seguindo com IA:", e?.message || e);
+    return true;
+  }
+}
+
+/** Soma uma chamada de IA (tokens estimados de prompt + resposta) ao consumo da região. */
+export async function registrarConsumoDeIA(regiaoSlug, prompt, resposta) {
+  try {
+    await armazem.somarConsumo(chaveDeConsumo(regiaoSlug), {
+      chamadas: 1,
+      tokens: estimarTokens(prompt) + estimarTokens(resposta)
+    });
+  } catch (e) {
+    console.warn("[limites] falha ao registrar consumo de IA:", e?.message || e);
+  }
+}
@@ -0,0 +1,410 @@
+// F:\uber-chat-mvp\backend-oficial\lib\llm.js
+// ============================================================================
+// Camada de provedores de IA (LLM)
+// - Uma interface única para toda geração de texto do servidor
+// - Adaptadores: Gemini, endpoint compatível com OpenAI, Ollama (local) e
+//   "scripted" (determinístico, sem rede — para demos e testes offline)
+// - Ordem de provedores/modelos definida por env, com override por região
+// - Timeout por chamada, retentativas com backoff e memória do primeiro
+//   candidato que funcionou (mesmo comportamento do antigo fallback da Gemini)
+// ============================================================================
+
+import fs from "fs";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+// ------------------------------ CONFIG --------------------------------------
+// LLM_CHAIN="gemini:gemini-1.5-flash-latest,openai:gpt-4o-mini,ollama:llama3"
+// LLM_CHAIN_<SLUG_DA_REGIAO>="..." (ex.: LLM_CHAIN_REGIAO_DOS_LAGOS) sobrescreve por região
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 15000);
+const LLM_RETRIES = Number(process.env.LLM_RETRIES || 1);
+const LLM_RETRY_BACKOFF_MS = Number(process.env.LLM_RETRY_BACKOFF_MS || 400);
+
+// Cadeia padrão = comportamento antigo (GEMINI_MODEL opcional + modelos conhecidos)
+const GEMINI_MODEL_ENV = (process.env.GEMINI_MODEL || "").trim();
+const CADEIA_PADRAO = [
+  GEMINI_MODEL_ENV || null,
+  "gemini-1.5-flash-latest",
+  "gemini-1.5-flash",
+  "gemini-1.5-pro",
+  "gemini-pro"
+]
+  .filter(Boolean)
+  .map((modelo) => `gemini:${modelo}`)
+  .join(",");
+
+function chaveEnvDaRegiao(regiaoSlug) {
+  return `LLM_CHAIN_${String(regiaoSlug || "").toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+}
+
+/**
+ * Lê a cadeia "provedor:modelo,provedor:modelo" para a região (ou a global).
+ * Retorna [{ provedor, modelo }] na ordem de tentativa.
+ */
+export function resolverCadeia(regiaoSlug = null) {
+  const daRegiao = regiaoSlug ? process.env[chaveEnvDaRegiao(regiaoSlug)] : null;
+  const bruto = (daRegiao || process.env.LLM_CHAIN || CADEIA_PADRAO).trim();
+
+  return bruto
+    .split(",")
+    .map((parte) => parte.trim())
+    .filter(Boolean)
+    .map((parte) => {
+      const sep = parte.indexOf(":");
+      const provedor = (sep >= 0 ? parte.slice(0, sep) : parte).trim().toLowerCase();
+      const modelo = sep >= 0 ? parte.slice(sep + 1).trim() : "";
+      return { provedor, modelo: modelo || null };
+    });
+}
+
+// ------------------------------ HELPERS -------------------------------------
+function esperar(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function erroComStatus(mensagem, status) {
+  const e = new Error(mensagem);
+  if (status) e.status = status;
+  return e;
+}
+
+// Erros que valem nova tentativa no MESMO candidato (rede, limite, 5xx, timeout)
+function ehErroTransitorio(e) {
+  const codigo = Number(e?.status || e?.code) || 0;
+  const mensagem = String(e?.message || e);
+  if (e?.name === "AbortError" || e?.timeout) return true;
+  if (codigo === 429 || codigo >= 500) return true;
+  return /fetch failed|ECONNRESET|ETIMEDOUT|ECONNREFUSED|socket hang up|overloaded/i.test(mensagem);
+}
+
+function erroDeCancelamento() {
+  const e = new Error("Geração cancelada (cliente desconectou)");
+  e.cancelado = true;
+  return e;
+}
+
+/**
+ * Executa fn(signal) com timeout. Aborta o AbortController ao estourar o tempo
+ * ou quando o sinal de fora (sinalExterno) aborta.
+ */
+async function comTimeout(fn, timeoutMs, sinalExterno = null) {
+  const controlador = new AbortController();
+  let timer = null;
+  let aoCancelar = null;
+  const estouro = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controlador.abort();
+      const e = new Error(`Timeout de ${timeoutMs}ms excedido`);
+      e.timeout = true;
+      reject(e);
+    }, timeoutMs);
+    if (sinalExterno) {
+      aoCancelar = () => {
+        controlador.abort();
+        reject(erroDeCancelamento());
+      };
+      sinalExterno.addEventListener("abort", aoCancelar, { once: true });
+    }
+  });
+  try {
+    return await Promise.race([fn(controlador.signal), estouro]);
+  } finally {
+    clearTimeout(timer);
+    if (aoCancelar) sinalExterno.removeEventListener("abort", aoCancelar);
+  }
+}
+
+// Lê o corpo de um fetch linha a linha (SSE do OpenAI e NDJSON do Ollama)
+async function* linhasDoCorpo(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const pedaco of body) {
+    buffer += decoder.decode(pedaco, { stream: true });
+    let quebra;
+    while ((quebra = buffer.indexOf("\n")) >= 0) {
+      const linha = buffer.slice(0, quebra).trim();
+      buffer = buffer.slice(quebra + 1);
+      if (linha) yield linha;
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+// ============================================================================
+// ADAPTADORES
+// Cada adaptador expõe: gerar(prompt, { modelo, signal, tarefa, contexto }) → string
+// e, opcionalmente, gerarStream(prompt, { ..., onToken }) → string (texto completo)
+// ============================================================================
+
+// ------------------------------- GEMINI -------------------------------------
+let geminiClient = null;
+
+const provedorGemini = {
+  nome: "gemini",
+  async gerar(prompt, { modelo, signal }) {
+    if (!process.env.GEMINI_API_KEY) throw erroComStatus("GEMINI_API_KEY ausente", 403);
+    if (!geminiClient) geminiClient = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+    const m = geminiClient.getGenerativeModel({ model: modelo || "gemini-1.5-flash-latest" });
+    const resposta = await m.generateContent(prompt, { signal });
+    return String(resposta.response.text() || "");
+  },
+  async gerarStream(prompt, { modelo, signal, onToken }) {
+    if (!process.env.GEMINI_API_KEY) throw erroComStatus("GEMINI_API_KEY ausente", 403);
+    if (!geminiClient) geminiClient = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+    const m = geminiClient.getGenerativeModel({ model: modelo || "gemini-1.5-flash-latest" });
+    const resultado = await m.generateContentStream(prompt, { signal });
+    let texto = "";
+    for await (const chunk of resultado.stream) {
+      const pedaco = chunk.text();
+      if (pedaco) {
+        texto += pedaco;
+        onToken(pedaco);
+      }
+    }
+    return texto;
+  }
+};
+
+// ------------------------ OPENAI-COMPATÍVEL (HTTP) --------------------------
+// Serve para OpenAI, OpenRouter, Groq, vLLM, LM Studio etc.
+const provedorOpenAI = {
+  nome: "openai",
+  async gerar(prompt, { modelo, signal }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+    const r = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: modelo || process.env.OPENAI_MODEL || "gpt-4o-mini",
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.4
+      })
+    });
+    if (!r.ok) throw erroComStatus(`OpenAI-compatível respondeu ${r.status}: ${await r.text()}`, r.status);
+
+    const json = await r.json();
+    return String(json?.choices?.[0]?.message?.content || "");
+  },
+  async gerarStream(prompt, { modelo, signal, onToken }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+    const r = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: modelo || process.env.OPENAI_MODEL || "gpt-4o-mini",
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.4,
+        stream: true
+      })
+    });
+    if (!r.ok) throw erroComStatus(`OpenAI-compatível respondeu ${r.status}: ${await r.text()}`, r.status);
+
+    let texto = "";
+    for await (const linha of linhasDoCorpo(r.body)) {
+      if (!linha.startsWith("data:")) continue;
+      const dados = linha.slice(5).trim();
+      if (dados === "[DONE]") break;
+      try {
+        const pedaco = JSON.parse(dados)?.choices?.[0]?.delta?.content || "";
+        if (pedaco) {
+          texto += pedaco;
+          onToken(pedaco);
+        }
+      } catch {}
+    }
+    return texto;
+  }
+};
+
+// ------------------------------- OLLAMA -------------------------------------
+const provedorOllama = {
+  nome: "ollama",
+  async gerar(prompt, { modelo, signal }) {
+    const baseUrl = (process.env.OLLAMA_BASE_URL || "http://localhost:11434").replace(/\/+$/, "");
+
+    const r = await fetch(`${baseUrl}/api/generate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      signal,
+      body: JSON.stringify({ model: modelo || process.env.OLLAMA_MODEL || "llama3", prompt, stream: false })
+    });
+    if (!r.ok) throw erroComStatus(`Ollama respondeu ${r.status}: ${await r.text()}`, r.status);
+
+    const json = await r.json();
+    return String(json?.response || "");
+  },
+  async gerarStream(prompt, { modelo, signal, onToken }) {
+    const baseUrl = (process.env.OLLAMA_BASE_URL || "http://localhost:11434").replace(/\/+$/, "");
+
+    const r = await fetch(`${baseUrl}/api/generate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      signal,
+      body: JSON.stringify({ model: modelo || process.env.OLLAMA_MODEL || "llama3", prompt, stream: true })
+    });
+    if (!r.ok) throw erroComStatus(`Ollama respondeu ${r.status}: ${await r.text()}`, r.status);
+
+    let texto = "";
+    for await (const linha of linhasDoCorpo(r.body)) {
+      try {
+        const json = JSON.parse(linha);
+        if (json.response) {
+          texto += json.response;
+          onToken(json.response);
+        }
+        if (json.done) break;
+      } catch {}
+    }
+    return texto;
+  }
+};
+
+// ------------------------------ SCRIPTED ------------------------------------
+// Respostas determinísticas por "tarefa". Regras opcionais em LLM_SCRIPT_FILE:
+// [{ "tarefa": "resposta_natural", "contem": "praia", "resposta": "..." }, ...]
+// A primeira regra cuja tarefa bate e cuja frase contém "contem" vence.
+let regrasScript = null;
+
+function carregarRegrasScript() {
+  if (regrasScript) return regrasScript;
+  regrasScript = [];
+  const arquivo = process.env.LLM_SCRIPT_FILE;
+  if (!arquivo) return regrasScript;
+  try {
+    const json = JSON.parse(fs.readFileSync(arquivo, "utf8"));
+    if (Array.isArray(json)) regrasScript = json;
+  } catch (e) {
+    console.warn(`[LLM scripted] não consegui ler LLM_SCRIPT_FILE (${arquivo}):`, e.message);
+  }
+  return regrasScript;
+}
+
+function respostaScriptPadrao(tarefa, contexto) {
+  const frase = String(contexto?.frase || "");
+  if (tarefa === "analise") {
+    const lower = frase.toLowerCase();
+    const cidade = (contexto?.cidades || []).find(
+      (c) => lower.includes(String(c.nome).toLowerCase()) || lower.includes(String(c.slug).toLowerCase())
+    );
+    return JSON.stringify({
+      corrigido: frase,
+      companhia: null,
+      vibe: null,
+      orcamento: null,
+      cidadeSlugSugerida: cidade?.slug || null,
+      palavrasChave: []
+    });
+  }
+  if (tarefa === "palavras_chave") return "geral";
+  return "Posso te ajudar com restaurantes, passeios, praias e hospedagem. Me conte o que você procura.";
+}
+
+const provedorScripted = {
+  nome: "scripted",
+  async gerar(prompt, { tarefa, contexto }) {
+    const frase = String(contexto?.frase || prompt).toLowerCase();
+    for (const regra of carregarRegrasScript()) {
+      if (regra.tarefa && regra.tarefa !== tarefa) continue;
+      if (regra.contem && !frase.includes(String(regra.contem).toLowerCase())) continue;
+      return typeof regra.resposta === "string" ? regra.resposta : JSON.stringify(regra.resposta);
+    }
+    return respostaScriptPadrao(tarefa, contexto);
+  },
+  async gerarStream(prompt, opcoes) {
+    // Emite palavra por palavra (mantendo os espaços) para simular streaming
+    const texto = await this.gerar(prompt, opcoes);
+    for (const pedaco of texto.match(/\S+\s*/g) || []) opcoes.onToken(pedaco);
+    return texto;
+  }
+};
+
+const PROVEDORES = new Map([
+  ["gemini", provedorGemini],
+  ["openai", provedorOpenAI],
+  ["ollama", provedorOllama],
+  ["scripted", provedorScripted]
+]);
+
+// ============================================================================
+// GERAÇÃO COM FALLBACK
+// ============================================================================
+// Memoriza, por cadeia, o primeiro candidato que funcionou (tentado primeiro depois)
+const candidatoResolvido = new Map(); // chaveDaCadeia -> "provedor:modelo"
+
+/**
+ * Gera texto percorrendo a cadeia de provedores até um responder.
+ * opcoes: { regiaoSlug, tarefa, contexto, timeoutMs, retries, onToken, signal }
+ * Com onToken, usa o streaming do provedor (ou emite o texto inteiro de uma vez);
+ * depois do primeiro token emitido não há mais fallback — o erro sobe.
+ * signal abortado (cliente foi embora) interrompe a chamada e não tenta de novo.
+ * Retorna { texto, provedor, modelo }.
+ */
+export async function gerarTexto(prompt, opcoes = {}) {
+  const { regiaoSlug = null, tarefa = "geral", contexto = null, onToken = null, signal: sinalExterno = null } = opcoes;
+  const timeoutMs = Number(opcoes.timeoutMs || LLM_TIMEOUT_MS);
+  const retries = Math.max(0, Number(opcoes.retries ?? LLM_RETRIES));
+
+  const cadeia = resolverCadeia(regiaoSlug);
+  const chaveCadeia = cadeia.map((c) => `${c.provedor}:${c.modelo || ""}`).join(",");
+
+  // Coloca o candidato já resolvido na frente, sem perder os demais como fallback
+  const resolvido = candidatoResolvido.get(chaveCadeia);
+  const ordem = resolvido
+    ? [...cadeia.filter((c) => `${c.provedor}:${c.modelo || ""}` === resolvido),
+       ...cadeia.filter((c) => `${c.provedor}:${c.modelo || ""}` !== resolvido)]
+    : cadeia;
+
+  let ultimoErro = null;
+  let emitiuToken = false;
+  const emitir = onToken
+    ? (pedaco) => {
+        emitiuToken = true;
+        onToken(pedaco);
+      }
+    : null;
+
+  for (const candidato of ordem) {
+    const provedor = PROVEDORES.get(candidato.provedor);
+    if (!provedor) {
+      console.warn(`[LLM] provedor desconhecido na cadeia: ${candidato.provedor}`);
+      continue;
+    }
+
+    for (let tentativa = 0; tentativa <= retries; tentativa++) {
+      if (sinalExterno?.aborted) throw erroDeCancelamento();
+      try {
+        const texto = await comTimeout(async (signal) => {
+          const params = { modelo: candidato.modelo, signal, tarefa, contexto, onToken: emitir };
+          if (emitir && provedor.gerarStream) return provedor.gerarStream(prompt, params);
+          const completo = await provedor.gerar(prompt, params);
+          if (emitir && completo) emitir(completo);
+          return completo;
+        }, timeoutMs, sinalExterno);
+        candidatoResolvido.set(chaveCadeia, `${candidato.provedor}:${candidato.modelo || ""}`);
+        return { texto: texto.trim(), provedor: candidato.provedor, modelo: candidato.modelo };
+      } catch (e) {
+        if (sinalExterno?.aborted) throw erroDeCancelamento();
+        ultimoErro = e;
+        const codigo = e?.status || e?.code || "";
+        console.warn(
+          `[LLM] falha em ${candidato.provedor}:${candidato.modelo || "-"} ` +
+          `(tentativa ${tentativa + 1}/${retries + 1}, ${codigo}): ${String(e?.message || e)}`
+        );
+        if (emitiuToken) throw e; // já saiu texto para o cliente: não dá para trocar de modelo
+        if (!ehErroTransitorio(e)) break; // erro definitivo → próximo candidato
+        if (tentativa < retries) await esperar(LLM_RETRY_BACKOFF_MS * 2 ** tentativa);
+      }
+    }
+  }
+
+  throw ultimoErro || new Error("Falha ao gerar conteúdo (todas as tentativas de LLM).");
+}
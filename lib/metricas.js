@@ -0,0 +1,66 @@
+// F:\uber-chat-mvp\backend-oficial\lib\metricas.js
+// ============================================================================
+// Série temporal de métricas do admin
+// - Lê intervalo (dia | semana | mes) e período (desde/ate) da query
+// - A agregação fica no banco (função metricas_serie, sql/010); aqui só
+//   validamos a entrada e formatamos a saída (JSON ou CSV)
+// ============================================================================
+
+import { inicioDoDiaLocal, partesLocais } from "./horarios.js";
+
+export const INTERVALOS = { dia: "day", semana: "week", mes: "month" };
+export const COLUNAS_DA_SERIE = ["periodo", "buscas", "interacoes", "views", "feedbacks", "leads"];
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const MAX_BALDES = Number(process.env.METRICAS_MAX_BALDES || 400);
+const DIAS_POR_BALDE = { dia: 1, semana: 7, mes: 28 };
+
+/**
+ * { intervalo, desde, ate } da query. Padrão: últimos 30 dias, por dia.
+ * "ate" é exclusivo; datas sem hora (YYYY-MM-DD) valem o dia inteiro em São Paulo.
+ * Retorna { periodo, erros }.
+ */
+export function lerPeriodoDaSerie(query, agora = new Date()) {
+  const erros = [];
+  const intervalo = String(query.intervalo || "dia").toLowerCase();
+  if (!INTERVALOS[intervalo]) erros.push({ campo: "intervalo", mensagem: "use dia, semana ou mes" });
+
+  const lerData = (valor, campo, fimDoDia) => {
+    if (!valor) return null;
+    const texto = String(valor);
+    // só a data: meia-noite de São Paulo (UTC-3); "ate" inclui o dia informado
+    const d = /^\d{4}-\d{2}-\d{2}$/.test(texto) ? inicioDoDiaLocal(texto) : new Date(texto);
+    if (Number.isNaN(d.getTime())) {
+      erros.push({ campo, mensagem: "data ISO inválida" });
+      return null;
+    }
+    return fimDoDia && /^\d{4}-\d{2}-\d{2}$/.test(texto) ? new Date(d.getTime() + DIA_MS) : d;
+  };
+
+  const ate = lerData(query.ate, "ate", true) || agora;
+  const desde = lerData(query.desde, "desde", false) || new Date(inicioDoDiaLocal(partesLocais(ate).data).getTime() - 29 * DIA_MS);
+  if (desde >= ate) erros.push({ campo: "desde", mensagem: "deve ser anterior a 'ate'" });
+  else if (INTERVALOS[intervalo] && (ate - desde) / DIA_MS / DIAS_POR_BALDE[intervalo] > MAX_BALDES) {
+    erros.push({ campo: "desde", mensagem: `período longo demais para '${intervalo}' (máximo de ${MAX_BALDES} pontos)` });
+  }
+
+  return { periodo: { intervalo, desde, ate }, erros };
+}
+
+/** Linhas do RPC → números (bigint chega como string) e totais do período. */
+export function formatarSerie(linhas) {
+  const pontos = (linhas || []).map((l) => ({
+    periodo: String(l.periodo).slice(0, 10),
+    buscas: l.buscas === null ? null : Number(l.buscas),
+    interacoes: Number(l.interacoes || 0),
+    views: Number(l.views || 0),
+    feedbacks: Number(l.feedbacks || 0),
+    leads: Number(l.leads || 0)
+  }));
+
+  const totais = {};
+  for (const coluna of COLUNAS_DA_SERIE.slice(1)) {
+    totais[coluna] = pontos.some((p) => p[coluna] === null) ? null : pontos.reduce((soma, p) => soma + p[coluna], 0);
+  }
+  return { pontos, totais };
+}
@@ -0,0 +1,120 @@
+// F:\uber-chat-mvp\backend-oficial\lib\portalParceiros.js
+// ============================================================================
+// Portal do parceiro
+// - Propostas de edição (tabela parceiro_edicoes): o parceiro sugere mudanças
+//   em horário, contato, fotos, benefício e comodidades; nada vai ao ar antes de um admin
+//   aprovar. Uma proposta nova substitui a pendente anterior do mesmo parceiro.
+//   status: pendente → aprovada | rejeitada | substituida
+// - Estatísticas do próprio parceiro (parceiro_views + eventos_analytics +
+//   feedback das interações em que ele foi sugerido)
+// ============================================================================
+
+import { validarHorarioEstruturado, parseHorarioTextoLivre, partesLocais } from "./horarios.js";
+import { validarComodidades } from "./comodidades.js";
+
+export const CAMPOS_EDITAVEIS_PELO_PARCEIRO = [
+  "horario_funcionamento",
+  "horario_estruturado",
+  "contato",
+  "fotos_parceiros",
+  "beneficio_bepit",
+  "comodidades"
+];
+
+const TEXTO_MAX = 500;
+const FOTOS_MAX = 20;
+
+function validarTextoCurto(valor, campo, erros) {
+  if (valor === null) return;
+  if (typeof valor !== "string") erros.push({ campo, mensagem: "deve ser texto" });
+  else if (valor.length > TEXTO_MAX) erros.push({ campo, mensagem: `máximo de ${TEXTO_MAX} caracteres` });
+}
+
+/**
+ * Valida o corpo de uma proposta de edição.
+ * Retorna { campos, erros }: "campos" só traz o que o parceiro enviou (mais o
+ * horario_estruturado convertido do texto livre, quando der para entender).
+ */
+export function validarPropostaDeEdicao(body) {
+  const erros = [];
+  const campos = {};
+  const entrada = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+
+  for (const campo of Object.keys(entrada)) {
+    if (!CAMPOS_EDITAVEIS_PELO_PARCEIRO.includes(campo)) {
+      erros.push({ campo, mensagem: `não editável pelo portal (use ${CAMPOS_EDITAVEIS_PELO_PARCEIRO.join(", ")})` });
+    }
+  }
+
+  for (const campo of ["horario_funcionamento", "contato", "beneficio_bepit"]) {
+    if (entrada[campo] === undefined) continue;
+    validarTextoCurto(entrada[campo], campo, erros);
+    campos[campo] = entrada[campo];
+  }
+
+  if (entrada.horario_estruturado !== undefined) {
+    if (entrada.horario_estruturado !== null) erros.push(...validarHorarioEstruturado(entrada.horario_estruturado));
+    campos.horario_estruturado = entrada.horario_estruturado;
+  } else if (typeof entrada.horario_funcionamento === "string") {
+    const convertido = parseHorarioTextoLivre(entrada.horario_funcionamento);
+    if (convertido) campos.horario_estruturado = convertido;
+  }
+
+  if (entrada.comodidades !== undefined) {
+    erros.push(...validarComodidades(entrada.comodidades));
+    campos.comodidades = entrada.comodidades;
+  }
+
+  if (entrada.fotos_parceiros !== undefined) {
+    const fotos = entrada.fotos_parceiros;
+    if (!Array.isArray(fotos)) {
+      erros.push({ campo: "fotos_parceiros", mensagem: "deve ser uma lista de URLs" });
+    } else {
+      if (fotos.length > FOTOS_MAX) erros.push({ campo: "fotos_parceiros", mensagem: `máximo de ${FOTOS_MAX} fotos` });
+      fotos.forEach((url, i) => {
+        if (typeof url !== "string" || !/^https?:\/\/\S+$/i.test(url)) {
+          erros.push({ campo: `fotos_parceiros[${i}]`, mensagem: "URL http(s) inválida" });
+        }
+      });
+      campos.fotos_parceiros = fotos;
+    }
+  }
+
+  if (erros.length === 0 && Object.keys(campos).length === 0) {
+    erros.push({ campo: "campos", mensagem: "nenhum campo para editar" });
+  }
+  return { campos, erros };
+}
+
+/**
+ * Junta as estatísticas do parceiro no período.
+ * views: linha de parceiro_views (ou null); eventos: [{ tipo_evento, created_at }];
+ * feedbacks: [{ created_at, feedback_usuario }]
+ */
+export function resumirEstatisticas({ views, eventos, feedbacks, desde, ate }) {
+  const porTipo = {};
+  const viewsPorDia = new Map();
+  for (const e of eventos || []) {
+    porTipo[e.tipo_evento] = (porTipo[e.tipo_evento] || 0) + 1;
+    if (e.tipo_evento === "partner_view") {
+      const dia = partesLocais(new Date(e.created_at)).data;
+      viewsPorDia.set(dia, (viewsPorDia.get(dia) || 0) + 1);
+    }
+  }
+
+  return {
+    periodo: { desde, ate },
+    views_total: views?.views_total || 0,
+    last_view_at: views?.last_view_at || null,
+    views_no_periodo: porTipo.partner_view || 0,
+    leads_no_periodo: porTipo.lead || 0,
+    eventos_por_tipo: porTipo,
+    views_por_dia: Array.from(viewsPorDia.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([dia, total]) => ({ dia, total })),
+    feedback: {
+      total: (feedbacks || []).length,
+      recentes: (feedbacks || []).slice(0, 20).map((f) => ({ em: f.created_at, texto: f.feedback_usuario }))
+    }
+  };
+}
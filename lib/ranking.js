@@ -0,0 +1,162 @@
+// F:\uber-chat-mvp\backend-oficial\lib\ranking.js
+// ============================================================================
+// Ranking de relevância para parceiros/dicas
+// Cada candidato recebe uma pontuação somando:
+// - termos: ocorrências dos termos em nome / categoria / tags / descrição
+// - perfil: aderência a companhia, vibe e orçamento inferidos
+// - cidade: bônus se está na cidade detectada
+// - beneficio: bônus se tem beneficio_bepit
+// - popularidade: views de parceiro_views (escala log, normalizada 0..1)
+// Com ponto de referência (usuário ou lugar), calcula a distância de cada item;
+// "perto de ..." também filtra pelo raio e ordena do mais perto ao mais longe.
+// O detalhamento por componente volta junto para depuração.
+// ============================================================================
+
+import { normalizar } from "./texto.js";
+import { coordenadasDe, distanciaKm } from "./geo.js";
+
+// Pesos por componente (ajustáveis em um lugar só)
+export const PESOS = {
+  termoNome: 3,
+  termoCategoria: 2.5,
+  termoTags: 2,
+  termoDescricao: 1,
+  perfil: 1.5,
+  cidade: 4,
+  beneficio: 1,
+  popularidade: 1.5
+};
+
+// Palavras que indicam aderência de um item a cada valor do perfil
+const SINAIS_DE_PERFIL = {
+  companhia: {
+    casal: ["casal", "romantico", "romantica", "a dois", "lua de mel"],
+    familia: ["familia", "crianca", "criancas", "kids", "infantil", "playground"],
+    amigos: ["amigos", "grupo", "galera", "bar", "balada", "happy hour"],
+    sozinho: ["sozinho", "individual", "balcao", "hostel"]
+  },
+  vibe: {
+    romantico: ["romantico", "romantica", "por do sol", "vista", "vinho", "jantar"],
+    tranquilo: ["tranquilo", "calmo", "calma", "silencioso", "privativo", "relax"],
+    agitado: ["agitado", "balada", "musica ao vivo", "festa", "bar", "noite"],
+    aventura: ["aventura", "trilha", "mergulho", "passeio de barco", "radical", "kitesurf"]
+  },
+  orcamento: {
+    baixo: ["barato", "economico", "popular", "bom e barato"],
+    medio: ["medio", "preco justo"],
+    alto: ["premium", "sofisticado", "degustacao", "luxo"]
+  }
+};
+
+function textoDasTags(tags) {
+  if (Array.isArray(tags)) return tags.map((t) => normalizar(t)).join(" | ");
+  if (tags && typeof tags === "object") return normalizar(JSON.stringify(tags));
+  return normalizar(tags || "");
+}
+
+// faixa_preco costuma vir como "$", "$$", "$$$" ou texto livre
+function combinaOrcamento(orcamento, faixaPreco, textoLivre) {
+  const faixa = String(faixaPreco || "").trim();
+  const cifroes = /^\$+$/.test(faixa) ? faixa.length : null;
+  if (cifroes !== null) {
+    if (orcamento === "baixo") return cifroes <= 1;
+    if (orcamento === "medio") return cifroes === 2;
+    if (orcamento === "alto") return cifroes >= 3;
+  }
+  const sinais = SINAIS_DE_PERFIL.orcamento[orcamento] || [];
+  const alvo = `${normalizar(faixa)} ${textoLivre}`;
+  return sinais.some((s) => alvo.includes(s));
+}
+
+/**
+ * Pontua e ordena candidatos.
+ * criterios: { termos: string[], perfil: { companhia, vibe, orcamento }, cidadeId, viewsPorParceiro: Map,
+ *              origem: { latitude, longitude }, raioKm, ordenarPorDistancia }
+ * Retorna [{ item, score, detalhes }] em ordem decrescente de score.
+ * Com termos informados, itens sem nenhum termo casado ficam de fora (mesma
+ * semântica do filtro ilike antigo).
+ * Com raioKm, ficam de fora os itens além do raio e os sem coordenadas (a não
+ * ser que nenhum candidato tenha coordenadas: região ainda não geocodificada).
+ */
+export function ranquearParceiros(itens, criterios = {}) {
+  const termos = Array.from(new Set((criterios.termos || []).map(normalizar).filter((t) => t.length >= 2)));
+  const perfil = criterios.perfil || {};
+  const views = criterios.viewsPorParceiro || new Map();
+  const maxViews = Math.max(0, ...Array.from(views.values()).map((v) => Number(v) || 0));
+  const origem = criterios.origem || null;
+  const filtrarPorRaio = Boolean(origem && criterios.raioKm && (itens || []).some((i) => coordenadasDe(i)));
+
+  const resultado = [];
+
+  for (const item of itens || []) {
+    const nome = normalizar(item.nome);
+    const categoria = normalizar(item.categoria);
+    const tags = textoDasTags(item.tags);
+    const descricao = normalizar(item.descricao);
+    const textoLivre = `${nome} ${categoria} ${tags} ${descricao}`;
+
+    const detalhes = { termos: 0, perfil: 0, cidade: 0, beneficio: 0, popularidade: 0, termosCasados: [], distanciaKm: null };
+
+    // 0) distância ao ponto de referência
+    const coordenadas = origem ? coordenadasDe(item) : null;
+    if (coordenadas) detalhes.distanciaKm = Math.round(distanciaKm(origem, coordenadas) * 100) / 100;
+    if (filtrarPorRaio && (detalhes.distanciaKm === null || detalhes.distanciaKm > criterios.raioKm)) continue;
+
+    // 1) termos (cada campo conta uma vez por termo)
+    for (const t of termos) {
+      let pontos = 0;
+      if (nome.includes(t)) pontos += PESOS.termoNome;
+      if (categoria.includes(t)) pontos += PESOS.termoCategoria;
+      if (tags.includes(t)) pontos += PESOS.termoTags;
+      if (descricao.includes(t)) pontos += PESOS.termoDescricao;
+      if (pontos > 0) {
+        detalhes.termos += pontos;
+        detalhes.termosCasados.push(t);
+      }
+    }
+    if (termos.length > 0 && detalhes.termosCasados.length === 0) continue;
+
+    // 2) perfil
+    for (const eixo of ["companhia", "vibe"]) {
+      const sinais = SINAIS_DE_PERFIL[eixo][perfil[eixo]] || [];
+      if (sinais.some((s) => textoLivre.includes(s))) detalhes.perfil += PESOS.perfil;
+    }
+    if (perfil.orcamento && combinaOrcamento(perfil.orcamento, item.faixa_preco, textoLivre)) {
+      detalhes.perfil += PESOS.perfil;
+    }
+
+    // 3) cidade detectada
+    if (criterios.cidadeId && item.cidade_id === criterios.cidadeId) detalhes.cidade = PESOS.cidade;
+
+    // 4) benefício BEPIT
+    if (item.beneficio_bepit) detalhes.beneficio = PESOS.beneficio;
+
+    // 5) popularidade (log para não deixar um campeão de views dominar tudo)
+    const v = Number(views.get(item.id)) || 0;
+    if (v > 0 && maxViews > 0) {
+      detalhes.popularidade = PESOS.popularidade * (Math.log1p(v) / Math.log1p(maxViews));
+    }
+
+    const score = detalhes.termos + detalhes.perfil + detalhes.cidade + detalhes.beneficio + detalhes.popularidade;
+    resultado.push({ item, score: Math.round(score * 100) / 100, detalhes });
+  }
+
+  // "perto de ...": distância manda, score desempata. Sem distância vai para o fim.
+  const porDistancia = (a, b) => {
+    if (!criterios.ordenarPorDistancia || !origem) return 0;
+    const da = a.detalhes.distanciaKm ?? Infinity;
+    const db = b.detalhes.distanciaKm ?? Infinity;
+    return da === db ? 0 : da - db;
+  };
+
+  // Empate: mais views primeiro, depois nome (ordem estável e previsível)
+  resultado.sort(
+    (a, b) =>
+      porDistancia(a, b) ||
+      b.score - a.score ||
+      (Number(views.get(b.item.id)) || 0) - (Number(views.get(a.item.id)) || 0) ||
+      String(a.item.nome || "").localeCompare(String(b.item.nome || ""))
+  );
+
+  return resultado;
+}
@@ -0,0 +1,191 @@
+// F:\uber-chat-mvp\backend-oficial\lib\repositorios.js
+// ============================================================================
+// Repositórios do chat: uma porta por entidade (regiões, cidades, parceiros,
+// conversas, interações, buscas, eventos, views, pontos de referência, links
+// de ação, reservas e vouchers)
+// - O armazém vem do cliente: Supabase ou local (DADOS_ARMAZEM=local,
+//   lib/armazemLocal.js); o pipeline do chat não sabe qual está rodando
+// - Escopo: o pipeline do chat (processarMensagemDoChat e o que ele chama).
+//   Rotas de admin e do portal, /l/:codigo, feedback e o contato do WhatsApp
+//   ainda montam as consultas no cliente direto; rodam no armazém local
+//   porque o próprio cliente é trocado em lib/supabaseClient.js
+// - Erro do armazém vira exceção: quem chama decide se é best-effort
+// ============================================================================
+
+import { supabase } from "./supabaseClient.js";
+
+const CAMPOS_DO_CANDIDATO =
+  "id, tipo, nome, categoria, descricao, beneficio_bepit, traducoes, endereco, contato, tags, horario_funcionamento, horario_estruturado, faixa_preco, fotos_parceiros, comodidades, cidade_id, latitude, longitude";
+
+const CAMPOS_DA_CONVERSA = "id, parceiro_em_foco, parceiros_sugeridos, transcricao, slots, idioma, localizacao, reserva_em_andamento";
+
+const CAMPOS_DA_RESERVA = "id, codigo, parceiro_id, regiao_id, data, hora, pessoas, nome, telefone, status, motivo, historico, created_at, parceiros(nome)";
+
+const CAMPOS_DO_VOUCHER = "id, codigo, parceiro_id, regiao_id, beneficio, status, expira_em, resgatado_em, created_at, parceiros(nome)";
+
+async function resultado(consulta) {
+  const { data, error } = await consulta;
+  if (error) throw error;
+  return data;
+}
+
+/** Repositórios sobre um cliente no formato do supabase-js. */
+export function criarRepositorios(cliente) {
+  const regioes = {
+    /** Região pelo slug (null se não existe). */
+    porSlug: (slug, campos = "id, nome, slug") =>
+      resultado(cliente.from("regioes").select(campos).eq("slug", slug).maybeSingle())
+  };
+
+  const cidades = {
+    daRegiao: async (regiaoId, campos = "id, nome, slug") =>
+      (await resultado(cliente.from("cidades").select(campos).eq("regiao_id", regiaoId))) || []
+  };
+
+  const parceiros = {
+    /**
+     * Ativos e não excluídos das cidades (candidatos do ranking). Ordem fixa
+     * por id: passando do limite, os cortados são sempre os mesmos.
+     */
+    candidatos: async (cidadeIds, limite) =>
+      (await resultado(
+        cliente
+          .from("parceiros")
+          .select(CAMPOS_DO_CANDIDATO)
+          .eq("ativo", true)
+          .is("excluido_em", null)
+          .in("cidade_id", cidadeIds)
+          .order("id")
+          .limit(limite)
+      )) || [],
+    ativos: async (limite, campos = "id, nome, categoria") =>
+      (await resultado(cliente.from("parceiros").select(campos).eq("ativo", true).is("excluido_em", null).limit(limite))) || []
+  };
+
+  const pontos = {
+    /** Pontos de referência da região ("perto do Forte"). */
+    daRegiao: async (regiaoId, campos = "nome, apelidos, latitude, longitude") =>
+      (await resultado(cliente.from("pontos_referencia").select(campos).eq("regiao_id", regiaoId))) || []
+  };
+
+  const links = {
+    /** Links de ação já criados na conversa para esses parceiros. */
+    daConversa: async (conversationId, parceiroIds) =>
+      (await resultado(
+        cliente
+          .from("links_acao")
+          .select("codigo, parceiro_id, canal, destino, busca_id")
+          .eq("conversation_id", conversationId)
+          .in("parceiro_id", parceiroIds)
+      )) || [],
+    criar: (linhas) => resultado(cliente.from("links_acao").insert(linhas)),
+    atualizarDestino: (codigo, destino) => resultado(cliente.from("links_acao").update({ destino }).eq("codigo", codigo))
+  };
+
+  const conversas = {
+    criar: (linha) => resultado(cliente.from("conversas").insert(linha)),
+    carregar: (id) => resultado(cliente.from("conversas").select(CAMPOS_DA_CONVERSA).eq("id", id).single()),
+    atualizar: (id, campos) => resultado(cliente.from("conversas").update(campos).eq("id", id))
+  };
+
+  const interacoes = {
+    /** Grava e devolve o id. */
+    registrar: async (linha) => (await resultado(cliente.from("interacoes").insert(linha).select("id").single()))?.id || null,
+    porId: (id, campos = "*") => resultado(cliente.from("interacoes").select(campos).eq("id", id).maybeSingle()),
+    atualizar: (id, campos) => resultado(cliente.from("interacoes").update(campos).eq("id", id))
+  };
+
+  const buscas = {
+    /** Grava a busca (tabela buscas_texto) e devolve o id. */
+    registrar: async (linha) => (await resultado(cliente.from("buscas_texto").insert(linha).select("id").single()))?.id || null,
+    registrarResultado: (id, { totalResultados, termos }) =>
+      resultado(cliente.from("buscas_texto").update({ total_resultados: totalResultados, termos }).eq("id", id))
+  };
+
+  const eventos = {
+    /** Linha de eventos_analytics (tipo_evento, payload, ids de contexto). */
+    registrar: (linha) => resultado(cliente.from("eventos_analytics").insert(linha))
+  };
+
+  const views = {
+    /** parceiroId → views_total (quem nunca foi visto fica de fora). */
+    porParceiro: async (parceiroIds) => {
+      const mapa = new Map();
+      if (parceiroIds.length === 0) return mapa;
+      const linhas = await resultado(cliente.from("parceiro_views").select("parceiro_id, views_total").in("parceiro_id", parceiroIds));
+      for (const v of linhas || []) mapa.set(v.parceiro_id, v.views_total || 0);
+      return mapa;
+    },
+    /** Soma uma view (cria o contador na primeira). */
+    registrar: async (parceiroId) => {
+      const atual = await resultado(cliente.from("parceiro_views").select("*").eq("parceiro_id", parceiroId).maybeSingle());
+      const agora = new Date().toISOString();
+      if (atual) {
+        await resultado(
+          cliente
+            .from("parceiro_views")
+            .update({ views_total: (atual.views_total || 0) + 1, last_view_at: agora })
+            .eq("parceiro_id", parceiroId)
+        );
+      } else {
+        await resultado(cliente.from("parceiro_views").insert({ parceiro_id: parceiroId, views_total: 1, last_view_at: agora }));
+      }
+    }
+  };
+
+  const reservas = {
+    /** Grava o pedido e devolve a linha (com o nome do parceiro). */
+    criar: (linha) => resultado(cliente.from("reservas").insert(linha).select(CAMPOS_DA_RESERVA).single()),
+    /** Pedidos da conversa, mais recente primeiro. */
+    daConversa: async (conversationId, limite = 10) =>
+      (await resultado(
+        cliente
+          .from("reservas")
+          .select(CAMPOS_DA_RESERVA)
+          .eq("conversation_id", conversationId)
+          .order("created_at", { ascending: false })
+          .limit(limite)
+      )) || [],
+    /** Atualiza só se o status ainda for o esperado (devolve a linha ou null). */
+    atualizarStatus: (id, statusAtual, campos) =>
+      resultado(cliente.from("reservas").update(campos).eq("id", id).eq("status", statusAtual).select(CAMPOS_DA_RESERVA).maybeSingle())
+  };
+
+  const vouchers = {
+    /** Voucher da conversa para o parceiro que ainda vale (ou null). */
+    validoDaConversa: (conversationId, parceiroId, agora = new Date()) =>
+      resultado(
+        cliente
+          .from("vouchers")
+          .select(CAMPOS_DO_VOUCHER)
+          .eq("conversation_id", conversationId)
+          .eq("parceiro_id", parceiroId)
+          .eq("status", "emitido")
+          .gt("expira_em", agora.toISOString())
+          .order("created_at", { ascending: false })
+          .limit(1)
+          .maybeSingle()
+      ),
+    /**
+     * Conta os limites e grava numa transação só (sql/020). limites:
+     * { porConversa, porDia, inicioDoDia } (null = sem limite).
+     * Devolve { voucher } (com o nome do parceiro) ou { recusado: "conversa" | "dia" }.
+     */
+    emitir: async (linha, { porConversa, porDia, inicioDoDia }) => {
+      const r = await resultado(
+        cliente.rpc("vouchers_emitir", {
+          p_voucher: linha,
+          p_limite_conversa: porConversa,
+          p_limite_dia: porDia,
+          p_inicio_do_dia: inicioDoDia
+        })
+      );
+      if (r?.recusado) return { recusado: r.recusado };
+      return { voucher: await resultado(cliente.from("vouchers").select(CAMPOS_DO_VOUCHER).eq("id", r.id).single()) };
+    }
+  };
+
+  return { regioes, cidades, parceiros, pontos, links, conversas, interacoes, buscas, eventos, views, reservas, vouchers };
+}
+
+export const repositorios = criarRepositorios(supabase);
@@ -0,0 +1,205 @@
+// F:\uber-chat-mvp\backend-oficial\lib\reservas.js
+// ============================================================================
+// Pedidos de reserva pelo chat (tabela reservas, sql/017)
+// - O pedido em andamento fica em conversas.reserva_em_andamento:
+//   { parceiro: { id, nome, horario_estruturado }, data, hora, pessoas, nome,
+//     telefone, aguardando, iniciado_em } — um campo por vez, em qualquer ordem
+//   ("amanhã às 20h para 4" preenche três de uma vez)
+// - Data/hora são conferidas com o horário estruturado do parceiro (quando há)
+// - Ciclo de vida: solicitada → confirmada | recusada | cancelada;
+//   confirmada → cancelada. Parceiro/admin confirmam ou recusam; o usuário
+//   pode cancelar pelo chat
+// ============================================================================
+
+import { randomBytes } from "crypto";
+import { normalizar } from "./texto.js";
+import { partesLocais, extrairMomentoDaPergunta, estaAbertoEm, faixasDoDia } from "./horarios.js";
+import { extrairDatas, extrairTamanhoGrupo } from "./slots.js";
+import { pareceNovaBusca } from "./comodidades.js";
+
+export const STATUS_DE_RESERVA = ["solicitada", "confirmada", "recusada", "cancelada"];
+export const CAMPOS_DA_RESERVA = ["data", "hora", "pessoas", "nome", "telefone"];
+
+const TRANSICOES = {
+  solicitada: ["confirmada", "recusada", "cancelada"],
+  confirmada: ["cancelada"],
+  recusada: [],
+  cancelada: []
+};
+
+export const MAX_PESSOAS = 30;
+export const ANTECEDENCIA_MAXIMA_DIAS = 180;
+const MOTIVO_MAX = 500;
+
+/** A reserva pode passar de um status para o outro? */
+export function transicaoPermitida(de, para) {
+  return (TRANSICOES[de] || []).includes(para);
+}
+
+/** Código curto para o usuário citar ("R-7KQ2MX"); sem 0/O/1/I para não confundir. */
+export function gerarCodigoDeReserva() {
+  const alfabeto = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  return `R-${Array.from(randomBytes(6), (b) => alfabeto[b % alfabeto.length]).join("")}`;
+}
+
+// ----------------------------- PEDIDO NO CHAT -------------------------------
+export function novoPedidoDeReserva(parceiro, agora = new Date()) {
+  return {
+    parceiro: { id: parceiro.id, nome: parceiro.nome, horario_estruturado: parceiro.horario_estruturado || null },
+    data: null,
+    hora: null,
+    pessoas: null,
+    nome: null,
+    telefone: null,
+    aguardando: "data",
+    iniciado_em: agora.toISOString()
+  };
+}
+
+/** Primeiro campo ainda vazio (null = pedido completo). */
+export function proximoCampo(pedido) {
+  return CAMPOS_DA_RESERVA.find((c) => pedido[c] === null || pedido[c] === undefined) || null;
+}
+
+const RE_TELEFONE = /\+?\d[\d\s().-]{7,}\d/g;
+const RE_NOME =
+  /(?:meu nome [eé]|me chamo|em nome de|no nome de|my name is|name is|under the name|me llamo|mi nombre es|a nombre de)\s+([^\d,.;!?\n]{2,60})/i;
+const RE_PESSOAS_OUTROS_IDIOMAS =
+  /\b(?:for|party of|table for|mesa para|somos)\s+(\d{1,2})\b(?!\s*(?:h\b|:|am\b|pm\b))|\b(\d{1,2})\s+(?:people|persons|guests|adults|personas|adultos)\b/;
+
+function telefoneDaMensagem(texto) {
+  for (const trecho of texto.match(RE_TELEFONE) || []) {
+    const digitos = trecho.replace(/\D/g, "");
+    if (digitos.length >= 10 && digitos.length <= 13) return `${trecho.trim().startsWith("+") ? "+" : ""}${digitos}`;
+  }
+  return null;
+}
+
+function limparNome(nome) {
+  const limpo = String(nome).replace(/\s+/g, " ").trim();
+  return limpo.length >= 2 && limpo.length <= 60 ? limpo : null;
+}
+
+/**
+ * Dados de reserva que a mensagem traz: { data?, hora?, pessoas?, nome?, telefone? }.
+ * "aguardando" libera respostas curtas para o campo perguntado: "4" (pessoas),
+ * "20" (hora) ou o nome sozinho ("Ana Souza").
+ */
+export function extrairDadosDaReserva(texto, { aguardando = null, agora = new Date() } = {}) {
+  const bruto = String(texto || "").trim();
+  const t = normalizar(bruto);
+  const dados = {};
+
+  const telefone = telefoneDaMensagem(bruto);
+  if (telefone) dados.telefone = telefone;
+  // O telefone sai do texto antes de procurar datas, horas e pessoas nele
+  const semTelefone = telefone ? bruto.replace(RE_TELEFONE, " ") : bruto;
+
+  const periodo = extrairDatas(semTelefone, agora);
+  const momento = extrairMomentoDaPergunta(semTelefone, agora);
+  if (periodo?.inicio) dados.data = periodo.inicio;
+  else if (momento?.diaInformado) dados.data = momento.data;
+  if (momento?.horaInformada) {
+    dados.hora = `${String(Math.floor(momento.minutos / 60)).padStart(2, "0")}:${String(momento.minutos % 60).padStart(2, "0")}`;
+  }
+
+  const mPessoas = normalizar(semTelefone).match(RE_PESSOAS_OUTROS_IDIOMAS);
+  const pessoas = extrairTamanhoGrupo(semTelefone) || (mPessoas ? Number(mPessoas[1] || mPessoas[2]) : null);
+  if (pessoas) dados.pessoas = pessoas;
+
+  // Resposta de um número só ao campo perguntado
+  const numeroSozinho = t.match(/^(\d{1,2})$/);
+  if (numeroSozinho && aguardando === "pessoas") dados.pessoas = Number(numeroSozinho[1]);
+  if (numeroSozinho && aguardando === "hora" && Number(numeroSozinho[1]) <= 23) {
+    dados.hora = `${numeroSozinho[1].padStart(2, "0")}:00`;
+  }
+
+  const mNome = bruto.match(RE_NOME);
+  if (mNome) dados.nome = limparNome(mNome[1]);
+  else if (aguardando === "nome" && !/\d/.test(bruto) && bruto.split(/\s+/).length <= 6 && !pareceNovaBusca(bruto)) {
+    dados.nome = limparNome(bruto.replace(/^(?:sou|é|e|it's|its|soy)\s+/i, ""));
+  }
+  if (!dados.nome) delete dados.nome;
+
+  return dados;
+}
+
+/**
+ * Confere data/hora do pedido. Retorna null (ok) ou { motivo, limpar: [campos] }:
+ * "passado", "longe" (mais de ANTECEDENCIA_MAXIMA_DIAS), "naoAbre" (dia fechado),
+ * "fechado" (hora fora das faixas do dia) ou "pessoas" (fora de 1..MAX_PESSOAS).
+ */
+export function validarPedidoDeReserva(pedido, agora = new Date()) {
+  if (pedido.pessoas !== null && (pedido.pessoas < 1 || pedido.pessoas > MAX_PESSOAS)) {
+    return { motivo: "pessoas", limpar: ["pessoas"] };
+  }
+  if (!pedido.data) return null;
+
+  const hoje = partesLocais(agora);
+  const limite = new Date(`${hoje.data}T12:00:00Z`);
+  limite.setUTCDate(limite.getUTCDate() + ANTECEDENCIA_MAXIMA_DIAS);
+  if (pedido.data < hoje.data) return { motivo: "passado", limpar: ["data"] };
+  if (pedido.data > limite.toISOString().slice(0, 10)) return { motivo: "longe", limpar: ["data"] };
+
+  const minutos = pedido.hora ? Number(pedido.hora.slice(0, 2)) * 60 + Number(pedido.hora.slice(3)) : null;
+  if (minutos !== null && pedido.data === hoje.data && minutos <= hoje.minutos) return { motivo: "passado", limpar: ["hora"] };
+
+  const horario = pedido.parceiro?.horario_estruturado;
+  if (!horario) return null;
+  if (minutos === null) return faixasDoDia(horario, pedido.data).length === 0 ? { motivo: "naoAbre", limpar: ["data"] } : null;
+  if (!estaAbertoEm(horario, pedido.data, minutos).aberto) {
+    return faixasDoDia(horario, pedido.data).length === 0
+      ? { motivo: "naoAbre", limpar: ["data", "hora"] }
+      : { motivo: "fechado", limpar: ["hora"] };
+  }
+  return null;
+}
+
+/**
+ * Aplica a mensagem ao pedido. Retorna { pedido, entendeu, problema }:
+ * entendeu = a mensagem trouxe algum dado; problema = resultado de
+ * validarPedidoDeReserva (os campos inválidos voltam a ficar vazios).
+ */
+export function avancarPedidoDeReserva(pedidoAtual, texto, agora = new Date()) {
+  const dados = extrairDadosDaReserva(texto, { aguardando: pedidoAtual.aguardando, agora });
+  const pedido = { ...pedidoAtual, ...dados };
+  const problema = validarPedidoDeReserva(pedido, agora);
+  if (problema) for (const campo of problema.limpar) pedido[campo] = null;
+  pedido.aguardando = proximoCampo(pedido);
+  return { pedido, entendeu: Object.keys(dados).length > 0, problema };
+}
+
+// ------------------------- RESPOSTA DO PARCEIRO -----------------------------
+/**
+ * Valida { status, motivo? } das rotas de confirmação/recusa.
+ * Retorna { status, motivo, erros } (a transição é conferida na rota, com o status atual).
+ */
+export function validarMudancaDeStatus(body) {
+  const entrada = body && typeof body === "object" ? body : {};
+  const erros = [];
+
+  const status = typeof entrada.status === "string" ? entrada.status.trim() : "";
+  if (!STATUS_DE_RESERVA.includes(status) || status === "solicitada") {
+    erros.push({ campo: "status", mensagem: "use confirmada, recusada ou cancelada" });
+  }
+
+  let motivo = null;
+  if (entrada.motivo !== undefined && entrada.motivo !== null) {
+    if (typeof entrada.motivo !== "string") erros.push({ campo: "motivo", mensagem: "deve ser texto" });
+    else if (entrada.motivo.length > MOTIVO_MAX) erros.push({ campo: "motivo", mensagem: `máximo de ${MOTIVO_MAX} caracteres` });
+    else motivo = entrada.motivo.trim() || null;
+  }
+
+  return { status, motivo, erros };
+}
+
+/** Campos de update para a mudança de status (historico acumula quem mudou e quando). */
+export function mudancaDeStatus(reserva, { status, motivo = null, por }, agora = new Date()) {
+  const em = agora.toISOString();
+  return {
+    status,
+    motivo,
+    atualizado_em: em,
+    historico: [...(Array.isArray(reserva.historico) ? reserva.historico : []), { status, em, por, motivo }]
+  };
+}
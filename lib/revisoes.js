@@ -0,0 +1,83 @@
+// F:\uber-chat-mvp\backend-oficial\lib\revisoes.js
+// ============================================================================
+// Histórico de revisões de parceiros (tabela parceiro_revisoes)
+// - Cada mudança vira uma linha: ação, conta que agiu, diff por campo
+//   ({ campo: { de, para } }) e o estado completo depois da mudança
+// - Restaurar uma revisão = gravar de novo o "estado" dela (gera nova revisão)
+// ============================================================================
+
+export const ACOES_DE_REVISAO = [
+  "criacao",
+  "edicao",
+  "importacao",
+  "edicao_portal",
+  "exclusao",
+  "restauracao",
+  "reversao"
+];
+
+// Colunas que entram no histórico (id/created_at/views ficam de fora)
+export const CAMPOS_VERSIONADOS = [
+  "cidade_id",
+  "tipo",
+  "nome",
+  "chave_externa",
+  "categoria",
+  "descricao",
+  "beneficio_bepit",
+  "endereco",
+  "contato",
+  "tags",
+  "horario_funcionamento",
+  "horario_estruturado",
+  "faixa_preco",
+  "fotos_parceiros",
+  "traducoes",
+  "latitude",
+  "longitude",
+  "comodidades",
+  "ativo",
+  "excluido_em"
+];
+
+export function estadoVersionado(parceiro) {
+  const estado = {};
+  for (const campo of CAMPOS_VERSIONADOS) estado[campo] = parceiro?.[campo] ?? null;
+  return estado;
+}
+
+/** Campos que mudaram entre dois estados: { campo: { de, para } }. */
+export function diffDeCampos(antes, depois) {
+  const diff = {};
+  for (const campo of CAMPOS_VERSIONADOS) {
+    const de = antes?.[campo] ?? null;
+    const para = depois?.[campo] ?? null;
+    if (JSON.stringify(de) !== JSON.stringify(para)) diff[campo] = { de, para };
+  }
+  return diff;
+}
+
+/**
+ * Linha de parceiro_revisoes para uma mudança; null quando nada mudou.
+ * conta: req.conta (contas pela chave legada não têm id).
+ */
+export function montarRevisao({ parceiroId, acao, conta, antes, depois, revisaoOrigem = null }) {
+  if (!ACOES_DE_REVISAO.includes(acao)) throw new Error(`ação de revisão desconhecida: ${acao}`);
+  const diff = diffDeCampos(antes, depois);
+  if (Object.keys(diff).length === 0) return null;
+  return {
+    parceiro_id: parceiroId,
+    acao,
+    conta_id: conta && !conta.legado ? conta.id : null,
+    autor: conta?.username || null,
+    diff,
+    estado: estadoVersionado(depois),
+    revisao_origem: revisaoOrigem
+  };
+}
+
+/** Campos a regravar ao restaurar uma revisão (a exclusão lógica tem rota própria). */
+export function camposParaRestaurar(revisao) {
+  const { excluido_em, ...campos } = estadoVersionado(revisao?.estado);
+  return campos;
+}
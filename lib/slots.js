@@ -0,0 +1,243 @@
+// F:\uber-chat-mvp\backend-oficial\lib\slots.js
+// ============================================================================
+// Slots da conversa (coluna conversas.slots)
+// Memória do que o usuário já disse, para não perder contexto entre mensagens:
+//   { cidade: { id, nome, slug } | null, companhia, vibe, orcamento,
+//     datas: { inicio, fim, texto } | null, tamanhoGrupo: number | null }
+//
+// Regras de mesclagem (da mais fraca para a mais forte):
+// 1) slots já salvos na conversa
+// 2) valores novos extraídos da mensagem (valor novo substitui o antigo;
+//    "não sei" / null da IA NÃO apaga nada)
+// 3) pedidos de limpeza na mensagem ("esquece o orçamento", "qualquer cidade")
+// 4) slots enviados explicitamente pelo front (edição manual pelo usuário)
+// ============================================================================
+
+import { normalizar } from "./texto.js";
+import { partesLocais } from "./horarios.js";
+
+export const VALORES_SLOTS = {
+  companhia: ["casal", "familia", "amigos", "sozinho"],
+  vibe: ["romantico", "tranquilo", "agitado", "aventura"],
+  orcamento: ["baixo", "medio", "alto"]
+};
+
+export const NOMES_SLOTS = ["cidade", "companhia", "vibe", "orcamento", "datas", "tamanhoGrupo"];
+
+export function slotsVazios() {
+  return { cidade: null, companhia: null, vibe: null, orcamento: null, datas: null, tamanhoGrupo: null };
+}
+
+// ------------------------- EXTRAÇÃO DA MENSAGEM -----------------------------
+// Heurísticas locais: funcionam mesmo com a IA desligada e complementam a análise
+const PISTAS_COMPANHIA = [
+  [/\b(esposa|marido|namorad[oa]|noiv[oa]|mulher|casal|a dois|lua de mel)\b/, "casal"],
+  [/\b(filh[oa]s?|criancas?|familia|bebe|kids)\b/, "familia"],
+  [/\b(amig[oa]s|galera|turma)\b/, "amigos"],
+  [/\b(sozinh[oa]|so eu)\b/, "sozinho"]
+];
+
+const PISTAS_ORCAMENTO = [
+  [/\b(barat[oa]s?|economic[oa]s?|em conta|gastar pouco)\b/, "baixo"],
+  [/\b(sofisticad[oa]s?|premium|luxo|chique|caro)\b/, "alto"]
+];
+
+const NUMEROS_POR_EXTENSO = {
+  dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5, seis: 6, sete: 7, oito: 8, nove: 9, dez: 10
+};
+
+const MESES = ["janeiro", "fevereiro", "marco", "abril", "maio", "junho", "julho", "agosto", "setembro", "outubro", "novembro", "dezembro"];
+
+function dataISO(ano, mes, dia) {
+  return `${ano}-${String(mes).padStart(2, "0")}-${String(dia).padStart(2, "0")}`;
+}
+
+// Datas do passado viram do ano seguinte ("dia 10/01" dito em dezembro)
+function anoProvavel(mes, dia, hoje) {
+  const ano = Number(hoje.slice(0, 4));
+  return dataISO(ano, mes, dia) < hoje ? ano + 1 : ano;
+}
+
+function somarDias(data, n) {
+  const d = new Date(`${data}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Extrai período da viagem: "de 10 a 15 de janeiro", "20/12 a 02/01", "amanhã", "fim de semana". */
+export function extrairDatas(texto, agora = new Date()) {
+  const t = normalizar(texto);
+  const hoje = partesLocais(agora).data;
+  const mesRe = MESES.join("|");
+
+  let m = t.match(new RegExp(`\\b(?:de |do dia |dia )?(\\d{1,2}) (?:a|ate) (\\d{1,2}) de (${mesRe})\\b`));
+  if (m) {
+    const mes = MESES.indexOf(m[3]) + 1;
+    const ano = anoProvavel(mes, Number(m[1]), hoje);
+    return { inicio: dataISO(ano, mes, Number(m[1])), fim: dataISO(ano, mes, Number(m[2])), texto: m[0].trim() };
+  }
+
+  m = t.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?(?:\s*(?:a|ate|-)\s*(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?)?/);
+  if (m && Number(m[2]) >= 1 && Number(m[2]) <= 12) {
+    const anoIni = m[3] ? Number(m[3].length === 2 ? `20${m[3]}` : m[3]) : anoProvavel(Number(m[2]), Number(m[1]), hoje);
+    const inicio = dataISO(anoIni, Number(m[2]), Number(m[1]));
+    let fim = null;
+    if (m[4] && Number(m[5]) >= 1 && Number(m[5]) <= 12) {
+      const anoFim = m[6] ? Number(m[6].length === 2 ? `20${m[6]}` : m[6]) : (Number(m[5]) < Number(m[2]) ? anoIni + 1 : anoIni);
+      fim = dataISO(anoFim, Number(m[5]), Number(m[4]));
+    }
+    return { inicio, fim, texto: m[0].trim() };
+  }
+
+  m = t.match(new RegExp(`\\b(?:dia )?(\\d{1,2}) de (${mesRe})\\b`));
+  if (m) {
+    const mes = MESES.indexOf(m[2]) + 1;
+    const ano = anoProvavel(mes, Number(m[1]), hoje);
+    return { inicio: dataISO(ano, mes, Number(m[1])), fim: null, texto: m[0].trim() };
+  }
+
+  if (/\bamanha\b/.test(t)) return { inicio: somarDias(hoje, 1), fim: null, texto: "amanhã" };
+  if (/\b(este|esse|neste|nesse|proximo) fim de semana\b|\bno fim de semana\b/.test(t)) {
+    const dia = new Date(`${hoje}T12:00:00Z`).getUTCDay();
+    const sabado = somarDias(hoje, (6 - dia + 7) % 7);
+    return { inicio: dia === 0 ? hoje : sabado, fim: dia === 0 ? hoje : somarDias(sabado, 1), texto: "fim de semana" };
+  }
+  return null;
+}
+
+/** Extrai tamanho do grupo: "somos 4", "para 6 pessoas", "em tres adultos". */
+export function extrairTamanhoGrupo(texto) {
+  const t = normalizar(texto);
+  const numero = "(\\d{1,2}|dois|duas|tres|quatro|cinco|seis|sete|oito|nove|dez)";
+  const m =
+    t.match(new RegExp(`\\b(?:somos|seremos|estamos em|vamos em|grupo de|para|pra|mesa para|mesa pra)\\s+${numero}\\b(?!\\s*(?:h\\b|horas|:|\\/))`)) ||
+    t.match(new RegExp(`\\b${numero}\\s+(?:pessoas|adultos|amigos|viajantes)\\b`));
+  if (!m) return null;
+  const n = NUMEROS_POR_EXTENSO[m[1]] || Number(m[1]);
+  return n >= 1 && n <= 99 ? n : null;
+}
+
+/**
+ * Slots que a mensagem atual informa (null = a mensagem não falou disso).
+ * contexto: { analise, cidadeDaMensagem, agora }
+ */
+export function extrairSlotsDaMensagem(texto, contexto = {}) {
+  const t = normalizar(texto);
+  const analise = contexto.analise || {};
+  const novos = {};
+
+  if (contexto.cidadeDaMensagem) {
+    const c = contexto.cidadeDaMensagem;
+    novos.cidade = { id: c.id, nome: c.nome, slug: c.slug };
+  }
+
+  const companhiaLocal = PISTAS_COMPANHIA.find(([re]) => re.test(t))?.[1] || null;
+  const companhia = VALORES_SLOTS.companhia.includes(analise.companhia) ? analise.companhia : companhiaLocal;
+  if (companhia) novos.companhia = companhia;
+
+  if (VALORES_SLOTS.vibe.includes(analise.vibe)) novos.vibe = analise.vibe;
+
+  const orcamentoLocal = PISTAS_ORCAMENTO.find(([re]) => re.test(t))?.[1] || null;
+  const orcamento = VALORES_SLOTS.orcamento.includes(analise.orcamento) ? analise.orcamento : orcamentoLocal;
+  if (orcamento) novos.orcamento = orcamento;
+
+  const datas = extrairDatas(texto, contexto.agora);
+  if (datas) novos.datas = datas;
+
+  const grupo = extrairTamanhoGrupo(texto);
+  if (grupo) novos.tamanhoGrupo = grupo;
+
+  return novos;
+}
+
+// ----------------------------- LIMPEZAS -------------------------------------
+const VERBOS_LIMPEZA = "(?:esquece|esqueca|ignora|ignore|tira|tire|remove|remova|limpa|limpe|sem|desconsidera|desconsidere)";
+const ALVOS_LIMPEZA = [
+  ["cidade", "(?:a )?cidade"],
+  ["companhia", "(?:a )?companhia"],
+  ["vibe", "(?:a )?(?:vibe|clima|estilo)"],
+  ["orcamento", "(?:o )?(?:orcamento|preco|valor)"],
+  ["datas", "(?:as |a )?(?:datas?|periodo)"],
+  ["tamanhoGrupo", "(?:o )?(?:numero de pessoas|tamanho do grupo|grupo)"]
+];
+
+/** Slots que o usuário pediu para esquecer. "recomeçar"/"zera tudo" limpa todos. */
+export function detectarLimpezas(texto) {
+  const t = normalizar(texto);
+  if (/\b(recomecar|recomeca|zera tudo|zerar tudo|esquece tudo|comecar de novo)\b/.test(t)) return [...NOMES_SLOTS];
+
+  const limpar = [];
+  for (const [slot, alvo] of ALVOS_LIMPEZA) {
+    if (new RegExp(`\\b${VERBOS_LIMPEZA} ${alvo}\\b`).test(t)) limpar.push(slot);
+  }
+  if (/\b(qualquer cidade|toda a regiao|na regiao toda|em qualquer lugar)\b/.test(t)) limpar.push("cidade");
+  if (/\b(qualquer preco|tanto faz o preco|sem limite de preco)\b/.test(t)) limpar.push("orcamento");
+  return Array.from(new Set(limpar));
+}
+
+// -------------------------- EDIÇÃO PELO FRONT -------------------------------
+/**
+ * Valida slots enviados pelo front. Cidade vem como slug (ou null para limpar).
+ * Retorna { slots, erros } — só contém as chaves enviadas.
+ */
+export function validarSlotsInformados(entrada, cidades = []) {
+  const slots = {};
+  const erros = [];
+  if (entrada === undefined || entrada === null) return { slots, erros };
+  if (typeof entrada !== "object" || Array.isArray(entrada)) {
+    return { slots, erros: [{ campo: "slots", mensagem: "deve ser um objeto" }] };
+  }
+
+  for (const [chave, valor] of Object.entries(entrada)) {
+    if (!NOMES_SLOTS.includes(chave)) {
+      erros.push({ campo: `slots.${chave}`, mensagem: "slot desconhecido" });
+      continue;
+    }
+    if (valor === null) {
+      slots[chave] = null;
+      continue;
+    }
+    if (chave === "cidade") {
+      const slug = typeof valor === "object" ? valor.slug : valor;
+      const c = cidades.find((x) => x.slug === slug);
+      if (!c) erros.push({ campo: "slots.cidade", mensagem: "cidade não pertence a esta região" });
+      else slots.cidade = { id: c.id, nome: c.nome, slug: c.slug };
+    } else if (VALORES_SLOTS[chave]) {
+      if (!VALORES_SLOTS[chave].includes(valor)) {
+        erros.push({ campo: `slots.${chave}`, mensagem: `use um de: ${VALORES_SLOTS[chave].join(", ")}` });
+      } else slots[chave] = valor;
+    } else if (chave === "tamanhoGrupo") {
+      const n = Number(valor);
+      if (!Number.isInteger(n) || n < 1 || n > 99) erros.push({ campo: "slots.tamanhoGrupo", mensagem: "inteiro entre 1 e 99" });
+      else slots.tamanhoGrupo = n;
+    } else if (chave === "datas") {
+      const re = /^\d{4}-\d{2}-\d{2}$/;
+      if (typeof valor !== "object" || !re.test(String(valor.inicio)) || (valor.fim && !re.test(String(valor.fim)))) {
+        erros.push({ campo: "slots.datas", mensagem: "use { inicio: YYYY-MM-DD, fim?: YYYY-MM-DD }" });
+      } else slots.datas = { inicio: valor.inicio, fim: valor.fim || null, texto: valor.texto || null };
+    }
+  }
+  return { slots, erros };
+}
+
+// ------------------------------ MESCLA --------------------------------------
+/** Aplica as regras de sobrescrita e devolve o conjunto completo de slots. */
+export function mesclarSlots(atuais, daMensagem = {}, limpezas = [], informados = {}) {
+  const resultado = { ...slotsVazios(), ...(atuais || {}) };
+  for (const [chave, valor] of Object.entries(daMensagem)) {
+    if (valor !== null && valor !== undefined) resultado[chave] = valor;
+  }
+  for (const chave of limpezas) resultado[chave] = null;
+  for (const [chave, valor] of Object.entries(informados)) resultado[chave] = valor;
+  return resultado;
+}
+
+/** Linha compacta para prompts: "cidade=Cabo Frio, companhia=casal, ..." */
+export function descreverSlots(slots) {
+  const partes = [];
+  if (slots?.cidade) partes.push(`cidade=${slots.cidade.nome}`);
+  for (const k of ["companhia", "vibe", "orcamento"]) if (slots?.[k]) partes.push(`${k}=${slots[k]}`);
+  if (slots?.datas) partes.push(`datas=${slots.datas.inicio}${slots.datas.fim ? ` a ${slots.datas.fim}` : ""}`);
+  if (slots?.tamanhoGrupo) partes.push(`grupo=${slots.tamanhoGrupo} pessoas`);
+  return partes.join(", ");
+}
@@ -1,5 +1,10 @@
 // F:\uber-chat-mvp\backend-oficial\lib\supabaseClient.js
 import { createClient } from "@supabase/supabase-js";
+import { criarClienteLocal } from "./armazemLocal.js";
+
+// DADOS_ARMAZEM=local → JSONs em DADOS_DIR (lib/armazemLocal.js), sem serviço externo.
+// O resto do código usa o mesmo cliente nos dois casos.
+export const ARMAZEM_DE_DADOS = process.env.DADOS_ARMAZEM === "local" ? "local" : "supabase";
 
 const url = process.env.SUPABASE_URL;
 
@@ -10,11 +15,14 @@ const anonKey = process.env.SUPABASE_ANON_KEY;
 
 const keyParaUsar = serviceKey || anonKey;
 
-if (!url || !keyParaUsar) {
+if (ARMAZEM_DE_DADOS === "supabase" && (!url || !keyParaUsar)) {
   console.error("[Supabase] Faltam variáveis SUPABASE_URL e SUPABASE_SERVICE_ROLE_KEY/ANON_KEY no .env");
 }
 
-export const supabase = createClient(url, keyParaUsar, {
-  auth: { persistSession: false },
-  global: { headers: {} }
-});
+export const supabase =
+  ARMAZEM_DE_DADOS === "local"
+    ? criarClienteLocal()
+    : createClient(url, keyParaUsar, {
+        auth: { persistSession: false },
+        global: { headers: {} }
+      });
@@ -0,0 +1,41 @@
+// F:\uber-chat-mvp\backend-oficial\lib\texto.js
+// ============================================================================
+// Helpers de texto compartilhados (normalização e similaridade fuzzy)
+// ============================================================================
+
+export function normalizar(s) {
+  return String(s || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().trim();
+}
+
+// Termo inteiro dentro do texto (ambos já normalizados): "close" não casa com
+// "closest", nem "open" com "open-air" (hífen conta como parte da palavra)
+const REGEX_DE_TERMO = new Map();
+export function contemTermo(textoNormalizado, termoNormalizado) {
+  let re = REGEX_DE_TERMO.get(termoNormalizado);
+  if (!re) {
+    const escapado = termoNormalizado.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    re = new RegExp(`(?:^|[^a-z0-9-])${escapado}(?![a-z0-9-])`);
+    REGEX_DE_TERMO.set(termoNormalizado, re);
+  }
+  return re.test(textoNormalizado);
+}
+
+// Dice coefficient (bigrams) para fuzzy matching simples
+function bigrams(str) {
+  const s = normalizar(str);
+  const grams = [];
+  for (let i = 0; i < s.length - 1; i++) grams.push(s.slice(i, i + 2));
+  return grams;
+}
+
+export function diceSimilarity(a, b) {
+  const A = bigrams(a); const B = bigrams(b);
+  if (A.length === 0 || B.length === 0) return 0;
+  let inter = 0;
+  const freq = new Map();
+  for (const g of A) freq.set(g, (freq.get(g) || 0) + 1);
+  for (const g of B) { const v = freq.get(g) || 0; if (v > 0) { inter += 1; freq.set(g, v - 1); } }
+  return (2 * inter) / (A.length + B.length);
+}
@@ -0,0 +1,48 @@
+// F:\uber-chat-mvp\backend-oficial\lib\transcricao.js
+// ============================================================================
+// Transcrição da conversa (coluna conversas.transcricao)
+// - Lista ordenada de turnos: { papel: "usuario" | "assistente", texto, em }
+// - Guardamos no máximo TRANSCRICAO_MAX_TURNOS (os mais antigos saem primeiro)
+// - Para os prompts, pegamos os últimos N turnos cabendo num orçamento de tokens
+// ============================================================================
+
+const TRANSCRICAO_MAX_TURNOS = Number(process.env.TRANSCRICAO_MAX_TURNOS || 200);
+const TRANSCRICAO_TURNOS_PROMPT = Number(process.env.TRANSCRICAO_TURNOS_PROMPT || 8);
+const TRANSCRICAO_TOKENS_PROMPT = Number(process.env.TRANSCRICAO_TOKENS_PROMPT || 800);
+
+// Estimativa grosseira (~4 caracteres por token), suficiente para cortar o histórico
+export function estimarTokens(texto) {
+  return Math.ceil(String(texto || "").length / 4);
+}
+
+/** Acrescenta o par pergunta/resposta à transcrição (sem mutar a original). */
+export function adicionarTurnos(transcricao, textoUsuario, textoAssistente, em = new Date().toISOString()) {
+  const atual = Array.isArray(transcricao) ? transcricao : [];
+  const novos = [];
+  if (textoUsuario) novos.push({ papel: "usuario", texto: String(textoUsuario), em });
+  if (textoAssistente) novos.push({ papel: "assistente", texto: String(textoAssistente), em });
+  return [...atual, ...novos].slice(-TRANSCRICAO_MAX_TURNOS);
+}
+
+/**
+ * Monta o bloco "Conversa até aqui" para os prompts: últimos N turnos,
+ * do mais recente para o mais antigo, até estourar o orçamento de tokens.
+ * Retorna "" quando não há histórico.
+ */
+export function historicoParaPrompt(transcricao, opcoes = {}) {
+  const maxTurnos = Number(opcoes.maxTurnos || TRANSCRICAO_TURNOS_PROMPT);
+  const orcamento = Number(opcoes.orcamentoTokens || TRANSCRICAO_TOKENS_PROMPT);
+  const turnos = Array.isArray(transcricao) ? transcricao.slice(-maxTurnos) : [];
+
+  const linhas = [];
+  let gastos = 0;
+  for (let i = turnos.length - 1; i >= 0; i--) {
+    const rotulo = turnos[i].papel === "assistente" ? "BEPIT" : "Usuário";
+    const linha = `${rotulo}: ${String(turnos[i].texto || "").replace(/\s+/g, " ").trim()}`;
+    const custo = estimarTokens(linha);
+    if (gastos + custo > orcamento) break;
+    gastos += custo;
+    linhas.unshift(linha);
+  }
+  return linhas.join("\n");
+}
@@ -0,0 +1,129 @@
+// F:\uber-chat-mvp\backend-oficial\lib\vouchers.js
+// ============================================================================
+// Vouchers do benefício BEPIT (tabela vouchers, sql/019)
+// - "quero usar o benefício" com um parceiro em foco emite um código curto
+//   ("V-7KQ2-MX9A") com validade (VOUCHERS_VALIDADE_MIN, padrão 120) e o
+//   conteúdo do QR ("BEPIT-VOUCHER:V-7KQ2-MX9A"); pedir de novo na mesma
+//   conversa devolve o voucher ainda válido
+// - O parceiro resgata uma vez: código (ou o conteúdo do QR) → resgatado;
+//   reuso e código vencido são recusados
+// - Limites (0 = sem limite), com override por região como o orçamento de IA:
+//   VOUCHERS_LIMITE_CONVERSA[_<REGIAO>] (padrão 3, por conversa) e
+//   VOUCHERS_LIMITE_DIA[_<REGIAO>] (padrão 100, por parceiro por dia local)
+//   A emissão conta e grava numa transação só (vouchers_emitir, sql/020)
+// ============================================================================
+
+import { randomBytes } from "crypto";
+
+export const STATUS_DE_VOUCHER = ["emitido", "resgatado"];
+// "expirado" não é gravado: é um voucher emitido com expira_em no passado
+export const SITUACOES_DE_VOUCHER = ["emitido", "resgatado", "expirado"];
+
+export const PREFIXO_DO_QR = "BEPIT-VOUCHER:";
+const RE_CODIGO = /^V-[A-Z2-9]{4}-[A-Z2-9]{4}$/;
+
+const VALIDADE_MIN = Number(process.env.VOUCHERS_VALIDADE_MIN || 120);
+
+// ------------------------------ CONFIG --------------------------------------
+function limiteDoEnv(nome, padrao) {
+  const bruto = process.env[nome];
+  if (bruto === undefined || bruto === "") return undefined;
+  const valor = Number(bruto);
+  return Number.isFinite(valor) && valor >= 0 ? valor : padrao;
+}
+
+/** Limites da região: { porConversa, porDia } (null = sem limite). */
+export function limitesDeVoucher(regiaoSlug) {
+  const sufixo = String(regiaoSlug || "").toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+  const ler = (nome, padrao) => {
+    const valor = limiteDoEnv(`${nome}_${sufixo}`, padrao) ?? limiteDoEnv(nome, padrao) ?? padrao;
+    return valor > 0 ? valor : null;
+  };
+  return { porConversa: ler("VOUCHERS_LIMITE_CONVERSA", 3), porDia: ler("VOUCHERS_LIMITE_DIA", 100) };
+}
+
+// ------------------------------- CÓDIGO -------------------------------------
+/** "V-7KQ2-MX9A"; sem 0/O/1/I para não confundir no caixa. */
+export function gerarCodigoDeVoucher() {
+  const alfabeto = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const letras = Array.from(randomBytes(8), (b) => alfabeto[b % alfabeto.length]).join("");
+  return `V-${letras.slice(0, 4)}-${letras.slice(4)}`;
+}
+
+export function conteudoDoQr(codigo) {
+  return `${PREFIXO_DO_QR}${codigo}`;
+}
+
+/**
+ * Código digitado ou lido do QR → "V-XXXX-XXXX" (null se não parece um voucher).
+ * Aceita minúsculas, espaços e o código sem hífens ("v7kq2mx9a").
+ */
+export function lerCodigoDeVoucher(entrada) {
+  let texto = String(entrada || "").trim().toUpperCase();
+  if (texto.startsWith(PREFIXO_DO_QR)) texto = texto.slice(PREFIXO_DO_QR.length);
+  const letras = texto.replace(/[\s-]+/g, "");
+  const codigo = /^V[A-Z2-9]{8}$/.test(letras) ? `V-${letras.slice(1, 5)}-${letras.slice(5)}` : texto;
+  return RE_CODIGO.test(codigo) ? codigo : null;
+}
+
+// ------------------------------- EMISSÃO ------------------------------------
+/** Linha nova de vouchers para o parceiro (beneficio = texto do benefício no momento). */
+export function novoVoucher({ parceiro, regiaoId, conversationId, idioma, beneficio }, agora = new Date()) {
+  return {
+    codigo: gerarCodigoDeVoucher(),
+    parceiro_id: parceiro.id,
+    regiao_id: regiaoId,
+    conversation_id: conversationId,
+    beneficio,
+    idioma,
+    status: "emitido",
+    expira_em: new Date(agora.getTime() + VALIDADE_MIN * 60_000).toISOString()
+  };
+}
+
+export function situacaoDoVoucher(voucher, agora = new Date()) {
+  if (voucher.status === "resgatado") return "resgatado";
+  return Date.parse(voucher.expira_em) <= agora.getTime() ? "expirado" : "emitido";
+}
+
+// ------------------------------ RELATÓRIO -----------------------------------
+function contagemVazia() {
+  return { emitidos: 0, resgatados: 0, expirados: 0, ativos: 0, taxa_resgate: null };
+}
+
+function contar(contagem, situacao) {
+  contagem.emitidos++;
+  if (situacao === "resgatado") contagem.resgatados++;
+  else if (situacao === "expirado") contagem.expirados++;
+  else contagem.ativos++;
+}
+
+const fecharTaxa = (c) => ({ ...c, taxa_resgate: c.emitidos > 0 ? Math.round((c.resgatados / c.emitidos) * 1000) / 10 : null });
+
+/**
+ * Emitidos × resgatados no período. parceirosPorId: Map id → { nome, categoria }.
+ * Retorna { totais, por_parceiro: [{ parceiro_id, nome, categoria, ...contagem }] }
+ * (taxa_resgate em %; mais emitidos primeiro).
+ */
+export function resumirVouchers(vouchers, parceirosPorId = new Map(), agora = new Date()) {
+  const totais = contagemVazia();
+  const porParceiro = new Map();
+
+  for (const v of vouchers) {
+    const situacao = situacaoDoVoucher(v, agora);
+    contar(totais, situacao);
+    const atual = porParceiro.get(v.parceiro_id) || contagemVazia();
+    contar(atual, situacao);
+    porParceiro.set(v.parceiro_id, atual);
+  }
+
+  const linhas = Array.from(porParceiro.entries()).map(([parceiroId, contagem]) => ({
+    parceiro_id: parceiroId,
+    nome: parceirosPorId.get(parceiroId)?.nome || null,
+    categoria: parceirosPorId.get(parceiroId)?.categoria || null,
+    ...fecharTaxa(contagem)
+  }));
+  linhas.sort((a, b) => b.emitidos - a.emitidos || b.resgatados - a.resgatados);
+
+  return { totais: fecharTaxa(totais), por_parceiro: linhas };
+}
@@ -0,0 +1,389 @@
+// F:\uber-chat-mvp\backend-oficial\lib\webhooks.js
+// ============================================================================
+// Webhooks de saída (tabelas webhooks e webhook_entregas, sql/018)
+// - Admin cadastra a URL, os tipos de evento e as regiões (vazio = todas)
+// - Cada evento vira uma entrega por webhook interessado, gravada antes do
+//   envio: a fila sobrevive a reinícios e a várias instâncias
+// - Corpo JSON { id, tipo, criado_em, regiao_id, dados }, assinado com
+//   HMAC-SHA256 do segredo do webhook sobre "<timestamp>.<corpo>":
+//     X-Bepit-Assinatura: t=<unix>,v1=<hex>   X-Bepit-Evento   X-Bepit-Entrega
+// - 2xx = entregue; erro/timeout/outro status = nova tentativa com atraso
+//   exponencial; esgotadas as tentativas a entrega fica "morta" (dead-letter)
+//   até um reenvio manual
+// - Destinos em loopback, rede privada, link-local (metadados de nuvem) etc.
+//   são recusados no cadastro e de novo na conexão, com o IP já resolvido
+//   (WEBHOOKS_PERMITIR_REDE_LOCAL=1 libera, só para testes). O corpo da
+//   resposta não é lido nem guardado: o log tem só status e tipo de falha
+// ============================================================================
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { supabase } from "./supabaseClient.js";
+
+export const TIPOS_DE_EVENTO_WEBHOOK = [
+  "feedback.criado",
+  "parceiro.visualizado",
+  "lead.criado",
+  "parceiro.criado",
+  "parceiro.editado",
+  "reserva.solicitada",
+  "reserva.atualizada",
+  "voucher.emitido",
+  "voucher.resgatado"
+];
+export const STATUS_DE_ENTREGA = ["pendente", "entregue", "morta"];
+
+const MAX_TENTATIVAS = Number(process.env.WEBHOOKS_MAX_TENTATIVAS || 8);
+const ATRASO_BASE_MS = Number(process.env.WEBHOOKS_ATRASO_BASE_MS || 30_000);
+const ATRASO_MAXIMO_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOKS_TIMEOUT_MS || 10_000);
+const INTERVALO_MS = Number(process.env.WEBHOOKS_INTERVALO_MS || 15_000);
+// Quem pega a entrega a empurra para frente por este tempo (outra instância não a envia junto)
+const RESERVA_DA_ENTREGA_MS = TIMEOUT_MS + 30_000;
+const LOTE = 20;
+const CACHE_MS = 30_000;
+
+// ------------------------------ CADASTRO ------------------------------------
+/** Segredo novo do webhook (mostrado uma vez ao admin). */
+export function gerarSegredoDeWebhook() {
+  return `whsec_${randomBytes(24).toString("hex")}`;
+}
+
+/** "whsec_…a1b2" para listagens. */
+export function mascararSegredo(segredo) {
+  return segredo ? `whsec_…${String(segredo).slice(-4)}` : null;
+}
+
+// ------------------------------- DESTINOS -----------------------------------
+const REDES_BLOQUEADAS = new net.BlockList();
+for (const [rede, prefixo] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  REDES_BLOQUEADAS.addSubnet(rede, prefixo, "ipv4");
+}
+// o BlockList confere o IPv4 mapeado ("[::ffff:127.0.0.1]") contra as faixas IPv4
+for (const [rede, prefixo] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  REDES_BLOQUEADAS.addSubnet(rede, prefixo, "ipv6");
+}
+
+const redeLocalPermitida = () => process.env.WEBHOOKS_PERMITIR_REDE_LOCAL === "1";
+
+/** IP de loopback, rede privada, link-local, multicast ou reservado? */
+export function enderecoBloqueado(endereco) {
+  if (redeLocalPermitida()) return false;
+  const familia = net.isIP(endereco);
+  if (!familia) return true;
+  return REDES_BLOQUEADAS.check(endereco, familia === 4 ? "ipv4" : "ipv6");
+}
+
+const hostDaUrl = (u) => u.hostname.replace(/^\[|\]$/g, "");
+
+function destinoBloqueado() {
+  return Object.assign(new Error("destino do webhook em rede privada ou local"), { code: "EDESTINOBLOQUEADO" });
+}
+
+function urlValida(url) {
+  try {
+    const u = new URL(url);
+    if (u.username || u.password) return false;
+    const host = hostDaUrl(u).toLowerCase();
+    if (net.isIP(host) ? enderecoBloqueado(host) : !redeLocalPermitida() && (host === "localhost" || host.endsWith(".localhost"))) {
+      return false;
+    }
+    if (u.protocol === "https:") return true;
+    // http só para testes locais (WEBHOOKS_PERMITIR_HTTP=1)
+    return u.protocol === "http:" && process.env.WEBHOOKS_PERMITIR_HTTP === "1";
+  } catch {
+    return false;
+  }
+}
+
+// lookup do http(s).request: o nome pode apontar para IP interno (ou mudar
+// depois do cadastro), então a conferência é feita no endereço que vai conectar
+function lookupSeguro(hostname, opcoes, callback) {
+  const base = typeof opcoes === "object" && opcoes !== null ? opcoes : { family: opcoes };
+  dns.lookup(hostname, { ...base, all: true }, (erro, enderecos) => {
+    if (erro) return callback(erro);
+    if (enderecos.length === 0 || enderecos.some((e) => enderecoBloqueado(e.address))) return callback(destinoBloqueado());
+    if (base.all) return callback(null, enderecos);
+    return callback(null, enderecos[0].address, enderecos[0].family);
+  });
+}
+
+/**
+ * POST do corpo JSON; resolve { status } assim que chegam os cabeçalhos da
+ * resposta (o corpo é descartado). Sem redirecionamentos.
+ */
+export function postarJson(url, { cabecalhos = {}, corpo, timeoutMs = TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    if (net.isIP(hostDaUrl(u)) && enderecoBloqueado(hostDaUrl(u))) return reject(destinoBloqueado());
+
+    const modulo = u.protocol === "https:" ? https : http;
+    const req = modulo.request(
+      u,
+      { method: "POST", headers: { ...cabecalhos, "Content-Length": Buffer.byteLength(corpo) }, lookup: lookupSeguro },
+      (res) => {
+        clearTimeout(limite);
+        resolve({ status: res.statusCode });
+        res.destroy();
+      }
+    );
+    const limite = setTimeout(() => req.destroy(Object.assign(new Error(`timeout de ${timeoutMs}ms`), { code: "ETIMEDOUT" })), timeoutMs);
+    req.on("error", (e) => {
+      clearTimeout(limite);
+      reject(e);
+    });
+    req.end(corpo);
+  });
+}
+
+// Falha de envio → texto curto para o log (nunca a mensagem crua nem a resposta do destino)
+function descreverFalha(e) {
+  if (e?.code === "EDESTINOBLOQUEADO") return "destino bloqueado (rede privada ou local)";
+  if (e?.code === "ETIMEDOUT") return `timeout de ${TIMEOUT_MS}ms`;
+  return `falha de rede (${e?.code || "desconhecida"})`;
+}
+
+/**
+ * Valida o corpo de criação/edição. parcial=true (PATCH) aceita campos ausentes.
+ * Retorna { campos: { url?, eventos?, descricao?, ativo? }, erros }; regiaoSlugs
+ * é resolvido pela rota.
+ */
+export function validarWebhook(body, { parcial = false } = {}) {
+  const entrada = body && typeof body === "object" ? body : {};
+  const campos = {};
+  const erros = [];
+
+  if (entrada.url !== undefined || !parcial) {
+    if (typeof entrada.url !== "string" || entrada.url.length > 2000 || !urlValida(entrada.url.trim())) {
+      erros.push({ campo: "url", mensagem: "URL https válida e pública é obrigatória" });
+    } else {
+      campos.url = entrada.url.trim();
+    }
+  }
+
+  if (entrada.eventos !== undefined || !parcial) {
+    if (!Array.isArray(entrada.eventos) || entrada.eventos.length === 0) {
+      erros.push({ campo: "eventos", mensagem: `lista não vazia (${TIPOS_DE_EVENTO_WEBHOOK.join(", ")})` });
+    } else {
+      campos.eventos = Array.from(new Set(entrada.eventos));
+      campos.eventos.forEach((tipo, i) => {
+        if (!TIPOS_DE_EVENTO_WEBHOOK.includes(tipo)) {
+          erros.push({ campo: `eventos[${i}]`, mensagem: `use ${TIPOS_DE_EVENTO_WEBHOOK.join(", ")}` });
+        }
+      });
+    }
+  }
+
+  if (entrada.descricao !== undefined && entrada.descricao !== null) {
+    if (typeof entrada.descricao !== "string" || entrada.descricao.length > 200) {
+      erros.push({ campo: "descricao", mensagem: "texto de até 200 caracteres" });
+    } else {
+      campos.descricao = entrada.descricao.trim() || null;
+    }
+  }
+
+  if (entrada.ativo !== undefined) {
+    if (typeof entrada.ativo !== "boolean") erros.push({ campo: "ativo", mensagem: "deve ser true ou false" });
+    else campos.ativo = entrada.ativo;
+  }
+
+  return { campos, erros };
+}
+
+// ------------------------------ ASSINATURA ----------------------------------
+/** Cabeçalho X-Bepit-Assinatura para o corpo (timestamp em segundos). */
+export function assinarCorpo(segredo, corpo, timestamp = Math.floor(Date.now() / 1000)) {
+  const hmac = createHmac("sha256", segredo).update(`${timestamp}.${corpo}`).digest("hex");
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/** Conferência do lado de quem recebe (usada pelo receptor de teste). */
+export function assinaturaDeWebhookValida(segredo, corpo, cabecalho, toleranciaSeg = 300) {
+  const partes = Object.fromEntries(
+    String(cabecalho || "").split(",").map((p) => p.split("=").map((x) => x.trim()))
+  );
+  const timestamp = Number(partes.t);
+  if (!timestamp || !partes.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranciaSeg) return false;
+  const esperado = Buffer.from(assinarCorpo(segredo, corpo, timestamp).split("v1=")[1], "hex");
+  const recebido = Buffer.from(partes.v1, "hex");
+  return esperado.length === recebido.length && timingSafeEqual(esperado, recebido);
+}
+
+/** Atraso antes da tentativa n+1 (n = tentativas já feitas): 30s, 1min, 2min... até 6h. */
+export function atrasoDaTentativa(tentativas) {
+  return Math.min(ATRASO_BASE_MS * 2 ** Math.max(tentativas - 1, 0), ATRASO_MAXIMO_MS);
+}
+
+// ------------------------------- DESPACHO -----------------------------------
+/**
+ * Fila de entregas sobre o cliente de dados (Supabase ou armazém local).
+ * publicar(tipo, { regiaoId, dados }) grava as entregas e dispara o envio sem
+ * esperar; iniciar() agenda a varredura das pendentes (retentativas e
+ * entregas de outras instâncias).
+ */
+export function criarDespachoDeWebhooks({ cliente = supabase, postar = postarJson, agora = () => new Date() } = {}) {
+  let cache = null; // { em, webhooks }
+  let processando = false;
+  let temporizador = null;
+
+  async function webhooksAtivos() {
+    if (cache && agora().getTime() - cache.em < CACHE_MS) return cache.webhooks;
+    const { data, error } = await cliente.from("webhooks").select("id, url, segredo, eventos, regioes").eq("ativo", true);
+    if (error) throw error;
+    cache = { em: agora().getTime(), webhooks: data || [] };
+    return cache.webhooks;
+  }
+
+  async function publicar(tipo, { regiaoId = null, dados = {} } = {}) {
+    if (!TIPOS_DE_EVENTO_WEBHOOK.includes(tipo)) throw new Error(`evento de webhook desconhecido: ${tipo}`);
+    const interessados = (await webhooksAtivos()).filter(
+      (w) => (w.eventos || []).includes(tipo) && (!w.regioes?.length || (regiaoId && w.regioes.includes(regiaoId)))
+    );
+    if (interessados.length === 0) return 0;
+
+    const criadoEm = agora().toISOString();
+    const payload = { id: randomUUID(), tipo, criado_em: criadoEm, regiao_id: regiaoId, dados };
+    const { error } = await cliente.from("webhook_entregas").insert(
+      interessados.map((w) => ({
+        webhook_id: w.id,
+        evento_id: payload.id,
+        tipo_evento: tipo,
+        payload,
+        status: "pendente",
+        tentativas: 0,
+        proxima_tentativa_em: criadoEm
+      }))
+    );
+    if (error) throw error;
+    processarFila().catch((e) => console.error("[webhooks] erro ao processar fila:", e));
+    return interessados.length;
+  }
+
+  // Uma tentativa de envio; devolve os campos de update da entrega
+  async function tentar(entrega, webhook) {
+    const inicio = agora();
+    const corpo = JSON.stringify(entrega.payload);
+    let statusHttp = null;
+    let erro = null;
+    try {
+      const { status } = await postar(webhook.url, {
+        cabecalhos: {
+          "Content-Type": "application/json",
+          "User-Agent": "BEPIT-Webhooks/1",
+          "X-Bepit-Evento": entrega.tipo_evento,
+          "X-Bepit-Entrega": entrega.id,
+          "X-Bepit-Assinatura": assinarCorpo(webhook.segredo, corpo)
+        },
+        corpo
+      });
+      statusHttp = status;
+      if (status < 200 || status >= 300) erro = `HTTP ${status}`;
+    } catch (e) {
+      erro = descreverFalha(e);
+    }
+
+    const tentativas = (entrega.tentativas || 0) + 1;
+    const fim = agora();
+    const registro = { em: inicio.toISOString(), status_http: statusHttp, erro, duracao_ms: fim.getTime() - inicio.getTime() };
+    const historico = [...(Array.isArray(entrega.historico) ? entrega.historico : []), registro].slice(-MAX_TENTATIVAS);
+    if (!erro) {
+      return { status: "entregue", tentativas, entregue_em: fim.toISOString(), ultimo_status_http: statusHttp, ultimo_erro: null, historico };
+    }
+    const morta = tentativas >= MAX_TENTATIVAS;
+    return {
+      status: morta ? "morta" : "pendente",
+      tentativas,
+      proxima_tentativa_em: morta ? entrega.proxima_tentativa_em : new Date(fim.getTime() + atrasoDaTentativa(tentativas)).toISOString(),
+      ultimo_status_http: statusHttp,
+      ultimo_erro: erro,
+      historico
+    };
+  }
+
+  /** Envia as entregas pendentes vencidas (uma varredura por vez nesta instância). */
+  async function processarFila() {
+    if (processando) return;
+    processando = true;
+    try {
+      // Só entregas de webhooks ativos entram na fila; as de um webhook
+      // desativado ficam pendentes, intocadas, até ele ser reativado
+      const { data: ativos, error: eWh } = await cliente.from("webhooks").select("id, url, segredo").eq("ativo", true);
+      if (eWh) throw eWh;
+      if (!ativos || ativos.length === 0) return;
+      const porId = new Map(ativos.map((w) => [w.id, w]));
+
+      for (;;) {
+        const { data: vencidas, error } = await cliente
+          .from("webhook_entregas")
+          .select("id, webhook_id, tipo_evento, payload, tentativas, proxima_tentativa_em, historico")
+          .eq("status", "pendente")
+          .in("webhook_id", [...porId.keys()])
+          .lte("proxima_tentativa_em", agora().toISOString())
+          .order("proxima_tentativa_em", { ascending: true })
+          .limit(LOTE);
+        if (error) throw error;
+        if (!vencidas || vencidas.length === 0) return;
+
+        let enviadas = 0;
+        for (const entrega of vencidas) {
+          // Reserva a entrega: só segue quem conseguiu mudar proxima_tentativa_em
+          const { data: reservada, error: eRes } = await cliente
+            .from("webhook_entregas")
+            .update({ proxima_tentativa_em: new Date(agora().getTime() + RESERVA_DA_ENTREGA_MS).toISOString() })
+            .eq("id", entrega.id)
+            .eq("status", "pendente")
+            .eq("proxima_tentativa_em", entrega.proxima_tentativa_em)
+            .select("id")
+            .maybeSingle();
+          if (eRes) throw eRes;
+          if (!reservada) continue;
+
+          const { error: eUpd } = await cliente
+            .from("webhook_entregas")
+            .update(await tentar(entrega, porId.get(entrega.webhook_id)))
+            .eq("id", entrega.id);
+          if (eUpd) console.error("[webhooks] falha ao gravar tentativa:", eUpd);
+          enviadas++;
+        }
+        if (enviadas === 0) return;
+      }
+    } finally {
+      processando = false;
+    }
+  }
+
+  return {
+    publicar,
+    processarFila,
+    /** Descarta os webhooks em cache (após criar/editar/excluir). */
+    invalidarCache() {
+      cache = null;
+    },
+    iniciar(intervaloMs = INTERVALO_MS) {
+      if (temporizador || intervaloMs <= 0) return;
+      temporizador = setInterval(() => {
+        processarFila().catch((e) => console.error("[webhooks] erro ao processar fila:", e));
+      }, intervaloMs);
+      temporizador.unref?.();
+    },
+    parar() {
+      clearInterval(temporizador);
+      temporizador = null;
+    }
+  };
+}
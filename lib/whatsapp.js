@@ -0,0 +1,157 @@
+// F:\uber-chat-mvp\backend-oficial\lib\whatsapp.js
+// ============================================================================
+// Canal WhatsApp (formato da WhatsApp Cloud API)
+// - Assinatura do webhook: X-Hub-Signature-256 = HMAC-SHA256(corpo bruto, WHATSAPP_APP_SECRET)
+// - Extração das mensagens recebidas (texto, localização, botões)
+// - Comandos de opt-out ("sair") e retorno ("voltar")
+// - Cliente de envio: texto (com a formatação do WhatsApp) e imagens.
+//   WHATSAPP_API_URL aponta para a Graph API ou para um servidor local de
+//   testes (scripts/whatsapp-stand-in.mjs)
+// - Região por número de atendimento: WHATSAPP_REGIOES="<phone_number_id>:<regiao-slug>,..."
+//   e WHATSAPP_REGIAO_PADRAO
+// ============================================================================
+
+import { createHmac, timingSafeEqual } from "crypto";
+import { normalizar } from "./texto.js";
+
+export const SESSAO_MS = Number(process.env.WHATSAPP_SESSAO_HORAS || 12) * 3600 * 1000;
+export const MAX_FOTOS_POR_RESPOSTA = Number(process.env.WHATSAPP_MAX_FOTOS || 3);
+const LIMITE_DE_TEXTO = 4096; // limite da Cloud API por mensagem de texto
+
+// ----------------------------- ASSINATURA -----------------------------------
+/** Confere X-Hub-Signature-256 ("sha256=<hex>") contra o corpo bruto. */
+export function assinaturaValida(corpoBruto, cabecalho, segredo) {
+  if (!segredo || !cabecalho || !Buffer.isBuffer(corpoBruto)) return false;
+  const [algoritmo, recebida] = String(cabecalho).split("=");
+  if (algoritmo !== "sha256" || !/^[0-9a-f]{64}$/i.test(recebida || "")) return false;
+  const esperada = createHmac("sha256", segredo).update(corpoBruto).digest();
+  return timingSafeEqual(esperada, Buffer.from(recebida, "hex"));
+}
+
+// ------------------------------ ENTRADA -------------------------------------
+/**
+ * Mensagens de um POST do webhook:
+ * [{ id, de, nome, phoneNumberId, tipo, texto, localizacao, em }].
+ * Status de entrega e tipos sem texto útil (áudio, figurinha) ficam de fora
+ * ou vêm com texto null.
+ */
+export function extrairMensagens(payload) {
+  const mensagens = [];
+  for (const entrada of payload?.entry || []) {
+    for (const mudanca of entrada?.changes || []) {
+      const valor = mudanca?.value || {};
+      if (!Array.isArray(valor.messages)) continue;
+      const nomes = new Map((valor.contacts || []).map((c) => [c.wa_id, c.profile?.name || null]));
+
+      for (const m of valor.messages) {
+        let texto = null;
+        let localizacao = null;
+        if (m.type === "text") texto = m.text?.body || null;
+        else if (m.type === "button") texto = m.button?.text || null;
+        else if (m.type === "interactive") texto = m.interactive?.button_reply?.title || m.interactive?.list_reply?.title || null;
+        else if (m.type === "location" && m.location) {
+          localizacao = { latitude: Number(m.location.latitude), longitude: Number(m.location.longitude) };
+          texto = m.location.name || m.location.address || null;
+        }
+        mensagens.push({
+          id: m.id,
+          de: String(m.from || ""),
+          nome: nomes.get(m.from) || null,
+          phoneNumberId: valor.metadata?.phone_number_id || null,
+          tipo: m.type,
+          texto: texto ? String(texto).trim() : null,
+          localizacao,
+          em: m.timestamp ? new Date(Number(m.timestamp) * 1000).toISOString() : null
+        });
+      }
+    }
+  }
+  return mensagens;
+}
+
+const COMANDOS_DE_SAIDA = ["sair", "parar", "cancelar", "stop", "unsubscribe", "salir", "baja"];
+const COMANDOS_DE_VOLTA = ["voltar", "start", "iniciar", "volver", "comecar"];
+
+/** "sair" → "saida", "voltar" → "volta", resto → null (só a mensagem inteira conta). */
+export function comandoDoCanal(texto) {
+  const t = normalizar(texto).replace(/[^a-z ]/g, "").trim();
+  if (COMANDOS_DE_SAIDA.includes(t)) return "saida";
+  if (COMANDOS_DE_VOLTA.includes(t)) return "volta";
+  return null;
+}
+
+/** Região atendida pelo número de atendimento (phone_number_id) ou a padrão. */
+export function regiaoDoNumero(phoneNumberId) {
+  for (const par of String(process.env.WHATSAPP_REGIOES || "").split(",")) {
+    const [numero, slug] = par.split(":").map((x) => x.trim());
+    if (numero && slug && numero === String(phoneNumberId)) return slug;
+  }
+  return process.env.WHATSAPP_REGIAO_PADRAO || null;
+}
+
+/** A sessão (conversa) do contato ainda vale ou é hora de começar outra? */
+export function sessaoExpirada(ultimaMensagemEm, agora = Date.now()) {
+  const em = Date.parse(ultimaMensagemEm || "");
+  return !Number.isFinite(em) || agora - em > SESSAO_MS;
+}
+
+// ------------------------------- SAÍDA --------------------------------------
+/** Markdown do chat → formatação do WhatsApp (**negrito** vira *negrito*). */
+export function paraFormatoWhatsApp(texto) {
+  return String(texto || "").replace(/\*\*(.+?)\*\*/g, "*$1*");
+}
+
+/** Quebra textos longos em partes ≤ limite, de preferência em fim de parágrafo/linha. */
+export function dividirTexto(texto, limite = LIMITE_DE_TEXTO) {
+  const partes = [];
+  let resto = String(texto || "");
+  while (resto.length > limite) {
+    let corte = resto.lastIndexOf("\n\n", limite);
+    if (corte <= 0) corte = resto.lastIndexOf("\n", limite);
+    if (corte <= 0) corte = resto.lastIndexOf(" ", limite);
+    if (corte <= 0) corte = limite;
+    partes.push(resto.slice(0, corte).trim());
+    resto = resto.slice(corte).trim();
+  }
+  if (resto) partes.push(resto);
+  return partes;
+}
+
+/**
+ * Cliente de envio da Cloud API. Configuração padrão pelo ambiente:
+ * WHATSAPP_API_URL (https://graph.facebook.com), WHATSAPP_API_VERSAO (v20.0),
+ * WHATSAPP_TOKEN e WHATSAPP_PHONE_NUMBER_ID (quando a mensagem não traz o número).
+ */
+export function criarClienteWhatsApp({
+  baseUrl = process.env.WHATSAPP_API_URL || "https://graph.facebook.com",
+  versao = process.env.WHATSAPP_API_VERSAO || "v20.0",
+  token = process.env.WHATSAPP_TOKEN || "",
+  phoneNumberIdPadrao = process.env.WHATSAPP_PHONE_NUMBER_ID || null
+} = {}) {
+  const raiz = String(baseUrl).replace(/\/+$/, "");
+
+  const enviar = async (phoneNumberId, corpo) => {
+    const numero = phoneNumberId || phoneNumberIdPadrao;
+    if (!numero) throw new Error("WhatsApp: phone_number_id não informado");
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const r = await fetch(`${raiz}/${versao}/${numero}/messages`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ messaging_product: "whatsapp", recipient_type: "individual", ...corpo })
+    });
+    if (!r.ok) throw new Error(`WhatsApp respondeu ${r.status}: ${await r.text()}`);
+    return r.json();
+  };
+
+  return {
+    async enviarTexto(phoneNumberId, para, texto) {
+      for (const parte of dividirTexto(paraFormatoWhatsApp(texto))) {
+        await enviar(phoneNumberId, { to: para, type: "text", text: { body: parte, preview_url: true } });
+      }
+    },
+    async enviarImagem(phoneNumberId, para, url, legenda = null) {
+      await enviar(phoneNumberId, { to: para, type: "image", image: legenda ? { link: url, caption: legenda } : { link: url } });
+    }
+  };
+}
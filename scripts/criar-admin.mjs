@@ -0,0 +1,70 @@
+// F:\uber-chat-mvp\backend-oficial\scripts\criar-admin.mjs
+// ============================================================================
+// Cria (ou redefine a senha de) uma conta de admin direto no banco
+// - Necessário para o primeiro super_admin, antes de existir quem use a API
+// - Uso: node scripts/criar-admin.mjs <username> <senha> [papel] [regiao-slug,...]
+//   papel padrão: super_admin
+// ============================================================================
+
+import "dotenv/config";
+import { supabase } from "../lib/supabaseClient.js";
+import { PAPEIS, gerarHashDeSenha, problemaNaSenha } from "../lib/adminAuth.js";
+
+const [username, senha, papel = "super_admin", regiaoSlugs = ""] = process.argv.slice(2);
+
+if (!username || !senha) {
+  console.error("Uso: node scripts/criar-admin.mjs <username> <senha> [papel] [regiao-slug,...]");
+  process.exit(1);
+}
+if (!PAPEIS[papel]) {
+  console.error(`[criar-admin] Papel inválido: ${papel} (use ${Object.keys(PAPEIS).join(", ")})`);
+  process.exit(1);
+}
+if (papel === "parceiro") {
+  console.error("[criar-admin] Contas de parceiro são criadas pela API (POST /api/admin/usuarios com parceiroIds)");
+  process.exit(1);
+}
+const problema = problemaNaSenha(senha);
+if (problema) {
+  console.error(`[criar-admin] ${problema}`);
+  process.exit(1);
+}
+
+const slugs = regiaoSlugs.split(",").map((s) => s.trim()).filter(Boolean);
+let regioes = [];
+if (slugs.length > 0) {
+  const { data, error } = await supabase.from("regioes").select("id, slug").in("slug", slugs);
+  if (error) {
+    console.error("[criar-admin] Erro ao carregar regiões:", error);
+    process.exit(1);
+  }
+  const faltando = slugs.filter((s) => !(data || []).some((r) => r.slug === s));
+  if (faltando.length > 0) {
+    console.error(`[criar-admin] Regiões não encontradas: ${faltando.join(", ")}`);
+    process.exit(1);
+  }
+  regioes = data.map((r) => r.id);
+}
+if (papel === "editor_regiao" && regioes.length === 0) {
+  console.error("[criar-admin] editor_regiao precisa de pelo menos uma região");
+  process.exit(1);
+}
+
+const { error } = await supabase.from("admin_usuarios").upsert(
+  {
+    username: username.trim().toLowerCase(),
+    senha_hash: await gerarHashDeSenha(senha),
+    papel,
+    regioes,
+    ativo: true,
+    tentativas_falhas: 0,
+    bloqueado_ate: null
+  },
+  { onConflict: "username" }
+);
+if (error) {
+  console.error("[criar-admin] Erro ao salvar conta:", error);
+  process.exit(1);
+}
+
+console.log(`✔ Conta '${username.trim().toLowerCase()}' (${papel}) pronta.`);
@@ -0,0 +1,68 @@
+// F:\uber-chat-mvp\backend-oficial\scripts\migrar-horarios.mjs
+// ============================================================================
+// Converte horario_funcionamento (texto livre) → horario_estruturado
+// - Só mexe em parceiros sem horario_estruturado
+// - Só grava o que o parser entendeu, passa na validação e tem pelo menos uma
+//   faixa aberta; o resto sai na lista para revisão manual no admin
+// - Uso: node scripts/migrar-horarios.mjs [--dry-run]
+//   (--dry-run não grava e mostra a estrutura proposta ao lado do texto)
+// ============================================================================
+
+import "dotenv/config";
+import { supabase } from "../lib/supabaseClient.js";
+import { parseHorarioTextoLivre, descreverSemana, validarHorarioEstruturado, temFaixaAberta } from "../lib/horarios.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const { data: parceiros, error } = await supabase
+  .from("parceiros")
+  .select("id, nome, horario_funcionamento, horario_estruturado")
+  .is("horario_estruturado", null)
+  .not("horario_funcionamento", "is", null);
+
+if (error) {
+  console.error("[migrar-horarios] Erro ao carregar parceiros:", error);
+  process.exit(1);
+}
+
+let convertidos = 0;
+const paraRevisar = []; // { parceiro, motivo }
+
+for (const p of parceiros || []) {
+  const estruturado = parseHorarioTextoLivre(p.horario_funcionamento);
+  if (!estruturado) {
+    paraRevisar.push({ parceiro: p, motivo: "não entendi o texto" });
+    continue;
+  }
+  const erros = validarHorarioEstruturado(estruturado);
+  if (erros.length > 0) {
+    paraRevisar.push({ parceiro: p, motivo: `estrutura inválida (${erros.map((e) => `${e.campo}: ${e.mensagem}`).join("; ")})` });
+    continue;
+  }
+  // Só dias fechados: gravar faria o chat dizer que o lugar nunca abre
+  if (!temFaixaAberta(estruturado)) {
+    paraRevisar.push({ parceiro: p, motivo: "nenhuma faixa aberta" });
+    continue;
+  }
+
+  console.log(`✔ ${p.nome}: "${p.horario_funcionamento}" → ${descreverSemana(estruturado)}`);
+  if (dryRun) console.log(`    ${JSON.stringify(estruturado)}`);
+  convertidos++;
+  if (dryRun) continue;
+
+  const { error: erroUpd } = await supabase
+    .from("parceiros")
+    .update({ horario_estruturado: estruturado })
+    .eq("id", p.id)
+    .is("horario_estruturado", null);
+  if (erroUpd) console.error(`[migrar-horarios] Falha ao salvar ${p.id}:`, erroUpd);
+}
+
+for (const { parceiro: p, motivo } of paraRevisar) {
+  console.warn(`✘ ${p.nome} (${p.id}): "${p.horario_funcionamento}" — ${motivo}; ajustar manualmente no admin`);
+}
+
+console.log(
+  `\n${dryRun ? "[dry-run] " : ""}${convertidos} convertidos, ${paraRevisar.length} para revisão manual ` +
+  `(de ${(parceiros || []).length} parceiros com texto livre).`
+);
@@ -0,0 +1,237 @@
+// F:\uber-chat-mvp\backend-oficial\scripts\semear-regiao-exemplo.mjs
+// ============================================================================
+// Carrega uma região de exemplo (Região dos Lagos: 3 cidades, parceiros com
+// comodidades, dicas e pontos de referência) no armazém configurado
+// - Pensado para DADOS_ARMAZEM=local (desenvolvimento sem Supabase), mas
+//   grava pelo mesmo cliente, então também serve para um banco de teste
+// - Não mexe se a região já existe; --recriar apaga os parceiros/cidades/
+//   pontos dela antes (conversas e métricas antigas ficam)
+// - Uso: node scripts/semear-regiao-exemplo.mjs [--recriar]
+//   Conta de admin: npm run admin:criar -- <username> <senha>
+// ============================================================================
+
+import "dotenv/config";
+import { supabase, ARMAZEM_DE_DADOS } from "../lib/supabaseClient.js";
+import { parseHorarioTextoLivre } from "../lib/horarios.js";
+import { montarRevisao } from "../lib/revisoes.js";
+
+const recriar = process.argv.includes("--recriar");
+
+const REGIAO = { nome: "Região dos Lagos", slug: "regiao-dos-lagos", ativo: true };
+
+const CIDADES = [
+  { nome: "Cabo Frio", slug: "cabo-frio" },
+  { nome: "Arraial do Cabo", slug: "arraial-do-cabo" },
+  { nome: "Búzios", slug: "buzios" }
+];
+
+const PARCEIROS = [
+  {
+    cidade: "cabo-frio",
+    tipo: "PARCEIRO",
+    nome: "Restaurante Maré Alta",
+    chave_externa: "exemplo-mare-alta",
+    categoria: "restaurante",
+    descricao: "Frutos do mar e moqueca capixaba de frente para a Praia do Forte.",
+    beneficio_bepit: "10% de desconto apresentando o BEPIT",
+    endereco: "Av. do Contorno, 120 - Praia do Forte, Cabo Frio",
+    contato: "(22) 99812-3456",
+    tags: ["frutos do mar", "moqueca", "família", "vista para o mar"],
+    horario_funcionamento: "Todos os dias 11h às 23h",
+    faixa_preco: "$$",
+    comodidades: { aceita_reserva: true, estacionamento: false, pet_friendly: true, acessibilidade: true, espaco_kids: true, formas_pagamento: ["pix", "credito", "debito", "dinheiro"], wifi: true },
+    latitude: -22.8885,
+    longitude: -42.0172
+  },
+  {
+    cidade: "cabo-frio",
+    tipo: "PARCEIRO",
+    nome: "Pousada Brisa do Forte",
+    chave_externa: "exemplo-brisa-do-forte",
+    categoria: "hospedagem",
+    descricao: "Pousada a duas quadras da praia, com café da manhã e piscina.",
+    beneficio_bepit: "Late checkout grátis",
+    endereco: "Rua José Bonifácio, 45 - Centro, Cabo Frio",
+    contato: "(22) 2643-1020 / reservas@brisadoforte.com.br",
+    tags: ["pousada", "piscina", "café da manhã", "casal"],
+    horario_funcionamento: "Todos os dias 0h às 23h59",
+    faixa_preco: "$$",
+    comodidades: { aceita_reserva: true, estacionamento: true, pet_friendly: false, wifi: true, formas_pagamento: ["pix", "credito"] },
+    latitude: -22.8858,
+    longitude: -42.0204
+  },
+  {
+    cidade: "cabo-frio",
+    tipo: "PARCEIRO",
+    nome: "Gelato da Praia",
+    chave_externa: "exemplo-gelato-da-praia",
+    categoria: "sorveteria",
+    descricao: "Sorvetes artesanais e açaí na orla.",
+    endereco: "Av. do Contorno, 300 - Praia do Forte, Cabo Frio",
+    contato: "(22) 99700-1122",
+    tags: ["sorvete", "açaí", "sobremesa", "crianças"],
+    horario_funcionamento: "Todos os dias 10h às 22h",
+    faixa_preco: "$",
+    comodidades: { pet_friendly: true, formas_pagamento: ["pix", "dinheiro"] },
+    latitude: -22.8902,
+    longitude: -42.0158
+  },
+  {
+    cidade: "arraial-do-cabo",
+    tipo: "PARCEIRO",
+    nome: "Arraial Azul Passeios de Barco",
+    chave_externa: "exemplo-arraial-azul",
+    categoria: "passeio",
+    descricao: "Passeio de barco pela Ilha do Farol, Prainhas e Gruta Azul, com paradas para mergulho.",
+    beneficio_bepit: "Foto do passeio de cortesia",
+    endereco: "Marina dos Pescadores - Praia dos Anjos, Arraial do Cabo",
+    contato: "https://wa.me/5522998877665",
+    tags: ["barco", "mergulho", "ilha do farol", "aventura", "amigos"],
+    horario_funcionamento: "Diariamente das 8h às 17h",
+    faixa_preco: "$$",
+    latitude: -22.9751,
+    longitude: -42.0183
+  },
+  {
+    cidade: "arraial-do-cabo",
+    tipo: "PARCEIRO",
+    nome: "Bar do Pontal",
+    chave_externa: "exemplo-bar-do-pontal",
+    categoria: "bar",
+    descricao: "Petiscos, caipirinha e música ao vivo perto das Prainhas do Pontal.",
+    endereco: "Estrada do Pontal, 15 - Pontal do Atalaia, Arraial do Cabo",
+    contato: "(22) 99654-7788",
+    tags: ["bar", "música ao vivo", "petiscos", "agitado"],
+    horario_funcionamento: "Ter a Dom 18h às 00h",
+    faixa_preco: "$$",
+    comodidades: { aceita_reserva: false, pet_friendly: true, wifi: false },
+    latitude: -22.9874,
+    longitude: -42.0102
+  },
+  {
+    cidade: "buzios",
+    tipo: "PARCEIRO",
+    nome: "Bistrô das Pedras",
+    chave_externa: "exemplo-bistro-das-pedras",
+    categoria: "restaurante",
+    descricao: "Cozinha franco-brasileira à luz de velas na Rua das Pedras.",
+    beneficio_bepit: "Taça de espumante de boas-vindas para casais",
+    endereco: "Rua das Pedras, 210 - Centro, Armação dos Búzios",
+    contato: "(22) 2623-4455 / https://bistrodaspedras.com.br",
+    tags: ["romântico", "jantar", "vinhos", "casal"],
+    horario_funcionamento: "Seg a Sex 19h-23h, Sáb 12h-23h",
+    faixa_preco: "$$$",
+    comodidades: { aceita_reserva: true, cardapio_url: "https://bistrodaspedras.com.br/cardapio", pet_friendly: false, acessibilidade: false, formas_pagamento: ["credito", "debito"] },
+    latitude: -22.7472,
+    longitude: -41.8819
+  },
+  {
+    cidade: "buzios",
+    tipo: "PARCEIRO",
+    nome: "Búzios Dive Center",
+    chave_externa: "exemplo-buzios-dive",
+    categoria: "mergulho",
+    descricao: "Batismo e mergulho credenciado nas ilhas de Búzios.",
+    endereco: "Praia da Armação, 5 - Armação dos Búzios",
+    contato: "(22) 99911-2233",
+    tags: ["mergulho", "aventura", "batismo", "snorkel"],
+    horario_funcionamento: "Diariamente das 8h às 17h",
+    faixa_preco: "$$$",
+    latitude: -22.7489,
+    longitude: -41.8798
+  },
+  {
+    cidade: "arraial-do-cabo",
+    tipo: "DICA",
+    nome: "Pôr do sol no Mirante do Pontal do Atalaia",
+    chave_externa: "exemplo-dica-mirante-atalaia",
+    categoria: "mirante",
+    descricao: "Chegue meia hora antes do pôr do sol; a escadaria leva às Prainhas.",
+    endereco: "Mirante do Pontal do Atalaia, Arraial do Cabo",
+    tags: ["pôr do sol", "vista", "gratuito", "romântico"],
+    latitude: -22.9893,
+    longitude: -42.0094
+  },
+  {
+    cidade: "cabo-frio",
+    tipo: "DICA",
+    nome: "Forte São Mateus",
+    chave_externa: "exemplo-dica-forte-sao-mateus",
+    categoria: "passeio histórico",
+    descricao: "Fortificação do século XVII na ponta da Praia do Forte, com vista para a Ilha do Japonês.",
+    endereco: "Praia do Forte, Cabo Frio",
+    tags: ["história", "vista", "gratuito", "família"],
+    horario_funcionamento: "Ter a Dom 9h às 17h",
+    latitude: -22.8888,
+    longitude: -42.0095
+  }
+];
+
+const PONTOS_DE_REFERENCIA = [
+  { cidade: "cabo-frio", nome: "Praia do Forte", apelidos: ["forte"], latitude: -22.8894, longitude: -42.0186 },
+  { cidade: "cabo-frio", nome: "Rodoviária de Cabo Frio", apelidos: ["rodoviária", "rodoviaria"], latitude: -22.8787, longitude: -42.0215 },
+  { cidade: "arraial-do-cabo", nome: "Praia dos Anjos", apelidos: ["anjos", "marina"], latitude: -22.9746, longitude: -42.0166 },
+  { cidade: "buzios", nome: "Rua das Pedras", apelidos: ["pedras"], latitude: -22.7475, longitude: -41.8822 },
+  { cidade: "buzios", nome: "Praia de Geribá", apelidos: ["geribá", "geriba"], latitude: -22.7786, longitude: -41.9108 }
+];
+
+async function executar(consulta, etapa) {
+  const { data, error } = await consulta;
+  if (error) {
+    console.error(`[semear] Erro ao ${etapa}:`, error);
+    process.exit(1);
+  }
+  return data;
+}
+
+console.log(`[semear] Armazém: ${ARMAZEM_DE_DADOS}${supabase.diretorio ? ` (${supabase.diretorio})` : ""}`);
+
+let regiao = await executar(supabase.from("regioes").select("id, slug").eq("slug", REGIAO.slug).maybeSingle(), "carregar a região");
+if (regiao && !recriar) {
+  console.log(`[semear] A região '${REGIAO.slug}' já existe; nada a fazer (use --recriar para recarregar).`);
+  process.exit(0);
+}
+
+if (regiao) {
+  const cidadesAntigas = await executar(supabase.from("cidades").select("id").eq("regiao_id", regiao.id), "carregar cidades antigas");
+  const ids = (cidadesAntigas || []).map((c) => c.id);
+  if (ids.length > 0) await executar(supabase.from("parceiros").delete().in("cidade_id", ids), "apagar parceiros antigos");
+  await executar(supabase.from("pontos_referencia").delete().eq("regiao_id", regiao.id), "apagar pontos antigos");
+  await executar(supabase.from("cidades").delete().eq("regiao_id", regiao.id), "apagar cidades antigas");
+} else {
+  regiao = await executar(supabase.from("regioes").insert(REGIAO).select("id, slug").single(), "criar a região");
+}
+
+const cidades = await executar(
+  supabase
+    .from("cidades")
+    .insert(CIDADES.map((c) => ({ ...c, regiao_id: regiao.id, ativo: true })))
+    .select("id, slug"),
+  "criar as cidades"
+);
+const idDaCidade = new Map(cidades.map((c) => [c.slug, c.id]));
+
+for (const { cidade, ...campos } of PARCEIROS) {
+  const registro = {
+    ...campos,
+    cidade_id: idDaCidade.get(cidade),
+    horario_estruturado: campos.horario_funcionamento ? parseHorarioTextoLivre(campos.horario_funcionamento) : null,
+    fotos_parceiros: [],
+    ativo: true
+  };
+  const criado = await executar(supabase.from("parceiros").insert(registro).select("*").single(), `criar '${campos.nome}'`);
+  const revisao = montarRevisao({ parceiroId: criado.id, acao: "criacao", conta: null, antes: null, depois: criado });
+  if (revisao) await executar(supabase.from("parceiro_revisoes").insert({ ...revisao, autor: "semear-regiao-exemplo" }), "gravar a revisão");
+}
+
+await executar(
+  supabase
+    .from("pontos_referencia")
+    .insert(PONTOS_DE_REFERENCIA.map(({ cidade, ...p }) => ({ ...p, regiao_id: regiao.id, cidade_id: idDaCidade.get(cidade) }))),
+  "criar os pontos de referência"
+);
+
+console.log(
+  `[semear] ${REGIAO.nome}: ${cidades.length} cidades, ${PARCEIROS.length} parceiros/dicas e ${PONTOS_DE_REFERENCIA.length} pontos de referência.`
+);
+console.log(`[semear] Teste: curl -X POST localhost:${process.env.PORT || 3002}/api/chat/${REGIAO.slug} -H 'Content-Type: application/json' -d '{"message":"onde comer frutos do mar em cabo frio?"}'`);
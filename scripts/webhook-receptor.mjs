@@ -0,0 +1,50 @@
+// F:\uber-chat-mvp\backend-oficial\scripts\webhook-receptor.mjs
+// ============================================================================
+// Receptor local de webhooks para testar as entregas do BEPIT
+// - node scripts/webhook-receptor.mjs [porta]  (padrão 4020)
+// - Confere X-Bepit-Assinatura com WEBHOOK_SEGREDO (o segredo mostrado na
+//   criação do webhook) e imprime o evento
+// - WEBHOOK_RECEPTOR_FALHAR=1 responde 500 a tudo (para ver retentativas e a
+//   dead-letter). No backend: WEBHOOKS_PERMITIR_HTTP=1 e
+//   WEBHOOKS_PERMITIR_REDE_LOCAL=1 para aceitar http://localhost
+// ============================================================================
+
+import "dotenv/config";
+import http from "http";
+import { assinaturaDeWebhookValida } from "../lib/webhooks.js";
+
+const porta = Number(process.argv[2] || process.env.WEBHOOK_RECEPTOR_PORTA || 4020);
+const segredo = process.env.WEBHOOK_SEGREDO || null;
+const falhar = process.env.WEBHOOK_RECEPTOR_FALHAR === "1";
+
+http
+  .createServer((req, res) => {
+    const partes = [];
+    req.on("data", (p) => partes.push(p));
+    req.on("end", () => {
+      const corpo = Buffer.concat(partes).toString("utf8");
+      const assinatura = req.headers["x-bepit-assinatura"];
+      const conferida = segredo ? (assinaturaDeWebhookValida(segredo, corpo, assinatura) ? "válida" : "INVÁLIDA") : "não conferida";
+
+      let evento = null;
+      try {
+        evento = JSON.parse(corpo);
+      } catch {
+        // corpo não-JSON: só imprime
+      }
+      console.log(
+        `[webhook-receptor] ${req.headers["x-bepit-evento"] || "?"} entrega=${req.headers["x-bepit-entrega"] || "?"} assinatura ${conferida}`
+      );
+      console.log(JSON.stringify(evento ?? corpo, null, 2));
+
+      if (falhar || (segredo && conferida !== "válida")) {
+        res.writeHead(falhar ? 500 : 401, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ ok: false }));
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  })
+  .listen(porta, () => {
+    console.log(`[webhook-receptor] ouvindo em http://localhost:${porta}${falhar ? " (respondendo 500)" : ""}`);
+  });
@@ -0,0 +1,97 @@
+// F:\uber-chat-mvp\backend-oficial\scripts\whatsapp-stand-in.mjs
+// ============================================================================
+// Stand-in local da WhatsApp Cloud API para testar o canal sem a Meta
+// - Servidor: node scripts/whatsapp-stand-in.mjs
+//   Aceita POST /<versao>/<phone_number_id>/messages e imprime o que o BEPIT
+//   enviaria. Aponte o backend para ele: WHATSAPP_API_URL=http://localhost:4010
+// - Turista simulado: node scripts/whatsapp-stand-in.mjs enviar "<texto>" [telefone] [phone_number_id]
+//   Monta o payload do webhook, assina com WHATSAPP_APP_SECRET e envia para
+//   WHATSAPP_STANDIN_WEBHOOK (padrão http://localhost:$PORT/api/whatsapp/webhook)
+// ============================================================================
+
+import "dotenv/config";
+import http from "http";
+import { createHmac, randomUUID } from "crypto";
+
+const [comando, texto, telefone = "5522999990000", phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID || "000000000000000"] =
+  process.argv.slice(2);
+
+if (comando === "enviar") {
+  if (!texto) {
+    console.error('Uso: node scripts/whatsapp-stand-in.mjs enviar "<texto>" [telefone] [phone_number_id]');
+    process.exit(1);
+  }
+  const segredo = process.env.WHATSAPP_APP_SECRET;
+  if (!segredo) {
+    console.error("[whatsapp-stand-in] defina WHATSAPP_APP_SECRET (o mesmo do backend)");
+    process.exit(1);
+  }
+
+  const payload = {
+    object: "whatsapp_business_account",
+    entry: [
+      {
+        id: "stand-in",
+        changes: [
+          {
+            field: "messages",
+            value: {
+              messaging_product: "whatsapp",
+              metadata: { display_phone_number: "stand-in", phone_number_id: phoneNumberId },
+              contacts: [{ wa_id: telefone, profile: { name: "Turista de teste" } }],
+              messages: [
+                {
+                  id: `wamid.${randomUUID()}`,
+                  from: telefone,
+                  timestamp: String(Math.floor(Date.now() / 1000)),
+                  type: "text",
+                  text: { body: texto }
+                }
+              ]
+            }
+          }
+        ]
+      }
+    ]
+  };
+  const corpo = JSON.stringify(payload);
+  const webhook = process.env.WHATSAPP_STANDIN_WEBHOOK || `http://localhost:${process.env.PORT || 3002}/api/whatsapp/webhook`;
+  const r = await fetch(webhook, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Hub-Signature-256": `sha256=${createHmac("sha256", segredo).update(corpo).digest("hex")}`
+    },
+    body: corpo
+  });
+  console.log(`[whatsapp-stand-in] webhook respondeu ${r.status} ${await r.text()}`);
+  process.exit(r.ok ? 0 : 1);
+}
+
+const porta = Number(process.env.WHATSAPP_STANDIN_PORTA || 4010);
+http
+  .createServer((req, res) => {
+    let corpo = "";
+    req.on("data", (pedaco) => (corpo += pedaco));
+    req.on("end", () => {
+      if (req.method !== "POST" || !/^\/[^/]+\/[^/]+\/messages$/.test(req.url)) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: { message: "rota desconhecida no stand-in" } }));
+      }
+      let mensagem = {};
+      try {
+        mensagem = JSON.parse(corpo);
+      } catch {}
+      const resumo = mensagem.type === "image" ? `[imagem] ${mensagem.image?.link}` : mensagem.text?.body;
+      console.log(`\n→ ${mensagem.to} (${req.url.split("/")[2]}):\n${resumo}`);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          messaging_product: "whatsapp",
+          contacts: [{ input: mensagem.to, wa_id: mensagem.to }],
+          messages: [{ id: `wamid.${randomUUID()}` }]
+        })
+      );
+    });
+  })
+  .listen(porta, () => console.log(`[whatsapp-stand-in] ouvindo em http://localhost:${porta}`));
@@ -3,10 +3,16 @@
 // BEPIT Nexus - Servidor (Express)
 // - Carrega .env antes de qualquer import que use process.env
 // - Suporta conversa com contexto (conversationId) e follow-ups diretos
+// - Chat também em streaming (SSE): POST /api/chat/:slugDaRegiao/stream
 // - Organização por REGIÃO → CIDADES → PARCEIROS/DICAS (tabela "parceiros" com campo "tipo")
 // - Métricas básicas e proteção contra erros
 // - Entende follow-ups por número ("3") e por nome/categoria (fuzzy match)
-// - Gemini com fallback automático de modelos (sem precisar desabilitar IA)
+// - IA plugável (Gemini/OpenAI-compatível/Ollama/scripted) com fallback automático
+// - Admin com contas, sessões e papéis por região (lib/adminAuth.js)
+// - Portal do parceiro: edições com aprovação do admin e estatísticas próprias
+// - Pedidos de reserva pelo chat, confirmados/recusados pelo parceiro ou admin
+// - Webhooks de saída assinados (feedback, views, leads, parceiros, reservas)
+// - Vouchers do benefício BEPIT emitidos pelo chat e resgatados pelo parceiro
 // ============================================================================
 
 import "dotenv/config";
@@ -14,13 +20,158 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import { randomUUID } from "crypto";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { supabase } from "../lib/supabaseClient.js";
+import { supabase, ARMAZEM_DE_DADOS } from "../lib/supabaseClient.js";
+import { repositorios } from "../lib/repositorios.js";
+import { gerarTexto } from "../lib/llm.js";
+import { normalizar, diceSimilarity, contemTermo } from "../lib/texto.js";
+import { adicionarTurnos, historicoParaPrompt } from "../lib/transcricao.js";
+import {
+  slotsVazios,
+  extrairSlotsDaMensagem,
+  detectarLimpezas,
+  validarSlotsInformados,
+  mesclarSlots,
+  descreverSlots
+} from "../lib/slots.js";
+import {
+  INTENCOES_POR_IDIOMA,
+  ORDINAIS_POR_IDIOMA,
+  SAUDACOES_POR_IDIOMA,
+  entradasDoIdioma,
+  resolverIdioma,
+  texto as textoNoIdioma,
+  campoTraduzido
+} from "../lib/idiomas.js";
+import { ranquearParceiros } from "../lib/ranking.js";
+import {
+  responderPerguntaDeHorario,
+  parseHorarioTextoLivre,
+  pedeLugarAberto,
+  extrairMomentoDaPergunta,
+  abertoNoMomento,
+  descreverFaixasDoDia,
+  partesLocais,
+  inicioDoDiaLocal
+} from "../lib/horarios.js";
+import {
+  PAPEIS,
+  CHAVE_LEGADA_HABILITADA,
+  autenticar,
+  renovarSessao,
+  revogarSessao,
+  revogarSessoesDoUsuario,
+  sessaoAtiva,
+  verificarTokenDeAcesso,
+  chaveLegadaValida,
+  temPermissao,
+  regioesDoEscopo,
+  regiaoNoEscopo,
+  gerarHashDeSenha,
+  problemaNaSenha,
+  usuarioPublico,
+  parceiroDaConta
+} from "../lib/adminAuth.js";
+import { validarPropostaDeEdicao, resumirEstatisticas } from "../lib/portalParceiros.js";
+import {
+  lerArquivoDeImportacao,
+  prepararRegistro,
+  registroDeExportacao,
+  escreverCsv
+} from "../lib/importacao.js";
+import {
+  ESQUEMA_PARCEIRO,
+  ESQUEMA_NOVO_PARCEIRO,
+  ESQUEMA_REGIAO,
+  ESQUEMA_CIDADE,
+  ESQUEMA_PONTO_REFERENCIA,
+  validarPayload
+} from "../lib/esquemas.js";
+import { montarRevisao, camposParaRestaurar } from "../lib/revisoes.js";
+import {
+  REGRAS_POR_IP,
+  REGRAS_POR_CONVERSA,
+  registrarRequisicao,
+  usoDoAlvo,
+  orcamentoDisponivel,
+  consumoDaRegiao,
+  registrarConsumoDeIA,
+  criarArmazemSupabase,
+  definirArmazem,
+  nomeDoArmazem
+} from "../lib/limites.js";
+import { lerDoCache, gravarNoCache, estatisticasDoCache, listarEntradas, limparCache } from "../lib/cacheLLM.js";
+import { INTERVALOS, COLUNAS_DA_SERIE, lerPeriodoDaSerie, formatarSerie } from "../lib/metricas.js";
+import { agruparDemanda } from "../lib/demanda.js";
+import {
+  RAIO_PADRAO_KM,
+  coordenadasDe,
+  lerCoordenadas,
+  distanciaKm,
+  formatarDistancia,
+  localizacaoRecente,
+  detectarPedidoDePerto,
+  resolverPontoDeReferencia,
+  lerArquivoDeCoordenadas
+} from "../lib/geo.js";
+import {
+  MAX_FOTOS_POR_RESPOSTA,
+  assinaturaValida,
+  extrairMensagens,
+  comandoDoCanal,
+  regiaoDoNumero,
+  sessaoExpirada,
+  criarClienteWhatsApp
+} from "../lib/whatsapp.js";
+import { CANAIS_DE_LEAD, LINKS_RASTREADOS, destinosDoParceiro, gerarCodigoDeLink, urlDoLink, resumirLeads } from "../lib/leads.js";
+import { MOTIVOS_DE_FEEDBACK, validarFeedback, resumoDoFeedback, agregarFeedbacks } from "../lib/feedback.js";
+import {
+  COMODIDADE_DA_INTENCAO,
+  valorDaComodidade,
+  detectarFiltrosDeComodidade,
+  filtrarPorComodidades,
+  pareceNovaBusca
+} from "../lib/comodidades.js";
+import {
+  STATUS_DE_RESERVA,
+  MAX_PESSOAS,
+  ANTECEDENCIA_MAXIMA_DIAS,
+  transicaoPermitida,
+  gerarCodigoDeReserva,
+  novoPedidoDeReserva,
+  proximoCampo,
+  avancarPedidoDeReserva,
+  validarMudancaDeStatus,
+  mudancaDeStatus
+} from "../lib/reservas.js";
+import {
+  limitesDeVoucher,
+  conteudoDoQr,
+  lerCodigoDeVoucher,
+  novoVoucher,
+  situacaoDoVoucher,
+  resumirVouchers
+} from "../lib/vouchers.js";
+import {
+  TIPOS_DE_EVENTO_WEBHOOK,
+  STATUS_DE_ENTREGA,
+  gerarSegredoDeWebhook,
+  mascararSegredo,
+  validarWebhook,
+  criarDespachoDeWebhooks
+} from "../lib/webhooks.js";
 
 // ============================== CONFIG BÁSICA ===============================
 const application = express();
 const servidorPorta = process.env.PORT || 3002;
 
+// Atrás de proxy (Render etc.) o IP real vem no X-Forwarded-For: TRUST_PROXY=1 (saltos) ou lista de IPs.
+// No Render (RENDER=true) o padrão é 1 salto; sem isso o rate limit por IP veria todos no IP do proxy.
+// TRUST_PROXY=0 desliga.
+const confiarEmProxy = process.env.TRUST_PROXY ?? (process.env.RENDER ? "1" : "");
+if (confiarEmProxy && confiarEmProxy !== "0") {
+  application.set("trust proxy", /^\d+$/.test(confiarEmProxy) ? Number(confiarEmProxy) : confiarEmProxy);
+}
+
 // --------------------------------- CORS ------------------------------------
 const permitirOrigem = (origin) => {
   if (!origin) return true; // permite Postman/cURL sem Origin
@@ -55,70 +206,45 @@ application.use(
 // OPTIONS preflight
 application.options("*", cors());
 
-// Body parser JSON
-application.use(express.json());
-
-// ------------------------------- GEMINI -------------------------------------
-// Mantemos a IA sempre ativa, com fallback automático de modelo.
-const geminiClient = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Importações em lote (parceiros e coordenadas): aceitam CSV cru e arquivos maiores que o limite padrão
+const LIMITE_IMPORTACAO = process.env.IMPORTACAO_LIMITE || "5mb";
+application.use(
+  ["/api/admin/parceiros/importar", "/api/admin/parceiros/coordenadas"],
+  express.json({ limit: LIMITE_IMPORTACAO }),
+  express.text({ type: ["text/csv", "text/plain"], limit: LIMITE_IMPORTACAO })
+);
 
-// Opcional: você pode definir GEMINI_MODEL no .env (ex.: gemini-1.5-flash-latest)
-const GEMINI_MODEL_ENV = (process.env.GEMINI_MODEL || "").trim();
+// Webhook do WhatsApp: a assinatura é conferida sobre o corpo bruto
+application.use("/api/whatsapp/webhook", express.raw({ type: "*/*", limit: "1mb" }));
 
-// Ordem de tentativa (da esquerda p/ direita) — a primeira que funcionar será memorizada
-const GEMINI_CANDIDATES = [
-  GEMINI_MODEL_ENV || null,
-  "gemini-1.5-flash-latest",
-  "gemini-1.5-flash",
-  "gemini-1.5-pro",
-  "gemini-pro"
-].filter(Boolean);
+// Body parser JSON
+application.use(express.json());
 
-// Cache do primeiro modelo que funcionou
-let GEMINI_MODEL_RESOLVED = null;
+// --------------------------------- IA --------------------------------------
+// Toda geração passa pela camada de provedores (lib/llm.js): Gemini, OpenAI-compatível,
+// Ollama ou "scripted" (offline). Ordem definida por LLM_CHAIN / LLM_CHAIN_<REGIAO>.
 
 /**
- * Gera conteúdo na Gemini tentando modelos em fallback até um funcionar.
- * Memoriza o modelo vencedor em GEMINI_MODEL_RESOLVED para chamadas futuras.
+ * Gera texto na cadeia de provedores configurada (com fallback, timeout e retries).
+ * Mantém o nome histórico: antes só falava com a Gemini.
  */
-async function geminiGenerateWithFallback(promptText) {
-  const listaTentativas = GEMINI_MODEL_RESOLVED ? [GEMINI_MODEL_RESOLVED] : GEMINI_CANDIDATES;
-  let ultimoErro = null;
-
-  for (const nomeModelo of listaTentativas) {
-    try {
-      const modelo = geminiClient.getGenerativeModel({ model: nomeModelo });
-      const resposta = await modelo.generateContent(promptText);
-      GEMINI_MODEL_RESOLVED = nomeModelo; // memoriza
-      logStep(`[GEMINI] usando modelo: ${nomeModelo}`);
-      return resposta;
-    } catch (e) {
-      ultimoErro = e;
-      const mensagem = String(e?.message || e);
-      const codigo = e?.status || e?.code || "";
-      const deveTentarProximo =
-        codigo === 404 ||
-        codigo === 403 ||
-        /not\sfound/i.test(mensagem) ||
-        /not\ssupported/i.test(mensagem) ||
-        /permission/i.test(mensagem);
-
-      console.warn(`[GEMINI] falha no modelo ${nomeModelo} (${codigo}): ${mensagem}`);
-      if (!deveTentarProximo && GEMINI_MODEL_RESOLVED) {
-        // Se um modelo que já funcionou anteriormente falhar de forma inesperada, paramos aqui
-        break;
-      }
-      // Caso contrário, seguimos para o próximo modelo
-    }
-  }
-
-  throw ultimoErro || new Error("Falha ao gerar conteúdo na Gemini (todas as tentativas).");
+async function geminiGenerateWithFallback(promptText, opcoes = {}) {
+  const resultado = await gerarTexto(promptText, opcoes);
+  logStep(`[LLM] usando ${resultado.provedor}:${resultado.modelo || "-"} (${opcoes.tarefa || "geral"})`);
+  await registrarConsumoDeIA(opcoes.regiaoSlug, promptText, resultado.texto);
+  return resultado.texto;
 }
 
+// Teto de candidatos carregados por mensagem antes do ranking
+const RANKING_MAX_CANDIDATOS = Number(process.env.RANKING_MAX_CANDIDATOS || 300);
+
 // ===== DEBUG/SAFE MODE =====
 // Mantemos a flag, mas NÃO a ativamos no .env (a IA continua ligada)
 const DESABILITAR_GEMINI = process.env.DISABLE_GEMINI === "1";
 
+// Limites de uso (lib/limites.js): memória por padrão, Supabase para várias instâncias
+if (process.env.LIMITES_ARMAZEM === "supabase") definirArmazem(criarArmazemSupabase(supabase));
+
 // ------------------------------ HELPERS -------------------------------------
 function logStep(rotulo, extra = null) {
   const tempo = new Date().toISOString();
@@ -137,65 +263,141 @@ function slugify(texto) {
 }
 
 // ============================================================================
-// MIDDLEWARE: protege rotas de admin com chave no header X-Admin-Key
+// MIDDLEWARE: protege rotas de admin e do portal do parceiro
+// - Authorization: Bearer <accessToken> (contas em admin_usuarios, ver lib/adminAuth.js)
+// - X-Admin-Key legado (vale como super_admin) enquanto ADMIN_LEGACY_KEY != "0"
+// - permissao: "leitura" | "escrita" | "gestao" | "portal"; o escopo de região
+//   (ou de parceiros, no portal) é checado em cada rota
 // ============================================================================
-function exigirAdminKey(req, res, next) {
-  const header = req.headers["x-admin-key"];
-  if (!header || header !== process.env.ADMIN_API_KEY) {
-    return res.status(401).json({ error: "admin key inválida ou ausente" });
-  }
-  next();
+function exigirConta(permissao) {
+  return async (req, res, next) => {
+    try {
+      const autorizacao = String(req.headers.authorization || "");
+      if (autorizacao.startsWith("Bearer ")) {
+        const payload = verificarTokenDeAcesso(autorizacao.slice(7).trim());
+        if (!payload || !(await sessaoAtiva(payload.sid))) {
+          return res.status(401).json({ error: "sessão inválida ou expirada" });
+        }
+        req.conta = {
+          id: payload.sub,
+          username: payload.usr,
+          papel: payload.papel,
+          regioes: payload.regioes || [],
+          parceiros: payload.parceiros || [],
+          sessaoId: payload.sid,
+          legado: false
+        };
+      } else if (chaveLegadaValida(req.headers["x-admin-key"])) {
+        req.conta = {
+          id: null,
+          username: "chave-legada",
+          papel: "super_admin",
+          regioes: [],
+          parceiros: [],
+          sessaoId: null,
+          legado: true
+        };
+      } else {
+        return res.status(401).json({ error: "credenciais de acesso inválidas ou ausentes" });
+      }
+
+      if (!temPermissao(req.conta, permissao)) {
+        return res.status(403).json({ error: `papel '${req.conta.papel}' sem permissão de ${permissao}` });
+      }
+      next();
+    } catch (e) {
+      console.error("[admin auth] erro:", e);
+      return res.status(500).json({ error: "erro interno" });
+    }
+  };
+}
+
+function responderForaDoEscopo(res) {
+  return res.status(403).json({ error: "região fora do escopo deste usuário" });
 }
 
 // ============================================================================
 // MEMÓRIA DE CONVERSA (fallback se Supabase falhar em algum ponto do fluxo)
 // ============================================================================
-const memoriaConversas = new Map(); // conversationId -> { parceiro_em_foco, parceiros_sugeridos }
+const memoriaConversas = new Map(); // conversationId -> { parceiro_em_foco, parceiros_sugeridos, transcricao, slots, idioma, localizacao, reserva_em_andamento }
 
 function carregarConversaMem(conversationId) {
-  return memoriaConversas.get(conversationId) || { parceiro_em_foco: null, parceiros_sugeridos: [] };
+  return (
+    memoriaConversas.get(conversationId) || {
+      parceiro_em_foco: null,
+      parceiros_sugeridos: [],
+      transcricao: [],
+      slots: slotsVazios(),
+      idioma: null,
+      localizacao: null,
+      reserva_em_andamento: null
+    }
+  );
 }
 
 function salvarConversaMem(conversationId, payload) {
   const atual = carregarConversaMem(conversationId);
   memoriaConversas.set(conversationId, {
     parceiro_em_foco: payload.parceiro_em_foco ?? atual.parceiro_em_foco,
-    parceiros_sugeridos: Array.isArray(payload.parceiros_sugeridos) ? payload.parceiros_sugeridos : atual.parceiros_sugeridos
+    parceiros_sugeridos: Array.isArray(payload.parceiros_sugeridos) ? payload.parceiros_sugeridos : atual.parceiros_sugeridos,
+    transcricao: Array.isArray(payload.transcricao) ? payload.transcricao : atual.transcricao || [],
+    slots: payload.slots ?? atual.slots ?? slotsVazios(),
+    idioma: payload.idioma ?? atual.idioma ?? null,
+    localizacao: payload.localizacao ?? atual.localizacao ?? null,
+    // null aqui é "sem pedido" (encerrado ou descartado), não "não mexer"
+    reserva_em_andamento: "reserva_em_andamento" in payload ? payload.reserva_em_andamento : atual.reserva_em_andamento ?? null
   });
 }
 
+// Persiste slots mesclados, idioma e (se veio) localização da conversa (DB ou memória). Best-effort.
+async function salvarEstadoDaConversa(conversationId, conversaAtual, { slots, idioma, localizacao = undefined }) {
+  const estado = localizacao === undefined ? { slots, idioma } : { slots, idioma, localizacao };
+  if (conversaAtual) Object.assign(conversaAtual, estado);
+  try {
+    await repositorios.conversas.atualizar(conversationId, estado);
+  } catch (e) {
+    console.warn("[SUPABASE] Falha ao salvar slots/idioma (memória local):", e);
+    salvarConversaMem(conversationId, estado);
+  }
+}
+
+/**
+ * Acrescenta pergunta/resposta à transcrição da conversa (DB ou memória).
+ * Best-effort: falha aqui nunca derruba a resposta ao usuário.
+ */
+async function registrarTurnosDaConversa(conversationId, conversaAtual, textoUsuario, textoAssistente) {
+  const transcricao = adicionarTurnos(conversaAtual?.transcricao, textoUsuario, textoAssistente);
+  if (conversaAtual) conversaAtual.transcricao = transcricao;
+  try {
+    await repositorios.conversas.atualizar(conversationId, {
+      transcricao,
+      ultima_pergunta_usuario: textoUsuario,
+      ultima_resposta_ia: textoAssistente
+    });
+  } catch (e) {
+    console.warn("[SUPABASE] Falha ao salvar transcrição (memória local):", e);
+    salvarConversaMem(conversationId, { transcricao });
+  }
+}
+
 // ============================================================================
 // INTENÇÕES, SELEÇÃO E FUZZY MATCH
 // ============================================================================
-function detectarIntencaoDeFollowUp(textoDoUsuario) {
-  const t = String(textoDoUsuario || "").toLowerCase();
-
-  const mapa = [
-    { intencao: "horario", padroes: ["horário", "horario", "hora", "abre", "fecha", "funciona", "funcionamento", "que horas"] },
-    { intencao: "endereco", padroes: ["onde fica", "endereço", "endereco", "localização", "localizacao", "como chegar", "fica onde"] },
-    { intencao: "contato", padroes: ["contato", "telefone", "whatsapp", "whats", "ligar"] },
-    { intencao: "fotos", padroes: ["foto", "fotos", "imagem", "imagens", "galeria"] },
-    { intencao: "preco", padroes: ["preço", "preco", "faixa de preço", "faixa de preco", "caro", "barato", "valor", "quanto custa"] }
-  ];
+// Dicionários por idioma em lib/idiomas.js (português sempre vale junto)
+function detectarIntencaoDeFollowUp(textoDoUsuario, idioma = "pt") {
+  const t = normalizar(textoDoUsuario);
 
-  for (const item of mapa) {
-    for (const termo of item.padroes) if (t.includes(termo)) return item.intencao;
+  // Palavra inteira: "closest beach" não é pergunta de horário ("close")
+  for (const item of entradasDoIdioma(INTENCOES_POR_IDIOMA, idioma)) {
+    for (const termo of item.padroes) if (contemTermo(t, normalizar(termo))) return item.intencao;
   }
   return "nenhuma";
 }
 
 // índice por número/palavra → 0-based
-const mapaOrdinal = new Map([
-  ["1", 0], ["um", 0], ["uma", 0], ["primeiro", 0], ["1º", 0], ["1o", 0], ["opcao 1", 0], ["opção 1", 0],
-  ["2", 1], ["dois", 1], ["duas", 1], ["segundo", 1], ["2º", 1], ["2o", 1], ["opcao 2", 1], ["opção 2", 1],
-  ["3", 2], ["tres", 2], ["três", 2], ["terceiro", 2], ["3º", 2], ["3o", 2], ["opcao 3", 2], ["opção 3", 2],
-  ["4", 3], ["quatro", 3], ["quarto", 3], ["4º", 3], ["4o", 3],
-  ["5", 4], ["cinco", 4], ["quinto", 4], ["5º", 4], ["5o", 4]
-]);
-
-function extrairIndiceEscolhido(texto) {
+function extrairIndiceEscolhido(texto, idioma = "pt") {
   const t = String(texto || "").toLowerCase().trim();
-  const m1 = t.match(/(op[cç][aã]o|opcao|opção|n[uú]mero|numero|n[ºo]|#)\s*(\d{1,2})/i);
+  const m1 = t.match(/(op[cç][aã]o|opcao|opção|opci[oó]n|option|n[uú]mero|numero|number|n[ºo]|#)\s*(\d{1,2})/i);
   if (m1 && m1[2]) {
     const idx = parseInt(m1[2], 10) - 1;
     if (idx >= 0) return idx;
@@ -205,33 +407,10 @@ function extrairIndiceEscolhido(texto) {
     const idx = parseInt(m2[2], 10) - 1;
     if (idx >= 0) return idx;
   }
-  for (const [chave, idx] of mapaOrdinal.entries()) if (t.includes(chave)) return idx;
+  for (const [chave, idx] of entradasDoIdioma(ORDINAIS_POR_IDIOMA, idioma)) if (t.includes(chave)) return idx;
   return null;
 }
 
-function normalizar(s) {
-  return String(s || "")
-    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase().trim();
-}
-
-// Dice coefficient (bigrams) para fuzzy matching simples
-function bigrams(str) {
-  const s = normalizar(str);
-  const grams = [];
-  for (let i = 0; i < s.length - 1; i++) grams.push(s.slice(i, i + 2));
-  return grams;
-}
-function diceSimilarity(a, b) {
-  const A = bigrams(a); const B = bigrams(b);
-  if (A.length === 0 || B.length === 0) return 0;
-  let inter = 0;
-  const freq = new Map();
-  for (const g of A) freq.set(g, (freq.get(g) || 0) + 1);
-  for (const g of B) { const v = freq.get(g) || 0; if (v > 0) { inter += 1; freq.set(g, v - 1); } }
-  return (2 * inter) / (A.length + B.length);
-}
-
 function tentarAcharParceiroPorNomeOuCategoria(texto, lista) {
   const t = normalizar(texto);
   if (!t) return null;
@@ -268,13 +447,324 @@ function tentarAcharParceiroPorNomeOuCategoria(texto, lista) {
   return melhorScore >= 0.45 ? melhor : null;
 }
 
-function resumoDoParceiro(parceiro) {
-  if (!parceiro) return "Não encontrei esse parceiro.";
+function resumoDoParceiro(parceiro, idioma = "pt") {
+  if (!parceiro) return textoNoIdioma(idioma, "parceiroNaoEncontrado");
   const nom = parceiro.nome || "—";
-  const cat = parceiro.categoria || "categoria não informada";
-  const benef = parceiro.beneficio_bepit ? ` — Benefício BEPIT: ${parceiro.beneficio_bepit}` : "";
-  const preco = parceiro.faixa_preco ? ` — Faixa de preço: ${parceiro.faixa_preco}` : "";
-  return `Sobre **${nom}** (${cat})${benef}${preco}. Quer **endereço**, **horário**, **contato/WhatsApp**, **faixa de preço** ou **fotos**?`;
+  const cat = parceiro.categoria || textoNoIdioma(idioma, "categoriaNaoInformada");
+  const beneficio = campoTraduzido(parceiro, "beneficio_bepit", idioma);
+  const benef = beneficio ? textoNoIdioma(idioma, "beneficio", beneficio) : "";
+  const preco = parceiro.faixa_preco ? textoNoIdioma(idioma, "faixaDePreco", parceiro.faixa_preco) : "";
+  return textoNoIdioma(idioma, "resumoDoParceiro", nom, cat, benef, preco);
+}
+
+// Formato estruturado de uma sugestão (evento "suggestions" do SSE e campo suggestions da resposta JSON)
+function sugestaoEstruturada(parceiro, indice, idioma = "pt", links = {}) {
+  return {
+    posicao: indice + 1,
+    id: parceiro.id,
+    tipo: parceiro.tipo || "PARCEIRO",
+    nome: parceiro.nome,
+    categoria: parceiro.categoria || null,
+    beneficio_bepit: campoTraduzido(parceiro, "beneficio_bepit", idioma),
+    faixa_preco: parceiro.faixa_preco || null,
+    endereco: parceiro.endereco || null,
+    cidade_id: parceiro.cidade_id || null,
+    fotos: Array.isArray(parceiro.fotos_parceiros) ? parceiro.fotos_parceiros : [],
+    comodidades: parceiro.comodidades || {},
+    links
+  };
+}
+
+// Links de ação rastreados (/l/:codigo) por parceiro: Map parceiroId → { canal: url }.
+// Reaproveita o link da mesma conversa/parceiro/canal; link novo herda a busca de
+// origem de outro canal do mesmo parceiro. Sem PUBLIC_BASE_URL ou com falha no
+// banco → destinos diretos (o chat não perde o contato por causa do rastreamento).
+async function linksDeAcao({ conversationId, regiaoId, parceiros, buscaId = null, canais = CANAIS_DE_LEAD }) {
+  const destinosPorParceiro = new Map();
+  for (const p of parceiros || []) {
+    if (!p?.id || destinosPorParceiro.has(p.id)) continue;
+    const destinos = destinosDoParceiro(p);
+    const filtrados = Object.fromEntries(Object.entries(destinos).filter(([canal]) => canais.includes(canal)));
+    destinosPorParceiro.set(p.id, { parceiro: p, destinos: filtrados });
+  }
+  const links = new Map([...destinosPorParceiro.keys()].map((id) => [id, {}]));
+  if (destinosPorParceiro.size === 0) return links;
+  if (!LINKS_RASTREADOS) {
+    for (const [parceiroId, { destinos }] of destinosPorParceiro) links.set(parceiroId, destinos);
+    return links;
+  }
+
+  try {
+    const existentes = await repositorios.links.daConversa(conversationId, [...destinosPorParceiro.keys()]);
+
+    const novos = [];
+    for (const [parceiroId, { parceiro, destinos }] of destinosPorParceiro) {
+      const doParceiro = existentes.filter((l) => l.parceiro_id === parceiroId);
+      const origem = buscaId || doParceiro.find((l) => l.busca_id)?.busca_id || null;
+      for (const [canal, destino] of Object.entries(destinos)) {
+        const existente = doParceiro.find((l) => l.canal === canal);
+        if (existente) {
+          // contato editado depois do link: o mesmo código passa a levar ao destino novo
+          if (existente.destino !== destino) {
+            await repositorios.links.atualizarDestino(existente.codigo, destino);
+          }
+          links.get(parceiroId)[canal] = urlDoLink(existente.codigo);
+          continue;
+        }
+        const codigo = gerarCodigoDeLink();
+        novos.push({
+          codigo,
+          conversation_id: conversationId,
+          regiao_id: regiaoId,
+          cidade_id: parceiro.cidade_id || null,
+          parceiro_id: parceiroId,
+          canal,
+          destino,
+          busca_id: origem
+        });
+        links.get(parceiroId)[canal] = urlDoLink(codigo);
+      }
+    }
+    if (novos.length > 0) await repositorios.links.criar(novos);
+    return links;
+  } catch (e) {
+    console.warn("[links_acao] sem rastreamento, usando destinos diretos:", e?.message || e);
+    for (const [parceiroId, { destinos }] of destinosPorParceiro) links.set(parceiroId, destinos);
+    return links;
+  }
+}
+
+// "WhatsApp: https://.../l/abc" — uma linha por canal, na ordem de CANAIS_DE_LEAD
+function linhasDeLinks(links, idioma) {
+  return CANAIS_DE_LEAD.filter((canal) => links?.[canal])
+    .map((canal) => `${textoNoIdioma(idioma, "rotuloDoCanal", canal)}: ${links[canal]}`)
+    .join("\n");
+}
+
+// ============================================================================
+// WEBHOOKS DE SAÍDA (lib/webhooks.js)
+// publicarEvento nunca atrasa nem derruba a rota que o chama: grava as
+// entregas e o despacho envia em segundo plano (e retenta pela varredura)
+// ============================================================================
+const despachoDeWebhooks = criarDespachoDeWebhooks();
+
+function publicarEvento(tipo, { regiaoId = null, dados = {} } = {}) {
+  despachoDeWebhooks
+    .publicar(tipo, { regiaoId, dados })
+    .catch((e) => console.error(`[webhooks] Falha ao publicar ${tipo} (segue):`, e));
+}
+
+// Reserva no corpo do webhook (nome do parceiro no lugar da relação; sem histórico)
+function reservaParaWebhook(reserva) {
+  const { parceiros, historico, ...campos } = reserva;
+  return { ...campos, parceiro: parceiros?.nome || null };
+}
+
+// ============================================================================
+// RESERVAS PELO CHAT (lib/reservas.js)
+// "quero reservar" com um parceiro em foco abre o pedido; as mensagens seguintes
+// preenchem dia, hora, pessoas, nome e telefone. "status da reserva" e
+// "cancelar a reserva" valem a qualquer momento da conversa.
+// ============================================================================
+// Pedido em andamento (DB ou memória). Best-effort.
+async function salvarPedidoDeReserva(conversationId, conversaAtual, pedido) {
+  conversaAtual.reserva_em_andamento = pedido;
+  try {
+    await repositorios.conversas.atualizar(conversationId, { reserva_em_andamento: pedido });
+  } catch (e) {
+    console.warn("[SUPABASE] Falha ao salvar pedido de reserva (memória local):", e);
+    salvarConversaMem(conversationId, { reserva_em_andamento: pedido });
+  }
+}
+
+function reservaParaTexto(reserva, nomeDoParceiro = null) {
+  return { ...reserva, parceiro: reserva.parceiros?.nome || nomeDoParceiro || "?" };
+}
+
+/**
+ * Resposta do fluxo de reserva, ou null quando a mensagem não é com ele
+ * (o pipeline segue normalmente).
+ */
+async function conduzirReserva({ intencao, textoUsuario, conversationId, conversaAtual, regiao, cidadeDaMensagem, idioma }) {
+  const agora = new Date();
+  const pedidoAtual = conversaAtual.reserva_em_andamento || null;
+  const tx = (chave, ...args) => textoNoIdioma(idioma, chave, ...args);
+
+  if (intencao === "status_reserva") {
+    const reservas = await repositorios.reservas.daConversa(conversationId);
+    return reservas.length > 0 ? tx("statusDasReservas", reservas.map((r) => reservaParaTexto(r))) : tx("semReservas");
+  }
+
+  if (intencao === "cancelar_reserva") {
+    if (pedidoAtual) {
+      await salvarPedidoDeReserva(conversationId, conversaAtual, null);
+      return tx("pedidoDeReservaCancelado");
+    }
+    const ativa = (await repositorios.reservas.daConversa(conversationId)).find((r) => transicaoPermitida(r.status, "cancelada"));
+    if (!ativa) return tx("semReservaParaCancelar");
+    const cancelada = await repositorios.reservas.atualizarStatus(
+      ativa.id,
+      ativa.status,
+      mudancaDeStatus(ativa, { status: "cancelada", por: "usuario" }, agora)
+    );
+    if (!cancelada) return tx("semReservaParaCancelar");
+    publicarEvento("reserva.atualizada", { regiaoId: cancelada.regiao_id, dados: reservaParaWebhook(cancelada) });
+    return tx("reservaCancelada", reservaParaTexto(cancelada));
+  }
+
+  const foco = conversaAtual.parceiro_em_foco;
+  let pedido = pedidoAtual;
+  let abertura = null;
+  if (intencao === "reservar") {
+    // Sem parceiro em foco, "quero reservar uma mesa em Búzios" é busca
+    if (!foco) return cidadeDaMensagem || pareceNovaBusca(textoUsuario) ? null : tx("reservaSemParceiro");
+    if (valorDaComodidade(foco, "aceita_reserva") === false) return tx("comodidadeNao", foco.nome, "aceita_reserva");
+    if (!pedido || pedido.parceiro.id !== foco.id) {
+      pedido = novoPedidoDeReserva(foco, agora);
+      abertura = tx("reservaIniciada", foco.nome);
+    }
+  }
+  if (!pedido) return null;
+
+  const { pedido: atualizado, entendeu, problema } = avancarPedidoDeReserva(pedido, textoUsuario, agora);
+  if (!entendeu && intencao !== "reservar" && proximoCampo(pedido)) {
+    // Outra pergunta sobre o parceiro mantém o pedido; uma nova busca o descarta
+    if (intencao !== "nenhuma") return null;
+    if (cidadeDaMensagem || pareceNovaBusca(textoUsuario)) {
+      await salvarPedidoDeReserva(conversationId, conversaAtual, null);
+      return null;
+    }
+    return `${tx("naoEntendiReserva")} ${tx("perguntaDaReserva", pedido.aguardando)}`;
+  }
+
+  const nota = problema
+    ? tx("problemaDaReserva", problema.motivo, {
+        nome: atualizado.parceiro.nome,
+        faixas: atualizado.data && atualizado.parceiro.horario_estruturado
+          ? descreverFaixasDoDia(atualizado.parceiro.horario_estruturado, atualizado.data, idioma)
+          : null,
+        maxPessoas: MAX_PESSOAS,
+        dias: ANTECEDENCIA_MAXIMA_DIAS
+      })
+    : null;
+  if (atualizado.aguardando) {
+    await salvarPedidoDeReserva(conversationId, conversaAtual, atualizado);
+    return [abertura, nota, tx("perguntaDaReserva", atualizado.aguardando)].filter(Boolean).join(" ");
+  }
+
+  // Pedido completo: grava como "solicitada" (falhou → o pedido fica para a próxima mensagem)
+  let reserva;
+  try {
+    reserva = await repositorios.reservas.criar({
+      codigo: gerarCodigoDeReserva(),
+      parceiro_id: atualizado.parceiro.id,
+      regiao_id: regiao.id,
+      conversation_id: conversationId,
+      data: atualizado.data,
+      hora: atualizado.hora,
+      pessoas: atualizado.pessoas,
+      nome: atualizado.nome,
+      telefone: atualizado.telefone,
+      idioma,
+      status: "solicitada",
+      historico: [{ status: "solicitada", em: agora.toISOString(), por: "usuario", motivo: null }]
+    });
+  } catch (e) {
+    console.error("[RESERVA] Falha ao gravar pedido:", e);
+    await salvarPedidoDeReserva(conversationId, conversaAtual, atualizado);
+    return tx("erroAoRegistrarReserva");
+  }
+  await salvarPedidoDeReserva(conversationId, conversaAtual, null);
+  try {
+    await repositorios.eventos.registrar({
+      regiao_id: regiao.id,
+      parceiro_id: atualizado.parceiro.id,
+      conversation_id: conversationId,
+      tipo_evento: "reserva",
+      payload: { reserva_id: reserva.id, codigo: reserva.codigo, pessoas: reserva.pessoas, data: reserva.data }
+    });
+  } catch (e) {
+    console.error("[SUPABASE] Falha ao registrar evento de reserva (segue):", e);
+  }
+  publicarEvento("reserva.solicitada", { regiaoId: regiao.id, dados: reservaParaWebhook(reserva) });
+  return tx("reservaSolicitada", reservaParaTexto(reserva, atualizado.parceiro.nome));
+}
+
+// ============================================================================
+// VOUCHERS PELO CHAT (lib/vouchers.js)
+// "quero usar o benefício" com um parceiro em foco emite o voucher (ou devolve
+// o que ainda vale), respeitando os limites por conversa e por parceiro/dia
+// ============================================================================
+function voucherParaResposta(voucher) {
+  return {
+    codigo: voucher.codigo,
+    qr: conteudoDoQr(voucher.codigo),
+    parceiro_id: voucher.parceiro_id,
+    parceiro: voucher.parceiros?.nome || null,
+    beneficio: voucher.beneficio,
+    expira_em: voucher.expira_em
+  };
+}
+
+// Voucher no corpo do webhook (sem a relação embutida)
+function voucherParaWebhook(voucher) {
+  const { parceiros, ...campos } = voucher;
+  return { ...campos, parceiro: parceiros?.nome || null };
+}
+
+/**
+ * { reply, voucher } quando a mensagem pede o benefício; null para seguir o pipeline.
+ */
+async function conduzirVoucher({ intencao, textoUsuario, conversationId, conversaAtual, regiao, cidadeDaMensagem, idioma }) {
+  if (intencao !== "usar_beneficio") return null;
+  const agora = new Date();
+  const tx = (chave, ...args) => textoNoIdioma(idioma, chave, ...args);
+
+  const foco = conversaAtual.parceiro_em_foco;
+  // Sem parceiro em foco, "restaurante com desconto em Búzios" é busca
+  if (!foco) return cidadeDaMensagem || pareceNovaBusca(textoUsuario) ? null : { reply: tx("voucherSemParceiro") };
+  const beneficio = campoTraduzido(foco, "beneficio_bepit", idioma);
+  if (!beneficio) return { reply: tx("semBeneficio", foco.nome) };
+
+  try {
+    const valido = await repositorios.vouchers.validoDaConversa(conversationId, foco.id, agora);
+    if (valido) {
+      const voucher = voucherParaResposta({ ...valido, parceiros: { nome: valido.parceiros?.nome || foco.nome } });
+      return { reply: tx("voucherEmitido", voucher, true), voucher };
+    }
+
+    // Contagem e gravação juntas no armazém: pedidos simultâneos não furam os limites
+    const limites = limitesDeVoucher(regiao.slug);
+    const { voucher: criado, recusado } = await repositorios.vouchers.emitir(
+      novoVoucher({ parceiro: foco, regiaoId: regiao.id, conversationId, idioma, beneficio }, agora),
+      { ...limites, inicioDoDia: inicioDoDiaLocal(partesLocais(agora).data).toISOString() }
+    );
+    if (recusado === "conversa") {
+      return { reply: tx("limiteDeVouchers", "conversa", { nome: foco.nome, limite: limites.porConversa }) };
+    }
+    if (recusado === "dia") {
+      return { reply: tx("limiteDeVouchers", "dia", { nome: foco.nome, limite: limites.porDia }) };
+    }
+    const voucher = { ...criado, parceiros: { nome: criado.parceiros?.nome || foco.nome } };
+    try {
+      await repositorios.eventos.registrar({
+        regiao_id: regiao.id,
+        cidade_id: foco.cidade_id || null,
+        parceiro_id: foco.id,
+        conversation_id: conversationId,
+        tipo_evento: "voucher_emitido",
+        payload: { voucher_id: voucher.id, codigo: voucher.codigo }
+      });
+    } catch (e) {
+      console.error("[SUPABASE] Falha ao registrar evento de voucher (segue):", e);
+    }
+    publicarEvento("voucher.emitido", { regiaoId: regiao.id, dados: voucherParaWebhook(voucher) });
+    const resposta = voucherParaResposta(voucher);
+    return { reply: tx("voucherEmitido", resposta, false), voucher: resposta };
+  } catch (e) {
+    console.error("[VOUCHER] Falha ao emitir voucher:", e);
+    return { reply: tx("erroAoEmitirVoucher") };
+  }
 }
 
 // ============================================================================
@@ -289,13 +779,7 @@ application.get("/health", (req, res) => {
 // ============================================================================
 application.get("/api/parceiros", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("parceiros")
-      .select("id, nome, categoria")
-      .eq("ativo", true)
-      .limit(20);
-    if (error) throw error;
-    res.json({ parceiros: data });
+    res.json({ parceiros: await repositorios.parceiros.ativos(20) });
   } catch (err) {
     console.error("Erro Supabase:", err);
     res.status(500).json({ error: "Erro ao buscar parceiros" });
@@ -305,14 +789,22 @@ application.get("/api/parceiros", async (req, res) => {
 // ============================================================================
 // ANALISAR ENTRADA (IA ou fallback simples)
 // ============================================================================
-async function analisarEntradaUsuario(texto, cidades) {
-  if (DESABILITAR_GEMINI) {
+async function analisarEntradaUsuario(texto, cidades, regiaoSlug = null, historico = "", preferencias = "", semIA = false, sinal = null) {
+  if (DESABILITAR_GEMINI || semIA) {
     const lower = String(texto || "").toLowerCase();
     const cidadeSlug =
       (cidades || []).find(
         (c) => lower.includes(String(c.nome).toLowerCase()) || lower.includes(String(c.slug).toLowerCase())
       )?.slug || null;
-    return { corrigido: texto, companhia: null, vibe: null, orcamento: null, cidadeSlugSugerida: cidadeSlug, palavrasChave: [] };
+    return { corrigido: texto, companhia: null, vibe: null, orcamento: null, cidadeSlugSugerida: cidadeSlug, palavrasChave: [], idioma: null };
+  }
+
+  // Mesma frase + mesmo contexto na mesma região → mesma análise (lib/cacheLLM.js)
+  const contextoDoCache = [preferencias, historico].filter(Boolean).join("\n");
+  const emCache = lerDoCache("analise", regiaoSlug, texto, contextoDoCache);
+  if (emCache) {
+    logStep("[CACHE] análise reaproveitada");
+    return emCache;
   }
 
   try {
@@ -320,6 +812,7 @@ async function analisarEntradaUsuario(texto, cidades) {
 
     const prompt = `
 Você é um analisador de linguagem natural para turismo no Brasil.
+A frase pode estar em português, inglês ou espanhol.
 Tarefas:
 1) Corrija apenas erros claros de digitação mantendo a intenção original.
 2) Inferir (se possível) o perfil do usuário:
@@ -328,7 +821,9 @@ Tarefas:
    - orcamento: "baixo" | "medio" | "alto" | null
 3) Sugerir cidade (se houver) com base nestas opções (use o slug exato ou null):
    ${JSON.stringify(listaCidades)}
-4) Gerar até 5 palavras_chave (minúsculas, simples).
+4) Gerar até 5 palavras_chave (minúsculas, simples), SEMPRE em português (os cadastros locais são em português).
+5) Se houver conversa anterior, use-a para resolver referências ("e para crianças?", "algo mais barato que isso").
+6) Identificar o idioma da frase: "pt" | "en" | "es".
 
 Responda APENAS JSON, sem comentários, nesse formato:
 {
@@ -337,614 +832,1087 @@ Responda APENAS JSON, sem comentários, nesse formato:
   "vibe": "...",
   "orcamento": "...",
   "cidadeSlugSugerida": "...",
-  "palavrasChave": ["...","..."]
+  "palavrasChave": ["...","..."],
+  "idioma": "..."
 }
 
-Frase original: "${texto}"
+${preferencias ? `Preferências já conhecidas: ${preferencias}\n` : ""}${historico ? `Conversa até aqui:\n${historico}\n\n` : ""}Frase original: "${texto}"
 `.trim();
 
-    const resp = await geminiGenerateWithFallback(prompt);
-    let out = (await resp.response.text()).trim();
+    let out = await geminiGenerateWithFallback(prompt, {
+      regiaoSlug,
+      tarefa: "analise",
+      contexto: { frase: texto, cidades: listaCidades },
+      signal: sinal
+    });
     out = out.replace(/```json|```/g, "");
     const parsed = JSON.parse(out);
 
-    return {
+    const analise = {
       corrigido: parsed.corrigido ?? texto,
       companhia: parsed.companhia ?? null,
       vibe: parsed.vibe ?? null,
       orcamento: parsed.orcamento ?? null,
       cidadeSlugSugerida: parsed.cidadeSlugSugerida ?? null,
-      palavrasChave: Array.isArray(parsed.palavrasChave) ? parsed.palavrasChave : []
+      palavrasChave: Array.isArray(parsed.palavrasChave) ? parsed.palavrasChave : [],
+      idioma: parsed.idioma ?? null
     };
+    gravarNoCache("analise", regiaoSlug, texto, contextoDoCache, analise);
+    return analise;
   } catch (e) {
-    console.error("[IA Gemini] analisarEntradaUsuario falhou:", e);
-    return { corrigido: texto, companhia: null, vibe: null, orcamento: null, cidadeSlugSugerida: null, palavrasChave: [] };
+    if (e?.cancelado) logStep("[IA] análise cancelada (cliente desconectou)");
+    else console.error("[IA] analisarEntradaUsuario falhou:", e);
+    return { corrigido: texto, companhia: null, vibe: null, orcamento: null, cidadeSlugSugerida: null, palavrasChave: [], idioma: null };
   }
 }
 
 // ============================================================================
-// CHAT
+// CHAT (pipeline compartilhado entre a rota JSON e a rota SSE)
+// - eventos (opcionais): meta(dados), token(texto), suggestions(dados)
+// - Retorna { status, body } — body é exatamente o JSON da rota tradicional
+// - debug=true inclui no body o detalhamento do ranking ("ranking"); as rotas
+//   só repassam o pedido com conta de admin ou CHAT_DEBUG=1 (debugAutorizado)
+// - slots (opcional) = edição manual dos slots da conversa feita pelo front
+// - lang (opcional) = idioma da resposta ("pt" | "en" | "es"); sem ele, detecta pelo texto
+// - lat/lng (opcionais) = posição do usuário ("perto de mim", distâncias, "como chegar")
 // ============================================================================
-application.post("/api/chat/:slugDaRegiao", async (request, response) => {
-  console.log("\n--- NOVA INTERAÇÃO ---");
-  try {
-    const { slugDaRegiao } = request.params;
-    let { message: textoDoUsuario, conversationId } = request.body;
-
-    // -----------------------------------------------------------------------
-    // 0) Validação inicial
-    // -----------------------------------------------------------------------
-    if (!textoDoUsuario || typeof textoDoUsuario !== "string" || !textoDoUsuario.trim()) {
-      return response.status(400).json({
-        error: "O campo 'message' é obrigatório e deve ser uma string não vazia."
-      });
-    }
-    const textoUserTrim = textoDoUsuario.trim();
-
-    // -----------------------------------------------------------------------
-    // 1) Região e cidades
-    // -----------------------------------------------------------------------
-    const { data: regiao, error: erroRegiao } = await supabase
-      .from("regioes")
-      .select("id, nome, slug")
-      .eq("slug", slugDaRegiao)
-      .single();
-    if (erroRegiao || !regiao) {
-      console.error("[SUPABASE] Erro ao carregar região:", erroRegiao);
-      return response.status(404).json({ error: `Região '${slugDaRegiao}' não encontrada.` });
-    }
+async function processarMensagemDoChat(
+  { slugDaRegiao, textoDoUsuario, conversationId, slots: slotsDoFront = null, lang = null, lat = null, lng = null, debug = false, sinal = null },
+  eventos = {}
+) {
+  const responder = (status, body) => ({ status, body });
+  const emitir = (nome, dados) => {
+    if (typeof eventos[nome] === "function") eventos[nome](dados);
+  };
+
+  // -----------------------------------------------------------------------
+  // 0) Validação inicial
+  // -----------------------------------------------------------------------
+  if (!textoDoUsuario || typeof textoDoUsuario !== "string" || !textoDoUsuario.trim()) {
+    return responder(400, {
+      error: "O campo 'message' é obrigatório e deve ser uma string não vazia."
+    });
+  }
+  const textoUserTrim = textoDoUsuario.trim();
 
-    const { data: cidades, error: erroCidades } = await supabase
-      .from("cidades")
-      .select("id, nome, slug")
-      .eq("regiao_id", regiao.id);
-    if (erroCidades) {
-      console.error("[SUPABASE] Erro ao carregar cidades:", erroCidades);
-      return response.status(500).json({ error: "Erro ao carregar cidades." });
-    }
-
-    // 3) Cidade pelo texto
-    const textoMinusculo = textoUserTrim.toLowerCase();
-    let cidadeDetectada = null;
-    for (const c of cidades || []) {
-      const nomeLower = String(c.nome).toLowerCase();
-      const slugLower = String(c.slug).toLowerCase();
-      if (textoMinusculo.includes(nomeLower) || textoMinusculo.includes(slugLower)) {
-        cidadeDetectada = c;
-        break;
-      }
-    }
+  const { coordenadas: localizacaoInformada, erros: errosLocalizacao } = lerCoordenadas(lat, lng);
+  if (errosLocalizacao.length > 0) {
+    return responder(400, { error: "Localização inválida.", detalhes: errosLocalizacao });
+  }
 
-    const analise = await analisarEntradaUsuario(textoUserTrim, cidades);
-    if (!cidadeDetectada && analise.cidadeSlugSugerida) {
-      const cand = (cidades || []).find((c) => c.slug === analise.cidadeSlugSugerida);
-      if (cand) cidadeDetectada = cand;
-    }
+  // -----------------------------------------------------------------------
+  // 1) Região e cidades
+  // -----------------------------------------------------------------------
+  let regiao = null;
+  try {
+    regiao = await repositorios.regioes.porSlug(slugDaRegiao);
+  } catch (e) {
+    console.error("[SUPABASE] Erro ao carregar região:", e);
+  }
+  if (!regiao) return responder(404, { error: `Região '${slugDaRegiao}' não encontrada.` });
 
-    const perfilUsuario = {
-      companhia: analise?.companhia || null, // casal | familia | amigos | sozinho | null
-      vibe: analise?.vibe || null,           // romantico | tranquilo | agitado | aventura | null
-      orcamento: analise?.orcamento || null  // baixo | medio | alto | null
-    };
+  let cidades;
+  try {
+    cidades = await repositorios.cidades.daRegiao(regiao.id);
+  } catch (e) {
+    console.error("[SUPABASE] Erro ao carregar cidades:", e);
+    return responder(500, { error: "Erro ao carregar cidades." });
+  }
 
-    // -----------------------------------------------------------------------
-    // 3) Garante conversationId e cria conversa (DB ou memória)
-    // -----------------------------------------------------------------------
-    if (!conversationId || typeof conversationId !== "string" || !conversationId.trim()) {
-      conversationId = randomUUID();
-      try {
-        const { error: erroCriarConversa } = await supabase.from("conversas").insert({
-          id: conversationId,
-          regiao_id: regiao.id,
-          parceiro_em_foco: null,
-          parceiros_sugeridos: [],
-          ultima_pergunta_usuario: null,
-          ultima_resposta_ia: null
-        });
-        if (erroCriarConversa) throw erroCriarConversa;
-      } catch (e) {
-        console.warn("[SUPABASE] Erro ao criar conversa (usar memória local):", e);
-        salvarConversaMem(conversationId, { parceiro_em_foco: null, parceiros_sugeridos: [] });
-      }
-    }
+  // Orçamento de IA da região esgotado → mesmo caminho sem IA do DISABLE_GEMINI
+  const usarIA = !DESABILITAR_GEMINI && (await orcamentoDisponivel(regiao.slug));
+  if (!usarIA && !DESABILITAR_GEMINI) logStep(`[LLM] orçamento de IA esgotado em ${regiao.slug}: respondendo sem IA`);
 
-    // -----------------------------------------------------------------------
-    // 4) Carrega conversa atual (DB ou memória)
-    // -----------------------------------------------------------------------
-    let conversaAtual = null;
-    try {
-      const { data: c, error: erroConversa } = await supabase
-        .from("conversas")
-        .select("id, parceiro_em_foco, parceiros_sugeridos")
-        .eq("id", conversationId)
-        .single();
-      if (erroConversa) throw erroConversa;
-      conversaAtual = c;
-    } catch (e) {
-      console.warn("[SUPABASE] Falha ao carregar conversa, usando memória:", e);
-      conversaAtual = carregarConversaMem(conversationId);
-    }
+  // Slots editados pelo front (opcional): inválidos → 400 antes de qualquer escrita
+  const { slots: slotsInformados, erros: errosSlots } = validarSlotsInformados(slotsDoFront, cidades || []);
+  if (errosSlots.length > 0) {
+    return responder(400, { error: "Slots inválidos.", detalhes: errosSlots });
+  }
 
-    // -----------------------------------------------------------------------
-    // 5) Métricas de busca (best-effort)
-    // -----------------------------------------------------------------------
+  // -----------------------------------------------------------------------
+  // 3) Garante conversationId e cria conversa (DB ou memória)
+  // -----------------------------------------------------------------------
+  if (!conversationId || typeof conversationId !== "string" || !conversationId.trim()) {
+    conversationId = randomUUID();
     try {
-      await supabase.from("buscas_texto").insert({
-        regiao_id: regiao.id,
-        cidade_id: cidadeDetectada?.id || null,
-        texto: textoDoUsuario
-      });
-      await supabase.from("eventos_analytics").insert({
+      await repositorios.conversas.criar({
+        id: conversationId,
         regiao_id: regiao.id,
-        cidade_id: cidadeDetectada?.id || null,
-        conversation_id: conversationId,
-        tipo_evento: "search",
-        payload: { q: textoDoUsuario }
+        parceiro_em_foco: null,
+        parceiros_sugeridos: [],
+        transcricao: [],
+        slots: slotsVazios(),
+        idioma: null,
+        ultima_pergunta_usuario: null,
+        ultima_resposta_ia: null
       });
     } catch (e) {
-      console.error("[SUPABASE] Falha ao registrar métricas de busca (segue):", e);
+      console.warn("[SUPABASE] Erro ao criar conversa (usar memória local):", e);
+      salvarConversaMem(conversationId, { parceiro_em_foco: null, parceiros_sugeridos: [] });
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // 4) Carrega conversa atual (DB ou memória)
+  // -----------------------------------------------------------------------
+  let conversaAtual = null;
+  try {
+    conversaAtual = await repositorios.conversas.carregar(conversationId);
+  } catch (e) {
+    console.warn("[SUPABASE] Falha ao carregar conversa, usando memória:", e);
+    conversaAtual = carregarConversaMem(conversationId);
+  }
+
+  // 4.1) Cidade pelo texto + análise (com o histórico recente da conversa)
+  const textoMinusculo = textoUserTrim.toLowerCase();
+  let cidadeDaMensagem = null;
+  for (const c of cidades || []) {
+    const nomeLower = String(c.nome).toLowerCase();
+    const slugLower = String(c.slug).toLowerCase();
+    if (textoMinusculo.includes(nomeLower) || textoMinusculo.includes(slugLower)) {
+      cidadeDaMensagem = c;
+      break;
     }
+  }
 
-    // 7) intenção
-    const intencao = detectarIntencaoDeFollowUp(textoUserTrim);
+  const slotsAnteriores = { ...slotsVazios(), ...(conversaAtual.slots || {}) };
+  const historicoRecente = historicoParaPrompt(conversaAtual.transcricao);
+  const analise = await analisarEntradaUsuario(
+    textoUserTrim, cidades, regiao.slug, historicoRecente, descreverSlots(slotsAnteriores), !usarIA, sinal
+  );
+  // Stream abandonado: não segue para as próximas chamadas de IA
+  if (sinal?.aborted) return responder(499, { error: "Cliente desconectou." });
+  if (!cidadeDaMensagem && analise.cidadeSlugSugerida) {
+    const cand = (cidades || []).find((c) => c.slug === analise.cidadeSlugSugerida);
+    if (cand) cidadeDaMensagem = cand;
+  }
 
-    // 7.1 Seleção por número/nome quando já há sugeridos e a intenção é genérica
-    const candidatos = Array.isArray(conversaAtual.parceiros_sugeridos) ? conversaAtual.parceiros_sugeridos : [];
-    if (candidatos.length > 0 && intencao === "nenhuma") {
-      let escolhido = null;
+  // 4.2) Slots: mescla o que já sabíamos com a mensagem atual e edições do front
+  const slots = mesclarSlots(
+    slotsAnteriores,
+    extrairSlotsDaMensagem(textoUserTrim, { analise, cidadeDaMensagem }),
+    detectarLimpezas(textoUserTrim),
+    slotsInformados
+  );
+
+  // 4.3) Idioma da resposta (campo lang > texto > análise > conversa > pt)
+  const idioma = resolverIdioma({
+    lang,
+    texto: textoUserTrim,
+    palpiteDaAnalise: analise.idioma,
+    idiomaDaConversa: conversaAtual.idioma
+  });
+  await salvarEstadoDaConversa(conversationId, conversaAtual, {
+    slots,
+    idioma,
+    localizacao: localizacaoInformada ? { ...localizacaoInformada, em: new Date().toISOString() } : undefined
+  });
+  // Posição do usuário: a desta mensagem ou a última enviada na conversa (se recente)
+  const localizacaoDoUsuario = localizacaoInformada || localizacaoRecente(conversaAtual.localizacao);
+
+  // Daqui em diante, cidade e perfil vêm dos slots mesclados
+  const cidadeDetectada = slots.cidade ? (cidades || []).find((c) => c.id === slots.cidade.id) || null : null;
+  const perfilUsuario = {
+    companhia: slots.companhia, // casal | familia | amigos | sozinho | null
+    vibe: slots.vibe,           // romantico | tranquilo | agitado | aventura | null
+    orcamento: slots.orcamento  // baixo | medio | alto | null
+  };
+
+  emitir("meta", {
+    conversationId,
+    regiao: { nome: regiao.nome, slug: regiao.slug },
+    cidade: cidadeDetectada ? { id: cidadeDetectada.id, nome: cidadeDetectada.nome, slug: cidadeDetectada.slug } : null,
+    perfil: perfilUsuario,
+    slots,
+    lang: idioma
+  });
 
-      const idx = extrairIndiceEscolhido(textoUserTrim);
-      if (idx !== null && idx >= 0 && idx < candidatos.length) {
-        escolhido = candidatos[idx];
-      }
-      if (!escolhido) {
-        escolhido = tentarAcharParceiroPorNomeOuCategoria(textoUserTrim, candidatos);
-      }
+  // Respostas diretas (atalhos de follow-up): no streaming saem como um único token
+  const responderDireto = async (reply, photoLinks, extras = {}) => {
+    emitir("token", reply);
+    await registrarTurnosDaConversa(conversationId, conversaAtual, textoUserTrim, reply);
+    return responder(200, { reply, interactionId: null, photoLinks, conversationId, slots, lang: idioma, ...extras });
+  };
+
+  // -----------------------------------------------------------------------
+  // 5) Métricas de busca (best-effort; resultados e termos entram depois da recuperação)
+  // -----------------------------------------------------------------------
+  let buscaId = null;
+  try {
+    buscaId = await repositorios.buscas.registrar({
+      regiao_id: regiao.id,
+      cidade_id: cidadeDetectada?.id || null,
+      texto: textoDoUsuario
+    });
+    await repositorios.eventos.registrar({
+      regiao_id: regiao.id,
+      cidade_id: cidadeDetectada?.id || null,
+      conversation_id: conversationId,
+      tipo_evento: "search",
+      payload: { q: textoDoUsuario }
+    });
+  } catch (e) {
+    console.error("[SUPABASE] Falha ao registrar métricas de busca (segue):", e);
+  }
 
-      if (escolhido) {
-        try {
-          const { error: erroUpdConv } = await supabase
-            .from("conversas")
-            .update({ parceiro_em_foco: escolhido })
-            .eq("id", conversationId);
-          if (erroUpdConv) throw erroUpdConv;
-        } catch (e) {
-          console.warn("[SUPABASE] Não consegui salvar foco, guardando em memória:", e);
-          salvarConversaMem(conversationId, { parceiro_em_foco: escolhido });
-        }
+  // 7) intenção
+  // "restaurante pet friendly em Arraial" é busca com filtro, não pergunta sobre o parceiro em foco
+  const filtrosDeComodidade = detectarFiltrosDeComodidade(textoUserTrim);
+  let intencao = detectarIntencaoDeFollowUp(textoUserTrim, idioma);
+  if (COMODIDADE_DA_INTENCAO[intencao] && (cidadeDaMensagem || pareceNovaBusca(textoUserTrim))) intencao = "nenhuma";
+
+  // 7.0 Reserva: pedido em andamento, "quero reservar", status e cancelamento
+  const respostaDeReserva = await conduzirReserva({
+    intencao,
+    textoUsuario: textoUserTrim,
+    conversationId,
+    conversaAtual,
+    regiao,
+    cidadeDaMensagem,
+    idioma
+  });
+  if (respostaDeReserva) return responderDireto(respostaDeReserva, []);
+
+  // 7.0.1 Voucher do benefício BEPIT do parceiro em foco
+  const respostaDeVoucher = await conduzirVoucher({
+    intencao,
+    textoUsuario: textoUserTrim,
+    conversationId,
+    conversaAtual,
+    regiao,
+    cidadeDaMensagem,
+    idioma
+  });
+  if (respostaDeVoucher) {
+    return responderDireto(respostaDeVoucher.reply, [], respostaDeVoucher.voucher ? { voucher: respostaDeVoucher.voucher } : {});
+  }
 
-        return response.status(200).json({
-          reply: resumoDoParceiro(escolhido),
-          interactionId: null,
-          photoLinks: Array.isArray(escolhido.fotos_parceiros) ? escolhido.fotos_parceiros : [],
-          conversationId
-        });
+  // 7.1 Seleção por número/nome quando já há sugeridos e a intenção é genérica
+  const candidatos = Array.isArray(conversaAtual.parceiros_sugeridos) ? conversaAtual.parceiros_sugeridos : [];
+  if (candidatos.length > 0 && intencao === "nenhuma" && filtrosDeComodidade.length === 0) {
+    let escolhido = null;
+
+    const idx = extrairIndiceEscolhido(textoUserTrim, idioma);
+    if (idx !== null && idx >= 0 && idx < candidatos.length) {
+      escolhido = candidatos[idx];
+    }
+    if (!escolhido) {
+      escolhido = tentarAcharParceiroPorNomeOuCategoria(textoUserTrim, candidatos);
+    }
+
+    if (escolhido) {
+      try {
+        await repositorios.conversas.atualizar(conversationId, { parceiro_em_foco: escolhido });
+      } catch (e) {
+        console.warn("[SUPABASE] Não consegui salvar foco, guardando em memória:", e);
+        salvarConversaMem(conversationId, { parceiro_em_foco: escolhido });
       }
+
+      return responderDireto(resumoDoParceiro(escolhido, idioma), Array.isArray(escolhido.fotos_parceiros) ? escolhido.fotos_parceiros : []);
     }
+  }
 
-    // 7.2 Follow-ups diretos quando há foco
-    if (conversaAtual.parceiro_em_foco && intencao !== "nenhuma") {
-      const parceiroAtual = conversaAtual.parceiro_em_foco;
-
-      const registrar = async (respostaDireta) => {
-        try {
-          await supabase.from("interacoes").insert({
-            regiao_id: regiao.id,
-            conversation_id: conversationId,
-            pergunta_usuario: textoDoUsuario,
-            resposta_ia: respostaDireta,
-            parceiros_sugeridos: conversaAtual.parceiros_sugeridos || []
-          });
-        } catch {}
-      };
+  // 7.2 Follow-ups diretos quando há foco
+  if (conversaAtual.parceiro_em_foco && intencao !== "nenhuma") {
+    const parceiroAtual = conversaAtual.parceiro_em_foco;
 
-      if (intencao === "horario") {
-        const horario = parceiroAtual.horario_funcionamento
-          ? String(parceiroAtual.horario_funcionamento)
-          : "O parceiro não informou horário de funcionamento.";
-        const respostaDireta = `Horário de funcionamento de ${parceiroAtual.nome}: ${horario}`;
-        await registrar(respostaDireta);
-        return response.status(200).json({
-          reply: respostaDireta,
-          interactionId: null,
-          photoLinks: Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : [],
-          conversationId
+    const registrar = async (respostaDireta) => {
+      try {
+        await repositorios.interacoes.registrar({
+          regiao_id: regiao.id,
+          conversation_id: conversationId,
+          pergunta_usuario: textoDoUsuario,
+          resposta_ia: respostaDireta,
+          parceiros_sugeridos: conversaAtual.parceiros_sugeridos || []
         });
-      }
+      } catch {}
+    };
 
-      if (intencao === "endereco") {
-        const endereco = parceiroAtual.endereco ? String(parceiroAtual.endereco) : "Endereço não informado.";
-        const respostaDireta = `Endereço de ${parceiroAtual.nome}: ${endereco}`;
-        await registrar(respostaDireta);
-        return response.status(200).json({
-          reply: respostaDireta,
-          interactionId: null,
-          photoLinks: Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : [],
-          conversationId
-        });
-      }
+    if (intencao === "horario") {
+      // Com horário estruturado respondemos "aberto agora?", "abre domingo?", "até que horas?"
+      const respostaEstruturada = responderPerguntaDeHorario(parceiroAtual, textoUserTrim, new Date(), idioma);
+      const horario = parceiroAtual.horario_funcionamento
+        ? String(parceiroAtual.horario_funcionamento)
+        : textoNoIdioma(idioma, "horarioNaoInformado");
+      const respostaDireta = respostaEstruturada || textoNoIdioma(idioma, "horarioDe", parceiroAtual.nome, horario);
+      await registrar(respostaDireta);
+      return responderDireto(respostaDireta, Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : []);
+    }
 
-      if (intencao === "contato") {
-        const contato = parceiroAtual.contato ? String(parceiroAtual.contato) : "Contato não informado.";
-        const respostaDireta = `Contato de ${parceiroAtual.nome}: ${contato}`;
-        await registrar(respostaDireta);
-        return response.status(200).json({
-          reply: respostaDireta,
-          interactionId: null,
-          photoLinks: Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : [],
-          conversationId
-        });
-      }
+    if (intencao === "endereco") {
+      const endereco = parceiroAtual.endereco ? String(parceiroAtual.endereco) : textoNoIdioma(idioma, "enderecoNaoInformado");
+      const links = (await linksDeAcao({ conversationId, regiaoId: regiao.id, parceiros: [parceiroAtual], canais: ["mapa"] })).get(parceiroAtual.id);
+      const linhas = linhasDeLinks(links, idioma);
+      const respostaDireta = textoNoIdioma(idioma, "enderecoDe", parceiroAtual.nome, endereco) + (linhas ? `\n${linhas}` : "");
+      await registrar(respostaDireta);
+      return responderDireto(respostaDireta, Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : []);
+    }
 
-      if (intencao === "fotos") {
-        const possuiFotos = Array.isArray(parceiroAtual.fotos_parceiros) && parceiroAtual.fotos_parceiros.length > 0;
-        const respostaDireta = possuiFotos
-          ? `Aqui estão algumas fotos de ${parceiroAtual.nome}.`
-          : `Não encontrei fotos de ${parceiroAtual.nome}.`;
+    if (intencao === "rota") {
+      const destino = coordenadasDe(parceiroAtual);
+      if (!destino && !parceiroAtual.endereco) {
+        const respostaDireta = textoNoIdioma(idioma, "semLocalizacaoDoParceiro", parceiroAtual.nome);
         await registrar(respostaDireta);
-        return response.status(200).json({
-          reply: respostaDireta,
-          interactionId: null,
-          photoLinks: possuiFotos ? parceiroAtual.fotos_parceiros : [],
-          conversationId
-        });
+        return responderDireto(respostaDireta, Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : []);
       }
+      const distancia = destino && localizacaoDoUsuario ? formatarDistancia(distanciaKm(localizacaoDoUsuario, destino), idioma) : null;
+      const links = (await linksDeAcao({ conversationId, regiaoId: regiao.id, parceiros: [parceiroAtual], canais: ["mapa"] })).get(parceiroAtual.id);
+      const linhas = linhasDeLinks(links, idioma);
+      const respostaDireta =
+        textoNoIdioma(idioma, "rotaAte", parceiroAtual.nome, parceiroAtual.endereco || null, distancia) + (linhas ? `\n${linhas}` : "");
+      await registrar(respostaDireta);
+      return responderDireto(respostaDireta, Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : []);
+    }
 
-      if (intencao === "preco") {
-        const faixaDePreco = parceiroAtual.faixa_preco
-          ? String(parceiroAtual.faixa_preco)
-          : "Faixa de preço não informada.";
-        const respostaDireta = `Faixa de preço de ${parceiroAtual.nome}: ${faixaDePreco}`;
-        await registrar(respostaDireta);
-        return response.status(200).json({
-          reply: respostaDireta,
-          interactionId: null,
-          photoLinks: Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : [],
-          conversationId
-        });
-      }
+    if (intencao === "contato") {
+      const contato = parceiroAtual.contato ? String(parceiroAtual.contato) : textoNoIdioma(idioma, "contatoNaoInformado");
+      const links = (
+        await linksDeAcao({ conversationId, regiaoId: regiao.id, parceiros: [parceiroAtual], canais: ["whatsapp", "telefone", "site"] })
+      ).get(parceiroAtual.id);
+      const linhas = linhasDeLinks(links, idioma);
+      const respostaDireta = textoNoIdioma(idioma, "contatoDe", parceiroAtual.nome, contato) + (linhas ? `\n${linhas}` : "");
+      await registrar(respostaDireta);
+      return responderDireto(respostaDireta, Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : []);
     }
 
-    // -----------------------------------------------------------------------
-// 8) Montagem de termos (perfil + IA) para buscar parceiros/dicas
-// -----------------------------------------------------------------------
-logStep("INÍCIO - extração de palavras-chave");
+    if (intencao === "fotos") {
+      const possuiFotos = Array.isArray(parceiroAtual.fotos_parceiros) && parceiroAtual.fotos_parceiros.length > 0;
+      const respostaDireta = possuiFotos
+        ? textoNoIdioma(idioma, "fotosDe", parceiroAtual.nome)
+        : textoNoIdioma(idioma, "semFotos", parceiroAtual.nome);
+      await registrar(respostaDireta);
+      return responderDireto(respostaDireta, possuiFotos ? parceiroAtual.fotos_parceiros : []);
+    }
 
-// declare apenas UMA vez
-let termos = [];
-const reforcosPorPerfil = [];
+    if (intencao === "preco") {
+      const faixaDePreco = parceiroAtual.faixa_preco
+        ? String(parceiroAtual.faixa_preco)
+        : textoNoIdioma(idioma, "precoNaoInformado");
+      const respostaDireta = textoNoIdioma(idioma, "precoDe", parceiroAtual.nome, faixaDePreco);
+      await registrar(respostaDireta);
+      return responderDireto(respostaDireta, Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : []);
+    }
 
-if (analise?.palavrasChave?.length) {
-  for (const k of analise.palavrasChave) reforcosPorPerfil.push(String(k).toLowerCase());
-}
-if (perfilUsuario.companhia === "casal" || perfilUsuario.vibe === "romantico") {
-  reforcosPorPerfil.push("romantico", "jantar", "vista", "pôr do sol", "vinho");
-}
-if (perfilUsuario.vibe === "tranquilo") {
-  reforcosPorPerfil.push("tranquilo", "barco privativo", "praia calma", "silencioso");
-}
-if (perfilUsuario.vibe === "agitado") {
-  reforcosPorPerfil.push("balada", "música ao vivo", "bar");
-}
-if (perfilUsuario.vibe === "aventura") {
-  reforcosPorPerfil.push("trilha", "mergulho", "passeio de barco");
-}
-if (perfilUsuario.orcamento === "baixo") {
-  reforcosPorPerfil.push("bom e barato", "popular");
-}
-if (perfilUsuario.orcamento === "alto") {
-  reforcosPorPerfil.push("premium", "sofisticado", "menu degustação");
-}
+    // Reserva, cardápio, estacionamento, pet, acessibilidade, kids, pagamento, Wi-Fi
+    const comodidade = COMODIDADE_DA_INTENCAO[intencao];
+    if (comodidade) {
+      const valor = valorDaComodidade(parceiroAtual, comodidade);
+      let respostaDireta;
+      if (valor === null) respostaDireta = textoNoIdioma(idioma, "comodidadeNaoInformada", parceiroAtual.nome, comodidade);
+      else if (comodidade === "cardapio_url") respostaDireta = textoNoIdioma(idioma, "cardapioDe", parceiroAtual.nome, valor);
+      else if (comodidade === "formas_pagamento") respostaDireta = textoNoIdioma(idioma, "formasDePagamentoDe", parceiroAtual.nome, valor);
+      else respostaDireta = textoNoIdioma(idioma, valor ? "comodidadeSim" : "comodidadeNao", parceiroAtual.nome, comodidade);
+      await registrar(respostaDireta);
+      return responderDireto(respostaDireta, Array.isArray(parceiroAtual.fotos_parceiros) ? parceiroAtual.fotos_parceiros : []);
+    }
+  }
 
-// aqui apenas ATRIBUI, não redeclare
-termos = Array.from(new Set(reforcosPorPerfil));
+  // -----------------------------------------------------------------------
+  // 8) Montagem de termos (perfil + IA) para buscar parceiros/dicas
+  // -----------------------------------------------------------------------
+  logStep("INÍCIO - extração de palavras-chave");
 
-// (opcional) reforço via Gemini
-if (!DISABLE_GEMINI) {
-  try {
-    const modeloKW = geminiClient.getGenerativeModel({ model: "gemini-1.5-flash-latest" });
-    const promptKW = `
-extraia até 3 palavras-chave de turismo da frase abaixo.
-regras:
-- responda apenas com as palavras separadas por vírgula.
-- tudo em minúsculas, sem explicações.
-- se não achar nada, responda "geral".
+  // declare apenas UMA vez
+  let termos = [];
+  const reforcosPorPerfil = [];
+  // só o que veio da frase (sem os reforços de perfil): é o que o relatório de demanda agrupa
+  const termosExtraidos = new Set((analise?.palavrasChave || []).map((k) => String(k).toLowerCase()));
+
+  if (analise?.palavrasChave?.length) {
+    for (const k of analise.palavrasChave) reforcosPorPerfil.push(String(k).toLowerCase());
+  }
+  if (perfilUsuario.companhia === "casal" || perfilUsuario.vibe === "romantico") {
+    reforcosPorPerfil.push("romantico", "jantar", "vista", "pôr do sol", "vinho");
+  }
+  if (perfilUsuario.vibe === "tranquilo") {
+    reforcosPorPerfil.push("tranquilo", "barco privativo", "praia calma", "silencioso");
+  }
+  if (perfilUsuario.vibe === "agitado") {
+    reforcosPorPerfil.push("balada", "música ao vivo", "bar");
+  }
+  if (perfilUsuario.vibe === "aventura") {
+    reforcosPorPerfil.push("trilha", "mergulho", "passeio de barco");
+  }
+  if (perfilUsuario.orcamento === "baixo") {
+    reforcosPorPerfil.push("bom e barato", "popular");
+  }
+  if (perfilUsuario.orcamento === "alto") {
+    reforcosPorPerfil.push("premium", "sofisticado", "menu degustação");
+  }
+
+  // aqui apenas ATRIBUI, não redeclare
+  termos = Array.from(new Set(reforcosPorPerfil));
+
+  // (opcional) reforço via IA
+  if (usarIA) {
+    try {
+      const promptKW = `
+extraia até 3 palavras-chave de turismo da frase abaixo.
+regras:
+- responda apenas com as palavras separadas por vírgula.
+- tudo em minúsculas, sem explicações.
+- sempre em português, mesmo que a frase esteja em inglês ou espanhol.
+- se não achar nada, responda "geral".
 frase: "${textoDoUsuario}"
-`.trim();
+      `.trim();
+
+      let textoKW = lerDoCache("palavras_chave", regiao.slug, textoDoUsuario);
+      if (textoKW === undefined) {
+        textoKW = await geminiGenerateWithFallback(promptKW, {
+          regiaoSlug: regiao.slug,
+          tarefa: "palavras_chave",
+          contexto: { frase: textoDoUsuario },
+          signal: sinal
+        });
+        gravarNoCache("palavras_chave", regiao.slug, textoDoUsuario, "", textoKW);
+      } else {
+        logStep("[CACHE] palavras-chave reaproveitadas");
+      }
+      const linhaKW = (textoKW.split("\n")[0] || "").replace(/["'“”‘’]/g, "");
+      const baseKW = linhaKW.split(",").map((x) => x.trim().toLowerCase()).filter(Boolean);
+      for (const p of baseKW) if (p !== "geral") termosExtraidos.add(p);
+
+      const set = new Set(termos);
+      for (const p of baseKW) {
+        // "geral" = a IA não achou nada: não vira termo (o ranking descartaria todo candidato)
+        if (!p || p === "geral") continue;
+        if (p.length >= 3) set.add(p);
+        if (p.endsWith("s") && p.slice(0, -1).length >= 3) set.add(p.slice(0, -1));
+        if (!p.endsWith("s") && (p + "s").length >= 3) set.add(p + "s");
+      }
+      termos = Array.from(set);
+    } catch (e) {
+      console.error("[IA KW] Falha ao extrair palavras-chave (segue com reforços):", e);
+    }
+  } else {
+    logStep("sem IA (DISABLE_GEMINI ou orçamento esgotado) → pulando extração de palavras-chave");
+  }
+
+  // 9) Buscar itens locais (parceiros e dicas)
+  const cidadeIds = cidadeDetectada ? [cidadeDetectada.id] : (cidades || []).map((c) => c.id);
+
+  // Busca todos os candidatos ativos das cidades e deixa o ranking decidir a ordem
+  // (nome/categoria/tags/descrição + perfil + cidade + benefício + popularidade)
+  let candidatosBrutos;
+  try {
+    candidatosBrutos = await repositorios.parceiros.candidatos(cidadeIds, RANKING_MAX_CANDIDATOS);
+  } catch (e) {
+    console.error("[SUPABASE] Erro ao consultar parceiros/dicas:", e);
+    return responder(500, { error: "Falha ao consultar parceiros/dicas." });
+  }
+  if (candidatosBrutos.length >= RANKING_MAX_CANDIDATOS) {
+    console.warn(
+      `[RANKING] ${regiao.slug}: ${RANKING_MAX_CANDIDATOS} candidatos carregados (o teto): parceiros além dele ficam fora do ranking. Aumente RANKING_MAX_CANDIDATOS.`
+    );
+  }
 
-    const resultadoKW = await modeloKW.generateContent(promptKW);
-    const textoKW = (await resultadoKW.response.text()).trim();
-    const linhaKW = (textoKW.split("\n")[0] || "").replace(/["'“”‘’]/g, "");
-    const baseKW = linhaKW.split(",").map((x) => x.trim().toLowerCase()).filter(Boolean);
+  // Popularidade (best-effort: sem views o ranking segue sem esse componente)
+  let viewsPorParceiro = new Map();
+  try {
+    viewsPorParceiro = await repositorios.views.porParceiro(candidatosBrutos.map((p) => p.id));
+  } catch (e) {
+    console.warn("[SUPABASE] Falha ao carregar views para o ranking (segue):", e);
+  }
 
-    const set = new Set(termos);
-    for (const p of baseKW) {
-      if (p && p.length >= 3) set.add(p);
-      if (p && p.endsWith("s") && p.slice(0, -1).length >= 3) set.add(p.slice(0, -1));
-      if (p && !p.endsWith("s") && (p + "s").length >= 3) set.add(p + "s");
+  // 9.1) Ponto de referência: "perto de mim" (posição do usuário) ou "perto da
+  // Praia do Forte" (pontos_referencia da região ou parceiro/dica com coordenadas).
+  // Sem pedido de proximidade, a posição do usuário só serve para mostrar distâncias.
+  const pedidoDePerto = detectarPedidoDePerto(textoUserTrim);
+  let referencia = null; // { coordenadas, nome, parceiroId }
+  if (pedidoDePerto?.tipo === "lugar") {
+    try {
+      const pontos = await repositorios.pontos.daRegiao(regiao.id);
+      const ponto = resolverPontoDeReferencia(pedidoDePerto.nome, [...pontos, ...(candidatosBrutos || [])]);
+      if (ponto) referencia = { coordenadas: coordenadasDe(ponto), nome: ponto.nome, parceiroId: ponto.id || null };
+    } catch (e) {
+      console.warn("[SUPABASE] Falha ao carregar pontos de referência (segue):", e);
+    }
+  }
+  const filtrarPorProximidade = Boolean(referencia) || (pedidoDePerto?.tipo === "usuario" && Boolean(localizacaoDoUsuario));
+  if (!referencia && localizacaoDoUsuario) referencia = { coordenadas: localizacaoDoUsuario, nome: null, parceiroId: null };
+
+  const ranking = ranquearParceiros(
+    // o próprio lugar de referência não entra em "perto dele"
+    (candidatosBrutos || []).filter((p) => !referencia?.parceiroId || p.id !== referencia.parceiroId),
+    {
+      termos,
+      perfil: perfilUsuario,
+      cidadeId: cidadeDetectada?.id || null,
+      viewsPorParceiro,
+      origem: referencia?.coordenadas || null,
+      raioKm: filtrarPorProximidade ? RAIO_PADRAO_KM : null,
+      ordenarPorDistancia: filtrarPorProximidade
+    }
+  );
+
+  // "aberto agora", "abre domingo", "funcionando às 22h": tira quem sabidamente está fechado
+  // (parceiros sem horário estruturado continuam, pois o status é desconhecido)
+  const momentoPedido = pedeLugarAberto(textoUserTrim) ? extrairMomentoDaPergunta(textoUserTrim) : null;
+
+  // Remove duplicados (mesmo nome+categoria+endereço), mantendo o mais bem pontuado
+  const vistos = new Set();
+  const rankingSemDuplicados = ranking.filter(({ item: p }) => {
+    if (momentoPedido && abertoNoMomento(p.horario_estruturado, momentoPedido) === false) return false;
+    const chave = [p.nome, p.categoria, p.endereco].map((x) => normalizar(x)).join("|");
+    if (vistos.has(chave)) return false;
+    vistos.add(chave);
+    return true;
+  });
+  // "pet friendly", "com estacionamento", "aceita pix": fica quem confirmou (ver lib/comodidades.js)
+  const { itens: rankingUnico, semConfirmacao: comodidadesSemConfirmacao } = filtrarPorComodidades(
+    rankingSemDuplicados,
+    filtrosDeComodidade,
+    (r) => r.item
+  );
+  const itens = rankingUnico.map((r) => r.item);
+  const distanciaPorId = new Map(rankingUnico.map((r) => [r.item.id, r.detalhes.distanciaKm]));
+  const distanciaDoItem = (p) => formatarDistancia(distanciaPorId.get(p.id), idioma);
+  const rankingParaDebug = rankingUnico.slice(0, 10).map((r) => ({
+    id: r.item.id,
+    nome: r.item.nome,
+    score: r.score,
+    detalhes: r.detalhes
+  }));
+
+  const parceiroEmFoco = itens.length > 0 ? itens[0] : null;
+
+  // Heurística simples para saudações: evita listar parceiros nessas mensagens
+  const ehSaudacaoOuSmalltalk = (() => {
+    const t = textoMinusculo;
+    const termos = entradasDoIdioma(SAUDACOES_POR_IDIOMA, idioma);
+    return termos.some((k) => t.includes(k));
+  })();
+
+  // Resultado da busca (relatório de demanda não atendida); saudação não é busca
+  if (buscaId && !ehSaudacaoOuSmalltalk) {
+    try {
+      await repositorios.buscas.registrarResultado(buscaId, { totalResultados: itens.length, termos: Array.from(termosExtraidos) });
+    } catch (e) {
+      console.error("[SUPABASE] Falha ao registrar resultado da busca (segue):", e);
     }
-    termos = Array.from(set);
+  }
+
+  // Atualiza conversa com foco e sugeridos (DB ou memória)
+  try {
+    await repositorios.conversas.atualizar(conversationId, { parceiro_em_foco: parceiroEmFoco, parceiros_sugeridos: itens });
   } catch (e) {
-    console.error("[KW Gemini] Falha ao extrair palavras-chave (segue com reforços):", e);
+    console.warn("[SUPABASE] Erro ao atualizar conversa (memória local):", e);
+    salvarConversaMem(conversationId, { parceiro_em_foco: parceiroEmFoco, parceiros_sugeridos: itens });
   }
-} else {
-  logStep("DISABLE_GEMINI=1 → pulando extração de palavras-chave");
-}
 
-    // 9) Buscar itens locais (parceiros e dicas)
-    const cidadeIds = cidadeDetectada ? [cidadeDetectada.id] : (cidades || []).map((c) => c.id);
+  const nomesCidades = (cidades || []).map((c) => c.nome).join(", ");
 
-    let consulta = supabase
-      .from("parceiros")
-      .select("id, tipo, nome, categoria, descricao, beneficio_bepit, endereco, contato, tags, horario_funcionamento, faixa_preco, fotos_parceiros, cidade_id")
-      .eq("ativo", true)
-      .in("cidade_id", cidadeIds);
+  const respostaDeFallback = () => {
+    if (ehSaudacaoOuSmalltalk) return textoNoIdioma(idioma, "fallbackSaudacao");
+    if (cidadeDetectada) return textoNoIdioma(idioma, "fallbackCidade", cidadeDetectada.nome);
+    return textoNoIdioma(idioma, "fallbackRegiao", regiao.nome, nomesCidades);
+  };
 
-    if (termos.length > 0) {
-      const partesOR = [];
-      for (const t of termos) {
-        const wildcard = `*${t}*`;
-        partesOR.push(`nome.ilike.${wildcard}`);
-        partesOR.push(`categoria.ilike.${wildcard}`);
-      }
-      consulta = consulta.or(partesOR.join(","));
-    }
-
-    let { data: itens, error: erroItens } = await consulta;
-    if (erroItens) {
-      console.error("[SUPABASE] Erro ao consultar parceiros/dicas (ilike):", erroItens);
-      return response.status(500).json({ error: "Falha ao consultar parceiros/dicas." });
-    }
-    itens = Array.isArray(itens) ? itens : [];
-
-    // Incluir via tags jsonb (OR)
-    if (termos.length > 0) {
-      for (const t of termos) {
-        const { data: itensTag, error: erroTag } = await supabase
-          .from("parceiros")
-          .select("id, tipo, nome, categoria, descricao, beneficio_bepit, endereco, contato, tags, horario_funcionamento, faixa_preco, fotos_parceiros, cidade_id")
-          .eq("ativo", true)
-          .in("cidade_id", cidadeIds)
-          .contains("tags", [t]);
-        if (!erroTag && Array.isArray(itensTag)) {
-          for (const p of itensTag) {
-            const jaExiste = itens.some(
-              (x) =>
-                x.nome?.toLowerCase() === p.nome?.toLowerCase() &&
-                (x.categoria || "").toLowerCase() === (p.categoria || "").toLowerCase() &&
-                (x.endereco || "").toLowerCase() === (p.endereco || "").toLowerCase()
-            );
-            if (!jaExiste) itens.push(p);
-          }
-        }
-      }
-    }
+  if (sinal?.aborted) return responder(499, { error: "Cliente desconectou." });
 
-    const parceiroEmFoco = itens.length > 0 ? itens[0] : null;
+  // 12) Geração de resposta natural (IA) + Apêndice de parceiros
+  logStep("INÍCIO - geração de resposta final");
+  let respostaNatural = "";
+  let apendiceParceiros = "";
+  let textoJaEmitido = ""; // tokens já enviados no streaming (SSE)
 
-    // Atualiza conversa com foco e sugeridos (DB ou memória)
+  // a) Resposta natural sempre vem primeiro
+  if (usarIA) {
     try {
-      const { error: erroUpdConv } = await supabase
-        .from("conversas")
-        .update({ parceiro_em_foco: parceiroEmFoco, parceiros_sugeridos: itens })
-        .eq("id", conversationId);
-      if (erroUpdConv) throw erroUpdConv;
-    } catch (e) {
-      console.warn("[SUPABASE] Erro ao atualizar conversa (memória local):", e);
-      salvarConversaMem(conversationId, { parceiro_em_foco: parceiroEmFoco, parceiros_sugeridos: itens });
-    }
-
-    // 11) Montar contexto textual dos itens (para IA)
-    const contextoDeItens =
-      itens.length > 0
-        ? itens.slice(0, 10).map((p) => {
-            const etiqueta = p.tipo === "DICA" ? "[DICA]" : "[PARCEIRO]";
-            const endereco = p.endereco ? String(p.endereco) : "—";
-            const beneficio = p.beneficio_bepit ? ` | Benefício BEPIT: ${p.beneficio_bepit}` : "";
-            return `${etiqueta} ${p.nome} — ${p.categoria || "—"} — ${endereco}${beneficio}`;
-          }).join("\n")
-        : "Nenhum parceiro ou dica encontrado.";
-
-    const listaCidades = (cidades || []).map((c) => c.nome).join(", ");
-
-    // Heurística simples para saudações: evita listar parceiros nessas mensagens
-    const ehSaudacaoOuSmalltalk = (() => {
-      const t = textoMinusculo;
-      const termos = ["olá", "ola", "oi", "bom dia", "boa tarde", "boa noite", "tudo bem", "e aí", "eaí"];
-      return termos.some((k) => t.includes(k));
-    })();
-
-    // 12) Geração de resposta natural (IA) + Apêndice de parceiros
-    logStep("INÍCIO - geração de resposta final");
-    let respostaNatural = "";
-    let apendiceParceiros = "";
-
-    // a) Resposta natural sempre vem primeiro
-    if (!DISABLE_GEMINI) {
-      try {
-        const modeloIA = geminiClient.getGenerativeModel({ model: "gemini-1.5-flash-latest" });
-        const promptNatural = `
-Você é o BEPIT, concierge local, educado e sincero da região ${regiao.nome}.
-Regras de resposta:
-- Responda de forma direta e útil à pergunta do usuário.
-- Se a pergunta for sobre distância, rotas, quando ir, tempo de visita, segurança, melhor época, etc., responda objetivamente.
-- Se for saudação ou conversa social, responda de forma breve e amigável, e convide a dizer o que procura.
-- Não invente fatos específicos sobre parceiros; dados locais detalhados virão em um bloco de sugestões depois (não invente).
-
-Contexto local:
-- Cidades disponíveis: ${nomesCidades}.
-- Cidade detectada nesta mensagem: ${cidadeDetectada ? cidadeDetectada.nome : "nenhuma"}.
-- Perfil do usuário (se conhecido): companhia=${perfilUsuario.companhia || "?"}, vibe=${perfilUsuario.vibe || "?"}, orçamento=${perfilUsuario.orcamento || "?"}.
-
-Pergunta do usuário:
-"${textoUserTrim}"
-
-Responda em 1 a 4 frases, em português do Brasil, sem listas numeradas nesta parte.
-`.trim();
+      const promptNatural = textoNoIdioma(idioma, "promptRespostaNatural", {
+        regiao: regiao.nome,
+        cidades: nomesCidades,
+        cidade: cidadeDetectada?.nome || null,
+        companhia: perfilUsuario.companhia,
+        vibe: perfilUsuario.vibe,
+        orcamento: perfilUsuario.orcamento,
+        datas: slots.datas,
+        grupo: slots.tamanhoGrupo,
+        historico: historicoRecente,
+        pergunta: textoUserTrim
+      });
 
-        const respIA = await modeloIA.generateContent(promptNatural);
-        respostaNatural = (respIA.response.text() || "").trim();
-        if (!respostaNatural) throw new Error("IA retornou vazio na parte natural.");
-      } catch (e) {
-        console.error("[IA Gemini] Falha na resposta natural, usando fallback curto:", e);
-        // Fallback curto e neutro
-        if (ehSaudacaoOuSmalltalk) {
-          respostaNatural = "Olá! Posso te ajudar com **restaurantes**, **passeios**, **praias**, **hospedagem** e mais. O que você procura?";
-        } else if (cidadeDetectada) {
-          respostaNatural = `Posso te orientar sobre ${cidadeDetectada.nome}: onde comer, o que fazer e como se locomover. Diga o que você quer que eu detalhe.`;
-        } else {
-          respostaNatural = `Posso te guiar pela ${regiao.nome}. Diga se você busca restaurantes, passeios, praias ou hospedagem — e posso filtrar por cidade (${nomesCidades}).`;
-        }
-      }
-    } else {
-      // Gemini desativado: fallback natural
-      if (ehSaudacaoOuSmalltalk) {
-        respostaNatural = "Olá! Posso te ajudar com **restaurantes**, **passeios**, **praias**, **hospedagem** e mais. O que você procura?";
-      } else if (cidadeDetectada) {
-        respostaNatural = `Posso te orientar sobre ${cidadeDetectada.nome}: onde comer, o que fazer e como se locomover. Diga o que você quer que eu detalhe.`;
+      respostaNatural = await geminiGenerateWithFallback(promptNatural, {
+        regiaoSlug: regiao.slug,
+        tarefa: "resposta_natural",
+        contexto: { frase: textoUserTrim, regiao: regiao.nome, cidade: cidadeDetectada?.nome || null },
+        signal: sinal,
+        onToken: eventos.token
+          ? (pedaco) => {
+              textoJaEmitido += pedaco;
+              emitir("token", pedaco);
+            }
+          : undefined
+      });
+      if (!respostaNatural) throw new Error("IA retornou vazio na parte natural.");
+    } catch (e) {
+      console.error("[IA] Falha na resposta natural, usando fallback curto:", e);
+      // Fallback curto e neutro
+      if (textoJaEmitido) {
+        // o streaming caiu no meio: mantém o que o cliente já recebeu
+        respostaNatural = textoJaEmitido;
       } else {
-        respostaNatural = `Posso te guiar pela ${regiao.nome}. Diga se você busca restaurantes, passeios, praias ou hospedagem — e posso filtrar por cidade (${nomesCidades}).`;
+        respostaNatural = respostaDeFallback();
       }
+      if (!textoJaEmitido) emitir("token", respostaNatural);
     }
+  } else {
+    // Gemini desativado: fallback natural
+    respostaNatural = respostaDeFallback();
+    emitir("token", respostaNatural);
+  }
+
+  // b) Apêndice “Sugestões locais” (somente se não for pura saudação ou se usuário pediu algo turístico)
+  if (itens.length > 0 && (!ehSaudacaoOuSmalltalk || termos.length > 0)) {
+    const top = itens.slice(0, 3).map((p, i) => {
+      const beneficio = campoTraduzido(p, "beneficio_bepit", idioma);
+      const benef = beneficio ? textoNoIdioma(idioma, "beneficio", beneficio) : "";
+      const cat = p.categoria || textoNoIdioma(idioma, "categoriaNaoInformada");
+      const distancia = distanciaDoItem(p) ? textoNoIdioma(idioma, "distanciaAte", distanciaDoItem(p)) : "";
+      return `${i + 1}. ${p.nome} (${cat})${benef}${distancia}`;
+    }).join("\n");
+    const notaDeProximidade = filtrarPorProximidade && referencia.nome ? `${textoNoIdioma(idioma, "pertoDe", referencia.nome)}\n` : "";
+    const notaDeComodidades =
+      comodidadesSemConfirmacao.length > 0
+        ? `\n${textoNoIdioma(
+            idioma,
+            "semConfirmacaoDeComodidade",
+            comodidadesSemConfirmacao.map((f) => textoNoIdioma(idioma, "rotuloDaComodidade", f.chave, f.valor)).join(", ")
+          )}`
+        : "";
+    apendiceParceiros =
+      `\n\n${textoNoIdioma(idioma, "tituloSugestoes")}\n${notaDeProximidade}${top}${notaDeComodidades}\n\n` +
+      textoNoIdioma(idioma, "comoEscolher", nomesCidades);
+  } else if (itens.length === 0 && !ehSaudacaoOuSmalltalk) {
+    apendiceParceiros = `\n\n${textoNoIdioma(idioma, "semParceiros")}`;
+  }
+
+  // "perto de mim" sem posição conhecida: responde normalmente e pede a localização
+  if (pedidoDePerto?.tipo === "usuario" && !localizacaoDoUsuario && !ehSaudacaoOuSmalltalk) {
+    apendiceParceiros += `\n\n${textoNoIdioma(idioma, "pedirLocalizacao")}`;
+  }
 
-    // b) Apêndice “Sugestões locais” (somente se não for pura saudação ou se usuário pediu algo turístico)
-    if (itens.length > 0 && (!ehSaudacaoOuSmalltalk || termos.length > 0)) {
-      const top = itens.slice(0, 3).map((p, i) => {
-        const benef = p.beneficio_bepit ? ` — Benefício BEPIT: ${p.beneficio_bepit}` : "";
-        const cat = p.categoria || "categoria não informada";
-        return `${i + 1}. ${p.nome} (${cat})${benef}`;
-      }).join("\n");
-      apendiceParceiros =
-        `\n\n**Sugestões locais**\n${top}\n\n` +
-        `Se quiser, responda com o **número** (ex.: 2) ou o **nome** (ex.: "a churrascaria"). ` +
-        `Também posso filtrar por cidade (${nomesCidades}).`;
-    } else if (itens.length === 0 && !ehSaudacaoOuSmalltalk) {
-      apendiceParceiros =
-        `\n\n_Não encontrei parceiros dessa categoria agora._ ` +
-        `Posso sugerir opções gerais da região, e quando houver oportunidade trago parceiros confiáveis com benefício BEPIT.`;
+  const respostaFinal = `${respostaNatural}${apendiceParceiros}`.trim();
+
+  // Sugestões estruturadas com links rastreados: evento "suggestions" no SSE e campo suggestions no JSON
+  const sugeridosNoApendice = apendiceParceiros && itens.length > 0 ? itens.slice(0, 3) : [];
+  const linksDasSugestoes =
+    sugeridosNoApendice.length > 0
+      ? await linksDeAcao({ conversationId, regiaoId: regiao.id, parceiros: sugeridosNoApendice, buscaId })
+      : new Map();
+  const sugestoes = {
+    itens: sugeridosNoApendice.map((p, i) => ({
+      ...sugestaoEstruturada(p, i, idioma, linksDasSugestoes.get(p.id) || {}),
+      distancia_km: distanciaPorId.get(p.id) ?? null
+    })),
+    texto: apendiceParceiros.trim()
+  };
+  emitir("suggestions", sugestoes);
+
+  // 13) Métrica de view do foco
+  try {
+    if (parceiroEmFoco?.id) {
+      await repositorios.views.registrar(parceiroEmFoco.id);
+      await repositorios.eventos.registrar({
+        regiao_id: regiao.id,
+        cidade_id: parceiroEmFoco.cidade_id,
+        parceiro_id: parceiroEmFoco.id,
+        conversation_id: conversationId,
+        tipo_evento: "partner_view",
+        payload: { nome: parceiroEmFoco.nome }
+      });
+      publicarEvento("parceiro.visualizado", {
+        regiaoId: regiao.id,
+        dados: { parceiro_id: parceiroEmFoco.id, nome: parceiroEmFoco.nome, cidade_id: parceiroEmFoco.cidade_id, conversation_id: conversationId }
+      });
     }
+  } catch (e) {
+    console.error("[SUPABASE] Falha em parceiro_views/eventos_analytics (segue):", e);
+  }
+
+  // -----------------------------------------------------------------------
+  // 13) Registro da interação
+  // -----------------------------------------------------------------------
+  let interactionId = null;
+  try {
+    interactionId = await repositorios.interacoes.registrar({
+      regiao_id: regiao.id,
+      conversation_id: conversationId,
+      pergunta_usuario: textoDoUsuario,
+      resposta_ia: respostaFinal,
+      parceiros_sugeridos: itens
+    });
+  } catch (e) {
+    console.error("[SUPABASE] Falha ao salvar interação (segue):", e);
+  }
 
-    const respostaFinal = `${respostaNatural}${apendiceParceiros}`.trim();
+  // 14) Transcrição da conversa (usada nos próximos prompts)
+  await registrarTurnosDaConversa(conversationId, conversaAtual, textoUserTrim, respostaFinal);
+
+  // 15) Fotos p/ cliente
+  const fotosParaCliente =
+    parceiroEmFoco && Array.isArray(parceiroEmFoco.fotos_parceiros)
+      ? parceiroEmFoco.fotos_parceiros
+      : itens.flatMap((p) => (Array.isArray(p.fotos_parceiros) ? p.fotos_parceiros : []));
+
+  // -----------------------------------------------------------------------
+  // 15) Retorno final
+  // -----------------------------------------------------------------------
+  return responder(200, {
+    reply: respostaFinal,
+    interactionId,
+    photoLinks: fotosParaCliente,
+    conversationId,
+    slots,
+    lang: idioma,
+    suggestions: sugestoes.itens,
+    ...(debug ? { ranking: rankingParaDebug } : {})
+  });
+}
 
-    // 13) Métrica de view do foco
-    try {
-      if (parceiroEmFoco?.id) {
-        const { data: registroView, error: errSelView } = await supabase
-          .from("parceiro_views")
-          .select("*")
-          .eq("parceiro_id", parceiroEmFoco.id)
-          .maybeSingle();
-        if (errSelView) throw errSelView;
-
-        if (registroView) {
-          const { error: errUpdView } = await supabase
-            .from("parceiro_views")
-            .update({
-              views_total: (registroView.views_total || 0) + 1,
-              last_view_at: new Date().toISOString()
-            })
-            .eq("parceiro_id", parceiroEmFoco.id);
-          if (errUpdView) throw errUpdView;
-        } else {
-          const { error: errInsView } = await supabase
-            .from("parceiro_views")
-            .insert({
-              parceiro_id: parceiroEmFoco.id,
-              views_total: 1,
-              last_view_at: new Date().toISOString()
-            });
-          if (errInsView) throw errInsView;
-        }
+// Rate limit do chat público: janela deslizante por IP e por conversationId
+async function limitarChat(req, res, next) {
+  const conversationId = typeof req.body?.conversationId === "string" ? req.body.conversationId.trim() : "";
+  const estouro =
+    (await registrarRequisicao(`ip:${req.ip}`, REGRAS_POR_IP)) ||
+    (conversationId ? await registrarRequisicao(`conversa:${conversationId}`, REGRAS_POR_CONVERSA) : null);
+  if (!estouro) return next();
 
-        await supabase.from("eventos_analytics").insert({
-          regiao_id: regiao.id,
-          cidade_id: parceiroEmFoco.cidade_id,
-          parceiro_id: parceiroEmFoco.id,
-          conversation_id: conversationId,
-          tipo_evento: "partner_view",
-          payload: { nome: parceiroEmFoco.nome }
-        });
-      }
-    } catch (e) {
-      console.error("[SUPABASE] Falha em parceiro_views/eventos_analytics (segue):", e);
+  res.setHeader("Retry-After", String(estouro.retryAfterSeg));
+  return res.status(429).json({ error: "Muitas mensagens em pouco tempo. Tente de novo em instantes.", limite: estouro.regra });
+}
+
+// ?debug=1 / body.debug: pesos, views e termos do ranking não são públicos.
+// Vale com Bearer de admin (leitura) ou X-Admin-Key legado, ou com CHAT_DEBUG=1
+// (ambiente de teste); sem isso o pedido é ignorado em silêncio
+async function debugAutorizado(req) {
+  if (req.body?.debug !== true && req.query.debug !== "1") return false;
+  if (process.env.CHAT_DEBUG === "1") return true;
+  try {
+    const autorizacao = String(req.headers.authorization || "");
+    if (autorizacao.startsWith("Bearer ")) {
+      const payload = verificarTokenDeAcesso(autorizacao.slice(7).trim());
+      return Boolean(payload && temPermissao({ papel: payload.papel }, "leitura") && (await sessaoAtiva(payload.sid)));
     }
+    return chaveLegadaValida(req.headers["x-admin-key"]);
+  } catch (e) {
+    console.warn("[chat debug] não consegui conferir a conta (segue sem debug):", e?.message || e);
+    return false;
+  }
+}
 
-    // -----------------------------------------------------------------------
-    // 13) Registro da interação
-    // -----------------------------------------------------------------------
-    let interactionId = null;
-    try {
-      const { data: novaInteracao, error: erroInter } = await supabase
-        .from("interacoes")
-        .insert({
-          regiao_id: regiao.id,
-          conversation_id: conversationId,
-          pergunta_usuario: textoDoUsuario,
-          resposta_ia: textoIA,
-          parceiros_sugeridos: itens
-        })
-        .select("id")
-        .single();
-      if (erroInter) throw erroInter;
-      interactionId = novaInteracao?.id || null;
-    } catch (e) {
-      console.error("[SUPABASE] Falha ao salvar interação (segue):", e);
-    }
-
-    // 15) Fotos p/ cliente
-    const fotosParaCliente =
-      parceiroEmFoco && Array.isArray(parceiroEmFoco.fotos_parceiros)
-        ? parceiroEmFoco.fotos_parceiros
-        : itens.flatMap((p) => (Array.isArray(p.fotos_parceiros) ? p.fotos_parceiros : []));
-
-    // -----------------------------------------------------------------------
-    // 15) Retorno final
-    // -----------------------------------------------------------------------
-    return response.status(200).json({
-      reply: textoIA,
-      interactionId,
-      photoLinks: fotosParaCliente,
-      conversationId
-    });
+application.post("/api/chat/:slugDaRegiao", limitarChat, async (request, response) => {
+  console.log("\n--- NOVA INTERAÇÃO ---");
+  try {
+    const { slugDaRegiao } = request.params;
+    const { message: textoDoUsuario, conversationId, slots, lang, lat, lng } = request.body || {};
+    const debug = await debugAutorizado(request);
+
+    const { status, body } = await processarMensagemDoChat({ slugDaRegiao, textoDoUsuario, conversationId, slots, lang, lat, lng, debug });
+    return response.status(status).json(body);
   } catch (erro) {
     console.error("[/api/chat/:slugDaRegiao] Erro:", erro);
     return response.status(500).json({ error: "Erro interno no servidor do BEPIT." });
   }
 });
 
+// ============================================================================
+// CHAT EM STREAMING (Server-Sent Events)
+// Eventos: meta → token* → suggestions → done   (ou "error")
+// Os cabeçalhos SSE só são enviados no primeiro evento: erros de validação
+// antes disso (400/404) saem como JSON normal, igual à rota tradicional.
+// ============================================================================
+function criarEmissorSSE(response) {
+  let aberto = false;
+  let encerrado = false;
+  // O corpo já foi lido pelo express.json: quem avisa da queda é a resposta.
+  // Fechou antes do end() = cliente foi embora → cancela a geração (e o gasto de IA)
+  const cancelamento = new AbortController();
+  response.on("close", () => {
+    if (response.writableEnded) return;
+    encerrado = true;
+    cancelamento.abort();
+  });
+
+  const enviar = (evento, dados) => {
+    if (encerrado) return;
+    if (!aberto) {
+      response.status(200);
+      response.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+      response.setHeader("Cache-Control", "no-cache, no-transform");
+      response.setHeader("Connection", "keep-alive");
+      response.setHeader("X-Accel-Buffering", "no"); // evita buffer em proxies (nginx/Render)
+      response.flushHeaders();
+      aberto = true;
+    }
+    response.write(`event: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+  };
+
+  return { enviar, estaAberto: () => aberto, sinal: cancelamento.signal };
+}
+
+application.post("/api/chat/:slugDaRegiao/stream", limitarChat, async (request, response) => {
+  console.log("\n--- NOVA INTERAÇÃO (stream) ---");
+  const sse = criarEmissorSSE(response);
+  try {
+    const { slugDaRegiao } = request.params;
+    const { message: textoDoUsuario, conversationId, slots, lang, lat, lng } = request.body || {};
+    const debug = await debugAutorizado(request);
+
+    const { status, body } = await processarMensagemDoChat(
+      { slugDaRegiao, textoDoUsuario, conversationId, slots, lang, lat, lng, debug, sinal: sse.sinal },
+      {
+        meta: (dados) => sse.enviar("meta", dados),
+        token: (texto) => sse.enviar("token", { text: texto }),
+        suggestions: (dados) => sse.enviar("suggestions", dados)
+      }
+    );
+
+    if (status !== 200) {
+      if (!sse.estaAberto()) return response.status(status).json(body);
+      sse.enviar("error", { status, ...body });
+    } else {
+      sse.enviar("done", {
+        interactionId: body.interactionId,
+        photoLinks: body.photoLinks,
+        conversationId: body.conversationId,
+        reply: body.reply,
+        slots: body.slots,
+        lang: body.lang,
+        ...(body.ranking ? { ranking: body.ranking } : {})
+      });
+    }
+    return response.end();
+  } catch (erro) {
+    console.error("[/api/chat/:slugDaRegiao/stream] Erro:", erro);
+    if (!sse.estaAberto()) return response.status(500).json({ error: "Erro interno no servidor do BEPIT." });
+    sse.enviar("error", { status: 500, error: "Erro interno no servidor do BEPIT." });
+    return response.end();
+  }
+});
+
+// ============================================================================
+// CANAL WHATSAPP (webhook da WhatsApp Cloud API)
+// GET  /api/whatsapp/webhook → verificação (hub.verify_token = WHATSAPP_VERIFY_TOKEN)
+// POST /api/whatsapp/webhook → mensagens; exige X-Hub-Signature-256 válida
+// Cada telefone tem região e conversa persistentes (whatsapp_contatos); a
+// conversa recomeça quando a sessão expira. "sair" desliga as respostas até
+// o turista mandar "voltar".
+// ============================================================================
+const clienteWhatsApp = criarClienteWhatsApp();
+
+// A Meta reentrega a mesma mensagem quando não recebe 200 a tempo
+const mensagensWhatsAppVistas = new Set();
+function mensagemJaVista(id) {
+  if (!id) return false;
+  if (mensagensWhatsAppVistas.has(id)) return true;
+  mensagensWhatsAppVistas.add(id);
+  if (mensagensWhatsAppVistas.size > 2000) {
+    const [maisAntiga] = mensagensWhatsAppVistas;
+    mensagensWhatsAppVistas.delete(maisAntiga);
+  }
+  return false;
+}
+
+async function atenderMensagemDoWhatsApp(mensagem) {
+  const { de: telefone, phoneNumberId } = mensagem;
+  const idioma = resolverIdioma({ texto: mensagem.texto || "" });
+  const responderTexto = (texto) => clienteWhatsApp.enviarTexto(phoneNumberId, telefone, texto);
+
+  const { data: contato, error: erroContato } = await supabase
+    .from("whatsapp_contatos")
+    .select("telefone, regiao_id, conversation_id, nome, ultima_mensagem_em, opt_out_em, regioes(slug)")
+    .eq("telefone", telefone)
+    .maybeSingle();
+  if (erroContato) throw erroContato;
+
+  const comando = comandoDoCanal(mensagem.texto);
+  if (contato?.opt_out_em && comando !== "volta") return; // optou por sair: silêncio
+
+  if (comando === "saida") {
+    if (contato) {
+      const { error } = await supabase
+        .from("whatsapp_contatos").update({ opt_out_em: new Date().toISOString() }).eq("telefone", telefone);
+      if (error) throw error;
+    }
+    return responderTexto(textoNoIdioma(idioma, "whatsappSaida"));
+  }
+
+  // Região: a do contato; no primeiro contato, a do número de atendimento
+  let regiao = contato ? { id: contato.regiao_id, slug: contato.regioes?.slug } : null;
+  if (!regiao?.slug) {
+    const slug = regiaoDoNumero(phoneNumberId);
+    const { data, error } = slug
+      ? await supabase.from("regioes").select("id, slug").eq("slug", slug).maybeSingle()
+      : { data: null, error: null };
+    if (error) throw error;
+    if (!data) {
+      console.error(`[whatsapp] número ${phoneNumberId} sem região configurada (WHATSAPP_REGIOES / WHATSAPP_REGIAO_PADRAO)`);
+      return;
+    }
+    regiao = data;
+  }
+
+  const sessaoAtiva = contato && !contato.opt_out_em && !sessaoExpirada(contato.ultima_mensagem_em);
+  const registrarContato = async (conversationId) => {
+    const { error } = await supabase.from("whatsapp_contatos").upsert(
+      {
+        telefone,
+        regiao_id: regiao.id,
+        conversation_id: conversationId,
+        nome: mensagem.nome || contato?.nome || null,
+        ultima_mensagem_em: new Date().toISOString(),
+        opt_out_em: null
+      },
+      { onConflict: "telefone" }
+    );
+    if (error) console.error("[whatsapp] falha ao salvar contato (segue):", error);
+  };
+
+  if (comando === "volta") {
+    await registrarContato(sessaoAtiva ? contato.conversation_id : null);
+    return responderTexto(textoNoIdioma(idioma, "whatsappVolta"));
+  }
+  if (!mensagem.texto && !mensagem.localizacao) return responderTexto(textoNoIdioma(idioma, "whatsappSemTexto"));
+
+  const estouro = await registrarRequisicao(`whatsapp:${telefone}`, REGRAS_POR_CONVERSA);
+  if (estouro) {
+    console.warn(`[whatsapp] limite ${estouro.regra} atingido por ${telefone}; mensagem ignorada`);
+    return;
+  }
+
+  // Localização compartilhada vira "o que tem perto de mim?" com a posição
+  const { status, body } = await processarMensagemDoChat({
+    slugDaRegiao: regiao.slug,
+    textoDoUsuario: mensagem.tipo === "location" ? textoNoIdioma(idioma, "perguntaPertoDeMim") : mensagem.texto,
+    conversationId: sessaoAtiva ? contato.conversation_id : null,
+    lat: mensagem.localizacao?.latitude ?? null,
+    lng: mensagem.localizacao?.longitude ?? null
+  });
+  await registrarContato(body?.conversationId || (sessaoAtiva ? contato.conversation_id : null));
+
+  if (status !== 200) {
+    console.error(`[whatsapp] chat respondeu ${status}:`, body);
+    return responderTexto(textoNoIdioma(idioma, "whatsappErro"));
+  }
+  await responderTexto(body.reply);
+  for (const url of (body.photoLinks || []).slice(0, MAX_FOTOS_POR_RESPOSTA)) {
+    await clienteWhatsApp.enviarImagem(phoneNumberId, telefone, url);
+  }
+}
+
+application.get("/api/whatsapp/webhook", (req, res) => {
+  const tokenEsperado = process.env.WHATSAPP_VERIFY_TOKEN;
+  if (req.query["hub.mode"] === "subscribe" && tokenEsperado && req.query["hub.verify_token"] === tokenEsperado) {
+    return res.status(200).send(String(req.query["hub.challenge"] || ""));
+  }
+  return res.sendStatus(403);
+});
+
+application.post("/api/whatsapp/webhook", async (req, res) => {
+  const segredo = process.env.WHATSAPP_APP_SECRET;
+  if (!segredo) return res.status(503).json({ error: "canal WhatsApp não configurado" });
+  if (!assinaturaValida(req.body, req.get("X-Hub-Signature-256"), segredo)) {
+    return res.status(401).json({ error: "assinatura inválida" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString("utf8"));
+  } catch {
+    return res.status(400).json({ error: "JSON inválido" });
+  }
+
+  // Responde logo (a Meta reenvia se o webhook demorar); o chat roda em seguida
+  res.sendStatus(200);
+  for (const mensagem of extrairMensagens(payload)) {
+    if (mensagemJaVista(mensagem.id)) continue;
+    try {
+      await atenderMensagemDoWhatsApp(mensagem);
+    } catch (e) {
+      console.error("[whatsapp] falha ao atender mensagem:", e);
+    }
+  }
+});
+
 // ============================================================================
 // FEEDBACK
+// Corpo: { interactionId, thumbs?: "up"|"down", rating?: 1..5, reasons?: [...],
+//          comment?, partnerId? } — o antigo { interactionId, feedback } continua
+// valendo (vira comentário). Região vem da interação; cidade, do parceiro avaliado.
 // ============================================================================
 application.post("/api/feedback", async (request, response) => {
   try {
-    const { interactionId, feedback } = request.body;
+    const { feedback, erros } = validarFeedback(request.body);
+    if (erros.length > 0) return responderPayloadInvalido(response, erros);
 
-    if (!interactionId || typeof interactionId !== "string") {
-      return response.status(400).json({ error: "O campo 'interactionId' é obrigatório e deve ser uma string (uuid)." });
+    let interacao;
+    try {
+      interacao = await repositorios.interacoes.porId(feedback.interacaoId, "id, regiao_id, conversation_id, parceiros_sugeridos");
+    } catch (e) {
+      console.error("[/api/feedback] Erro ao carregar interação:", e);
+      return response.status(500).json({ error: "Erro ao registrar feedback." });
     }
-    if (!feedback || typeof feedback !== "string" || feedback.trim().length === 0) {
-      return response.status(400).json({ error: "O campo 'feedback' é obrigatório e deve ser uma string não vazia." });
+    if (!interacao) return response.status(404).json({ error: "Interação não encontrada." });
+
+    // O parceiro avaliado tem de ter aparecido nas sugestões desta interação
+    const sugeridos = Array.isArray(interacao.parceiros_sugeridos) ? interacao.parceiros_sugeridos : [];
+    const parceiro = feedback.parceiroId ? sugeridos.find((p) => p?.id === feedback.parceiroId) : null;
+    if (feedback.parceiroId && !parceiro) {
+      return responderPayloadInvalido(response, [{ campo: "partnerId", mensagem: "parceiro não foi sugerido nesta interação" }]);
     }
 
-    const { error: erroUpd } = await supabase
-      .from("interacoes")
-      .update({ feedback_usuario: feedback })
-      .eq("id", interactionId);
-    if (erroUpd) {
-      console.error("[/api/feedback] Erro ao atualizar interação:", erroUpd);
+    const linha = {
+      interacao_id: interacao.id,
+      conversation_id: interacao.conversation_id || null,
+      regiao_id: interacao.regiao_id || null,
+      cidade_id: parceiro?.cidade_id || null,
+      parceiro_id: parceiro?.id || null,
+      polegar: feedback.polegar,
+      nota: feedback.nota,
+      motivos: feedback.motivos,
+      comentario: feedback.comentario
+    };
+    const { data: registrado, error: erroIns } = await supabase.from("feedbacks").insert(linha).select("id").single();
+    if (erroIns) {
+      console.error("[/api/feedback] Erro ao gravar feedback:", erroIns);
       return response.status(500).json({ error: "Erro ao registrar feedback." });
     }
 
+    // Resumo em texto na interação (métricas e portal do parceiro leem esta coluna)
+    try {
+      await repositorios.interacoes.atualizar(interacao.id, { feedback_usuario: resumoDoFeedback(feedback) });
+    } catch (e) {
+      console.error("[/api/feedback] Erro ao atualizar interação (segue):", e);
+    }
+
     try {
-      await supabase.from("eventos_analytics").insert({
+      await repositorios.eventos.registrar({
+        regiao_id: linha.regiao_id,
+        cidade_id: linha.cidade_id,
+        parceiro_id: linha.parceiro_id,
+        conversation_id: linha.conversation_id,
         tipo_evento: "feedback",
-        payload: { interactionId, feedback }
+        payload: {
+          interactionId: interacao.id,
+          feedbackId: registrado?.id || null,
+          polegar: linha.polegar,
+          nota: linha.nota,
+          motivos: linha.motivos,
+          comentario: linha.comentario
+        }
       });
     } catch (e) {
       console.error("[/api/feedback] Falha ao gravar evento de analytics (segue):", e);
     }
+    publicarEvento("feedback.criado", {
+      regiaoId: linha.regiao_id,
+      dados: { feedback_id: registrado?.id || null, interacao_id: interacao.id, ...linha }
+    });
 
-    return response.status(200).json({ success: true, message: "Feedback registrado com sucesso." });
+    return response
+      .status(200)
+      .json({ success: true, message: "Feedback registrado com sucesso.", feedbackId: registrado?.id || null });
   } catch (erro) {
     console.error("[/api/feedback] Erro:", erro);
     return response.status(500).json({ error: "Erro ao registrar feedback." });
@@ -952,355 +1920,2309 @@ application.post("/api/feedback", async (request, response) => {
 });
 
 // ============================================================================
-// ADMIN (MVP)
+// LINKS DE AÇÃO (GET /l/:codigo)
+// Registra o lead (canal, parceiro, conversa, região e busca de origem) e
+// redireciona para WhatsApp/telefone/mapa/site. Falha ao registrar não
+// impede o redirecionamento.
+// ============================================================================
+application.get("/l/:codigo", async (request, response) => {
+  try {
+    const { data: link, error } = await supabase
+      .from("links_acao")
+      .select("codigo, conversation_id, regiao_id, cidade_id, parceiro_id, canal, destino, busca_id")
+      .eq("codigo", request.params.codigo)
+      .maybeSingle();
+    if (error) throw error;
+    if (!link) return response.status(404).json({ error: "Link não encontrado." });
+
+    try {
+      await repositorios.eventos.registrar({
+        regiao_id: link.regiao_id,
+        cidade_id: link.cidade_id,
+        parceiro_id: link.parceiro_id,
+        conversation_id: link.conversation_id,
+        tipo_evento: "lead",
+        payload: { canal: link.canal, codigo: link.codigo, busca_id: link.busca_id }
+      });
+    } catch (e) {
+      console.error("[/l/:codigo] Falha ao registrar lead (segue):", e);
+    }
+    publicarEvento("lead.criado", {
+      regiaoId: link.regiao_id,
+      dados: {
+        parceiro_id: link.parceiro_id,
+        cidade_id: link.cidade_id,
+        conversation_id: link.conversation_id,
+        canal: link.canal,
+        codigo: link.codigo,
+        busca_id: link.busca_id
+      }
+    });
+
+    return response.redirect(302, link.destino);
+  } catch (erro) {
+    console.error("[/l/:codigo] Erro:", erro);
+    return response.status(500).json({ error: "Erro ao abrir link." });
+  }
+});
+
+// ============================================================================
+// ADMIN (MVP)
+// ============================================================================
+application.post("/api/admin/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.status(400).json({ error: "username e password são obrigatórios" });
+
+    let resultado = { erro: "desconhecido" };
+    try {
+      resultado = await autenticar(username, password);
+    } catch (e) {
+      // Sem a tabela de contas (migração pendente) o login legado ainda funciona
+      if (!CHAVE_LEGADA_HABILITADA) throw e;
+      console.warn("[/api/admin/login] contas indisponíveis, tentando login legado:", e);
+    }
+
+    if (resultado.sessao) return res.json({ ok: true, ...resultado.sessao });
+    if (resultado.erro === "bloqueado") {
+      return res.status(423).json({ error: "Conta bloqueada por excesso de tentativas.", bloqueadoAte: resultado.bloqueadoAte });
+    }
+
+    // Migração: ADMIN_USER/ADMIN_PASS continuam entregando a chave legada
+    if (resultado.erro === "desconhecido" && CHAVE_LEGADA_HABILITADA) {
+      const userOk = process.env.ADMIN_USER && username === process.env.ADMIN_USER;
+      const passOk = process.env.ADMIN_PASS && password === process.env.ADMIN_PASS;
+      if (userOk && passOk) return res.json({ ok: true, adminKey: process.env.ADMIN_API_KEY, legado: true });
+    }
+
+    return res.status(401).json({ error: "Credenciais inválidas" });
+  } catch (e) {
+    console.error("[/api/admin/login] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// Troca o refresh token por um novo par (o antigo deixa de valer) — admin e portal
+application.post(["/api/admin/refresh", "/api/parceiro/refresh"], async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ error: "refreshToken é obrigatório" });
+
+    const resultado = await renovarSessao(refreshToken);
+    if (resultado.erro) return res.status(401).json({ error: resultado.erro });
+    return res.json({ ok: true, ...resultado.sessao });
+  } catch (e) {
+    console.error("[/api/admin/refresh] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+async function encerrarSessao(req, res) {
+  try {
+    if (req.conta.sessaoId) await revogarSessao(req.conta.sessaoId);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[logout] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+}
+
+application.post("/api/admin/logout", exigirConta("leitura"), encerrarSessao);
+
+application.get("/api/admin/me", exigirConta("leitura"), (req, res) => {
+  const { id, username, papel, regioes, legado } = req.conta;
+  res.json({ id, username, papel, regioes, legado, permissoes: PAPEIS[papel] || [] });
+});
+
+// ============================================================================
+// ADMIN: CONTAS (somente super_admin)
+// POST /api/admin/usuarios { username, senha, papel, regiaoSlugs?, parceiroIds? }
+// PUT  /api/admin/usuarios/:id { papel?, regiaoSlugs?, parceiroIds?, ativo?, senha? }
+// (parceiroIds = parceiros vinculados a contas com papel "parceiro")
+// ============================================================================
+const RE_USERNAME = /^[a-z0-9._-]{3,40}$/;
+
+// regiaoSlugs → ids; slugs desconhecidos voltam em "invalidos"
+async function resolverRegioesPorSlug(regiaoSlugs) {
+  const slugs = Array.from(new Set((regiaoSlugs || []).map((s) => String(s).trim()).filter(Boolean)));
+  if (slugs.length === 0) return { ids: [], invalidos: [] };
+  const { data, error } = await supabase.from("regioes").select("id, slug").in("slug", slugs);
+  if (error) throw error;
+  const encontrados = new Map((data || []).map((r) => [r.slug, r.id]));
+  return {
+    ids: slugs.filter((s) => encontrados.has(s)).map((s) => encontrados.get(s)),
+    invalidos: slugs.filter((s) => !encontrados.has(s))
+  };
+}
+
+// Valida papel + regiaoSlugs (acumulando em "erros") e devolve os ids finais de região
+async function validarPapelERegioes({ papel, regiaoSlugs }, regioesAtuais, erros) {
+  if (!PAPEIS[papel]) erros.push({ campo: "papel", mensagem: `use ${Object.keys(PAPEIS).join(", ")}` });
+
+  let ids = regioesAtuais;
+  if (regiaoSlugs !== undefined) {
+    if (!Array.isArray(regiaoSlugs)) {
+      erros.push({ campo: "regiaoSlugs", mensagem: "deve ser uma lista de slugs" });
+    } else {
+      const regioes = await resolverRegioesPorSlug(regiaoSlugs);
+      for (const slug of regioes.invalidos) erros.push({ campo: "regiaoSlugs", mensagem: `região '${slug}' não existe` });
+      ids = regioes.ids;
+    }
+  }
+  if (papel === "editor_regiao" && ids.length === 0) {
+    erros.push({ campo: "regiaoSlugs", mensagem: "editor_regiao precisa de pelo menos uma região" });
+  }
+  return ids;
+}
+
+// Valida parceiroIds (contas de parceiro) e devolve a lista final
+async function validarParceirosDaConta({ papel, parceiroIds }, parceirosAtuais, erros) {
+  let ids = parceirosAtuais;
+  if (parceiroIds !== undefined) {
+    if (!Array.isArray(parceiroIds)) {
+      erros.push({ campo: "parceiroIds", mensagem: "deve ser uma lista de ids de parceiros" });
+    } else {
+      ids = Array.from(new Set(parceiroIds.map(String)));
+      if (ids.length > 0) {
+        const { data, error } = await supabase.from("parceiros").select("id").in("id", ids);
+        if (error) throw error;
+        const existentes = new Set((data || []).map((p) => p.id));
+        for (const id of ids) if (!existentes.has(id)) erros.push({ campo: "parceiroIds", mensagem: `parceiro '${id}' não existe` });
+      }
+    }
+  }
+  if (papel === "parceiro" && ids.length === 0) {
+    erros.push({ campo: "parceiroIds", mensagem: "conta de parceiro precisa de pelo menos um parceiro" });
+  }
+  return ids;
+}
+
+application.get("/api/admin/usuarios", exigirConta("gestao"), async (req, res) => {
+  try {
+    const { data, error } = await supabase.from("admin_usuarios").select("*").order("username");
+    if (error) {
+      console.error("[/api/admin/usuarios] erro:", error);
+      return res.status(500).json({ error: "Erro ao listar usuários." });
+    }
+    return res.json({ data: (data || []).map(usuarioPublico) });
+  } catch (e) {
+    console.error("[/api/admin/usuarios] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.post("/api/admin/usuarios", exigirConta("gestao"), async (req, res) => {
+  try {
+    const { username, senha, papel, regiaoSlugs = [], parceiroIds = [] } = req.body || {};
+    const usernameNormalizado = String(username || "").trim().toLowerCase();
+
+    const erros = [];
+    if (!RE_USERNAME.test(usernameNormalizado)) {
+      erros.push({ campo: "username", mensagem: "3 a 40 caracteres: letras minúsculas, números, . _ -" });
+    }
+    const problema = problemaNaSenha(senha);
+    if (problema) erros.push({ campo: "senha", mensagem: problema });
+    const regioes = await validarPapelERegioes({ papel, regiaoSlugs }, [], erros);
+    const parceiros = await validarParceirosDaConta({ papel, parceiroIds }, [], erros);
+    if (erros.length > 0) return res.status(400).json({ error: "Dados de usuário inválidos.", detalhes: erros });
+
+    const { data, error } = await supabase
+      .from("admin_usuarios")
+      .insert({
+        username: usernameNormalizado,
+        senha_hash: await gerarHashDeSenha(senha),
+        papel,
+        regioes,
+        parceiros,
+        ativo: true
+      })
+      .select("*")
+      .single();
+    if (error) {
+      if (error.code === "23505") return res.status(409).json({ error: "username já existe" });
+      console.error("[/api/admin/usuarios] insert erro:", error);
+      return res.status(500).json({ error: "Erro ao criar usuário." });
+    }
+
+    return res.status(200).json({ ok: true, data: usuarioPublico(data) });
+  } catch (e) {
+    console.error("[/api/admin/usuarios] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.put("/api/admin/usuarios/:id", exigirConta("gestao"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { papel, regiaoSlugs, parceiroIds, ativo, senha } = req.body || {};
+
+    const { data: atual, error: eAtual } = await supabase.from("admin_usuarios").select("*").eq("id", id).maybeSingle();
+    if (eAtual) {
+      console.error("[/api/admin/usuarios PUT] erro:", eAtual);
+      return res.status(500).json({ error: "Erro ao carregar usuário." });
+    }
+    if (!atual) return res.status(404).json({ error: "usuário não encontrado" });
+
+    const erros = [];
+    if (senha !== undefined) {
+      const problema = problemaNaSenha(senha);
+      if (problema) erros.push({ campo: "senha", mensagem: problema });
+    }
+    if (ativo !== undefined && typeof ativo !== "boolean") erros.push({ campo: "ativo", mensagem: "deve ser true ou false" });
+    const regioes = await validarPapelERegioes({ papel: papel ?? atual.papel, regiaoSlugs }, atual.regioes || [], erros);
+    const parceiros = await validarParceirosDaConta({ papel: papel ?? atual.papel, parceiroIds }, atual.parceiros || [], erros);
+
+    const atualizacao = {};
+    if (papel !== undefined) atualizacao.papel = papel;
+    if (regiaoSlugs !== undefined) atualizacao.regioes = regioes;
+    if (parceiroIds !== undefined) atualizacao.parceiros = parceiros;
+    if (ativo !== undefined) atualizacao.ativo = ativo;
+    if (erros.length > 0) return res.status(400).json({ error: "Dados de usuário inválidos.", detalhes: erros });
+
+    if (senha !== undefined) {
+      atualizacao.senha_hash = await gerarHashDeSenha(senha);
+      atualizacao.tentativas_falhas = 0;
+      atualizacao.bloqueado_ate = null;
+    }
+
+    const { data, error } = await supabase.from("admin_usuarios").update(atualizacao).eq("id", id).select("*").single();
+    if (error) {
+      console.error("[/api/admin/usuarios PUT] Erro:", error);
+      return res.status(500).json({ error: "Erro ao atualizar usuário." });
+    }
+
+    // Papel, regiões, senha ou desativação mudaram: tokens antigos não podem continuar valendo
+    if (Object.keys(atualizacao).length > 0) await revogarSessoesDoUsuario(id);
+
+    return res.json({ ok: true, data: usuarioPublico(data) });
+  } catch (e) {
+    console.error("[/api/admin/usuarios PUT] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.post("/api/admin/usuarios/:id/revogar-sessoes", exigirConta("gestao"), async (req, res) => {
+  try {
+    await revogarSessoesDoUsuario(req.params.id);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[/api/admin/usuarios/:id/revogar-sessoes] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// horario_estruturado: se só veio o texto livre, tenta converter (a validação fica no esquema)
+function completarHorarioEstruturado(valores) {
+  if (!("horario_funcionamento" in valores) || valores.horario_estruturado) return;
+  valores.horario_estruturado = valores.horario_funcionamento ? parseHorarioTextoLivre(valores.horario_funcionamento) : null;
+}
+
+// latitude/longitude andam juntas (constraint parceiros_coordenadas_em_par)
+function errosDeCoordenadas({ latitude = null, longitude = null }) {
+  if ((latitude === null) === (longitude === null)) return [];
+  return [{ campo: latitude === null ? "latitude" : "longitude", mensagem: "informe latitude e longitude juntas" }];
+}
+
+function responderPayloadInvalido(res, erros) {
+  return res.status(400).json({ error: "payload inválido", detalhes: erros });
+}
+
+// Histórico: falha ao gravar a revisão não desfaz a mudança (só loga).
+// Toda criação/edição de parceiro passa por aqui, então os webhooks saem daqui também.
+async function registrarRevisoes(revisoes) {
+  const linhas = revisoes.filter(Boolean);
+  if (linhas.length === 0) return;
+  const { error } = await supabase.from("parceiro_revisoes").insert(linhas);
+  if (error) console.error("[parceiro_revisoes] insert erro:", error);
+  await publicarRevisoes(linhas);
+}
+
+// Parceiro novo (criação ou importação sem registro anterior): o diff parte de cidade_id vazio
+function revisaoDeParceiroNovo(revisao) {
+  return revisao.acao === "criacao" || (revisao.acao === "importacao" && revisao.diff?.cidade_id?.de == null && "cidade_id" in revisao.diff);
+}
+
+async function publicarRevisoes(revisoes) {
+  try {
+    const cidadeIds = [...new Set(revisoes.map((r) => r.estado?.cidade_id).filter(Boolean))];
+    const { data: cidades, error } = cidadeIds.length
+      ? await supabase.from("cidades").select("id, regiao_id").in("id", cidadeIds)
+      : { data: [], error: null };
+    if (error) throw error;
+    const regiaoDaCidade = new Map((cidades || []).map((c) => [c.id, c.regiao_id]));
+    for (const r of revisoes) {
+      publicarEvento(revisaoDeParceiroNovo(r) ? "parceiro.criado" : "parceiro.editado", {
+        regiaoId: regiaoDaCidade.get(r.estado?.cidade_id) || null,
+        dados: { parceiro_id: r.parceiro_id, acao: r.acao, autor: r.autor, campos: Object.keys(r.diff || {}), estado: r.estado }
+      });
+    }
+  } catch (e) {
+    console.error("[webhooks] Falha ao publicar revisões de parceiro (segue):", e);
+  }
+}
+
+// CRIAR parceiro/dica
+application.post("/api/admin/parceiros", exigirConta("escrita"), async (request, response) => {
+  try {
+    const { valores, erros } = validarPayload(ESQUEMA_NOVO_PARCEIRO, request.body);
+    erros.push(...errosDeCoordenadas(valores));
+    if (erros.length > 0) return responderPayloadInvalido(response, erros);
+    const { regiaoSlug, cidadeSlug, ...novoRegistro } = valores;
+    completarHorarioEstruturado(novoRegistro);
+
+    const { data: regiao, error: eReg } = await supabase
+      .from("regioes").select("id").eq("slug", regiaoSlug).single();
+    if (eReg || !regiao) return response.status(400).json({ error: "regiaoSlug inválido." });
+    if (!regiaoNoEscopo(request.conta, regiao.id)) return responderForaDoEscopo(response);
+
+    const { data: cidade, error: eCid } = await supabase
+      .from("cidades").select("id").eq("regiao_id", regiao.id).eq("slug", cidadeSlug).single();
+    if (eCid || !cidade) return response.status(400).json({ error: "cidadeSlug inválido." });
+
+    const { data, error } = await supabase
+      .from("parceiros").insert({ ...novoRegistro, cidade_id: cidade.id }).select("*").single();
+    if (error?.code === "23505") return response.status(409).json({ error: "chave_externa já usada por outro parceiro." });
+    if (error) {
+      console.error("[/api/admin/parceiros] insert erro:", error);
+      return response.status(500).json({ error: "Erro ao criar parceiro/dica." });
+    }
+    await registrarRevisoes([
+      montarRevisao({ parceiroId: data.id, acao: "criacao", conta: request.conta, antes: null, depois: data })
+    ]);
+
+    return response.status(200).json({ ok: true, data });
+  } catch (erro) {
+    console.error("[/api/admin/parceiros] Erro:", erro);
+    return response.status(500).json({ error: "Erro interno." });
+  }
+});
+
+// HISTÓRICO de revisões (mais recente primeiro). Antes da listagem por
+// região/cidade, que também casaria com /:id/revisoes
+application.get("/api/admin/parceiros/:id/revisoes", exigirConta("leitura"), async (req, res) => {
+  try {
+    if (!(await conferirEscopoDoParceiro(req, res, req.params.id))) return;
+    const limite = Math.min(Number(req.query.limit) || 50, 200);
+
+    const { data, error } = await supabase
+      .from("parceiro_revisoes")
+      .select("id, acao, conta_id, autor, diff, revisao_origem, created_at")
+      .eq("parceiro_id", req.params.id)
+      .order("created_at", { ascending: false })
+      .limit(limite);
+    if (error) {
+      console.error("[/api/admin/parceiros/:id/revisoes] erro:", error);
+      return res.status(500).json({ error: "Erro ao listar revisões." });
+    }
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[/api/admin/parceiros/:id/revisoes] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// LEADS do parceiro (cliques nos links de ação) agrupados pela busca que os gerou
+// GET /api/admin/parceiros/:id/leads[?desde=...][&ate=...]
+const LEADS_MAX_EVENTOS = Number(process.env.LEADS_MAX_EVENTOS || 5000);
+
+application.get("/api/admin/parceiros/:id/leads", exigirConta("leitura"), async (req, res) => {
+  try {
+    if (!(await conferirEscopoDoParceiro(req, res, req.params.id))) return;
+    const { periodo, erros } = lerPeriodoDaSerie({ desde: req.query.desde, ate: req.query.ate });
+    if (erros.length > 0) return res.status(400).json({ error: "parâmetros inválidos", detalhes: erros });
+
+    const { data: eventos, error } = await supabase
+      .from("eventos_analytics")
+      .select("conversation_id, payload, created_at")
+      .eq("parceiro_id", req.params.id)
+      .eq("tipo_evento", "lead")
+      .gte("created_at", periodo.desde.toISOString())
+      .lt("created_at", periodo.ate.toISOString())
+      .order("created_at", { ascending: false })
+      .limit(LEADS_MAX_EVENTOS);
+    if (error) {
+      console.error("[/api/admin/parceiros/:id/leads] erro:", error);
+      return res.status(500).json({ error: "Erro ao carregar leads." });
+    }
+
+    const idsDeBuscas = [...new Set((eventos || []).map((e) => e.payload?.busca_id).filter(Boolean))];
+    const { data: buscas, error: eBuscas } = idsDeBuscas.length
+      ? await supabase.from("buscas_texto").select("id, texto, termos, created_at").in("id", idsDeBuscas)
+      : { data: [] };
+    if (eBuscas) throw eBuscas;
+
+    return res.json({
+      ok: true,
+      data: {
+        parceiro_id: req.params.id,
+        desde: periodo.desde.toISOString(),
+        ate: periodo.ate.toISOString(),
+        conversas: new Set((eventos || []).map((e) => e.conversation_id).filter(Boolean)).size,
+        truncado: (eventos || []).length >= LEADS_MAX_EVENTOS,
+        ...resumirLeads(eventos || [], new Map((buscas || []).map((b) => [b.id, b])))
+      }
+    });
+  } catch (e) {
+    console.error("[/api/admin/parceiros/:id/leads] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// LISTAR parceiros por região+cidade (?incluirExcluidos=1 traz também os excluídos)
+application.get("/api/admin/parceiros/:regiaoSlug/:cidadeSlug", exigirConta("leitura"), async (request, response) => {
+  try {
+    const { regiaoSlug, cidadeSlug } = request.params;
+
+    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id").eq("slug", regiaoSlug).single();
+    if (eReg || !regiao) return response.status(400).json({ error: "regiaoSlug inválido." });
+    if (!regiaoNoEscopo(request.conta, regiao.id)) return responderForaDoEscopo(response);
+
+    const { data: cidade, error: eCid } = await supabase
+      .from("cidades").select("id").eq("regiao_id", regiao.id).eq("slug", cidadeSlug).single();
+    if (eCid || !cidade) return response.status(400).json({ error: "cidadeSlug inválido." });
+
+    let consulta = supabase.from("parceiros").select("*").eq("cidade_id", cidade.id);
+    if (request.query.incluirExcluidos !== "1") consulta = consulta.is("excluido_em", null);
+    const { data, error } = await consulta.order("nome");
+    if (error) {
+      console.error("[/api/admin/parceiros list] Erro:", error);
+      return response.status(500).json({ error: "Erro ao listar parceiros/dicas." });
+    }
+
+    return response.status(200).json({ data });
+  } catch (erro) {
+    console.error("[/api/admin/parceiros list] Erro:", erro);
+    return response.status(500).json({ error: "Erro interno." });
+  }
+});
+
+// Região de um parceiro (parceiros.cidade_id → cidades.regiao_id), para checar escopo
+async function regiaoDoParceiro(parceiroId) {
+  const { data: parceiro, error } = await supabase.from("parceiros").select("cidade_id").eq("id", parceiroId).maybeSingle();
+  if (error) throw error;
+  if (!parceiro) return null;
+  const { data: cidade, error: eCid } = await supabase.from("cidades").select("regiao_id").eq("id", parceiro.cidade_id).maybeSingle();
+  if (eCid) throw eCid;
+  return cidade?.regiao_id || null;
+}
+
+// Contas com escopo só mexem em parceiros das suas regiões.
+// Responde 404/403 e devolve false quando a conta não pode seguir.
+async function conferirEscopoDoParceiro(req, res, parceiroId) {
+  if (regioesDoEscopo(req.conta) === null) return true;
+  const regiaoId = await regiaoDoParceiro(parceiroId);
+  if (!regiaoId) {
+    res.status(404).json({ error: "parceiro não encontrado" });
+    return false;
+  }
+  if (!regiaoNoEscopo(req.conta, regiaoId)) {
+    responderForaDoEscopo(res);
+    return false;
+  }
+  return true;
+}
+
+// Aplica a atualização em req.params.id e grava a revisão (acao: edicao, exclusao, ...)
+async function atualizarParceiro(req, res, atualizacao, { acao = "edicao", revisaoOrigem = null } = {}) {
+  const { data: antes, error: eAntes } = await supabase.from("parceiros").select("*").eq("id", req.params.id).maybeSingle();
+  if (eAntes) throw eAntes;
+  if (!antes) return res.status(404).json({ error: "parceiro não encontrado" });
+  const errosCoordenadas = errosDeCoordenadas({ ...antes, ...atualizacao });
+  if (errosCoordenadas.length > 0) return responderPayloadInvalido(res, errosCoordenadas);
+
+  const { data, error } = await supabase
+    .from("parceiros").update(atualizacao).eq("id", req.params.id).select("*").single();
+  if (error?.code === "23505") return res.status(409).json({ error: "chave_externa já usada por outro parceiro." });
+  if (error) {
+    console.error(`[/api/admin/parceiros ${req.method}] Erro:`, error);
+    return res.status(500).json({ error: "Erro ao atualizar parceiro." });
+  }
+  await registrarRevisoes([
+    montarRevisao({ parceiroId: data.id, acao, conta: req.conta, antes, depois: data, revisaoOrigem })
+  ]);
+  return res.json({ ok: true, data });
+}
+
+// SUBSTITUIR parceiro por id: o corpo é o registro inteiro (nome obrigatório);
+// campos ausentes voltam ao padrão. Para mudar só alguns campos use PATCH.
+application.put("/api/admin/parceiros/:id", exigirConta("escrita"), async (req, res) => {
+  try {
+    const { valores, erros } = validarPayload(ESQUEMA_PARCEIRO, req.body);
+    if (erros.length > 0) return responderPayloadInvalido(res, erros);
+    if (!(await conferirEscopoDoParceiro(req, res, req.params.id))) return;
+
+    // a chave da importação em lote não some só porque o painel não a conhece
+    if (req.body.chave_externa === undefined) delete valores.chave_externa;
+    completarHorarioEstruturado(valores);
+    return await atualizarParceiro(req, res, valores);
+  } catch (e) {
+    console.error("[/api/admin/parceiros PUT] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ATUALIZAR parceiro por id: só os campos enviados
+application.patch("/api/admin/parceiros/:id", exigirConta("escrita"), async (req, res) => {
+  try {
+    const { valores, erros } = validarPayload(ESQUEMA_PARCEIRO, req.body, { parcial: true });
+    if (erros.length > 0) return responderPayloadInvalido(res, erros);
+    if (Object.keys(valores).length === 0) {
+      return responderPayloadInvalido(res, [{ campo: "body", mensagem: "nenhum campo para atualizar" }]);
+    }
+    if (!(await conferirEscopoDoParceiro(req, res, req.params.id))) return;
+
+    completarHorarioEstruturado(valores);
+    return await atualizarParceiro(req, res, valores);
+  } catch (e) {
+    console.error("[/api/admin/parceiros PATCH] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// EXCLUIR (lógico): some do chat, de /api/parceiros e das listagens; restaurável
+application.delete("/api/admin/parceiros/:id", exigirConta("escrita"), async (req, res) => {
+  try {
+    if (!(await conferirEscopoDoParceiro(req, res, req.params.id))) return;
+    const atualizacao = { excluido_em: new Date().toISOString(), excluido_por: req.conta.username };
+    return await atualizarParceiro(req, res, atualizacao, { acao: "exclusao" });
+  } catch (e) {
+    console.error("[/api/admin/parceiros DELETE] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.post("/api/admin/parceiros/:id/restaurar", exigirConta("escrita"), async (req, res) => {
+  try {
+    if (!(await conferirEscopoDoParceiro(req, res, req.params.id))) return;
+    return await atualizarParceiro(req, res, { excluido_em: null, excluido_por: null }, { acao: "restauracao" });
+  } catch (e) {
+    console.error("[/api/admin/parceiros/:id/restaurar] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// RESTAURAR uma revisão: volta os campos ao estado gravado nela (gera nova revisão "reversao")
+application.post("/api/admin/parceiros/:id/revisoes/:revisaoId/restaurar", exigirConta("escrita"), async (req, res) => {
+  try {
+    if (!(await conferirEscopoDoParceiro(req, res, req.params.id))) return;
+
+    const { data: revisao, error } = await supabase
+      .from("parceiro_revisoes")
+      .select("id, estado")
+      .eq("id", req.params.revisaoId)
+      .eq("parceiro_id", req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!revisao) return res.status(404).json({ error: "revisão não encontrada" });
+
+    const campos = camposParaRestaurar(revisao);
+    // A cidade gravada pode ser de outra região: vale a mesma regra de escopo
+    const { data: cidade } = await supabase.from("cidades").select("regiao_id").eq("id", campos.cidade_id).maybeSingle();
+    if (!cidade) return res.status(409).json({ error: "a cidade desta revisão não existe mais" });
+    if (!regiaoNoEscopo(req.conta, cidade.regiao_id)) return responderForaDoEscopo(res);
+
+    return await atualizarParceiro(req, res, campos, { acao: "reversao", revisaoOrigem: revisao.id });
+  } catch (e) {
+    console.error("[/api/admin/parceiros/:id/revisoes/:revisaoId/restaurar] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: IMPORTAÇÃO / EXPORTAÇÃO EM LOTE (CSV ou JSON; colunas em lib/importacao.js)
+// POST /api/admin/parceiros/importar?regiaoSlug=...&dryRun=1
+//   corpo: text/csv ou JSON (array ou { itens }); regiaoSlug vale para linhas sem regiao_slug
+//   tudo ou nada: com qualquer linha inválida nada é gravado; dryRun só valida
+// GET  /api/admin/parceiros/exportar?regiaoSlug=...[&cidadeSlug=...]&formato=csv|json
+// ============================================================================
+const MAX_LINHAS_IMPORTACAO = Number(process.env.IMPORTACAO_MAX_LINHAS || 2000);
+
+application.post("/api/admin/parceiros/importar", exigirConta("escrita"), async (req, res) => {
+  try {
+    const dryRun = ["1", "true", "sim"].includes(String(req.query.dryRun || "").toLowerCase());
+    const { registros, erro } = lerArquivoDeImportacao(req.body);
+    if (erro) return res.status(400).json({ error: erro });
+    if (registros.length === 0) return res.status(400).json({ error: "nenhuma linha para importar" });
+    if (registros.length > MAX_LINHAS_IMPORTACAO) {
+      return res.status(400).json({ error: `máximo de ${MAX_LINHAS_IMPORTACAO} linhas por importação` });
+    }
+
+    // Regiões e cidades são poucas: carrega tudo e resolve os slugs em memória
+    const [{ data: regioes, error: eReg }, { data: cidades, error: eCid }] = await Promise.all([
+      supabase.from("regioes").select("id, slug"),
+      supabase.from("cidades").select("id, slug, regiao_id")
+    ]);
+    if (eReg || eCid) throw eReg || eCid;
+    const regiaoPorSlug = new Map((regioes || []).map((r) => [r.slug, r.id]));
+    const regiaoDaCidade = new Map((cidades || []).map((c) => [c.id, c.regiao_id]));
+    const resolverCidade = (regiaoSlug, cidadeSlug) => {
+      const regiaoId = regiaoPorSlug.get(regiaoSlug);
+      return (cidades || []).find((c) => c.regiao_id === regiaoId && c.slug === cidadeSlug) || null;
+    };
+
+    const linhas = registros.map((registro, i) => ({
+      // linha 1 do CSV é o cabeçalho; no JSON conta a partir de 1
+      linha: registro._formato === "csv" ? i + 2 : i + 1,
+      ...prepararRegistro(registro, { regiaoSlugPadrao: req.query.regiaoSlug || null, resolverCidade })
+    }));
+
+    // Parceiros já existentes, por chave externa e por id
+    const chaves = [...new Set(linhas.map((l) => l.chaveExterna).filter(Boolean))];
+    const ids = [...new Set(linhas.filter((l) => l.erros.length === 0).map((l) => l.id).filter(Boolean))];
+    const [porChave, porId] = await Promise.all([
+      chaves.length
+        ? supabase.from("parceiros").select("*").in("chave_externa", chaves)
+        : { data: [] },
+      ids.length ? supabase.from("parceiros").select("*").in("id", ids) : { data: [] }
+    ]);
+    if (porChave.error || porId.error) throw porChave.error || porId.error;
+    const existentePorChave = new Map(porChave.data.map((p) => [p.chave_externa, p]));
+    const existentePorId = new Map(porId.data.map((p) => [p.id, p]));
+
+    const vistas = new Set();
+    for (const l of linhas) {
+      const marca = l.chaveExterna ? `chave:${l.chaveExterna}` : `id:${l.id}`;
+      if (vistas.has(marca)) l.erros.push({ campo: l.chaveExterna ? "chave_externa" : "id", mensagem: "repetido no arquivo" });
+      vistas.add(marca);
+
+      if (l.regiaoId && !regiaoNoEscopo(req.conta, l.regiaoId)) {
+        l.erros.push({ campo: "regiao_slug", mensagem: "fora do escopo da conta" });
+      }
+
+      const pelaChave = l.chaveExterna ? existentePorChave.get(l.chaveExterna) : null;
+      const peloId = l.id ? existentePorId.get(l.id) : null;
+      if (pelaChave && l.id && pelaChave.id !== l.id) {
+        l.erros.push({ campo: "chave_externa", mensagem: "já pertence a outro parceiro" });
+      } else if (l.id && !pelaChave && !peloId && l.erros.length === 0) {
+        l.erros.push({ campo: "id", mensagem: "parceiro não encontrado" });
+      }
+      if (peloId && !pelaChave && peloId.chave_externa && l.chaveExterna) {
+        l.erros.push({ campo: "chave_externa", mensagem: `parceiro já tem a chave '${peloId.chave_externa}'` });
+      }
+
+      l.existente = pelaChave || peloId || null;
+      // Mover um parceiro de região também exige escopo sobre a região de origem
+      const regiaoAtual = l.existente ? regiaoDaCidade.get(l.existente.cidade_id) : null;
+      if (regiaoAtual && regiaoAtual !== l.regiaoId && !regiaoNoEscopo(req.conta, regiaoAtual)) {
+        l.erros.push({ campo: "regiao_slug", mensagem: "parceiro atual está fora do escopo da conta" });
+      }
+      l.acao = l.erros.length > 0 ? "erro" : l.existente ? "atualizar" : "criar";
+    }
+
+    const relatorio = {
+      dryRun,
+      total: linhas.length,
+      criar: linhas.filter((l) => l.acao === "criar").length,
+      atualizar: linhas.filter((l) => l.acao === "atualizar").length,
+      com_erro: linhas.filter((l) => l.acao === "erro").length,
+      linhas: linhas.map((l) => ({
+        linha: l.linha,
+        acao: l.acao,
+        chave_externa: l.chaveExterna,
+        id: l.existente?.id || l.id || null,
+        nome: l.parceiro.nome,
+        erros: l.erros
+      }))
+    };
+
+    if (dryRun) return res.json({ ok: relatorio.com_erro === 0, data: relatorio });
+    if (relatorio.com_erro > 0) {
+      return res.status(400).json({ error: "importação com erros; nada foi gravado", data: relatorio });
+    }
+
+    const novos = linhas.filter((l) => l.acao === "criar");
+    if (novos.length > 0) {
+      const { data: criados, error } = await supabase
+        .from("parceiros").insert(novos.map((l) => l.parceiro)).select("*");
+      if (error) {
+        console.error("[/api/admin/parceiros/importar] insert erro:", error);
+        return res.status(500).json({ error: "Erro ao criar parceiros/dicas." });
+      }
+      const idPorChave = new Map(criados.map((p) => [p.chave_externa, p.id]));
+      for (const item of relatorio.linhas) {
+        if (item.acao === "criar") item.id = idPorChave.get(item.chave_externa) || null;
+      }
+      await registrarRevisoes(
+        criados.map((p) => montarRevisao({ parceiroId: p.id, acao: "importacao", conta: req.conta, antes: null, depois: p }))
+      );
+    }
+
+    // Sem transação no supabase-js: atualizações vão uma a uma e o relatório diz até onde foi
+    let atualizados = 0;
+    for (const l of linhas.filter((x) => x.acao === "atualizar")) {
+      const { data: depois, error } = await supabase
+        .from("parceiros").update(l.atualizacao).eq("id", l.existente.id).select("*").single();
+      if (error) {
+        console.error("[/api/admin/parceiros/importar] update erro:", error);
+        return res.status(500).json({
+          error: `Erro ao atualizar a linha ${l.linha}; ${novos.length} criados e ${atualizados} atualizados antes dela.`
+        });
+      }
+      atualizados++;
+      await registrarRevisoes([
+        montarRevisao({ parceiroId: depois.id, acao: "importacao", conta: req.conta, antes: l.existente, depois })
+      ]);
+    }
+
+    return res.json({ ok: true, data: relatorio });
+  } catch (e) {
+    console.error("[/api/admin/parceiros/importar] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// COORDENADAS em lote (saída de um geocodificador): só latitude/longitude mudam
+// POST /api/admin/parceiros/coordenadas[?dryRun=1]
+//   CSV: chave_externa|id, latitude, longitude — ou JSON (array / { itens })
+//   Linha sem latitude/longitude limpa as coordenadas do parceiro.
+application.post("/api/admin/parceiros/coordenadas", exigirConta("escrita"), async (req, res) => {
+  try {
+    const dryRun = ["1", "true", "sim"].includes(String(req.query.dryRun || "").toLowerCase());
+    const { linhas, erro } = lerArquivoDeCoordenadas(req.body);
+    if (erro) return res.status(400).json({ error: erro });
+    if (linhas.length === 0) return res.status(400).json({ error: "nenhuma linha para importar" });
+    if (linhas.length > MAX_LINHAS_IMPORTACAO) {
+      return res.status(400).json({ error: `máximo de ${MAX_LINHAS_IMPORTACAO} linhas por importação` });
+    }
+
+    const chaves = [...new Set(linhas.map((l) => l.chaveExterna).filter(Boolean))];
+    const ids = [...new Set(linhas.filter((l) => l.erros.length === 0).map((l) => l.id).filter(Boolean))];
+    const [porChave, porId, { data: cidades, error: eCid }] = await Promise.all([
+      chaves.length ? supabase.from("parceiros").select("*").in("chave_externa", chaves) : { data: [] },
+      ids.length ? supabase.from("parceiros").select("*").in("id", ids) : { data: [] },
+      supabase.from("cidades").select("id, regiao_id")
+    ]);
+    if (porChave.error || porId.error || eCid) throw porChave.error || porId.error || eCid;
+    const existentePorChave = new Map(porChave.data.map((p) => [p.chave_externa, p]));
+    const existentePorId = new Map(porId.data.map((p) => [p.id, p]));
+    const regiaoDaCidade = new Map((cidades || []).map((c) => [c.id, c.regiao_id]));
+
+    const vistos = new Set();
+    for (const l of linhas) {
+      l.existente = (l.chaveExterna ? existentePorChave.get(l.chaveExterna) : existentePorId.get(l.id)) || null;
+      if (l.erros.length === 0 && !l.existente) l.erros.push({ campo: l.chaveExterna ? "chave_externa" : "id", mensagem: "parceiro não encontrado" });
+      if (l.existente) {
+        if (vistos.has(l.existente.id)) l.erros.push({ campo: "chave_externa", mensagem: "parceiro repetido no arquivo" });
+        vistos.add(l.existente.id);
+        if (!regiaoNoEscopo(req.conta, regiaoDaCidade.get(l.existente.cidade_id))) {
+          l.erros.push({ campo: "chave_externa", mensagem: "parceiro fora do escopo da conta" });
+        }
+      }
+      const mudou =
+        Boolean(l.existente) &&
+        ((l.existente.latitude ?? null) !== (l.coordenadas?.latitude ?? null) ||
+          (l.existente.longitude ?? null) !== (l.coordenadas?.longitude ?? null));
+      l.acao = l.erros.length > 0 ? "erro" : mudou ? "atualizar" : "sem_mudanca";
+    }
+
+    const relatorio = {
+      dryRun,
+      total: linhas.length,
+      atualizar: linhas.filter((l) => l.acao === "atualizar").length,
+      sem_mudanca: linhas.filter((l) => l.acao === "sem_mudanca").length,
+      com_erro: linhas.filter((l) => l.acao === "erro").length,
+      linhas: linhas.map((l) => ({
+        linha: l.linha,
+        acao: l.acao,
+        chave_externa: l.chaveExterna,
+        id: l.existente?.id || l.id || null,
+        nome: l.existente?.nome || null,
+        latitude: l.coordenadas?.latitude ?? null,
+        longitude: l.coordenadas?.longitude ?? null,
+        erros: l.erros
+      }))
+    };
+
+    if (dryRun) return res.json({ ok: relatorio.com_erro === 0, data: relatorio });
+    if (relatorio.com_erro > 0) {
+      return res.status(400).json({ error: "importação com erros; nada foi gravado", data: relatorio });
+    }
+
+    let atualizados = 0;
+    for (const l of linhas.filter((x) => x.acao === "atualizar")) {
+      const { data: depois, error } = await supabase
+        .from("parceiros")
+        .update({ latitude: l.coordenadas?.latitude ?? null, longitude: l.coordenadas?.longitude ?? null })
+        .eq("id", l.existente.id)
+        .select("*")
+        .single();
+      if (error) {
+        console.error("[/api/admin/parceiros/coordenadas] update erro:", error);
+        return res.status(500).json({ error: `Erro ao atualizar a linha ${l.linha}; ${atualizados} atualizados antes dela.` });
+      }
+      atualizados++;
+      await registrarRevisoes([
+        montarRevisao({ parceiroId: depois.id, acao: "importacao", conta: req.conta, antes: l.existente, depois })
+      ]);
+    }
+
+    return res.json({ ok: true, data: relatorio });
+  } catch (e) {
+    console.error("[/api/admin/parceiros/coordenadas] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.get("/api/admin/parceiros/exportar", exigirConta("leitura"), async (req, res) => {
+  try {
+    const { regiaoSlug, cidadeSlug } = req.query;
+    const formato = String(req.query.formato || "csv").toLowerCase();
+    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
+    if (!["csv", "json"].includes(formato)) return res.status(400).json({ error: "formato deve ser csv ou json" });
+
+    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id, slug").eq("slug", regiaoSlug).single();
+    if (eReg || !regiao) return res.status(400).json({ error: "regiaoSlug inválido." });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    let consultaCidades = supabase.from("cidades").select("id, slug").eq("regiao_id", regiao.id);
+    if (cidadeSlug) consultaCidades = consultaCidades.eq("slug", cidadeSlug);
+    const { data: cidades, error: eCid } = await consultaCidades;
+    if (eCid) throw eCid;
+    if (cidadeSlug && (!cidades || cidades.length === 0)) return res.status(400).json({ error: "cidadeSlug inválido." });
+
+    const slugDaCidade = new Map((cidades || []).map((c) => [c.id, c.slug]));
+    let parceiros = [];
+    if (slugDaCidade.size > 0) {
+      const { data, error } = await supabase
+        .from("parceiros").select("*").in("cidade_id", [...slugDaCidade.keys()]).is("excluido_em", null).order("nome");
+      if (error) throw error;
+      parceiros = data || [];
+    }
+
+    const registros = parceiros.map((p) =>
+      registroDeExportacao(p, { regiaoSlug: regiao.slug, cidadeSlug: slugDaCidade.get(p.cidade_id) }, formato)
+    );
+    const nomeDoArquivo = `parceiros-${regiao.slug}${cidadeSlug ? `-${cidadeSlug}` : ""}.${formato}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${nomeDoArquivo}"`);
+
+    if (formato === "csv") {
+      // BOM para o Excel abrir com acentos; a importação ignora
+      return res.type("text/csv; charset=utf-8").send("\uFEFF" + escreverCsv(registros));
+    }
+    return res.json({ regiao: regiao.slug, cidade: cidadeSlug || null, exportado_em: new Date().toISOString(), itens: registros });
+  } catch (e) {
+    console.error("[/api/admin/parceiros/exportar] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: Inclusões de REGIÕES e CIDADES
+// ============================================================================
+// Criar região é operação de super_admin (editores ficam presos às regiões que já têm)
+application.post("/api/admin/regioes", exigirConta("gestao"), async (req, res) => {
+  try {
+    const { valores, erros } = validarPayload(ESQUEMA_REGIAO, req.body);
+    if (erros.length > 0) return responderPayloadInvalido(res, erros);
+
+    const { data, error } = await supabase.from("regioes").insert(valores).select("*").single();
+    if (error?.code === "23505") return res.status(409).json({ error: "já existe uma região com esse slug." });
+    if (error) {
+      console.error("[/api/admin/regioes] insert erro:", error);
+      return res.status(500).json({ error: "Erro ao criar região." });
+    }
+
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[/api/admin/regioes] erro:", e);
+    res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.post("/api/admin/cidades", exigirConta("escrita"), async (req, res) => {
+  try {
+    const { valores, erros } = validarPayload(ESQUEMA_CIDADE, req.body);
+    if (erros.length > 0) return responderPayloadInvalido(res, erros);
+    const { regiaoSlug, ...cidade } = valores;
+
+    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id").eq("slug", regiaoSlug).single();
+    if (eReg || !regiao) return res.status(400).json({ error: "regiaoSlug inválido." });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    const { data, error } = await supabase
+      .from("cidades")
+      .insert({ ...cidade, regiao_id: regiao.id })
+      .select("*")
+      .single();
+    if (error?.code === "23505") return res.status(409).json({ error: "já existe uma cidade com esse slug na região." });
+    if (error) {
+      console.error("[/api/admin/cidades] insert erro:", error);
+      return res.status(500).json({ error: "Erro ao criar cidade." });
+    }
+    // a análise em cache foi feita com a lista antiga de cidades da região
+    limparCache({ regiaoSlug });
+
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[/api/admin/cidades] erro:", e);
+    res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: PONTOS DE REFERÊNCIA ("perto da Praia do Forte", "perto da rodoviária")
+// GET    /api/admin/pontos-referencia?regiaoSlug=...
+// POST   /api/admin/pontos-referencia { regiaoSlug, cidadeSlug?, nome, apelidos?, latitude, longitude }
+// DELETE /api/admin/pontos-referencia/:id
+// ============================================================================
+application.get("/api/admin/pontos-referencia", exigirConta("leitura"), async (req, res) => {
+  try {
+    const { regiaoSlug } = req.query;
+    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
+    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id").eq("slug", regiaoSlug).maybeSingle();
+    if (eReg) throw eReg;
+    if (!regiao) return res.status(404).json({ error: "região não encontrada" });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    const { data, error } = await supabase
+      .from("pontos_referencia")
+      .select("id, cidade_id, nome, apelidos, latitude, longitude, created_at")
+      .eq("regiao_id", regiao.id)
+      .order("nome");
+    if (error) {
+      console.error("[/api/admin/pontos-referencia] erro:", error);
+      return res.status(500).json({ error: "Erro ao listar pontos de referência." });
+    }
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[/api/admin/pontos-referencia] erro:", e);
+    res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.post("/api/admin/pontos-referencia", exigirConta("escrita"), async (req, res) => {
+  try {
+    const { valores, erros } = validarPayload(ESQUEMA_PONTO_REFERENCIA, req.body);
+    if (erros.length > 0) return responderPayloadInvalido(res, erros);
+    const { regiaoSlug, cidadeSlug, ...ponto } = valores;
+
+    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id").eq("slug", regiaoSlug).single();
+    if (eReg || !regiao) return res.status(400).json({ error: "regiaoSlug inválido." });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    let cidadeId = null;
+    if (cidadeSlug) {
+      const { data: cidade, error: eCid } = await supabase
+        .from("cidades").select("id").eq("regiao_id", regiao.id).eq("slug", cidadeSlug).single();
+      if (eCid || !cidade) return res.status(400).json({ error: "cidadeSlug inválido." });
+      cidadeId = cidade.id;
+    }
+
+    const { data, error } = await supabase
+      .from("pontos_referencia")
+      .insert({ ...ponto, regiao_id: regiao.id, cidade_id: cidadeId })
+      .select("*")
+      .single();
+    if (error?.code === "23505") return res.status(409).json({ error: "já existe um ponto com esse nome na região." });
+    if (error) {
+      console.error("[/api/admin/pontos-referencia] insert erro:", error);
+      return res.status(500).json({ error: "Erro ao criar ponto de referência." });
+    }
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[/api/admin/pontos-referencia] erro:", e);
+    res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.delete("/api/admin/pontos-referencia/:id", exigirConta("escrita"), async (req, res) => {
+  try {
+    const { data: ponto, error: eSel } = await supabase
+      .from("pontos_referencia").select("id, regiao_id").eq("id", req.params.id).maybeSingle();
+    if (eSel) throw eSel;
+    if (!ponto) return res.status(404).json({ error: "ponto de referência não encontrado" });
+    if (!regiaoNoEscopo(req.conta, ponto.regiao_id)) return responderForaDoEscopo(res);
+
+    const { error } = await supabase.from("pontos_referencia").delete().eq("id", ponto.id);
+    if (error) {
+      console.error("[/api/admin/pontos-referencia/:id] delete erro:", error);
+      return res.status(500).json({ error: "Erro ao remover ponto de referência." });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("[/api/admin/pontos-referencia/:id] erro:", e);
+    res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: LIMITES DE USO (rate limit do chat e orçamento de IA por região)
+// GET /api/admin/limites[?regiaoSlug=...][&ip=...][&conversationId=...]
+// ============================================================================
+const descreverRegras = (regras) => regras.map((r) => ({ max: r.max, janela_seg: r.janelaMs / 1000 }));
+
+application.get("/api/admin/limites", exigirConta("leitura"), async (req, res) => {
+  try {
+    const { regiaoSlug, ip, conversationId } = req.query;
+
+    let consulta = supabase.from("regioes").select("id, slug, nome").order("nome");
+    if (regiaoSlug) consulta = consulta.eq("slug", regiaoSlug);
+    const { data: regioes, error } = await consulta;
+    if (error) throw error;
+    if (regiaoSlug && (!regioes || regioes.length === 0)) return res.status(404).json({ error: "região não encontrada" });
+
+    const visiveis = (regioes || []).filter((r) => regiaoNoEscopo(req.conta, r.id));
+    if (regiaoSlug && visiveis.length === 0) return responderForaDoEscopo(res);
+
+    const orcamentos = await Promise.all(
+      visiveis.map(async (r) => ({ regiao: r.slug, nome: r.nome, ...(await consumoDaRegiao(r.slug)) }))
+    );
+
+    return res.json({
+      ok: true,
+      data: {
+        armazem: nomeDoArmazem(),
+        rate_limit: { por_ip: descreverRegras(REGRAS_POR_IP), por_conversa: descreverRegras(REGRAS_POR_CONVERSA) },
+        ...(ip ? { uso_do_ip: await usoDoAlvo(`ip:${ip}`, REGRAS_POR_IP) } : {}),
+        ...(conversationId ? { uso_da_conversa: await usoDoAlvo(`conversa:${conversationId}`, REGRAS_POR_CONVERSA) } : {}),
+        orcamento_ia: orcamentos
+      }
+    });
+  } catch (e) {
+    console.error("[/api/admin/limites] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: CACHE DE IA (análise e palavras-chave; ver lib/cacheLLM.js)
+// GET    /api/admin/cache-llm[?regiaoSlug=...][&tarefa=...][&limit=50]
+// DELETE /api/admin/cache-llm[?regiaoSlug=...][&tarefa=...]
+// O cache guarda frases de todas as regiões: só super_admin inspeciona/limpa
+// ============================================================================
+application.get("/api/admin/cache-llm", exigirConta("gestao"), (req, res) => {
+  const { regiaoSlug = null, tarefa = null } = req.query;
+  const limite = Math.min(Number(req.query.limit) || 50, 500);
+  res.json({ ok: true, data: { ...estatisticasDoCache(), amostra: listarEntradas({ regiaoSlug, tarefa, limite }) } });
+});
+
+application.delete("/api/admin/cache-llm", exigirConta("gestao"), (req, res) => {
+  const { regiaoSlug = null, tarefa = null } = req.query;
+  const removidas = limparCache({ regiaoSlug, tarefa });
+  res.json({ ok: true, data: { removidas } });
+});
+
+// ============================================================================
+// ADMIN: MÉTRICAS SIMPLES (contagens e top 5 parceiros por views)
+// GET /api/admin/metrics/summary?regiaoSlug=regiao-dos-lagos[&cidadeSlug=cabo-frio]
+// ============================================================================
+application.get("/api/admin/metrics/summary", exigirConta("leitura"), async (req, res) => {
+  try {
+    const { regiaoSlug, cidadeSlug } = req.query;
+    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
+
+    // Carrega região
+    const { data: regiao, error: eReg } = await supabase
+      .from("regioes")
+      .select("id, nome, slug")
+      .eq("slug", regiaoSlug)
+      .single();
+    if (eReg || !regiao) return res.status(404).json({ error: "região não encontrada" });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    // Carrega cidades da região
+    const { data: cidades, error: eCid } = await supabase
+      .from("cidades")
+      .select("id, nome, slug")
+      .eq("regiao_id", regiao.id);
+    if (eCid) return res.status(500).json({ error: "erro ao carregar cidades" });
+
+    let cidade = null;
+    let cidadeIds = (cidades || []).map((c) => c.id);
+    if (cidadeSlug) {
+      cidade = (cidades || []).find((c) => c.slug === cidadeSlug) || null;
+      if (!cidade) return res.status(404).json({ error: "cidade não encontrada nesta região" });
+      cidadeIds = [cidade.id];
+    }
+
+    // Parceiros ativos (também base do top 5 da região/cidade)
+    const { data: parceirosAtivos, error: eParc } = await supabase
+      .from("parceiros")
+      .select("id, nome, categoria")
+      .eq("ativo", true)
+      .is("excluido_em", null)
+      .in("cidade_id", cidadeIds);
+    if (eParc) return res.status(500).json({ error: "erro ao contar parceiros" });
+
+    // Contagens no banco (head: true não traz as linhas)
+    let consultaBuscas = supabase.from("buscas_texto").select("id", { count: "exact", head: true }).eq("regiao_id", regiao.id);
+    if (cidade) consultaBuscas = consultaBuscas.eq("cidade_id", cidade.id);
+    const { count: totalBuscas, error: eBus } = await consultaBuscas;
+    if (eBus) return res.status(500).json({ error: "erro ao contar buscas" });
+
+    const { count: totalInteracoes, error: eInt } = await supabase
+      .from("interacoes")
+      .select("id", { count: "exact", head: true })
+      .eq("regiao_id", regiao.id);
+    if (eInt) return res.status(500).json({ error: "erro ao contar interações" });
+
+    // TOP 5 por views entre os parceiros da região/cidade
+    const partnersById = new Map((parceirosAtivos || []).map((p) => [p.id, p]));
+    let views = [];
+    if (partnersById.size > 0) {
+      const { data, error: eViews } = await supabase
+        .from("parceiro_views")
+        .select("parceiro_id, views_total, last_view_at")
+        .in("parceiro_id", [...partnersById.keys()])
+        .order("views_total", { ascending: false })
+        .limit(5);
+      if (eViews) return res.status(500).json({ error: "erro ao ler views" });
+      views = data || [];
+    }
+    const topFiltrado = views.map((v) => {
+      const info = partnersById.get(v.parceiro_id);
+      return {
+        parceiro_id: v.parceiro_id,
+        nome: info?.nome || "—",
+        categoria: info?.categoria || "—",
+        views_total: v.views_total,
+        last_view_at: v.last_view_at
+      };
+    });
+
+    return res.json({
+      regiao: { id: regiao.id, nome: regiao.nome, slug: regiao.slug },
+      cidade: cidade ? { id: cidade.id, nome: cidade.nome, slug: cidade.slug } : null,
+      total_parceiros_ativos: (parceirosAtivos || []).length,
+      total_buscas: totalBuscas || 0,
+      total_interacoes: totalInteracoes || 0,
+      top5_parceiros_por_views: topFiltrado
+    });
+  } catch (e) {
+    console.error("[/api/admin/metrics/summary] erro:", e);
+    res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: SÉRIE TEMPORAL (agregada no banco: função metricas_serie, sql/010)
+// GET /api/admin/metrics/timeseries?regiaoSlug=...[&cidadeSlug=...][&parceiroId=...]
+//     [&categoria=...][&intervalo=dia|semana|mes][&desde=...][&ate=...][&formato=json|csv]
+// ============================================================================
+application.get("/api/admin/metrics/timeseries", exigirConta("leitura"), async (req, res) => {
+  try {
+    const { regiaoSlug, cidadeSlug, parceiroId, categoria } = req.query;
+    const formato = String(req.query.formato || "json").toLowerCase();
+    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
+    if (!["json", "csv"].includes(formato)) return res.status(400).json({ error: "formato deve ser json ou csv" });
+
+    const { periodo, erros } = lerPeriodoDaSerie(req.query);
+    if (erros.length > 0) return res.status(400).json({ error: "parâmetros inválidos", detalhes: erros });
+
+    const { data: regiao, error: eReg } = await supabase
+      .from("regioes").select("id, nome, slug").eq("slug", regiaoSlug).maybeSingle();
+    if (eReg) throw eReg;
+    if (!regiao) return res.status(404).json({ error: "região não encontrada" });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    let cidade = null;
+    if (cidadeSlug) {
+      const { data, error } = await supabase
+        .from("cidades").select("id, nome, slug").eq("regiao_id", regiao.id).eq("slug", cidadeSlug).maybeSingle();
+      if (error) throw error;
+      if (!data) return res.status(404).json({ error: "cidade não encontrada nesta região" });
+      cidade = data;
+    }
+    if (parceiroId && (await regiaoDoParceiro(parceiroId)) !== regiao.id) {
+      return res.status(404).json({ error: "parceiro não encontrado nesta região" });
+    }
+
+    const { data: linhas, error } = await supabase.rpc("metricas_serie", {
+      p_intervalo: INTERVALOS[periodo.intervalo],
+      p_desde: periodo.desde.toISOString(),
+      p_ate: periodo.ate.toISOString(),
+      p_regiao_id: regiao.id,
+      p_cidade_id: cidade?.id || null,
+      p_parceiro_id: parceiroId || null,
+      p_categoria: categoria || null
+    });
+    if (error) {
+      console.error("[/api/admin/metrics/timeseries] rpc erro:", error);
+      return res.status(500).json({ error: "Erro ao calcular a série." });
+    }
+    const { pontos, totais } = formatarSerie(linhas);
+
+    if (formato === "csv") {
+      const nomeDoArquivo = `metricas-${regiao.slug}${cidade ? `-${cidade.slug}` : ""}-${periodo.intervalo}.csv`;
+      res.setHeader("Content-Disposition", `attachment; filename="${nomeDoArquivo}"`);
+      return res.type("text/csv; charset=utf-8").send("\uFEFF" + escreverCsv(pontos, COLUNAS_DA_SERIE));
+    }
+
+    return res.json({
+      ok: true,
+      data: {
+        regiao: { id: regiao.id, nome: regiao.nome, slug: regiao.slug },
+        cidade,
+        filtros: { parceiroId: parceiroId || null, categoria: categoria || null },
+        intervalo: periodo.intervalo,
+        desde: periodo.desde.toISOString(),
+        ate: periodo.ate.toISOString(),
+        totais,
+        pontos
+      }
+    });
+  } catch (e) {
+    console.error("[/api/admin/metrics/timeseries] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: DEMANDA NÃO ATENDIDA (buscas sem ou com poucos resultados)
+// GET /api/admin/relatorios/demanda?regiaoSlug=...[&cidadeSlug=...][&desde=...][&ate=...]
+//     [&maxResultados=2][&limit=50]
+// Termos parecidos são agrupados (lib/demanda.js); serve para priorizar captação
+// ============================================================================
+const DEMANDA_MAX_BUSCAS = Number(process.env.DEMANDA_MAX_BUSCAS || 5000);
+
+application.get("/api/admin/relatorios/demanda", exigirConta("leitura"), async (req, res) => {
+  try {
+    const { regiaoSlug, cidadeSlug } = req.query;
+    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
+    const maxResultados = Math.max(0, Number(req.query.maxResultados ?? 2) || 0);
+    const limite = Math.min(Number(req.query.limit) || 50, 500);
+
+    const { periodo, erros } = lerPeriodoDaSerie({ desde: req.query.desde, ate: req.query.ate });
+    if (erros.length > 0) return res.status(400).json({ error: "parâmetros inválidos", detalhes: erros });
+
+    const { data: regiao, error: eReg } = await supabase
+      .from("regioes").select("id, nome, slug").eq("slug", regiaoSlug).maybeSingle();
+    if (eReg) throw eReg;
+    if (!regiao) return res.status(404).json({ error: "região não encontrada" });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    const { data: cidades, error: eCid } = await supabase.from("cidades").select("id, nome, slug").eq("regiao_id", regiao.id);
+    if (eCid) throw eCid;
+    let cidade = null;
+    if (cidadeSlug) {
+      cidade = (cidades || []).find((c) => c.slug === cidadeSlug) || null;
+      if (!cidade) return res.status(404).json({ error: "cidade não encontrada nesta região" });
+    }
+
+    let consulta = supabase
+      .from("buscas_texto")
+      .select("texto, termos, total_resultados, cidade_id, created_at")
+      .eq("regiao_id", regiao.id)
+      .not("total_resultados", "is", null)
+      .lte("total_resultados", maxResultados)
+      .gte("created_at", periodo.desde.toISOString())
+      .lt("created_at", periodo.ate.toISOString())
+      .order("created_at", { ascending: false })
+      .limit(DEMANDA_MAX_BUSCAS);
+    if (cidade) consulta = consulta.eq("cidade_id", cidade.id);
+    const { data: buscas, error } = await consulta;
+    if (error) {
+      console.error("[/api/admin/relatorios/demanda] erro:", error);
+      return res.status(500).json({ error: "Erro ao carregar buscas." });
+    }
+
+    const grupos = agruparDemanda(buscas || [], { nomeDaCidade: new Map((cidades || []).map((c) => [c.id, c.nome])) });
+    return res.json({
+      ok: true,
+      data: {
+        regiao: { id: regiao.id, nome: regiao.nome, slug: regiao.slug },
+        cidade,
+        desde: periodo.desde.toISOString(),
+        ate: periodo.ate.toISOString(),
+        max_resultados: maxResultados,
+        buscas_analisadas: (buscas || []).length,
+        truncado: (buscas || []).length >= DEMANDA_MAX_BUSCAS,
+        grupos: grupos.slice(0, limite)
+      }
+    });
+  } catch (e) {
+    console.error("[/api/admin/relatorios/demanda] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: FEEDBACKS (painel de avaliações do chat)
+// GET /api/admin/feedbacks?regiaoSlug=...[&cidadeSlug=...][&parceiroId=...][&motivo=...]
+//     [&desde=...][&ate=...][&limit=50][&offset=0]
+// Lista com o texto da interação e as sugestões mostradas + agregados por
+// cidade, parceiro e motivo (sobre todo o período filtrado)
+// ============================================================================
+const FEEDBACK_MAX_LINHAS = Number(process.env.FEEDBACK_MAX_LINHAS || 5000);
+
+application.get("/api/admin/feedbacks", exigirConta("leitura"), async (req, res) => {
+  try {
+    const { regiaoSlug, cidadeSlug, parceiroId, motivo } = req.query;
+    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
+    if (motivo && !MOTIVOS_DE_FEEDBACK.includes(motivo)) {
+      return res.status(400).json({ error: `motivo inválido (use ${MOTIVOS_DE_FEEDBACK.join(", ")})` });
+    }
+    const limite = Math.min(Number(req.query.limit) || 50, 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const { periodo, erros } = lerPeriodoDaSerie({ desde: req.query.desde, ate: req.query.ate });
+    if (erros.length > 0) return res.status(400).json({ error: "parâmetros inválidos", detalhes: erros });
+
+    const { data: regiao, error: eReg } = await supabase
+      .from("regioes").select("id, nome, slug").eq("slug", regiaoSlug).maybeSingle();
+    if (eReg) throw eReg;
+    if (!regiao) return res.status(404).json({ error: "região não encontrada" });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    const { data: cidades, error: eCid } = await supabase.from("cidades").select("id, nome, slug").eq("regiao_id", regiao.id);
+    if (eCid) throw eCid;
+    let cidade = null;
+    if (cidadeSlug) {
+      cidade = (cidades || []).find((c) => c.slug === cidadeSlug) || null;
+      if (!cidade) return res.status(404).json({ error: "cidade não encontrada nesta região" });
+    }
+
+    let consulta = supabase
+      .from("feedbacks")
+      .select("id, interacao_id, conversation_id, cidade_id, parceiro_id, polegar, nota, motivos, comentario, created_at")
+      .eq("regiao_id", regiao.id)
+      .gte("created_at", periodo.desde.toISOString())
+      .lt("created_at", periodo.ate.toISOString())
+      .order("created_at", { ascending: false })
+      .limit(FEEDBACK_MAX_LINHAS);
+    if (cidade) consulta = consulta.eq("cidade_id", cidade.id);
+    if (parceiroId) consulta = consulta.eq("parceiro_id", String(parceiroId));
+    if (motivo) consulta = consulta.contains("motivos", [motivo]);
+    const { data: feedbacks, error } = await consulta;
+    if (error) {
+      console.error("[/api/admin/feedbacks] erro:", error);
+      return res.status(500).json({ error: "Erro ao carregar feedbacks." });
+    }
+    const linhas = feedbacks || [];
+    const pagina = linhas.slice(offset, offset + limite);
+
+    // Nomes dos parceiros (agregados) e interações só da página listada
+    const idsDeParceiros = [...new Set(linhas.map((f) => f.parceiro_id).filter(Boolean))];
+    const idsDeInteracoes = [...new Set(pagina.map((f) => f.interacao_id))];
+    const [{ data: parceiros, error: eParc }, { data: interacoes, error: eInt }] = await Promise.all([
+      idsDeParceiros.length
+        ? supabase.from("parceiros").select("id, nome, categoria").in("id", idsDeParceiros)
+        : Promise.resolve({ data: [] }),
+      idsDeInteracoes.length
+        ? supabase.from("interacoes").select("id, pergunta_usuario, resposta_ia, parceiros_sugeridos, created_at").in("id", idsDeInteracoes)
+        : Promise.resolve({ data: [] })
+    ]);
+    if (eParc) throw eParc;
+    if (eInt) throw eInt;
+
+    const nomeDaCidade = new Map((cidades || []).map((c) => [c.id, c.nome]));
+    const parceiroPorId = new Map((parceiros || []).map((p) => [p.id, p]));
+    const interacaoPorId = new Map((interacoes || []).map((i) => [i.id, i]));
+
+    const itens = pagina.map((f) => {
+      const interacao = interacaoPorId.get(f.interacao_id);
+      const parceiro = parceiroPorId.get(f.parceiro_id);
+      return {
+        ...f,
+        cidade: f.cidade_id ? nomeDaCidade.get(f.cidade_id) || null : null,
+        parceiro: parceiro ? { id: parceiro.id, nome: parceiro.nome, categoria: parceiro.categoria } : null,
+        interacao: interacao
+          ? {
+              id: interacao.id,
+              pergunta_usuario: interacao.pergunta_usuario,
+              resposta_ia: interacao.resposta_ia,
+              created_at: interacao.created_at,
+              sugeridos: (Array.isArray(interacao.parceiros_sugeridos) ? interacao.parceiros_sugeridos : []).map((p) => ({
+                id: p?.id || null,
+                nome: p?.nome || null,
+                categoria: p?.categoria || null
+              }))
+            }
+          : null
+      };
+    });
+
+    return res.json({
+      ok: true,
+      data: {
+        regiao: { id: regiao.id, nome: regiao.nome, slug: regiao.slug },
+        cidade,
+        desde: periodo.desde.toISOString(),
+        ate: periodo.ate.toISOString(),
+        truncado: linhas.length >= FEEDBACK_MAX_LINHAS,
+        resumo: agregarFeedbacks(linhas, {
+          cidades: nomeDaCidade,
+          parceiros: new Map((parceiros || []).map((p) => [p.id, p.nome]))
+        }),
+        total: linhas.length,
+        limit: limite,
+        offset,
+        itens
+      }
+    });
+  } catch (e) {
+    console.error("[/api/admin/feedbacks] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: LOGS / EVENTOS (auditoria simples)
+// GET /api/admin/logs?tipo=search&regiaoSlug=...&cidadeSlug=...&parceiroId=...&conversationId=...&since=...&until=...&limit=50
+// ============================================================================
+application.get("/api/admin/logs", exigirConta("leitura"), async (req, res) => {
+  try {
+    const {
+      tipo,
+      regiaoSlug,
+      cidadeSlug,
+      parceiroId,
+      conversationId,
+      since,
+      until,
+      limit
+    } = req.query;
+
+    // Normaliza o limite (padrão 50, máximo 200)
+    let lim = Number(limit || 50);
+    if (!Number.isFinite(lim) || lim <= 0) lim = 50;
+    if (lim > 200) lim = 200;
+
+    // Resolve IDs a partir de slugs (se fornecidos)
+    let regiaoId = null;
+    let cidadeId = null;
+
+    if (regiaoSlug) {
+      const { data: regiao, error: eReg } = await supabase
+        .from("regioes")
+        .select("id, slug")
+        .eq("slug", String(regiaoSlug))
+        .single();
+      if (eReg) {
+        console.error("[/api/admin/logs] erro ao buscar região:", eReg);
+        return res.status(500).json({ error: "erro ao buscar região" });
+      }
+      if (!regiao) return res.status(404).json({ error: "região não encontrada" });
+      if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+      regiaoId = regiao.id;
+    }
+
+    if (cidadeSlug && regiaoId) {
+      const { data: cidade, error: eCid } = await supabase
+        .from("cidades")
+        .select("id, slug, regiao_id")
+        .eq("slug", String(cidadeSlug))
+        .eq("regiao_id", regiaoId)
+        .single();
+      if (eCid) {
+        console.error("[/api/admin/logs] erro ao buscar cidade:", eCid);
+        return res.status(500).json({ error: "erro ao buscar cidade" });
+      }
+      if (!cidade) return res.status(404).json({ error: "cidade não encontrada nesta região" });
+      cidadeId = cidade.id;
+    }
+
+    // Monta consulta
+    let query = supabase
+      .from("eventos_analytics")
+      .select("id, created_at, regiao_id, cidade_id, parceiro_id, conversation_id, tipo_evento, payload")
+      .order("created_at", { ascending: false })
+      .limit(lim);
+
+    if (tipo) query = query.eq("tipo_evento", String(tipo));
+    if (regiaoId) query = query.eq("regiao_id", regiaoId);
+    else if (regioesDoEscopo(req.conta) !== null) query = query.in("regiao_id", regioesDoEscopo(req.conta));
+    if (cidadeId) query = query.eq("cidade_id", cidadeId);
+    if (parceiroId) query = query.eq("parceiro_id", String(parceiroId));
+    if (conversationId) query = query.eq("conversation_id", String(conversationId));
+    if (since) query = query.gte("created_at", String(since));
+    if (until) query = query.lte("created_at", String(until));
+
+    const { data, error } = await query;
+    if (error) {
+      console.error("[/api/admin/logs] erro supabase:", error);
+      return res.status(500).json({ error: "erro ao consultar logs" });
+    }
+
+    return res.json({ data });
+  } catch (e) {
+    console.error("[/api/admin/logs] erro inesperado:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: CONVERSA COMPLETA (transcrição + interações registradas)
+// GET /api/admin/conversas/:id
+// ============================================================================
+application.get("/api/admin/conversas/:id", exigirConta("leitura"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: conversa, error: eConv } = await supabase
+      .from("conversas")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (eConv || !conversa) {
+      // Conversas criadas durante falha do Supabase só existem na memória local
+      // (sem região registrada: só quem enxerga todas as regiões)
+      if (memoriaConversas.has(id) && regioesDoEscopo(req.conta) === null) {
+        return res.json({ origem: "memoria", conversa: { id, ...memoriaConversas.get(id) }, interacoes: [] });
+      }
+      if (eConv) {
+        console.error("[/api/admin/conversas/:id] erro supabase:", eConv);
+        return res.status(500).json({ error: "erro ao buscar conversa" });
+      }
+      return res.status(404).json({ error: "conversa não encontrada" });
+    }
+    if (!regiaoNoEscopo(req.conta, conversa.regiao_id)) return responderForaDoEscopo(res);
+
+    const { data: interacoes, error: eInt } = await supabase
+      .from("interacoes")
+      .select("id, created_at, pergunta_usuario, resposta_ia, feedback_usuario")
+      .eq("conversation_id", id)
+      .order("created_at", { ascending: true });
+    if (eInt) console.error("[/api/admin/conversas/:id] erro ao buscar interações (segue):", eInt);
+
+    return res.json({
+      origem: ARMAZEM_DE_DADOS,
+      conversa: { ...conversa, transcricao: Array.isArray(conversa.transcricao) ? conversa.transcricao : [] },
+      interacoes: interacoes || []
+    });
+  } catch (e) {
+    console.error("[/api/admin/conversas/:id] erro inesperado:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// PORTAL DO PARCEIRO (contas com papel "parceiro", ver lib/portalParceiros.js)
+// - O parceiro vê seus cadastros, propõe edições e acompanha estatísticas
+// - Edições ficam pendentes até um admin aprovar ou rejeitar
+// ============================================================================
+const CAMPOS_DO_PARCEIRO_NO_PORTAL =
+  "id, tipo, nome, categoria, descricao, beneficio_bepit, endereco, contato, horario_funcionamento, horario_estruturado, faixa_preco, fotos_parceiros, comodidades, cidade_id, ativo";
+
+application.post("/api/parceiro/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.status(400).json({ error: "username e password são obrigatórios" });
+
+    const resultado = await autenticar(username, password, ["parceiro"]);
+    if (resultado.sessao) return res.json({ ok: true, ...resultado.sessao });
+    if (resultado.erro === "bloqueado") {
+      return res.status(423).json({ error: "Conta bloqueada por excesso de tentativas.", bloqueadoAte: resultado.bloqueadoAte });
+    }
+    return res.status(401).json({ error: "Credenciais inválidas" });
+  } catch (e) {
+    console.error("[/api/parceiro/login] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.post("/api/parceiro/logout", exigirConta("portal"), encerrarSessao);
+
+// Conta + cadastros vinculados
+application.get("/api/parceiro/me", exigirConta("portal"), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("parceiros")
+      .select(CAMPOS_DO_PARCEIRO_NO_PORTAL)
+      .in("id", req.conta.parceiros)
+      .is("excluido_em", null)
+      .order("nome");
+    if (error) {
+      console.error("[/api/parceiro/me] erro:", error);
+      return res.status(500).json({ error: "Erro ao carregar parceiros." });
+    }
+    return res.json({ id: req.conta.id, username: req.conta.username, parceiros: data || [] });
+  } catch (e) {
+    console.error("[/api/parceiro/me] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// Cadastro atual + histórico de propostas
+application.get("/api/parceiro/parceiros/:id", exigirConta("portal"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!parceiroDaConta(req.conta, id)) return res.status(403).json({ error: "parceiro não vinculado a esta conta" });
+
+    const { data: parceiro, error } = await supabase
+      .from("parceiros").select(CAMPOS_DO_PARCEIRO_NO_PORTAL).eq("id", id).is("excluido_em", null).maybeSingle();
+    if (error) {
+      console.error("[/api/parceiro/parceiros/:id] erro:", error);
+      return res.status(500).json({ error: "Erro ao carregar parceiro." });
+    }
+    if (!parceiro) return res.status(404).json({ error: "parceiro não encontrado" });
+
+    const { data: edicoes, error: eEd } = await supabase
+      .from("parceiro_edicoes")
+      .select("id, campos, status, motivo_rejeicao, created_at, revisado_em")
+      .eq("parceiro_id", id)
+      .order("created_at", { ascending: false })
+      .limit(20);
+    if (eEd) console.error("[/api/parceiro/parceiros/:id] erro ao carregar edições (segue):", eEd);
+
+    return res.json({ parceiro, edicoes: edicoes || [] });
+  } catch (e) {
+    console.error("[/api/parceiro/parceiros/:id] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// Proposta de edição (fica pendente; substitui a pendente anterior)
+application.post("/api/parceiro/parceiros/:id/edicoes", exigirConta("portal"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!parceiroDaConta(req.conta, id)) return res.status(403).json({ error: "parceiro não vinculado a esta conta" });
+
+    const { campos, erros } = validarPropostaDeEdicao(req.body);
+    if (erros.length > 0) return res.status(400).json({ error: "Proposta de edição inválida.", detalhes: erros });
+
+    const { data: existe, error: eExiste } = await supabase
+      .from("parceiros").select("id").eq("id", id).is("excluido_em", null).maybeSingle();
+    if (eExiste) throw eExiste;
+    if (!existe) return res.status(404).json({ error: "parceiro não encontrado" });
+
+    const { error: eSub } = await supabase
+      .from("parceiro_edicoes")
+      .update({ status: "substituida" })
+      .eq("parceiro_id", id)
+      .eq("status", "pendente");
+    if (eSub) console.error("[/api/parceiro/.../edicoes] falha ao substituir pendente (segue):", eSub);
+
+    const { data, error } = await supabase
+      .from("parceiro_edicoes")
+      .insert({ parceiro_id: id, conta_id: req.conta.id, campos, status: "pendente" })
+      .select("*")
+      .single();
+    if (error) {
+      console.error("[/api/parceiro/.../edicoes] insert erro:", error);
+      return res.status(500).json({ error: "Erro ao registrar proposta." });
+    }
+
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[/api/parceiro/.../edicoes] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// Estatísticas do parceiro: ?since=ISO&until=ISO (padrão: últimos 30 dias)
+application.get("/api/parceiro/parceiros/:id/estatisticas", exigirConta("portal"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!parceiroDaConta(req.conta, id)) return res.status(403).json({ error: "parceiro não vinculado a esta conta" });
+
+    const ate = req.query.until ? new Date(String(req.query.until)) : new Date();
+    const desde = req.query.since ? new Date(String(req.query.since)) : new Date(ate.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(ate.getTime()) || Number.isNaN(desde.getTime())) {
+      return res.status(400).json({ error: "since/until devem ser datas ISO" });
+    }
+
+    const [viewsRes, eventosRes, feedbackRes] = await Promise.all([
+      supabase.from("parceiro_views").select("views_total, last_view_at").eq("parceiro_id", id).maybeSingle(),
+      supabase
+        .from("eventos_analytics")
+        .select("tipo_evento, created_at")
+        .eq("parceiro_id", id)
+        .gte("created_at", desde.toISOString())
+        .lte("created_at", ate.toISOString()),
+      supabase
+        .from("interacoes")
+        .select("created_at, feedback_usuario")
+        .contains("parceiros_sugeridos", JSON.stringify([{ id }])) // jsonb @> (sugestões com este parceiro)
+        .not("feedback_usuario", "is", null)
+        .gte("created_at", desde.toISOString())
+        .lte("created_at", ate.toISOString())
+        .order("created_at", { ascending: false })
+    ]);
+    const erro = viewsRes.error || eventosRes.error || feedbackRes.error;
+    if (erro) {
+      console.error("[/api/parceiro/.../estatisticas] erro supabase:", erro);
+      return res.status(500).json({ error: "Erro ao carregar estatísticas." });
+    }
+
+    return res.json(
+      resumirEstatisticas({
+        views: viewsRes.data,
+        eventos: eventosRes.data,
+        feedbacks: feedbackRes.data,
+        desde: desde.toISOString(),
+        ate: ate.toISOString()
+      })
+    );
+  } catch (e) {
+    console.error("[/api/parceiro/.../estatisticas] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// ADMIN: MODERAÇÃO DAS EDIÇÕES PROPOSTAS PELOS PARCEIROS
+// GET  /api/admin/edicoes-parceiros?status=pendente
+// POST /api/admin/edicoes-parceiros/:id/aprovar
+// POST /api/admin/edicoes-parceiros/:id/rejeitar { motivo }
+// ============================================================================
+application.get("/api/admin/edicoes-parceiros", exigirConta("leitura"), async (req, res) => {
+  try {
+    const status = String(req.query.status || "pendente");
+
+    const { data: edicoes, error } = await supabase
+      .from("parceiro_edicoes")
+      .select("id, parceiro_id, conta_id, campos, status, motivo_rejeicao, revisado_por, revisado_em, created_at")
+      .eq("status", status)
+      .order("created_at", { ascending: true })
+      .limit(200);
+    if (error) {
+      console.error("[/api/admin/edicoes-parceiros] erro:", error);
+      return res.status(500).json({ error: "Erro ao listar edições." });
+    }
+
+    // Junta nome/cidade/região do parceiro e aplica o escopo de regiões da conta
+    const ids = Array.from(new Set((edicoes || []).map((e) => e.parceiro_id)));
+    const { data: parceiros } = ids.length
+      ? await supabase.from("parceiros").select("id, nome, cidade_id").in("id", ids)
+      : { data: [] };
+    const cidadeIds = Array.from(new Set((parceiros || []).map((p) => p.cidade_id)));
+    const { data: cidades } = cidadeIds.length
+      ? await supabase.from("cidades").select("id, regiao_id").in("id", cidadeIds)
+      : { data: [] };
+    const regiaoPorCidade = new Map((cidades || []).map((c) => [c.id, c.regiao_id]));
+    const parceiroPorId = new Map((parceiros || []).map((p) => [p.id, p]));
+
+    const data = (edicoes || [])
+      .map((e) => {
+        const p = parceiroPorId.get(e.parceiro_id);
+        return { ...e, parceiro: p ? { id: p.id, nome: p.nome, regiao_id: regiaoPorCidade.get(p.cidade_id) || null } : null };
+      })
+      .filter((e) => e.parceiro && regiaoNoEscopo(req.conta, e.parceiro.regiao_id));
+
+    return res.json({ data });
+  } catch (e) {
+    console.error("[/api/admin/edicoes-parceiros] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// Carrega uma edição pendente e confere o escopo (devolve null se já respondeu)
+async function carregarEdicaoPendente(req, res) {
+  const { data: edicao, error } = await supabase.from("parceiro_edicoes").select("*").eq("id", req.params.id).maybeSingle();
+  if (error) {
+    console.error("[edicoes-parceiros] erro:", error);
+    res.status(500).json({ error: "Erro ao carregar edição." });
+    return null;
+  }
+  if (!edicao) {
+    res.status(404).json({ error: "edição não encontrada" });
+    return null;
+  }
+  if (edicao.status !== "pendente") {
+    res.status(409).json({ error: `edição já está '${edicao.status}'` });
+    return null;
+  }
+  const regiaoId = await regiaoDoParceiro(edicao.parceiro_id);
+  if (!regiaoNoEscopo(req.conta, regiaoId)) {
+    responderForaDoEscopo(res);
+    return null;
+  }
+  return edicao;
+}
+
+application.post("/api/admin/edicoes-parceiros/:id/aprovar", exigirConta("escrita"), async (req, res) => {
+  try {
+    const edicao = await carregarEdicaoPendente(req, res);
+    if (!edicao) return;
+
+    const { data: antes, error: eAntes } = await supabase
+      .from("parceiros").select("*").eq("id", edicao.parceiro_id).is("excluido_em", null).maybeSingle();
+    if (eAntes) throw eAntes;
+    // Parceiro excluído depois da proposta: não reaplica nada na lixeira
+    if (!antes) return res.status(409).json({ error: "parceiro foi excluído; rejeite a edição" });
+    const { data: parceiro, error: eUpd } = await supabase
+      .from("parceiros")
+      .update(edicao.campos)
+      .eq("id", edicao.parceiro_id)
+      .is("excluido_em", null)
+      .select("*")
+      .single();
+    if (eUpd) {
+      console.error("[/api/admin/edicoes-parceiros/:id/aprovar] erro ao aplicar:", eUpd);
+      return res.status(500).json({ error: "Erro ao aplicar edição." });
+    }
+    await registrarRevisoes([
+      montarRevisao({ parceiroId: parceiro.id, acao: "edicao_portal", conta: req.conta, antes, depois: parceiro })
+    ]);
+
+    const { error: eStatus } = await supabase
+      .from("parceiro_edicoes")
+      .update({ status: "aprovada", revisado_por: req.conta.username, revisado_em: new Date().toISOString() })
+      .eq("id", edicao.id);
+    if (eStatus) console.error("[/api/admin/edicoes-parceiros/:id/aprovar] erro ao marcar status:", eStatus);
+
+    return res.json({ ok: true, data: parceiro });
+  } catch (e) {
+    console.error("[/api/admin/edicoes-parceiros/:id/aprovar] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+application.post("/api/admin/edicoes-parceiros/:id/rejeitar", exigirConta("escrita"), async (req, res) => {
+  try {
+    const edicao = await carregarEdicaoPendente(req, res);
+    if (!edicao) return;
+
+    const motivo = req.body?.motivo ? String(req.body.motivo).slice(0, 500) : null;
+    const { data, error } = await supabase
+      .from("parceiro_edicoes")
+      .update({
+        status: "rejeitada",
+        motivo_rejeicao: motivo,
+        revisado_por: req.conta.username,
+        revisado_em: new Date().toISOString()
+      })
+      .eq("id", edicao.id)
+      .select("*")
+      .single();
+    if (error) {
+      console.error("[/api/admin/edicoes-parceiros/:id/rejeitar] erro:", error);
+      return res.status(500).json({ error: "Erro ao rejeitar edição." });
+    }
+
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[/api/admin/edicoes-parceiros/:id/rejeitar] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
+
+// ============================================================================
+// RESERVAS: painel do admin e do parceiro (pedidos feitos pelo chat)
+// GET  /api/admin/reservas?regiaoSlug=...[&parceiroId=...][&status=...][&desde=YYYY-MM-DD][&limit=100]
+// POST /api/admin/reservas/:id/status { status: "confirmada"|"recusada"|"cancelada", motivo? }
+// GET  /api/parceiro/parceiros/:id/reservas[?status=...][&desde=YYYY-MM-DD]
+// POST /api/parceiro/reservas/:id/status { status, motivo? }
+// "desde" filtra pela data da reserva (padrão: hoje); lista por data e hora
 // ============================================================================
-application.post("/api/admin/login", async (req, res) => {
+const CAMPOS_DA_RESERVA_NO_PAINEL =
+  "id, codigo, parceiro_id, regiao_id, conversation_id, data, hora, pessoas, nome, telefone, idioma, status, motivo, historico, atualizado_em, created_at, parceiros(nome)";
+
+// ?status/?desde/?limit das listagens + filtros fixos da rota (coluna → valor) → consulta ou erros
+function consultaDeReservas(query, filtros = {}) {
+  const erros = [];
+  const status = query.status ? String(query.status) : null;
+  if (status && !STATUS_DE_RESERVA.includes(status)) erros.push({ campo: "status", mensagem: `use ${STATUS_DE_RESERVA.join(", ")}` });
+  const desde = query.desde ? String(query.desde) : partesLocais().data;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(desde)) erros.push({ campo: "desde", mensagem: "use YYYY-MM-DD" });
+  if (erros.length > 0) return { consulta: null, erros };
+
+  let consulta = supabase
+    .from("reservas")
+    .select(CAMPOS_DA_RESERVA_NO_PAINEL)
+    .gte("data", desde)
+    .order("data", { ascending: true })
+    .order("hora", { ascending: true })
+    .limit(Math.min(Number(query.limit) || 100, 500));
+  if (status) consulta = consulta.eq("status", status);
+  for (const [coluna, valor] of Object.entries(filtros)) if (valor) consulta = consulta.eq(coluna, valor);
+  return { consulta, erros };
+}
+
+async function carregarReserva(req, res) {
+  const { data: reserva, error } = await supabase
+    .from("reservas").select(CAMPOS_DA_RESERVA_NO_PAINEL).eq("id", req.params.id).maybeSingle();
+  if (error) throw error;
+  if (!reserva) res.status(404).json({ error: "reserva não encontrada" });
+  return reserva;
+}
+
+// Confirma, recusa ou cancela; "por" entra no histórico da reserva
+async function mudarStatusDaReserva(req, res, reserva, por) {
+  const { status, motivo, erros } = validarMudancaDeStatus(req.body);
+  if (erros.length > 0) return responderPayloadInvalido(res, erros);
+  if (!transicaoPermitida(reserva.status, status)) {
+    return res.status(409).json({ error: `reserva ${reserva.status} não pode passar para ${status}` });
+  }
+
+  // Só aplica se ninguém mudou o status no meio do caminho
+  const { data, error } = await supabase
+    .from("reservas")
+    .update(mudancaDeStatus(reserva, { status, motivo, por }))
+    .eq("id", reserva.id)
+    .eq("status", reserva.status)
+    .select(CAMPOS_DA_RESERVA_NO_PAINEL)
+    .maybeSingle();
+  if (error) {
+    console.error("[reservas status] erro:", error);
+    return res.status(500).json({ error: "Erro ao atualizar reserva." });
+  }
+  if (!data) return res.status(409).json({ error: "o status da reserva mudou enquanto isso; recarregue" });
+  publicarEvento("reserva.atualizada", { regiaoId: data.regiao_id, dados: reservaParaWebhook(data) });
+  return res.json({ ok: true, data });
+}
+
+application.get("/api/admin/reservas", exigirConta("leitura"), async (req, res) => {
   try {
-    const { username, password } = req.body || {};
-    const userOk = username && username === process.env.ADMIN_USER;
-    const passOk = password && password === process.env.ADMIN_PASS;
+    const { regiaoSlug, parceiroId } = req.query;
+    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
 
-    if (!userOk || !passOk) return res.status(401).json({ error: "Credenciais inválidas" });
+    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id").eq("slug", regiaoSlug).maybeSingle();
+    if (eReg) throw eReg;
+    if (!regiao) return res.status(404).json({ error: "região não encontrada" });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    const { consulta, erros } = consultaDeReservas(req.query, {
+      regiao_id: regiao.id,
+      parceiro_id: parceiroId ? String(parceiroId) : null
+    });
+    if (erros.length > 0) return res.status(400).json({ error: "parâmetros inválidos", detalhes: erros });
 
-    return res.json({ ok: true, adminKey: process.env.ADMIN_API_KEY });
+    const { data, error } = await consulta;
+    if (error) {
+      console.error("[/api/admin/reservas] erro:", error);
+      return res.status(500).json({ error: "Erro ao listar reservas." });
+    }
+    return res.json({ ok: true, data: data || [] });
   } catch (e) {
-    console.error("[/api/admin/login] erro:", e);
+    console.error("[/api/admin/reservas] erro:", e);
     return res.status(500).json({ error: "erro interno" });
   }
 });
 
-// CRIAR parceiro/dica
-application.post("/api/admin/parceiros", exigirAdminKey, async (request, response) => {
+application.post("/api/admin/reservas/:id/status", exigirConta("escrita"), async (req, res) => {
   try {
-    const body = request.body;
-    const { regiaoSlug, cidadeSlug, ...restante } = body;
-
-    const { data: regiao, error: eReg } = await supabase
-      .from("regioes").select("id").eq("slug", regiaoSlug).single();
-    if (eReg || !regiao) return response.status(400).json({ error: "regiaoSlug inválido." });
+    const reserva = await carregarReserva(req, res);
+    if (!reserva) return;
+    if (!(await conferirEscopoDoParceiro(req, res, reserva.parceiro_id))) return;
+    return await mudarStatusDaReserva(req, res, reserva, `admin:${req.conta.username}`);
+  } catch (e) {
+    console.error("[/api/admin/reservas/:id/status] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
 
-    const { data: cidade, error: eCid } = await supabase
-      .from("cidades").select("id").eq("regiao_id", regiao.id).eq("slug", cidadeSlug).single();
-    if (eCid || !cidade) return response.status(400).json({ error: "cidadeSlug inválido." });
+application.get("/api/parceiro/parceiros/:id/reservas", exigirConta("portal"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!parceiroDaConta(req.conta, id)) return res.status(403).json({ error: "parceiro não vinculado a esta conta" });
 
-    const novoRegistro = {
-      cidade_id: cidade.id,
-      tipo: restante.tipo || "PARCEIRO", // ou "DICA"
-      nome: restante.nome,
-      descricao: restante.descricao || null,
-      categoria: restante.categoria || null,
-      beneficio_bepit: restante.beneficio_bepit || null,
-      endereco: restante.endereco || null,
-      contato: restante.contato || null,
-      tags: Array.isArray(restante.tags) ? restante.tags : null,
-      horario_funcionamento: restante.horario_funcionamento || null,
-      faixa_preco: restante.faixa_preco || null,
-      fotos_parceiros: Array.isArray(restante.fotos_parceiros) ? restante.fotos_parceiros : (Array.isArray(restante.fotos) ? restante.fotos : null),
-      ativo: restante.ativo !== false
-    };
+    const { consulta, erros } = consultaDeReservas(req.query, { parceiro_id: id });
+    if (erros.length > 0) return res.status(400).json({ error: "parâmetros inválidos", detalhes: erros });
 
-    const { data, error } = await supabase.from("parceiros").insert(novoRegistro).select("*").single();
+    const { data, error } = await consulta;
     if (error) {
-      console.error("[/api/admin/parceiros] insert erro:", error);
-      return response.status(500).json({ error: "Erro ao criar parceiro/dica." });
+      console.error("[/api/parceiro/.../reservas] erro:", error);
+      return res.status(500).json({ error: "Erro ao listar reservas." });
     }
-
-    return response.status(200).json({ ok: true, data });
-  } catch (erro) {
-    console.error("[/api/admin/parceiros] Erro:", erro);
-    return response.status(500).json({ error: "Erro interno." });
+    return res.json({ ok: true, data: data || [] });
+  } catch (e) {
+    console.error("[/api/parceiro/.../reservas] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
   }
 });
 
-// LISTAR parceiros por região+cidade
-application.get("/api/admin/parceiros/:regiaoSlug/:cidadeSlug", exigirAdminKey, async (request, response) => {
+application.post("/api/parceiro/reservas/:id/status", exigirConta("portal"), async (req, res) => {
   try {
-    const { regiaoSlug, cidadeSlug } = request.params;
+    const reserva = await carregarReserva(req, res);
+    if (!reserva) return;
+    if (!parceiroDaConta(req.conta, reserva.parceiro_id)) return res.status(403).json({ error: "parceiro não vinculado a esta conta" });
+    return await mudarStatusDaReserva(req, res, reserva, `parceiro:${req.conta.username}`);
+  } catch (e) {
+    console.error("[/api/parceiro/reservas/:id/status] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
 
-    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id").eq("slug", regiaoSlug).single();
-    if (eReg || !regiao) return response.status(400).json({ error: "regiaoSlug inválido." });
+// ============================================================================
+// VOUCHERS: resgate pelo parceiro e relatório do admin
+// POST /api/parceiro/vouchers/resgatar { codigo }  (código ou conteúdo do QR)
+// GET  /api/admin/vouchers/relatorio?regiaoSlug=...[&parceiroId=...][&desde=...][&ate=...]
+// Resgate: 404 se o voucher não é dos parceiros da conta, 409 se já foi usado,
+// 410 se venceu
+// ============================================================================
+const CAMPOS_DO_VOUCHER_NO_PAINEL =
+  "id, codigo, parceiro_id, regiao_id, conversation_id, beneficio, idioma, status, expira_em, resgatado_em, resgatado_por, created_at, parceiros(nome)";
+const VOUCHERS_MAX_LINHAS = Number(process.env.VOUCHERS_MAX_LINHAS || 20000);
 
-    const { data: cidade, error: eCid } = await supabase
-      .from("cidades").select("id").eq("regiao_id", regiao.id).eq("slug", cidadeSlug).single();
-    if (eCid || !cidade) return response.status(400).json({ error: "cidadeSlug inválido." });
+application.post("/api/parceiro/vouchers/resgatar", exigirConta("portal"), async (req, res) => {
+  try {
+    const codigo = lerCodigoDeVoucher(req.body?.codigo);
+    if (!codigo) return responderPayloadInvalido(res, [{ campo: "codigo", mensagem: "código de voucher inválido (ex.: V-7KQ2-MX9A)" }]);
+
+    const { data: voucher, error: eVou } = await supabase
+      .from("vouchers").select(CAMPOS_DO_VOUCHER_NO_PAINEL).eq("codigo", codigo).maybeSingle();
+    if (eVou) throw eVou;
+    // Voucher de outro parceiro responde como inexistente
+    if (!voucher || !parceiroDaConta(req.conta, voucher.parceiro_id)) return res.status(404).json({ error: "voucher não encontrado" });
+
+    const agora = new Date();
+    const situacao = situacaoDoVoucher(voucher, agora);
+    if (situacao === "resgatado") {
+      return res.status(409).json({ error: "voucher já foi usado", resgatado_em: voucher.resgatado_em });
+    }
+    if (situacao === "expirado") return res.status(410).json({ error: "voucher expirado", expira_em: voucher.expira_em });
 
-    const { data, error } = await supabase.from("parceiros").select("*").eq("cidade_id", cidade.id).order("nome");
+    // Só resgata se ninguém resgatou no meio do caminho
+    const { data, error } = await supabase
+      .from("vouchers")
+      .update({ status: "resgatado", resgatado_em: agora.toISOString(), resgatado_por: `parceiro:${req.conta.username}` })
+      .eq("id", voucher.id)
+      .eq("status", "emitido")
+      .select(CAMPOS_DO_VOUCHER_NO_PAINEL)
+      .maybeSingle();
     if (error) {
-      console.error("[/api/admin/parceiros list] Erro:", error);
-      return response.status(500).json({ error: "Erro ao listar parceiros/dicas." });
+      console.error("[/api/parceiro/vouchers/resgatar] erro:", error);
+      return res.status(500).json({ error: "Erro ao resgatar voucher." });
     }
+    if (!data) return res.status(409).json({ error: "voucher já foi usado" });
 
-    return response.status(200).json({ data });
-  } catch (erro) {
-    console.error("[/api/admin/parceiros list] Erro:", erro);
-    return response.status(500).json({ error: "Erro interno." });
+    try {
+      await repositorios.eventos.registrar({
+        regiao_id: data.regiao_id,
+        parceiro_id: data.parceiro_id,
+        conversation_id: data.conversation_id,
+        tipo_evento: "voucher_resgatado",
+        payload: { voucher_id: data.id, codigo: data.codigo }
+      });
+    } catch (e) {
+      console.error("[/api/parceiro/vouchers/resgatar] Falha ao registrar evento (segue):", e);
+    }
+    publicarEvento("voucher.resgatado", { regiaoId: data.regiao_id, dados: voucherParaWebhook(data) });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[/api/parceiro/vouchers/resgatar] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
   }
 });
 
-// EDITAR parceiro por id
-application.put("/api/admin/parceiros/:id", exigirAdminKey, async (req, res) => {
+application.get("/api/admin/vouchers/relatorio", exigirConta("leitura"), async (req, res) => {
   try {
-    const { id } = req.params;
-    const body = req.body || {};
-
-    // Apenas campos permitidos para edição
-    const atualizacao = {
-      nome: body.nome ?? null,
-      categoria: body.categoria ?? null,
-      descricao: body.descricao ?? null,
-      beneficio_bepit: body.beneficio_bepit ?? null,
-      endereco: body.endereco ?? null,
-      contato: body.contato ?? null,
-      tags: Array.isArray(body.tags) ? body.tags : null,
-      horario_funcionamento: body.horario_funcionamento ?? null,
-      faixa_preco: body.faixa_preco ?? null,
-      fotos_parceiros: Array.isArray(body.fotos_parceiros)
-        ? body.fotos_parceiros
-        : (Array.isArray(body.fotos) ? body.fotos : null),
-      ativo: body.ativo !== false
-    };
+    const { regiaoSlug, parceiroId } = req.query;
+    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
+    const { periodo, erros } = lerPeriodoDaSerie({ desde: req.query.desde, ate: req.query.ate });
+    if (erros.length > 0) return res.status(400).json({ error: "parâmetros inválidos", detalhes: erros });
 
-    const { data, error } = await supabase.from("parceiros").update(atualizacao).eq("id", id).select("*").single();
+    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id, nome, slug").eq("slug", regiaoSlug).maybeSingle();
+    if (eReg) throw eReg;
+    if (!regiao) return res.status(404).json({ error: "região não encontrada" });
+    if (!regiaoNoEscopo(req.conta, regiao.id)) return responderForaDoEscopo(res);
+
+    let consulta = supabase
+      .from("vouchers")
+      .select("parceiro_id, status, expira_em")
+      .eq("regiao_id", regiao.id)
+      .gte("created_at", periodo.desde.toISOString())
+      .lt("created_at", periodo.ate.toISOString())
+      .limit(VOUCHERS_MAX_LINHAS);
+    if (parceiroId) consulta = consulta.eq("parceiro_id", String(parceiroId));
+    const { data: vouchers, error } = await consulta;
     if (error) {
-      console.error("[/api/admin/parceiros PUT] Erro:", error);
-      return res.status(500).json({ error: "Erro ao atualizar parceiro." });
+      console.error("[/api/admin/vouchers/relatorio] erro:", error);
+      return res.status(500).json({ error: "Erro ao carregar vouchers." });
     }
 
-    return res.json({ ok: true, data });
+    const idsDeParceiros = [...new Set((vouchers || []).map((v) => v.parceiro_id))];
+    const { data: parceiros, error: eParc } = idsDeParceiros.length
+      ? await supabase.from("parceiros").select("id, nome, categoria").in("id", idsDeParceiros)
+      : { data: [] };
+    if (eParc) throw eParc;
+
+    return res.json({
+      ok: true,
+      data: {
+        regiao,
+        desde: periodo.desde.toISOString(),
+        ate: periodo.ate.toISOString(),
+        limites: limitesDeVoucher(regiao.slug),
+        truncado: (vouchers || []).length >= VOUCHERS_MAX_LINHAS,
+        ...resumirVouchers(vouchers || [], new Map((parceiros || []).map((p) => [p.id, p])))
+      }
+    });
   } catch (e) {
-    console.error("[/api/admin/parceiros PUT] erro:", e);
+    console.error("[/api/admin/vouchers/relatorio] erro:", e);
     return res.status(500).json({ error: "erro interno" });
   }
 });
 
 // ============================================================================
-// ADMIN: Inclusões de REGIÕES e CIDADES
+// WEBHOOKS: cadastro e entregas (só gestão)
+// GET    /api/admin/webhooks
+// POST   /api/admin/webhooks { url, eventos: [...], regiaoSlugs?: [...], descricao?, ativo? }
+// PATCH  /api/admin/webhooks/:id { url?, eventos?, regiaoSlugs?, descricao?, ativo?, rotacionarSegredo? }
+// DELETE /api/admin/webhooks/:id
+// GET    /api/admin/webhooks/entregas[?webhookId=...][&status=pendente|entregue|morta][&tipo=...][&limit=50]
+// POST   /api/admin/webhooks/entregas/:id/reenviar
+// O segredo completo só aparece na criação e na rotação; status=morta é a dead-letter
 // ============================================================================
-application.post("/api/admin/regioes", exigirAdminKey, async (req, res) => {
-  try {
-    const { nome, slug, ativo = true } = req.body || {};
-    if (!nome || !slug) return res.status(400).json({ error: "nome e slug são obrigatórios" });
+const CAMPOS_DA_ENTREGA =
+  "id, webhook_id, evento_id, tipo_evento, payload, status, tentativas, proxima_tentativa_em, ultimo_status_http, ultimo_erro, entregue_em, historico, created_at";
 
-    const { data, error } = await supabase.from("regioes").insert({ nome, slug, ativo: Boolean(ativo) }).select("*").single();
-    if (error) {
-      console.error("[/api/admin/regioes] insert erro:", error);
-      return res.status(500).json({ error: "Erro ao criar região." });
+async function slugsDasRegioes() {
+  const { data, error } = await supabase.from("regioes").select("id, slug");
+  if (error) throw error;
+  return new Map((data || []).map((r) => [r.id, r.slug]));
+}
+
+function webhookPublico(webhook, slugPorId, { comSegredo = false } = {}) {
+  return {
+    ...webhook,
+    segredo: comSegredo ? webhook.segredo : mascararSegredo(webhook.segredo),
+    regiaoSlugs: (webhook.regioes || []).map((id) => slugPorId.get(id) || id)
+  };
+}
+
+// Valida o corpo (criação ou PATCH) e resolve regiaoSlugs → { campos, erros }
+async function camposDoWebhook(body, { parcial }) {
+  const { campos, erros } = validarWebhook(body, { parcial });
+  const { regiaoSlugs } = body || {};
+  if (regiaoSlugs !== undefined) {
+    if (!Array.isArray(regiaoSlugs)) {
+      erros.push({ campo: "regiaoSlugs", mensagem: "deve ser uma lista (vazia = todas as regiões)" });
+    } else {
+      const { ids, invalidos } = await resolverRegioesPorSlug(regiaoSlugs);
+      for (const slug of invalidos) erros.push({ campo: "regiaoSlugs", mensagem: `região '${slug}' não existe` });
+      campos.regioes = ids;
     }
+  }
+  return { campos, erros };
+}
 
-    res.json({ ok: true, data });
+application.get("/api/admin/webhooks", exigirConta("gestao"), async (req, res) => {
+  try {
+    const { data, error } = await supabase.from("webhooks").select("*").order("created_at", { ascending: true });
+    if (error) {
+      console.error("[/api/admin/webhooks] erro:", error);
+      return res.status(500).json({ error: "Erro ao listar webhooks." });
+    }
+    const slugPorId = await slugsDasRegioes();
+    return res.json({ ok: true, data: (data || []).map((w) => webhookPublico(w, slugPorId)), eventos: TIPOS_DE_EVENTO_WEBHOOK });
   } catch (e) {
-    console.error("[/api/admin/regioes] erro:", e);
-    res.status(500).json({ error: "erro interno" });
+    console.error("[/api/admin/webhooks] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
   }
 });
 
-application.post("/api/admin/cidades", exigirAdminKey, async (req, res) => {
+application.post("/api/admin/webhooks", exigirConta("gestao"), async (req, res) => {
   try {
-    const { regiaoSlug, nome, slug, ativo = true } = req.body || {};
-    if (!regiaoSlug || !nome || !slug) return res.status(400).json({ error: "regiaoSlug, nome e slug são obrigatórios" });
-
-    const { data: regiao, error: eReg } = await supabase.from("regioes").select("id").eq("slug", regiaoSlug).single();
-    if (eReg || !regiao) return res.status(400).json({ error: "regiaoSlug inválido." });
+    const { campos, erros } = await camposDoWebhook(req.body, { parcial: false });
+    if (erros.length > 0) return responderPayloadInvalido(res, erros);
 
     const { data, error } = await supabase
-      .from("cidades")
-      .insert({ regiao_id: regiao.id, nome, slug, ativo: Boolean(ativo) })
+      .from("webhooks")
+      .insert({ regioes: [], ativo: true, ...campos, segredo: gerarSegredoDeWebhook(), criado_por: req.conta.username })
       .select("*")
       .single();
     if (error) {
-      console.error("[/api/admin/cidades] insert erro:", error);
-      return res.status(500).json({ error: "Erro ao criar cidade." });
+      console.error("[/api/admin/webhooks] insert erro:", error);
+      return res.status(500).json({ error: "Erro ao criar webhook." });
     }
-
-    res.json({ ok: true, data });
+    despachoDeWebhooks.invalidarCache();
+    return res.status(200).json({ ok: true, data: webhookPublico(data, await slugsDasRegioes(), { comSegredo: true }) });
   } catch (e) {
-    console.error("[/api/admin/cidades] erro:", e);
-    res.status(500).json({ error: "erro interno" });
+    console.error("[/api/admin/webhooks] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
   }
 });
 
-// ============================================================================
-// ADMIN: MÉTRICAS SIMPLES (contagens e top 5 parceiros por views)
-// GET /api/admin/metrics/summary?regiaoSlug=regiao-dos-lagos[&cidadeSlug=cabo-frio]
-// ============================================================================
-application.get("/api/admin/metrics/summary", exigirAdminKey, async (req, res) => {
+application.patch("/api/admin/webhooks/:id", exigirConta("gestao"), async (req, res) => {
   try {
-    const { regiaoSlug, cidadeSlug } = req.query;
-    if (!regiaoSlug) return res.status(400).json({ error: "regiaoSlug é obrigatório" });
-
-    // Carrega região
-    const { data: regiao, error: eReg } = await supabase
-      .from("regioes")
-      .select("id, nome, slug")
-      .eq("slug", regiaoSlug)
-      .single();
-    if (eReg || !regiao) return res.status(404).json({ error: "região não encontrada" });
-
-    // Carrega cidades da região
-    const { data: cidades, error: eCid } = await supabase
-      .from("cidades")
-      .select("id, nome, slug")
-      .eq("regiao_id", regiao.id);
-    if (eCid) return res.status(500).json({ error: "erro ao carregar cidades" });
-
-    let cidade = null;
-    let cidadeIds = (cidades || []).map((c) => c.id);
-    if (cidadeSlug) {
-      cidade = (cidades || []).find((c) => c.slug === cidadeSlug) || null;
-      if (!cidade) return res.status(404).json({ error: "cidade não encontrada nesta região" });
-      cidadeIds = [cidade.id];
+    const { campos, erros } = await camposDoWebhook(req.body, { parcial: true });
+    const rotacionar = req.body?.rotacionarSegredo === true;
+    if (erros.length > 0) return responderPayloadInvalido(res, erros);
+    if (Object.keys(campos).length === 0 && !rotacionar) {
+      return responderPayloadInvalido(res, [{ campo: "body", mensagem: "nada para alterar" }]);
     }
+    if (rotacionar) campos.segredo = gerarSegredoDeWebhook();
 
-    // Total de parceiros ativos
-    const { data: parceirosAtivos, error: eParc } = await supabase
-      .from("parceiros")
-      .select("id")
-      .eq("ativo", true)
-      .in("cidade_id", cidadeIds);
-    if (eParc) return res.status(500).json({ error: "erro ao contar parceiros" });
-
-    // Total de buscas_texto
-    const { data: buscas, error: eBus } = await supabase
-      .from("buscas_texto")
-      .select("id, cidade_id, regiao_id")
-      .eq("regiao_id", regiao.id);
-    if (eBus) return res.status(500).json({ error: "erro ao contar buscas" });
-    const totalBuscas = (buscas || []).filter((b) => (cidade ? b.cidade_id === cidade.id : true)).length;
-
-    // Total de interações
-    const { data: interacoes, error: eInt } = await supabase
-      .from("interacoes")
-      .select("id, regiao_id")
-      .eq("regiao_id", regiao.id);
-    if (eInt) return res.status(500).json({ error: "erro ao contar interações" });
-    const totalInteracoes = (interacoes || []).length;
-
-    // TOP 5 por views
-    const { data: views, error: eViews } = await supabase
-      .from("parceiro_views")
-      .select("parceiro_id, views_total, last_view_at")
-      .order("views_total", { ascending: false })
-      .limit(50);
-    if (eViews) return res.status(500).json({ error: "erro ao ler views" });
-
-    const parceiroIds = Array.from(new Set((views || []).map((v) => v.parceiro_id)));
-    const { data: parceirosInfo } = await supabase
-      .from("parceiros")
-      .select("id, nome, categoria, cidade_id")
-      .in("id", parceiroIds);
-
-    const partnersById = new Map((parceirosInfo || []).map((p) => [p.id, p]));
-    const topFiltrado = (views || [])
-      .filter((v) => {
-        const info = partnersById.get(v.parceiro_id);
-        if (!info) return false;
-        return cidade ? info.cidade_id === cidade.id : cidadeIds.includes(info.cidade_id);
-      })
-      .slice(0, 5)
-      .map((v) => {
-        const info = partnersById.get(v.parceiro_id);
-        return {
-          parceiro_id: v.parceiro_id,
-          nome: info?.nome || "—",
-          categoria: info?.categoria || "—",
-          views_total: v.views_total,
-          last_view_at: v.last_view_at
-        };
-      });
-
-    return res.json({
-      regiao: { id: regiao.id, nome: regiao.nome, slug: regiao.slug },
-      cidade: cidade ? { id: cidade.id, nome: cidade.nome, slug: cidade.slug } : null,
-      total_parceiros_ativos: (parceirosAtivos || []).length,
-      total_buscas: totalBuscas,
-      total_interacoes: totalInteracoes,
-      top5_parceiros_por_views: topFiltrado
-    });
+    const { data, error } = await supabase
+      .from("webhooks")
+      .update({ ...campos, atualizado_em: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .select("*")
+      .maybeSingle();
+    if (error) {
+      console.error("[/api/admin/webhooks PATCH] erro:", error);
+      return res.status(500).json({ error: "Erro ao atualizar webhook." });
+    }
+    if (!data) return res.status(404).json({ error: "webhook não encontrado" });
+    despachoDeWebhooks.invalidarCache();
+    return res.json({ ok: true, data: webhookPublico(data, await slugsDasRegioes(), { comSegredo: rotacionar }) });
   } catch (e) {
-    console.error("[/api/admin/metrics/summary] erro:", e);
-    res.status(500).json({ error: "erro interno" });
+    console.error("[/api/admin/webhooks PATCH] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
   }
 });
 
-// ============================================================================
-// ADMIN: LOGS / EVENTOS (auditoria simples)
-// GET /api/admin/logs?tipo=search&regiaoSlug=...&cidadeSlug=...&parceiroId=...&conversationId=...&since=...&until=...&limit=50
-// ============================================================================
-application.get("/api/admin/logs", exigirAdminKey, async (req, res) => {
+application.delete("/api/admin/webhooks/:id", exigirConta("gestao"), async (req, res) => {
   try {
-    const {
-      tipo,
-      regiaoSlug,
-      cidadeSlug,
-      parceiroId,
-      conversationId,
-      since,
-      until,
-      limit
-    } = req.query;
+    const { data: webhook, error: eWh } = await supabase.from("webhooks").select("id").eq("id", req.params.id).maybeSingle();
+    if (eWh) throw eWh;
+    if (!webhook) return res.status(404).json({ error: "webhook não encontrado" });
 
-    // Normaliza o limite (padrão 50, máximo 200)
-    let lim = Number(limit || 50);
-    if (!Number.isFinite(lim) || lim <= 0) lim = 50;
-    if (lim > 200) lim = 200;
+    const { error } = await supabase.from("webhooks").delete().eq("id", webhook.id);
+    if (error) {
+      console.error("[/api/admin/webhooks DELETE] erro:", error);
+      return res.status(500).json({ error: "Erro ao excluir webhook." });
+    }
+    // No Postgres o cascade já apaga; o armazém local não tem chaves estrangeiras
+    const { error: eEnt } = await supabase.from("webhook_entregas").delete().eq("webhook_id", webhook.id);
+    if (eEnt) console.error("[/api/admin/webhooks DELETE] entregas erro (segue):", eEnt);
+    despachoDeWebhooks.invalidarCache();
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[/api/admin/webhooks DELETE] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
 
-    // Resolve IDs a partir de slugs (se fornecidos)
-    let regiaoId = null;
-    let cidadeId = null;
+application.get("/api/admin/webhooks/entregas", exigirConta("gestao"), async (req, res) => {
+  try {
+    const { webhookId, status, tipo } = req.query;
+    const erros = [];
+    if (status && !STATUS_DE_ENTREGA.includes(String(status))) erros.push({ campo: "status", mensagem: `use ${STATUS_DE_ENTREGA.join(", ")}` });
+    if (tipo && !TIPOS_DE_EVENTO_WEBHOOK.includes(String(tipo))) erros.push({ campo: "tipo", mensagem: `use ${TIPOS_DE_EVENTO_WEBHOOK.join(", ")}` });
+    if (erros.length > 0) return res.status(400).json({ error: "parâmetros inválidos", detalhes: erros });
 
-    if (regiaoSlug) {
-      const { data: regiao, error: eReg } = await supabase
-        .from("regioes")
-        .select("id, slug")
-        .eq("slug", String(regiaoSlug))
-        .single();
-      if (eReg) {
-        console.error("[/api/admin/logs] erro ao buscar região:", eReg);
-        return res.status(500).json({ error: "erro ao buscar região" });
-      }
-      if (!regiao) return res.status(404).json({ error: "região não encontrada" });
-      regiaoId = regiao.id;
-    }
+    let consulta = supabase
+      .from("webhook_entregas")
+      .select(CAMPOS_DA_ENTREGA)
+      .order("created_at", { ascending: false })
+      .limit(Math.min(Number(req.query.limit) || 50, 500));
+    if (webhookId) consulta = consulta.eq("webhook_id", String(webhookId));
+    if (status) consulta = consulta.eq("status", String(status));
+    if (tipo) consulta = consulta.eq("tipo_evento", String(tipo));
 
-    if (cidadeSlug && regiaoId) {
-      const { data: cidade, error: eCid } = await supabase
-        .from("cidades")
-        .select("id, slug, regiao_id")
-        .eq("slug", String(cidadeSlug))
-        .eq("regiao_id", regiaoId)
-        .single();
-      if (eCid) {
-        console.error("[/api/admin/logs] erro ao buscar cidade:", eCid);
-        return res.status(500).json({ error: "erro ao buscar cidade" });
-      }
-      if (!cidade) return res.status(404).json({ error: "cidade não encontrada nesta região" });
-      cidadeId = cidade.id;
+    const { data, error } = await consulta;
+    if (error) {
+      console.error("[/api/admin/webhooks/entregas] erro:", error);
+      return res.status(500).json({ error: "Erro ao listar entregas." });
     }
+    return res.json({ ok: true, data: data || [] });
+  } catch (e) {
+    console.error("[/api/admin/webhooks/entregas] erro:", e);
+    return res.status(500).json({ error: "erro interno" });
+  }
+});
 
-    // Monta consulta
-    let query = supabase
-      .from("eventos_analytics")
-      .select("id, created_at, regiao_id, cidade_id, parceiro_id, conversation_id, tipo_evento, payload")
-      .order("created_at", { ascending: false })
-      .limit(lim);
+// Reenvio manual (dead-letter ou não): volta para a fila com as tentativas zeradas; o histórico fica
+application.post("/api/admin/webhooks/entregas/:id/reenviar", exigirConta("gestao"), async (req, res) => {
+  try {
+    const { data: entrega, error: eEnt } = await supabase
+      .from("webhook_entregas").select("id, webhook_id").eq("id", req.params.id).maybeSingle();
+    if (eEnt) throw eEnt;
+    if (!entrega) return res.status(404).json({ error: "entrega não encontrada" });
 
-    if (tipo) query = query.eq("tipo_evento", String(tipo));
-    if (regiaoId) query = query.eq("regiao_id", regiaoId);
-    if (cidadeId) query = query.eq("cidade_id", cidadeId);
-    if (parceiroId) query = query.eq("parceiro_id", String(parceiroId));
-    if (conversationId) query = query.eq("conversation_id", String(conversationId));
-    if (since) query = query.gte("created_at", String(since));
-    if (until) query = query.lte("created_at", String(until));
+    const { data: webhook, error: eWh } = await supabase.from("webhooks").select("id, ativo").eq("id", entrega.webhook_id).maybeSingle();
+    if (eWh) throw eWh;
+    if (!webhook?.ativo) return res.status(409).json({ error: "webhook inativo; reative-o antes de reenviar" });
 
-    const { data, error } = await query;
+    const { data, error } = await supabase
+      .from("webhook_entregas")
+      .update({ status: "pendente", tentativas: 0, proxima_tentativa_em: new Date().toISOString() })
+      .eq("id", entrega.id)
+      .select(CAMPOS_DA_ENTREGA)
+      .maybeSingle();
     if (error) {
-      console.error("[/api/admin/logs] erro supabase:", error);
-      return res.status(500).json({ error: "erro ao consultar logs" });
+      console.error("[/api/admin/webhooks/entregas/:id/reenviar] erro:", error);
+      return res.status(500).json({ error: "Erro ao reenviar entrega." });
     }
-
-    return res.json({ data });
+    despachoDeWebhooks.processarFila().catch((e) => console.error("[webhooks] erro ao processar fila:", e));
+    return res.json({ ok: true, data });
   } catch (e) {
-    console.error("[/api/admin/logs] erro inesperado:", e);
+    console.error("[/api/admin/webhooks/entregas/:id/reenviar] erro:", e);
     return res.status(500).json({ error: "erro interno" });
   }
 });
@@ -1308,4 +4230,10 @@ application.get("/api/admin/logs", exigirAdminKey, async (req, res) => {
 // ------------------------ Iniciar servidor ------------------------
 application.listen(servidorPorta, () => {
   console.log(`✅ BEPIT Nexus rodando em http://localhost:${servidorPorta}`);
+  if (ARMAZEM_DE_DADOS === "local") console.log(`📁 Dados locais em ${supabase.diretorio} (DADOS_ARMAZEM=local)`);
+  if (!LINKS_RASTREADOS) console.warn("⚠️  PUBLIC_BASE_URL não definido: o chat entrega os contatos sem rastrear leads (/l/:codigo).");
+  if (!confiarEmProxy && process.env.NODE_ENV === "production") {
+    console.warn("⚠️  TRUST_PROXY não definido: atrás de proxy, o rate limit por IP junta todos os clientes no IP do proxy.");
+  }
+  despachoDeWebhooks.iniciar();
 });
\ No newline at end of file
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- 001 - Horário de funcionamento estruturado
+-- Formato documentado em lib/horarios.js. O texto livre (horario_funcionamento)
+-- continua existindo para exibição; a conversão dos valores antigos é feita por
+-- scripts/migrar-horarios.mjs (npm run migrar:horarios).
+-- ============================================================================
+
+alter table parceiros
+  add column if not exists horario_estruturado jsonb;
+
+comment on column parceiros.horario_estruturado is
+  'Horário estruturado: { semana, feriados, temporadas, excecoes, observacao } — ver lib/horarios.js';
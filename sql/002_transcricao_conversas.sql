@@ -0,0 +1,8 @@
+-- ============================================================================
+-- 002 - Transcrição da conversa
+-- Lista ordenada de turnos [{ papel: "usuario" | "assistente", texto, em }]
+-- usada para dar contexto aos prompts (ver lib/transcricao.js).
+-- ============================================================================
+
+alter table conversas
+  add column if not exists transcricao jsonb not null default '[]'::jsonb;
@@ -0,0 +1,8 @@
+-- ============================================================================
+-- 003 - Slots da conversa
+-- { cidade, companhia, vibe, orcamento, datas, tamanhoGrupo } acumulados entre
+-- mensagens (formato e regras de mesclagem em lib/slots.js).
+-- ============================================================================
+
+alter table conversas
+  add column if not exists slots jsonb not null default '{}'::jsonb;
@@ -0,0 +1,14 @@
+-- ============================================================================
+-- 004 - Idiomas (pt / en / es)
+-- conversas.idioma: último idioma usado na conversa (mensagens curtas como "2"
+-- continuam no mesmo idioma).
+-- parceiros.traducoes: variantes opcionais de descricao/beneficio_bepit
+--   { "en": { "descricao": "...", "beneficio_bepit": "..." }, "es": { ... } }
+-- (ver lib/idiomas.js).
+-- ============================================================================
+
+alter table conversas
+  add column if not exists idioma text;
+
+alter table parceiros
+  add column if not exists traducoes jsonb;
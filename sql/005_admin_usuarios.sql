@@ -0,0 +1,31 @@
+-- ============================================================================
+-- 005 - Contas de admin, sessões e papéis (ver lib/adminAuth.js)
+-- papel: super_admin | editor_regiao | analista
+-- regioes: ids das regiões que a conta pode ver/editar
+--   (editor_regiao: obrigatório; analista: vazio = todas)
+-- admin_sessoes guarda só o hash do refresh token; revogada_em encerra a sessão.
+-- ============================================================================
+
+create table if not exists admin_usuarios (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique,
+  senha_hash text not null,
+  papel text not null check (papel in ('super_admin', 'editor_regiao', 'analista')),
+  regioes uuid[] not null default '{}',
+  ativo boolean not null default true,
+  tentativas_falhas integer not null default 0,
+  bloqueado_ate timestamptz,
+  ultimo_login_em timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists admin_sessoes (
+  id uuid primary key,
+  usuario_id uuid not null references admin_usuarios (id) on delete cascade,
+  refresh_hash text not null,
+  expira_em timestamptz not null,
+  revogada_em timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_sessoes_usuario_idx on admin_sessoes (usuario_id);
@@ -0,0 +1,30 @@
+-- ============================================================================
+-- 006 - Portal do parceiro
+-- Contas de parceiro reaproveitam admin_usuarios com papel 'parceiro' e a
+-- lista de parceiros vinculados. Edições propostas ficam em parceiro_edicoes
+-- até um admin aprovar/rejeitar (ver lib/portalParceiros.js).
+-- ============================================================================
+
+alter table admin_usuarios
+  add column if not exists parceiros uuid[] not null default '{}';
+
+alter table admin_usuarios drop constraint if exists admin_usuarios_papel_check;
+alter table admin_usuarios
+  add constraint admin_usuarios_papel_check
+  check (papel in ('super_admin', 'editor_regiao', 'analista', 'parceiro'));
+
+create table if not exists parceiro_edicoes (
+  id uuid primary key default gen_random_uuid(),
+  parceiro_id uuid not null references parceiros (id) on delete cascade,
+  conta_id uuid references admin_usuarios (id) on delete set null,
+  campos jsonb not null,
+  status text not null default 'pendente'
+    check (status in ('pendente', 'aprovada', 'rejeitada', 'substituida')),
+  motivo_rejeicao text,
+  revisado_por text,
+  revisado_em timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists parceiro_edicoes_status_idx on parceiro_edicoes (status, created_at);
+create index if not exists parceiro_edicoes_parceiro_idx on parceiro_edicoes (parceiro_id);
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- 007 - Chave externa de parceiros/dicas
+-- Identificador estável vindo da planilha/sistema de origem; a importação em
+-- lote (POST /api/admin/parceiros/importar) faz upsert por ela.
+-- ============================================================================
+
+alter table parceiros
+  add column if not exists chave_externa text;
+
+create unique index if not exists parceiros_chave_externa_idx
+  on parceiros (chave_externa)
+  where chave_externa is not null;
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- 008 - Exclusão lógica e histórico de revisões de parceiros
+-- excluido_em preenchido = parceiro fora do chat, de /api/parceiros e das
+-- listagens do admin (restaurável). parceiro_revisoes é só de inserção: cada
+-- mudança grava quem fez, quando, o diff por campo e o estado resultante.
+-- ============================================================================
+
+alter table parceiros
+  add column if not exists excluido_em timestamptz,
+  add column if not exists excluido_por text;
+
+create index if not exists parceiros_nao_excluidos_idx
+  on parceiros (cidade_id)
+  where excluido_em is null;
+
+create table if not exists parceiro_revisoes (
+  id uuid primary key default gen_random_uuid(),
+  parceiro_id uuid not null references parceiros (id) on delete cascade,
+  acao text not null
+    check (acao in ('criacao', 'edicao', 'importacao', 'edicao_portal', 'exclusao', 'restauracao', 'reversao')),
+  conta_id uuid references admin_usuarios (id) on delete set null,
+  autor text,
+  diff jsonb not null default '{}'::jsonb,
+  estado jsonb not null,
+  revisao_origem uuid references parceiro_revisoes (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists parceiro_revisoes_parceiro_idx on parceiro_revisoes (parceiro_id, created_at desc);
+
+-- Revisões não são reescritas (somem só junto com o parceiro, em exclusão física)
+create or replace function parceiro_revisoes_somente_insercao() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'parceiro_revisoes não aceita update';
+end;
+$$;
+
+drop trigger if exists parceiro_revisoes_somente_insercao on parceiro_revisoes;
+create trigger parceiro_revisoes_somente_insercao
+  before update on parceiro_revisoes
+  for each row execute function parceiro_revisoes_somente_insercao();
@@ -0,0 +1,63 @@
+-- ============================================================================
+-- 009 - Limites de uso do chat (armazém compartilhado, LIMITES_ARMAZEM=supabase)
+-- limites_eventos: log de requisições por chave para janela deslizante
+-- consumo_llm: chamadas/tokens de IA por região e período (chave "llm:<regiao>:<periodo>")
+-- Sem LIMITES_ARMAZEM=supabase o servidor usa memória e estas tabelas ficam vazias.
+-- ============================================================================
+
+create table if not exists limites_eventos (
+  id bigserial primary key,
+  chave text not null,
+  em timestamptz not null default now()
+);
+
+create index if not exists limites_eventos_chave_idx on limites_eventos (chave, em);
+
+create table if not exists consumo_llm (
+  chave text primary key,
+  chamadas bigint not null default 0,
+  tokens bigint not null default 0,
+  atualizado_em timestamptz not null default now()
+);
+
+-- Registra um evento e devolve quantos há na janela (já contando este).
+-- Com p_max e a janela já cheia, não grava (devolve p_max + 1): requisições
+-- recusadas não enchem a tabela
+create or replace function limites_registrar(p_chave text, p_janela_ms integer, p_max integer default null)
+returns integer
+language plpgsql as $$
+declare
+  total integer;
+begin
+  delete from limites_eventos
+    where chave = p_chave and em <= now() - make_interval(secs => p_janela_ms / 1000.0);
+  if p_max is not null then
+    select count(*) into total from limites_eventos where chave = p_chave;
+    if total >= p_max then
+      return total + 1;
+    end if;
+  end if;
+  insert into limites_eventos (chave) values (p_chave);
+  select count(*) into total from limites_eventos where chave = p_chave;
+  return total;
+end;
+$$;
+
+create or replace function limites_contar(p_chave text, p_janela_ms integer)
+returns integer
+language sql stable as $$
+  select count(*)::integer from limites_eventos
+    where chave = p_chave and em > now() - make_interval(secs => p_janela_ms / 1000.0);
+$$;
+
+create or replace function consumo_llm_somar(p_chave text, p_chamadas integer, p_tokens integer)
+returns table (chamadas bigint, tokens bigint)
+language sql as $$
+  insert into consumo_llm as c (chave, chamadas, tokens)
+    values (p_chave, p_chamadas, p_tokens)
+  on conflict (chave) do update
+    set chamadas = c.chamadas + excluded.chamadas,
+        tokens = c.tokens + excluded.tokens,
+        atualizado_em = now()
+  returning c.chamadas, c.tokens;
+$$;
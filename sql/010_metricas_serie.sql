@@ -0,0 +1,79 @@
+-- ============================================================================
+-- 010 - Série temporal de métricas (GET /api/admin/metrics/timeseries)
+-- Agrega no banco por dia/semana/mês (no fuso informado) buscas, interações,
+-- views de parceiro, feedbacks e leads. Filtros opcionais: região, cidade,
+-- parceiro e categoria. Buscas não têm parceiro/categoria: com esses filtros
+-- a coluna volta nula em vez de um total enganoso.
+-- Interações não têm cidade: cidade/parceiro/categoria filtram pelas sugestões
+-- gravadas em interacoes.parceiros_sugeridos.
+-- ============================================================================
+
+create index if not exists buscas_texto_regiao_data_idx on buscas_texto (regiao_id, created_at);
+create index if not exists interacoes_regiao_data_idx on interacoes (regiao_id, created_at);
+create index if not exists eventos_analytics_tipo_data_idx on eventos_analytics (tipo_evento, created_at);
+
+create or replace function metricas_serie(
+  p_intervalo text,
+  p_desde timestamptz,
+  p_ate timestamptz,
+  p_regiao_id uuid default null,
+  p_cidade_id uuid default null,
+  p_parceiro_id uuid default null,
+  p_categoria text default null,
+  p_fuso text default 'America/Sao_Paulo'
+)
+returns table (periodo date, buscas bigint, interacoes bigint, views bigint, feedbacks bigint, leads bigint)
+language sql stable as $$
+  with baldes as (
+    select generate_series(
+      date_trunc(p_intervalo, p_desde at time zone p_fuso),
+      date_trunc(p_intervalo, (p_ate - interval '1 microsecond') at time zone p_fuso),
+      ('1 ' || p_intervalo)::interval
+    )::date as periodo
+  ),
+  b as (
+    select date_trunc(p_intervalo, created_at at time zone p_fuso)::date as periodo, count(*) as n
+    from buscas_texto
+    where created_at >= p_desde and created_at < p_ate
+      and (p_regiao_id is null or regiao_id = p_regiao_id)
+      and (p_cidade_id is null or cidade_id = p_cidade_id)
+    group by 1
+  ),
+  i as (
+    select date_trunc(p_intervalo, created_at at time zone p_fuso)::date as periodo,
+           count(*) as n,
+           count(*) filter (where feedback_usuario is not null) as f
+    from interacoes
+    where created_at >= p_desde and created_at < p_ate
+      and (p_regiao_id is null or regiao_id = p_regiao_id)
+      and (p_cidade_id is null or parceiros_sugeridos @> jsonb_build_array(jsonb_build_object('cidade_id', p_cidade_id)))
+      and (p_parceiro_id is null or parceiros_sugeridos @> jsonb_build_array(jsonb_build_object('id', p_parceiro_id)))
+      and (p_categoria is null or parceiros_sugeridos @> jsonb_build_array(jsonb_build_object('categoria', p_categoria)))
+    group by 1
+  ),
+  e as (
+    select date_trunc(p_intervalo, ev.created_at at time zone p_fuso)::date as periodo,
+           count(*) filter (where ev.tipo_evento = 'partner_view') as v,
+           count(*) filter (where ev.tipo_evento = 'lead') as l
+    from eventos_analytics ev
+    left join parceiros p on p.id = ev.parceiro_id
+    where ev.tipo_evento in ('partner_view', 'lead')
+      and ev.created_at >= p_desde and ev.created_at < p_ate
+      and (p_regiao_id is null or ev.regiao_id = p_regiao_id)
+      and (p_cidade_id is null or ev.cidade_id = p_cidade_id)
+      and (p_parceiro_id is null or ev.parceiro_id = p_parceiro_id)
+      and (p_categoria is null or p.categoria = p_categoria)
+    group by 1
+  )
+  select baldes.periodo,
+         case when p_parceiro_id is null and p_categoria is null then coalesce(b.n, 0) end,
+         coalesce(i.n, 0),
+         coalesce(e.v, 0),
+         coalesce(i.f, 0),
+         coalesce(e.l, 0)
+  from baldes
+  left join b on b.periodo = baldes.periodo
+  left join i on i.periodo = baldes.periodo
+  left join e on e.periodo = baldes.periodo
+  order by baldes.periodo;
+$$;
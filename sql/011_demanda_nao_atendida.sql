@@ -0,0 +1,15 @@
+-- ============================================================================
+-- 011 - Demanda não atendida
+-- Cada busca passa a guardar quantos parceiros/dicas a recuperação achou e os
+-- termos extraídos da frase (análise + palavras-chave). Buscas sem resultado
+-- ou com poucos resultados alimentam GET /api/admin/relatorios/demanda.
+-- total_resultados nulo = mensagem que não virou busca (saudação, follow-up).
+-- ============================================================================
+
+alter table buscas_texto
+  add column if not exists total_resultados integer,
+  add column if not exists termos text[] not null default '{}';
+
+create index if not exists buscas_texto_poucos_resultados_idx
+  on buscas_texto (regiao_id, created_at)
+  where total_resultados is not null;
@@ -0,0 +1,26 @@
+-- ============================================================================
+-- 012 - Feedback estruturado
+-- Cada envio de POST /api/feedback vira uma linha: polegar (+1/-1) e/ou nota
+-- 1–5, códigos de motivo, comentário e o parceiro avaliado, com região/cidade
+-- para o painel. interacoes.feedback_usuario continua recebendo um resumo em
+-- texto (métricas e portal do parceiro já leem essa coluna).
+-- ============================================================================
+
+create table if not exists feedbacks (
+  id uuid primary key default gen_random_uuid(),
+  interacao_id uuid not null references interacoes (id) on delete cascade,
+  conversation_id text,
+  regiao_id uuid references regioes (id) on delete set null,
+  cidade_id uuid references cidades (id) on delete set null,
+  parceiro_id uuid references parceiros (id) on delete set null,
+  polegar smallint check (polegar in (-1, 1)),
+  nota smallint check (nota between 1 and 5),
+  motivos text[] not null default '{}',
+  comentario text,
+  created_at timestamptz not null default now(),
+  check (polegar is not null or nota is not null or cardinality(motivos) > 0 or comentario is not null)
+);
+
+create index if not exists feedbacks_regiao_data_idx on feedbacks (regiao_id, created_at desc);
+create index if not exists feedbacks_parceiro_idx on feedbacks (parceiro_id);
+create index if not exists feedbacks_interacao_idx on feedbacks (interacao_id);
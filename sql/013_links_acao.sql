@@ -0,0 +1,23 @@
+-- ============================================================================
+-- 013 - Links de ação rastreados (leads)
+-- Cada link curto (/l/:codigo) aponta para WhatsApp, telefone, mapa ou site de
+-- um parceiro dentro de uma conversa. O clique grava um evento "lead" em
+-- eventos_analytics antes de redirecionar. busca_id guarda a busca que gerou
+-- a sugestão, para o relatório de leads por parceiro.
+-- ============================================================================
+
+create table if not exists links_acao (
+  codigo text primary key,
+  conversation_id text not null,
+  regiao_id uuid references regioes (id) on delete cascade,
+  cidade_id uuid references cidades (id) on delete set null,
+  parceiro_id uuid not null references parceiros (id) on delete cascade,
+  canal text not null check (canal in ('whatsapp', 'telefone', 'mapa', 'site')),
+  destino text not null,
+  busca_id uuid references buscas_texto (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (conversation_id, parceiro_id, canal)
+);
+
+create index if not exists links_acao_parceiro_idx on links_acao (parceiro_id);
+create index if not exists eventos_analytics_parceiro_tipo_idx on eventos_analytics (parceiro_id, tipo_evento, created_at);
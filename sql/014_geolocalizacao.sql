@@ -0,0 +1,34 @@
+-- ============================================================================
+-- 014 - Geolocalização
+-- - parceiros.latitude/longitude (WGS84, graus decimais; os dois juntos ou nenhum)
+-- - pontos_referencia: lugares conhecidos da região ("Praia do Forte",
+--   "Rodoviária") usados em "perto da/do ..." quando não são parceiros
+-- - conversas.localizacao: última posição enviada pelo front
+--   ({ latitude, longitude, em })
+-- ============================================================================
+
+alter table parceiros
+  add column if not exists latitude double precision check (latitude between -90 and 90),
+  add column if not exists longitude double precision check (longitude between -180 and 180);
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'parceiros_coordenadas_em_par') then
+    alter table parceiros
+      add constraint parceiros_coordenadas_em_par check ((latitude is null) = (longitude is null));
+  end if;
+end $$;
+
+create table if not exists pontos_referencia (
+  id uuid primary key default gen_random_uuid(),
+  regiao_id uuid not null references regioes (id) on delete cascade,
+  cidade_id uuid references cidades (id) on delete set null,
+  nome text not null,
+  apelidos text[] not null default '{}',
+  latitude double precision not null check (latitude between -90 and 90),
+  longitude double precision not null check (longitude between -180 and 180),
+  created_at timestamptz not null default now(),
+  unique (regiao_id, nome)
+);
+
+alter table conversas add column if not exists localizacao jsonb;
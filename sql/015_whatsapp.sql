@@ -0,0 +1,18 @@
+-- ============================================================================
+-- 015 - Canal WhatsApp (Cloud API)
+-- Um registro por telefone de turista: região atendida, conversa atual (renovada
+-- quando a sessão expira) e opt-out ("sair"). O telefone vem no formato da
+-- Cloud API (só dígitos, com DDI).
+-- ============================================================================
+
+create table if not exists whatsapp_contatos (
+  telefone text primary key,
+  regiao_id uuid not null references regioes (id) on delete cascade,
+  conversation_id text,
+  nome text,
+  ultima_mensagem_em timestamptz,
+  opt_out_em timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists whatsapp_contatos_conversa_idx on whatsapp_contatos (conversation_id);
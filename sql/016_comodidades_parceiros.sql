@@ -0,0 +1,21 @@
+-- ============================================================================
+-- 016 - Comodidades e atributos dos parceiros
+-- - parceiros.comodidades: objeto com aceita_reserva, cardapio_url,
+--   estacionamento, pet_friendly, acessibilidade, espaco_kids,
+--   formas_pagamento (lista) e wifi (validação em lib/comodidades.js)
+-- - Chave ausente = parceiro não informou; false = informou que não tem
+-- ============================================================================
+
+alter table parceiros
+  add column if not exists comodidades jsonb not null default '{}'::jsonb;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'parceiros_comodidades_objeto') then
+    alter table parceiros
+      add constraint parceiros_comodidades_objeto check (jsonb_typeof(comodidades) = 'object');
+  end if;
+end $$;
+
+-- Filtros de busca ("pet friendly", "aceita pix") com @>
+create index if not exists parceiros_comodidades_idx on parceiros using gin (comodidades jsonb_path_ops);
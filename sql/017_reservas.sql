@@ -0,0 +1,34 @@
+-- ============================================================================
+-- 017 - Pedidos de reserva pelo chat
+-- O chat coleta dia, hora, pessoas, nome e telefone (um turno por vez; o
+-- pedido em andamento fica em conversas.reserva_em_andamento) e grava o
+-- pedido como "solicitada". Parceiro (portal) ou admin confirmam/recusam;
+-- o usuário pode cancelar pela conversa. historico guarda cada mudança:
+-- [{ status, em, por, motivo }]. Regras em lib/reservas.js.
+-- ============================================================================
+
+alter table conversas
+  add column if not exists reserva_em_andamento jsonb;
+
+create table if not exists reservas (
+  id uuid primary key default gen_random_uuid(),
+  codigo text not null unique,
+  parceiro_id uuid not null references parceiros (id) on delete cascade,
+  regiao_id uuid references regioes (id) on delete set null,
+  conversation_id text not null,
+  data date not null,
+  hora text not null check (hora ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'),
+  pessoas smallint not null check (pessoas between 1 and 30),
+  nome text not null,
+  telefone text not null,
+  idioma text,
+  status text not null default 'solicitada' check (status in ('solicitada', 'confirmada', 'recusada', 'cancelada')),
+  motivo text,
+  historico jsonb not null default '[]'::jsonb,
+  atualizado_em timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reservas_parceiro_idx on reservas (parceiro_id, status, data);
+create index if not exists reservas_conversa_idx on reservas (conversation_id, created_at desc);
+create index if not exists reservas_regiao_idx on reservas (regiao_id, created_at desc);
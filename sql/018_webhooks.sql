@@ -0,0 +1,41 @@
+-- ============================================================================
+-- 018 - Webhooks de saída
+-- - webhooks: URL cadastrada pelo admin, tipos de evento que ela recebe e
+--   regiões (vazio = todas). segredo assina o corpo (HMAC-SHA256)
+-- - webhook_entregas: uma linha por evento × webhook. pendente → entregue,
+--   ou → morta quando as tentativas acabam (dead-letter; reenvio manual volta
+--   para pendente). historico: [{ em, status_http, erro, duracao_ms }]
+-- - Regras, assinatura e atraso entre tentativas em lib/webhooks.js
+-- ============================================================================
+
+create table if not exists webhooks (
+  id uuid primary key default gen_random_uuid(),
+  url text not null,
+  segredo text not null,
+  eventos text[] not null default '{}',
+  regioes uuid[] not null default '{}',
+  descricao text,
+  ativo boolean not null default true,
+  criado_por text,
+  atualizado_em timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists webhook_entregas (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references webhooks (id) on delete cascade,
+  evento_id uuid not null,
+  tipo_evento text not null,
+  payload jsonb not null,
+  status text not null default 'pendente' check (status in ('pendente', 'entregue', 'morta')),
+  tentativas integer not null default 0,
+  proxima_tentativa_em timestamptz not null default now(),
+  ultimo_status_http integer,
+  ultimo_erro text,
+  entregue_em timestamptz,
+  historico jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_entregas_fila_idx on webhook_entregas (status, proxima_tentativa_em);
+create index if not exists webhook_entregas_webhook_idx on webhook_entregas (webhook_id, created_at desc);
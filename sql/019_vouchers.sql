@@ -0,0 +1,27 @@
+-- ============================================================================
+-- 019 - Vouchers do benefício BEPIT
+-- O chat emite um código curto e com validade quando o usuário pede para usar
+-- o benefício de um parceiro; o parceiro resgata pelo portal (uma vez só).
+-- status gravado: emitido | resgatado ("expirado" = emitido com expira_em
+-- no passado). beneficio guarda o texto do benefício no momento da emissão.
+-- Regras e limites em lib/vouchers.js.
+-- ============================================================================
+
+create table if not exists vouchers (
+  id uuid primary key default gen_random_uuid(),
+  codigo text not null unique,
+  parceiro_id uuid not null references parceiros (id) on delete cascade,
+  regiao_id uuid references regioes (id) on delete set null,
+  conversation_id text not null,
+  beneficio text not null,
+  idioma text,
+  status text not null default 'emitido' check (status in ('emitido', 'resgatado')),
+  expira_em timestamptz not null,
+  resgatado_em timestamptz,
+  resgatado_por text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists vouchers_conversa_idx on vouchers (conversation_id, created_at desc);
+create index if not exists vouchers_parceiro_idx on vouchers (parceiro_id, created_at desc);
+create index if not exists vouchers_regiao_idx on vouchers (regiao_id, created_at desc);
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- 020 - Emissão de voucher com os limites na mesma transação
+-- vouchers_emitir trava a conversa e o parceiro (advisory lock até o fim da
+-- transação), conta e só então grava: pedidos simultâneos não passam de
+-- VOUCHERS_LIMITE_CONVERSA nem de VOUCHERS_LIMITE_DIA (lib/vouchers.js).
+-- Limite null = sem limite. Devolve { id } ou { recusado: 'conversa'|'dia' }.
+-- ============================================================================
+
+create or replace function vouchers_emitir(
+  p_voucher jsonb,
+  p_limite_conversa integer,
+  p_limite_dia integer,
+  p_inicio_do_dia timestamptz
+)
+returns jsonb
+language plpgsql as $$
+declare
+  novo_id uuid;
+begin
+  -- sempre na mesma ordem (conversa, depois parceiro) para não travar em ciclo
+  perform pg_advisory_xact_lock(hashtext('voucher:conversa:' || (p_voucher ->> 'conversation_id')));
+  perform pg_advisory_xact_lock(hashtext('voucher:parceiro:' || (p_voucher ->> 'parceiro_id')));
+
+  if p_limite_conversa is not null and (
+    select count(*) from vouchers where conversation_id = p_voucher ->> 'conversation_id'
+  ) >= p_limite_conversa then
+    return jsonb_build_object('recusado', 'conversa');
+  end if;
+
+  if p_limite_dia is not null and (
+    select count(*) from vouchers
+      where parceiro_id = (p_voucher ->> 'parceiro_id')::uuid and created_at >= p_inicio_do_dia
+  ) >= p_limite_dia then
+    return jsonb_build_object('recusado', 'dia');
+  end if;
+
+  insert into vouchers (codigo, parceiro_id, regiao_id, conversation_id, beneficio, idioma, status, expira_em)
+    values (
+      p_voucher ->> 'codigo',
+      (p_voucher ->> 'parceiro_id')::uuid,
+      (p_voucher ->> 'regiao_id')::uuid,
+      p_voucher ->> 'conversation_id',
+      p_voucher ->> 'beneficio',
+      p_voucher ->> 'idioma',
+      coalesce(p_voucher ->> 'status', 'emitido'),
+      (p_voucher ->> 'expira_em')::timestamptz
+    )
+    returning id into novo_id;
+
+  return jsonb_build_object('id', novo_id);
+end;
+$$;